@@ -0,0 +1,69 @@
+// Agent activity log and the time-decayed trending scores materialised from it
+
+// Event types and how much each one counts towards trending
+const EVENT_WEIGHTS = {
+    fork: 5,
+    rating: 3,
+    link_click: 1,
+    view: 0.2
+};
+
+// Trending windows: events older than the window are ignored and the weight of
+// each event halves every halfLifeHours
+const TRENDING_WINDOWS = {
+    '24h': { hours: 24, halfLifeHours: 6 },
+    '7d': { hours: 24 * 7, halfLifeHours: 48 },
+    '30d': { hours: 24 * 30, halfLifeHours: 24 * 7 }
+};
+
+// Events are kept as long as the longest window needs them, then dropped
+const RETENTION_HOURS = Math.max(...Object.values(TRENDING_WINDOWS).map(window => window.hours));
+
+// Events a visitor can repeat by reloading a page or clicking again; repeats of one by the
+// same visitor on an agent within VISITOR_DEDUPE_MINUTES count once
+const VISITOR_EVENTS = ['view', 'link_click'];
+const VISITOR_DEDUPE_MINUTES = 30;
+
+// Record an activity event; wallet address may be null for anonymous visitors
+function recordEvent(storage, agentId, eventType, walletAddress, callback) {
+    if (!EVENT_WEIGHTS[eventType]) {
+        return callback(new Error(`Unknown event type: ${eventType}`));
+    }
+    storage.activity.record(agentId, eventType, walletAddress, callback);
+}
+
+// Record a view of an agent page or a click on its link (see VISITOR_EVENTS) by a visitor
+// ({ wallet, ip }, wallet null when anonymous) unless the same visitor did the same on the
+// agent in the last VISITOR_DEDUPE_MINUTES
+function recordVisitorEvent(storage, agentId, eventType, visitor, callback) {
+    if (!VISITOR_EVENTS.includes(eventType)) {
+        return callback(new Error(`Not a visitor event type: ${eventType}`));
+    }
+    const visitorKey = visitor.wallet ? `wallet:${visitor.wallet}` : `ip:${visitor.ip}`;
+
+    storage.activity.recordVisitor(agentId, eventType, { wallet: visitor.wallet, key: visitorKey },
+        VISITOR_DEDUPE_MINUTES, callback);
+}
+
+// Seed an empty activity log from the recent forks and ratings already in the database
+function backfillEvents(storage, callback) {
+    storage.activity.backfill(RETENTION_HOURS, callback);
+}
+
+// Drop events older than the retention period, then recompute the trending score of
+// every agent for every window
+function refreshTrendingScores(storage, callback) {
+    storage.activity.refreshTrending(EVENT_WEIGHTS, TRENDING_WINDOWS, RETENTION_HOURS, callback);
+}
+
+module.exports = {
+    EVENT_WEIGHTS,
+    TRENDING_WINDOWS,
+    RETENTION_HOURS,
+    VISITOR_EVENTS,
+    VISITOR_DEDUPE_MINUTES,
+    recordEvent,
+    recordVisitorEvent,
+    backfillEvents,
+    refreshTrendingScores
+};
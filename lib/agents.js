@@ -0,0 +1,383 @@
+// Agent query layer shared by the HTML pages and the JSON API
+// All functions take the storage backend (see lib/storage) and a node-style callback
+
+const cid = require('./cid');
+const search = require('./search');
+const { encodeCursor, decodeCursor } = require('./pagination');
+const activity = require('./activity');
+const categories = require('./categories');
+
+// Sort orders supported by the browse query: keys sorted in descending order,
+// written against the columns of a listed agent row. Ties are broken by the
+// newest id so every order is total and can be paged with a keyset cursor
+const SORT_ORDERS = {
+    recent: ['created_at'],
+    rating: ['avg_rating', 'rating_count'],
+    forks: ['fork_count'],
+    trending_today: ['trending_score'],
+    trending: ['trending_score'],
+    trending_month: ['trending_score'],
+    // Only meaningful with a search; backends rank better matches lower. Ranks depend on
+    // the whole index, so relevance cursors can shift when agents are added or edited
+    relevance: ['-search_rank']
+};
+
+// Trending window behind each trending sort, see activity.TRENDING_WINDOWS
+// Scores are materialised periodically, so trending cursors can shift after a refresh
+const TRENDING_SORTS = {
+    trending_today: '24h',
+    trending: '7d',
+    trending_month: '30d'
+};
+
+// Fields tracked in the edit history; prompt is the prompt template kept in the spec column
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'link', 'ipfs_hash', 'is_premium', 'tags', 'prompt'];
+
+// Drafts are only visible to their creator or, for org agents, to the org's members
+const AGENT_STATUSES = ['draft', 'published'];
+
+// Placeholder name kept on deleted agents so forks still have something to point at
+const TOMBSTONE_NAME = '[deleted]';
+
+const URL_PATTERN = /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/;
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+
+// Normalize tags given as a comma-separated string or an array:
+// lowercase, hyphen-separated words, no duplicates
+function normalizeTags(input) {
+    const rawTags = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = [];
+
+    rawTags.forEach(rawTag => {
+        const tag = String(rawTag)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim()
+            .replace(/\s+/g, '-')
+            .replace(/[^a-z0-9-]/g, '')
+            .replace(/-+/g, '-')
+            .replace(/^-|-$/g, '')
+            .slice(0, MAX_TAG_LENGTH);
+        if (tag && !tags.includes(tag)) {
+            tags.push(tag);
+        }
+    });
+
+    return tags;
+}
+
+// Interpret checkbox and JSON values for the premium flag
+function parsePremiumFlag(value) {
+    return value === true || value === 1 || ['1', 'true', 'on', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Sort order used for a set of browse filters: searches default to relevance,
+// which needs a search to rank by
+function resolveSort(filters) {
+    const hasSearch = search.parseSearchTerms(filters.search).length > 0;
+    if (filters.sort === 'relevance' && !hasSearch) {
+        return 'recent';
+    }
+    return SORT_ORDERS[filters.sort] ? filters.sort : (hasSearch ? 'relevance' : 'recent');
+}
+
+// Decode a browse cursor, returns its sort key values or null when the cursor
+// is malformed or was made for a different sort order
+function decodeAgentCursor(cursor, filters) {
+    const sort = resolveSort(filters);
+    const position = decodeCursor(cursor);
+    if (!position || position.sort !== sort || !Array.isArray(position.keys) ||
+        position.keys.length !== SORT_ORDERS[sort].length + 1) {
+        return null;
+    }
+    return position.keys;
+}
+
+// List agents matching the browse filters (category, search, tag, sort)
+// Only published agents are listed unless filters.org_id is given together with
+// filters.drafts, which lists that org's agents including its drafts
+// filters.creator_wallet lists one creator's agents; filters.forks set to true or
+// false keeps only forks or only originals
+// Pages are selected with limit plus either offset or after (keys from decodeAgentCursor)
+// Searching uses the full-text index and adds search_rank, name_highlight and
+// description_snippet columns
+// Calls back with (err, rows, total, nextCursor); nextCursor is null on the last page
+function listAgents(storage, filters, callback) {
+    const criteria = {
+        terms: search.parseSearchTerms(filters.search),
+        org_id: filters.org_id,
+        creator_wallet: filters.creator_wallet,
+        forks: filters.forks
+    };
+
+    if (!(filters.org_id && filters.drafts)) {
+        criteria.status = 'published';
+    } else if (AGENT_STATUSES.includes(filters.status)) {
+        criteria.status = filters.status;
+    }
+
+    // Only approved agents are listed, except in the moderation queue and to org members
+    if (filters.moderation_status) {
+        criteria.moderation_status = filters.moderation_status;
+    } else if (!(filters.org_id && filters.drafts)) {
+        criteria.moderation_status = 'approved';
+    }
+
+    // A category by name or slug; public categories include their subcategories
+    if (filters.category && filters.category !== 'all') {
+        criteria.category = filters.category;
+    }
+
+    if (filters.tag) {
+        criteria.tag = normalizeTags(filters.tag)[0] || '';
+    }
+
+    const sort = resolveSort(filters);
+    const keys = SORT_ORDERS[sort].concat('id');
+    // One extra row tells whether there is a next page
+    const page = { after: filters.after, limit: filters.limit ? filters.limit + 1 : null, offset: filters.offset || 0 };
+
+    storage.agents.list(criteria, { keys, trendingPeriod: TRENDING_SORTS[sort] }, page, (err, rows, total) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let nextCursor = null;
+        if (filters.limit && rows.length > filters.limit) {
+            rows.pop();
+            const last = rows[rows.length - 1];
+            nextCursor = encodeCursor({ sort, keys: keys.map((key, index) => last[`sort_key_${index}`]) });
+        }
+        callback(null, rows, total, nextCursor);
+    });
+}
+
+// Get a single agent with its rating aggregates and tags, or undefined
+// Deleted agents are returned as tombstones with deleted_at set
+function getAgent(storage, agentId, callback) {
+    storage.agents.get(agentId, callback);
+}
+
+// Validate agent fields, returns a list of error messages (empty when valid)
+// Expects ipfs_hash and tags to be normalized already
+// The category is resolved against options.categories, the categories the wallet can pick,
+// with options.current, options.allowCustomCategory and options.walletAddress as described
+// at categories.resolveAgentCategory
+function validateAgentInput(input, options = {}) {
+    const errors = [];
+
+    if (!input.name || !input.description || !input.category || !input.link) {
+        errors.push('All fields are required. Please go back and fill in all information.');
+    } else if (!URL_PATTERN.test(input.link)) {
+        errors.push('Please provide a valid URL for the agent link.');
+    }
+
+    const categoryError = categories.resolveAgentCategory(input, options.categories || [], options);
+    if (categoryError) {
+        errors.push(categoryError);
+    }
+
+    if (input.ipfs_hash && !cid.isValidCid(input.ipfs_hash)) {
+        errors.push('Please provide a valid IPFS CID (CIDv0 "Qm..." or CIDv1 "b..."/"z...").');
+    }
+
+    if (input.tags && input.tags.length > MAX_TAGS) {
+        errors.push(`Please use at most ${MAX_TAGS} tags.`);
+    }
+
+    return errors;
+}
+
+// Replace the tags of an agent
+function setAgentTags(storage, agentId, tags, callback) {
+    storage.tags.setForAgent(agentId, tags, callback);
+}
+
+// Prompt template in the text of a spec column (see lib/prompts.js), or null
+function specPrompt(specText) {
+    try {
+        const spec = specText ? JSON.parse(specText) : null;
+        return spec && spec.definition && spec.definition.type === 'prompt' ? spec.definition.prompt : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Compare an agent row with new field values, returns the changed fields
+// as { field, old_value, new_value } with values stored as text
+// fields.spec is only compared when given
+function diffAgentFields(current, fields) {
+    const currentValues = {
+        name: current.name,
+        description: current.description,
+        category: current.category,
+        link: current.link || null,
+        ipfs_hash: current.ipfs_hash || null,
+        is_premium: current.is_premium ? '1' : '0',
+        tags: normalizeTags(current.tags).sort().join(','),
+        prompt: specPrompt(current.spec)
+    };
+    const newValues = {
+        name: fields.name,
+        description: fields.description,
+        category: fields.category,
+        link: fields.link || null,
+        ipfs_hash: fields.ipfs_hash || null,
+        is_premium: fields.is_premium ? '1' : '0',
+        tags: fields.tags ? fields.tags.slice().sort().join(',') : currentValues.tags,
+        prompt: fields.spec !== undefined ? specPrompt(fields.spec) : currentValues.prompt
+    };
+
+    return EDITABLE_FIELDS
+        .filter(field => currentValues[field] !== newValues[field])
+        .map(field => ({ field, old_value: currentValues[field], new_value: newValues[field] }));
+}
+
+// Insert an agent with its tags; forks also bump the fork count of the original
+// and record a fork event for it
+// fields.org_id makes the agent owned by an org, fields.status defaults to published
+// fields.license and fields.spec (JSON, see lib/manifests.js) come from manifests
+// fields.original_release_id pins a fork to the release of the original it was made from
+// fields.moderation_status defaults to approved (see moderation.initialStatus)
+// fields.category_id comes from validateAgentInput; a new private category (fields.new_category) is created first
+function createAgent(storage, fields, callback) {
+    const originalAgentId = fields.original_agent_id || null;
+
+    categories.saveAgentCategory(storage, fields, fields.creator_wallet, (categoryErr) => {
+        if (categoryErr) {
+            return callback(categoryErr);
+        }
+        storage.agents.create(fields, (err, agentId) => {
+            if (err) {
+                return callback(err);
+            }
+            insertTags(agentId);
+        });
+    });
+
+    function insertTags(agentId) {
+        setAgentTags(storage, agentId, fields.tags || [], (tagErr) => {
+            if (tagErr) {
+                console.error('Error saving tags:', tagErr.message);
+            }
+            if (!originalAgentId) {
+                return callback(null, agentId);
+            }
+
+            storage.agents.incrementForkCount(originalAgentId, (updateErr) => {
+                if (updateErr) {
+                    console.error('Error updating fork count:', updateErr.message);
+                }
+                activity.recordEvent(storage, originalAgentId, 'fork', fields.creator_wallet, (eventErr) => {
+                    if (eventErr) {
+                        console.error('Error recording fork event:', eventErr.message);
+                    }
+                    callback(null, agentId);
+                });
+            });
+        });
+    }
+}
+
+// Update the editable fields of an agent and record the changes in its edit history
+// fields.spec (JSON) replaces the spec when given; agents hidden by moderators go back
+// to the moderation queue once they are changed
+// Calls back with the list of changed fields (empty when nothing changed)
+function updateAgent(storage, current, fields, editorWallet, callback) {
+    const changes = diffAgentFields(current, fields);
+    if (changes.length === 0) {
+        return callback(null, changes);
+    }
+    categories.saveAgentCategory(storage, fields, editorWallet, (err) => {
+        if (err) {
+            return callback(err);
+        }
+        storage.agents.update(current, fields, changes, editorWallet, (updateErr) => callback(updateErr, changes));
+    });
+}
+
+// Publish a draft, recording who published it in the edit history
+function publishAgent(storage, agent, editorWallet, callback) {
+    storage.agents.publish(agent, editorWallet, callback);
+}
+
+// Delete an agent, leaving a tombstone row so forks never point at a missing agent
+// Ratings, tag links and releases are removed and the original's fork count is kept in step
+function deleteAgent(storage, agent, editorWallet, callback) {
+    storage.agents.markDeleted(agent, editorWallet, TOMBSTONE_NAME, callback);
+}
+
+// List the edit history of an agent, newest first
+function listAgentEdits(storage, agentId, callback) {
+    storage.agents.listEdits(agentId, callback);
+}
+
+// Shape a database row for JSON output
+function serializeAgent(row) {
+    const serialized = {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        category: row.category,
+        category_slug: row.category_slug || null,
+        link: row.link,
+        ipfs_hash: row.ipfs_hash || null,
+        ipfs_verified: row.ipfs_verified === null || row.ipfs_verified === undefined ? null : !!row.ipfs_verified,
+        content_cid: row.content_cid || null,
+        creator_wallet: row.creator_wallet || null,
+        creator_handles: {
+            lens: row.creator_lens_handle || null,
+            farcaster: row.creator_farcaster_handle || null
+        },
+        original_agent_id: row.original_agent_id || null,
+        original_deleted: !!row.original_deleted_at,
+        original_version: row.original_version || null,
+        latest_version: row.latest_version || null,
+        fork_count: row.fork_count || 0,
+        is_premium: !!row.is_premium,
+        license: row.license || null,
+        status: row.status || 'published',
+        moderation_status: row.moderation_status || 'approved',
+        org: row.org_id ? { id: row.org_id, name: row.org_name || null } : null,
+        created_at: row.created_at,
+        tags: row.tags ? row.tags.split(',') : [],
+        rating: {
+            average: Math.round((parseFloat(row.avg_rating) || 0) * 100) / 100,
+            count: row.rating_count || 0
+        }
+    };
+
+    // Search results carry their relevance and highlighted text (HTML with <mark> tags)
+    if (row.search_rank !== undefined) {
+        serialized.search = {
+            rank: row.search_rank,
+            name_html: search.highlightToHtml(row.name_highlight),
+            snippet_html: search.highlightToHtml(row.description_snippet)
+        };
+    }
+
+    return serialized;
+}
+
+module.exports = {
+    AGENT_STATUSES,
+    SORT_ORDERS,
+    normalizeTags,
+    parsePremiumFlag,
+    resolveSort,
+    decodeAgentCursor,
+    listAgents,
+    getAgent,
+    validateAgentInput,
+    setAgentTags,
+    createAgent,
+    diffAgentFields,
+    updateAgent,
+    publishAgent,
+    deleteAgent,
+    listAgentEdits,
+    serializeAgent
+};
@@ -0,0 +1,352 @@
+// Agent categories: public categories in a two-level taxonomy (DeFi → Lending, DEX) with
+// slugs, descriptions and icons, managed by admins, and private categories of a wallet,
+// the custom categories of plans with the custom_categories entitlement
+//
+// Agents keep the name of their category in agents.category next to agents.category_id,
+// so renaming a category renames it on its agents too. Admin changes to public categories
+// are written to the audit log (see moderation.categoryAuditEntries)
+
+const moderation = require('./moderation');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 280;
+// Icons are short text, usually an emoji; emoji with modifiers take several characters
+const MAX_ICON_LENGTH = 8;
+const MAX_SLUG_LENGTH = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// A slug made from a name: lowercase letters and digits separated by hyphens
+function slugify(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-$/, '');
+}
+
+// The categories a wallet can pick: the public ones and, for a signed-in wallet, its
+// private ones after them; each ordered by position, then name. agent_count counts the
+// listed agents of each
+function listCategories(storage, walletAddress, callback) {
+    storage.categories.list(walletAddress, callback);
+}
+
+// The public categories of a list as a tree: top-level categories with their subcategories
+// in children. total_count adds the agents of the subcategories to the category's own
+function buildTree(categories) {
+    const publicCategories = categories.filter(category => !category.owner_wallet);
+    const tree = publicCategories.filter(category => !category.parent_id)
+        .map(category => Object.assign({}, category, { children: [] }));
+
+    publicCategories.filter(category => category.parent_id).forEach(category => {
+        const parent = tree.find(node => node.id === category.parent_id);
+        if (parent) {
+            parent.children.push(Object.assign({}, category, { total_count: category.agent_count, children: [] }));
+        }
+    });
+    tree.forEach(node => {
+        node.total_count = node.children.reduce((sum, child) => sum + child.agent_count, node.agent_count);
+    });
+    return tree;
+}
+
+// A public category by slug as a node of buildTree with its parent node (null for top-level
+// categories) in parent, or undefined
+function getCategoryBySlug(storage, slug, callback) {
+    listCategories(storage, null, (err, categories) => {
+        if (err) {
+            return callback(err);
+        }
+        for (const node of buildTree(categories)) {
+            if (node.slug === slug) {
+                return callback(null, Object.assign({ parent: null }, node));
+            }
+            const child = node.children.find(category => category.slug === slug);
+            if (child) {
+                return callback(null, Object.assign({ parent: node }, child));
+            }
+        }
+        callback(null, undefined);
+    });
+}
+
+// A category by id with the name of its parent (parent_name), its number of subcategories
+// (child_count) and of agents that aren't deleted, listed or not (used_count), or undefined
+function getCategory(storage, categoryId, callback) {
+    storage.categories.get(categoryId, callback);
+}
+
+// Resolve the category of new or edited agent fields against the categories the wallet can
+// pick (see listCategories), by name and ignoring case. Sets input.category to the name of
+// the category and input.category_id to its id. A new private category of
+// options.walletAddress sets input.new_category instead, and saveAgentCategory creates it.
+// options.current is the agent (or the original of a fork) whose category name may be kept
+// even though the wallet can't pick it; the agent then has no category unless it is one of
+// the wallet's. options.allowCustomCategory permits new private categories. Returns an error
+// message or null
+function resolveAgentCategory(input, categories, options = {}) {
+    const name = typeof input.category === 'string' ? input.category.trim() : '';
+    if (!name) {
+        return null;
+    }
+
+    const sameName = (category) => category.name.toLowerCase() === name.toLowerCase();
+    const match = categories.find(category => !category.owner_wallet && sameName(category)) ||
+        categories.find(category => category.owner_wallet && sameName(category));
+    if (match) {
+        input.category = match.name;
+        input.category_id = match.id;
+        return null;
+    }
+    // The private category of someone else, such as an org member or the creator of a
+    // forked agent, is never attached to the agent
+    const current = options.current;
+    if (current && current.category === name) {
+        input.category = name;
+        input.category_id = categories.some(category => category.id === current.category_id) ? current.category_id : null;
+        return null;
+    }
+
+    if (!options.allowCustomCategory) {
+        return 'Custom categories are available on the User Pro and Agency plans. Please pick one of the listed categories.';
+    }
+    if (!options.walletAddress) {
+        return 'Connect your wallet to use a custom category.';
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return `Custom categories can be at most ${MAX_NAME_LENGTH} characters.`;
+    }
+    input.category = name;
+    input.category_id = null;
+    input.new_category = true;
+    return null;
+}
+
+// Create the new private category of agent fields resolved by resolveAgentCategory, if
+// they have one, and set fields.category_id to it; the wallet's category of the same name
+// is used when it was created in the meantime
+function saveAgentCategory(storage, fields, walletAddress, callback) {
+    if (!fields.new_category) {
+        return callback(null);
+    }
+    storage.categories.ensurePrivate(fields.category, walletAddress, (err, category) => {
+        if (err) {
+            return callback(err);
+        }
+        fields.category_id = category.id;
+        fields.category = category.name;
+        fields.new_category = false;
+        callback(null);
+    });
+}
+
+// Normalize and validate the fields of a category; private categories only have a name,
+// description and icon. Returns { fields, errors } where fields are the cleaned-up values
+function validateCategoryInput(input, isPrivate) {
+    const text = (value) => typeof value === 'string' ? value.trim() : '';
+    const fields = {
+        name: text(input.name),
+        description: text(input.description) || null,
+        icon: text(input.icon) || null,
+        slug: isPrivate ? null : (text(input.slug) || slugify(input.name)),
+        parent_id: isPrivate || input.parent_id === null || input.parent_id === undefined || input.parent_id === '' ?
+            null : Number(input.parent_id),
+        position: isPrivate || input.position === undefined || input.position === null || input.position === '' ?
+            0 : Number(input.position)
+    };
+    const errors = [];
+
+    if (!fields.name) {
+        errors.push('A category needs a name.');
+    } else if (fields.name.length > MAX_NAME_LENGTH) {
+        errors.push(`Category names can be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    if (!isPrivate && (!SLUG_PATTERN.test(fields.slug || '') || fields.slug.length > MAX_SLUG_LENGTH)) {
+        errors.push(`Slugs are lowercase letters and digits separated by hyphens, at most ${MAX_SLUG_LENGTH} characters.`);
+    }
+    if (fields.description && fields.description.length > MAX_DESCRIPTION_LENGTH) {
+        errors.push(`Descriptions can be at most ${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+    if (fields.icon && [...fields.icon].length > MAX_ICON_LENGTH) {
+        errors.push(`Icons can be at most ${MAX_ICON_LENGTH} characters.`);
+    }
+    if (fields.parent_id !== null && !Number.isInteger(fields.parent_id)) {
+        errors.push('The parent must be a category id.');
+    }
+    if (!Number.isInteger(fields.position)) {
+        errors.push('The position must be a whole number.');
+    }
+
+    return { fields, errors };
+}
+
+// Check that a category can go under parentId (null for top level): the parent must be a
+// top-level public category, and a category with subcategories stays at the top level.
+// Calls back with (err, problem, parent)
+function checkParent(storage, category, parentId, callback) {
+    if (parentId === null) {
+        return callback(null, null);
+    }
+    if (category && category.child_count > 0) {
+        return callback(null, { status: 400, code: 'validation_failed', message: 'A category with subcategories cannot become a subcategory.' });
+    }
+    storage.categories.get(parentId, (err, parent) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!parent || parent.owner_wallet || parent.parent_id || (category && parent.id === category.id)) {
+            return callback(null, { status: 400, code: 'validation_failed', message: 'The parent must be another top-level category.' });
+        }
+        callback(null, null, parent);
+    });
+}
+
+const CATEGORY_EXISTS = { status: 409, code: 'category_exists', message: 'A category with this name or slug already exists.' };
+
+// Check the parent of category fields (see checkParent) and, for a private category, that no
+// public category has its name, since agents would get the public one. Calls back with
+// (err, problem, parent) where parent is the parent category, if any
+function checkPlacement(storage, current, fields, isPrivate, callback) {
+    checkParent(storage, current, fields.parent_id, (err, problem, parent) => {
+        if (err || problem || !isPrivate) {
+            return callback(err, problem, parent);
+        }
+        storage.categories.findPublicByName(fields.name, (nameErr, existing) =>
+            callback(nameErr, existing ? CATEGORY_EXISTS : null));
+    });
+}
+
+// Audit log entries for a change to a public category by moderatorWallet; changes to
+// private categories are their owner's own and aren't logged
+function auditEntries(moderatorWallet, before, after, replacementName) {
+    return moderatorWallet ? moderation.categoryAuditEntries(moderatorWallet, before, after, replacementName) : [];
+}
+
+// Create a public category, or a private one of ownerWallet when it is given. moderatorWallet
+// is the admin creating a public category, for the audit log
+// Calls back with (err, problem, category)
+function createCategory(storage, input, ownerWallet, moderatorWallet, callback) {
+    const { fields, errors } = validateCategoryInput(input, !!ownerWallet);
+    if (errors.length) {
+        return callback(null, { status: 400, code: 'validation_failed', message: errors[0], details: errors });
+    }
+
+    checkPlacement(storage, null, fields, !!ownerWallet, (placementErr, problem, parent) => {
+        if (placementErr || problem) {
+            return callback(placementErr, problem);
+        }
+        const after = { name: fields.name, parent_id: fields.parent_id, parent_name: parent ? parent.name : null };
+        storage.categories.create(fields, ownerWallet, auditEntries(moderatorWallet, null, after), (err, categoryId) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!categoryId) {
+                return callback(null, CATEGORY_EXISTS);
+            }
+            getCategory(storage, categoryId, (getErr, category) => callback(getErr, null, category));
+        });
+    });
+}
+
+// Change the fields of a category (from getCategory) given in input; the others keep their
+// value. A new name is given to the category's agents as well. moderatorWallet is the admin
+// changing a public category, for the audit log
+// Calls back with (err, problem, category)
+function updateCategory(storage, current, input, moderatorWallet, callback) {
+    const isPrivate = !!current.owner_wallet;
+    const merged = {};
+    ['name', 'description', 'icon', 'slug', 'parent_id', 'position'].forEach(key => {
+        merged[key] = input[key] !== undefined ? input[key] : current[key];
+    });
+    const { fields, errors } = validateCategoryInput(merged, isPrivate);
+    if (errors.length) {
+        return callback(null, { status: 400, code: 'validation_failed', message: errors[0], details: errors });
+    }
+
+    checkPlacement(storage, current, fields, isPrivate, (placementErr, problem, parent) => {
+        if (placementErr || problem) {
+            return callback(placementErr, problem);
+        }
+        const after = { name: fields.name, parent_id: fields.parent_id, parent_name: parent ? parent.name : null };
+        storage.categories.update(current, fields, auditEntries(moderatorWallet, current, after), (err, updated) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!updated) {
+                return callback(null, CATEGORY_EXISTS);
+            }
+            getCategory(storage, current.id, (getErr, category) => callback(getErr, null, category));
+        });
+    });
+}
+
+// Delete a category (from getCategory). Its agents move to the category replacementId, which
+// must be public or a private category of the same wallet; without one only categories no
+// agent uses can be deleted. Deleted agents just lose the category. moderatorWallet is the
+// admin deleting a public category, for the audit log. Calls back with (err, problem)
+function deleteCategory(storage, category, replacementId, moderatorWallet, callback) {
+    if (category.child_count > 0) {
+        return callback(null, { status: 409, code: 'category_has_subcategories', message: 'Move or delete the subcategories of this category first.' });
+    }
+    if (!replacementId && category.used_count > 0) {
+        const agentsText = category.used_count === 1 ? '1 agent uses' : `${category.used_count} agents use`;
+        return callback(null, { status: 409, code: 'category_in_use', message: `${agentsText} this category. Pick a category to move them to.` });
+    }
+
+    const remove = (replacement) => {
+        storage.categories.remove(category, replacement,
+            auditEntries(moderatorWallet, category, null, replacement ? replacement.name : null), (err) => callback(err, null));
+    };
+
+    if (!replacementId) {
+        return remove(null);
+    }
+    getCategory(storage, replacementId, (err, replacement) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!replacement || replacement.id === category.id ||
+            (replacement.owner_wallet && replacement.owner_wallet !== category.owner_wallet)) {
+            return callback(null, { status: 400, code: 'validation_failed', message: 'Agents can only be moved to another category you can use.' });
+        }
+        remove(replacement);
+    });
+}
+
+// Shape a category row, or a node of buildTree, for JSON output
+function serializeCategory(row) {
+    const serialized = {
+        id: row.id,
+        slug: row.slug || null,
+        name: row.name,
+        description: row.description || null,
+        icon: row.icon || null,
+        parent_id: row.parent_id || null,
+        position: row.position,
+        private: !!row.owner_wallet,
+        agent_count: row.agent_count
+    };
+    if (row.children) {
+        serialized.total_count = row.total_count;
+        serialized.children = row.children.map(serializeCategory);
+    }
+    return serialized;
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    slugify,
+    listCategories,
+    buildTree,
+    getCategoryBySlug,
+    getCategory,
+    resolveAgentCategory,
+    saveAgentCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    serializeCategory
+};
@@ -0,0 +1,227 @@
+// IPFS content identifier (CID) parsing, and computing CIDs of content locally
+// Supports CIDv0 (base58btc "Qm...") and CIDv1 in base32 ("b...") or base58btc ("z...")
+
+const crypto = require('crypto');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// sha2-256 multihash code and digest length, the only hash CIDv0 allows
+const SHA2_256 = 0x12;
+const SHA2_256_LENGTH = 32;
+// dag-pb codec, implied by CIDv0
+const DAG_PB = 0x70;
+// raw codec: the block is the content itself
+const RAW = 0x55;
+
+// Largest content `ipfs add` stores as a single block (the default chunk size);
+// bigger files are split into a tree of blocks whose root CID we don't compute
+const MAX_BLOCK_SIZE = 256 * 1024;
+
+function decodeBase58(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) {
+            return null;
+        }
+        value = value * 58n + BigInt(digit);
+    }
+
+    const hex = value === 0n ? '' : value.toString(16);
+    const body = Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex');
+
+    // Leading '1's encode leading zero bytes
+    let zeros = 0;
+    while (zeros < text.length && text[zeros] === '1') {
+        zeros++;
+    }
+    return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+// RFC 4648 base32, lowercase, no padding (multibase "b")
+function decodeBase32(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (const char of text) {
+        const digit = BASE32_ALPHABET.indexOf(char);
+        if (digit === -1) {
+            return null;
+        }
+        buffer = (buffer << 5) | digit;
+        bits += 5;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 0xff);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 4648 base32, lowercase, no padding
+function encodeBase32(bytes) {
+    let text = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+        buffer = ((buffer << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            bits -= 5;
+            text += BASE32_ALPHABET[(buffer >> bits) & 0x1f];
+        }
+    }
+    if (bits > 0) {
+        text += BASE32_ALPHABET[(buffer << (5 - bits)) & 0x1f];
+    }
+    return text;
+}
+
+function encodeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// Read an unsigned varint at offset, returns [value, nextOffset] or null
+function readVarint(bytes, offset) {
+    let value = 0;
+    let shift = 0;
+
+    while (offset < bytes.length && shift < 63) {
+        const byte = bytes[offset++];
+        value += (byte & 0x7f) * Math.pow(2, shift);
+        if ((byte & 0x80) === 0) {
+            return [value, offset];
+        }
+        shift += 7;
+    }
+    return null;
+}
+
+// Parse a multihash, requiring it to span the rest of the bytes
+function parseMultihash(bytes, offset) {
+    const code = readVarint(bytes, offset);
+    const length = code && readVarint(bytes, code[1]);
+    if (!length || bytes.length - length[1] !== length[0] || length[0] === 0) {
+        return null;
+    }
+    return { code: code[0], digest: bytes.subarray(length[1]) };
+}
+
+// Parse a CID string, returns { version, codec, multihash } or null if invalid
+function parseCid(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    if (text.length === 46 && text.startsWith('Qm')) {
+        const bytes = decodeBase58(text);
+        if (!bytes || bytes.length !== 34 || bytes[0] !== SHA2_256 || bytes[1] !== SHA2_256_LENGTH) {
+            return null;
+        }
+        return { version: 0, codec: DAG_PB, multihash: parseMultihash(bytes, 0) };
+    }
+
+    let bytes = null;
+    if (text[0] === 'b' || text[0] === 'B') {
+        bytes = decodeBase32(text.slice(1).toLowerCase());
+    } else if (text[0] === 'z') {
+        bytes = decodeBase58(text.slice(1));
+    }
+    if (!bytes) {
+        return null;
+    }
+
+    const version = readVarint(bytes, 0);
+    const codec = version && version[0] === 1 && readVarint(bytes, version[1]);
+    const multihash = codec && parseMultihash(bytes, codec[1]);
+    if (!multihash) {
+        return null;
+    }
+    return { version: 1, codec: codec[0], multihash };
+}
+
+// Strip ipfs:// and /ipfs/ prefixes that people commonly paste
+function normalizeCid(value) {
+    if (typeof value !== 'string') {
+        return '';
+    }
+    return value.trim().replace(/^ipfs:\/\//i, '').replace(/^\/?ipfs\//i, '').replace(/\/+$/, '');
+}
+
+function isValidCid(text) {
+    return parseCid(text) !== null;
+}
+
+// Format a CIDv1 with a sha2-256 digest in base32 ("bafy..." for dag-pb, "bafk..." for raw)
+function formatCidV1(codec, digest) {
+    const bytes = Buffer.concat([encodeVarint(1), encodeVarint(codec), Buffer.from([SHA2_256, SHA2_256_LENGTH]), digest]);
+    return 'b' + encodeBase32(bytes);
+}
+
+// Canonical base32 CIDv1 form of any valid CID (CIDv0 become dag-pb CIDv1), or null
+function toCidV1(text) {
+    const parsed = parseCid(text);
+    if (!parsed) {
+        return null;
+    }
+    const multihash = Buffer.concat([encodeVarint(parsed.multihash.code), encodeVarint(parsed.multihash.digest.length),
+        parsed.multihash.digest]);
+    return 'b' + encodeBase32(Buffer.concat([encodeVarint(1), encodeVarint(parsed.codec), multihash]));
+}
+
+function sha256(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest();
+}
+
+// dag-pb node of a single-block UnixFS file, as `ipfs add` stores small files without raw leaves
+// (PBNode { Data: UnixFS { Type: File, Data, filesize } })
+function unixfsFileNode(bytes) {
+    const fields = [Buffer.from([0x08, 0x02])];
+    if (bytes.length) {
+        fields.push(Buffer.from([0x12]), encodeVarint(bytes.length), bytes);
+    }
+    fields.push(Buffer.from([0x18]), encodeVarint(bytes.length));
+    const unixfs = Buffer.concat(fields);
+    return Buffer.concat([Buffer.from([0x0a]), encodeVarint(unixfs.length), unixfs]);
+}
+
+// CIDv1 (raw, sha2-256, base32) of content; matches `ipfs add --cid-version=1` for
+// content up to MAX_BLOCK_SIZE
+function computeCid(bytes) {
+    return formatCidV1(RAW, sha256(bytes));
+}
+
+// Whether a CID addresses the given content, either as a raw block or as a
+// single-block UnixFS file (dag-pb, which includes every CIDv0)
+function cidMatchesContent(text, bytes) {
+    const parsed = parseCid(text);
+    if (!parsed || parsed.multihash.code !== SHA2_256) {
+        return false;
+    }
+    if (parsed.codec === RAW) {
+        return sha256(bytes).equals(parsed.multihash.digest);
+    }
+    if (parsed.codec === DAG_PB && bytes.length <= MAX_BLOCK_SIZE) {
+        return sha256(unixfsFileNode(bytes)).equals(parsed.multihash.digest);
+    }
+    return false;
+}
+
+module.exports = {
+    MAX_BLOCK_SIZE,
+    parseCid,
+    normalizeCid,
+    isValidCid,
+    toCidV1,
+    computeCid,
+    cidMatchesContent
+};
@@ -0,0 +1,85 @@
+// Content-addressed publishing: the canonical manifest of every published agent is
+// pinned under its CID (see lib/pinning.js), and the ipfs_hash an agent declares is
+// checked against that content
+
+const cid = require('./cid');
+const manifests = require('./manifests');
+const { getAgent } = require('./agents');
+
+// JSON with object keys sorted and no whitespace, so equal manifests give equal bytes
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Canonical manifest bytes of an agent
+// The declared ipfs_hash is left out: a CID can't be part of the content it addresses
+function agentContent(agent, baseUrl) {
+    const manifest = manifests.buildManifest(agent, baseUrl);
+    delete manifest.ipfs_hash;
+    return Buffer.from(canonicalJson(manifest), 'utf8');
+}
+
+// Pin the content of an agent and record its CID, and whether the declared ipfs_hash
+// matches it, on the agent; drafts and deleted agents have no published content
+// baseUrl is the public URL of the marketplace used inside manifests
+// Calls back with (err, contentCid)
+function publishAgentContent(storage, backend, agentId, baseUrl, callback) {
+    getAgent(storage, agentId, (err, agent) => {
+        if (err || !agent) {
+            return callback(err, null);
+        }
+        if (agent.deleted_at || agent.status !== 'published') {
+            return storage.content.clearAgentContent(agent.id, (clearErr) => callback(clearErr, null));
+        }
+
+        const bytes = agentContent(agent, baseUrl);
+        const contentCid = cid.computeCid(bytes);
+        const ipfsVerified = agent.ipfs_hash ? (cid.cidMatchesContent(agent.ipfs_hash, bytes) ? 1 : 0) : null;
+
+        backend.pin(contentCid, bytes, (pinErr) => {
+            if (pinErr) {
+                return callback(pinErr);
+            }
+            storage.content.setAgentContent(agent.id, contentCid, ipfsVerified, (saveErr) => callback(saveErr, contentCid));
+        });
+    });
+}
+
+// Publish the content of published agents that don't have any yet, one at a time
+// Calls back with (err, count)
+function backfillAgentContent(storage, backend, baseUrl, callback) {
+    storage.content.listAgentIdsWithoutContent((err, ids) => {
+        if (err) {
+            return callback(err);
+        }
+
+        let index = 0;
+        const next = (publishErr) => {
+            if (publishErr || index === ids.length) {
+                return callback(publishErr || null, index);
+            }
+            publishAgentContent(storage, backend, ids[index++], baseUrl, next);
+        };
+        next();
+    });
+}
+
+// Agents that have published the content with a CID, with the columns needed to
+// decide who may read it
+function listContentAgents(storage, contentCid, callback) {
+    storage.content.listAgents(contentCid, callback);
+}
+
+module.exports = {
+    canonicalJson,
+    agentContent,
+    publishAgentContent,
+    backfillAgentContent,
+    listContentAgents
+};
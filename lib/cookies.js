@@ -0,0 +1,25 @@
+// Reading cookies from the Cookie request header
+
+// The value of a cookie, or null if the request doesn't carry it
+// A value that isn't valid percent-encoding can't have been set by this site, so it
+// counts as absent rather than failing the request
+function getCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (err) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getCookie
+};
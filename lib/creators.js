@@ -0,0 +1,41 @@
+// Public creator profiles: who a wallet is and how its published agents are doing
+
+// Profile of a creator with their verified handles and stats over their public agents
+// Calls back with (err, profile); profile is undefined for wallets that never signed in
+// and have no public agents
+function getCreatorProfile(storage, walletAddress, callback) {
+    storage.creators.getProfile(walletAddress, (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!row.member_since && row.agents_count === 0 && row.forks_count === 0) {
+            return callback(null, undefined);
+        }
+        row.average_rating = row.average_rating === null ? null : Math.round(row.average_rating * 100) / 100;
+        callback(null, row);
+    });
+}
+
+// Shape a creator profile for JSON output
+function serializeCreator(profile) {
+    return {
+        wallet_address: profile.wallet_address,
+        handles: {
+            lens: profile.creator_lens_handle || null,
+            farcaster: profile.creator_farcaster_handle || null
+        },
+        member_since: profile.member_since || null,
+        stats: {
+            agents: profile.agents_count,
+            forks: profile.forks_count,
+            forks_received: profile.forks_received,
+            average_rating: profile.average_rating,
+            ratings: profile.ratings_count
+        }
+    };
+}
+
+module.exports = {
+    getCreatorProfile,
+    serializeCreator
+};
@@ -0,0 +1,39 @@
+// CSRF tokens for the HTML forms
+//
+// A token is an HMAC of a secret only the visitor's browser holds: the session token
+// once signed in, before that a random id kept in a cookie. Nothing is stored on the
+// server, and a token stays valid for as long as its secret does
+
+const crypto = require('crypto');
+
+// Name of the hidden form field carrying the token
+const FIELD_NAME = '_csrf';
+
+// A new random secret for a visitor who hasn't signed in
+function createSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// The token of a secret
+function createToken(secret) {
+    return crypto.createHmac('sha256', secret).update('csrf').digest('base64url');
+}
+
+// Whether a submitted token belongs to one of the visitor's secrets (missing secrets are skipped)
+function verifyToken(secrets, token) {
+    if (typeof token !== 'string' || !token) {
+        return false;
+    }
+    const submitted = Buffer.from(token);
+    return secrets.filter(Boolean).some(secret => {
+        const expected = Buffer.from(createToken(secret));
+        return expected.length === submitted.length && crypto.timingSafeEqual(expected, submitted);
+    });
+}
+
+module.exports = {
+    FIELD_NAME,
+    createSecret,
+    createToken,
+    verifyToken
+};
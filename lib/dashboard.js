@@ -0,0 +1,61 @@
+// Account dashboard queries for a single wallet
+
+// Number of recent ratings included with each agent
+const LATEST_RATINGS_PER_AGENT = 3;
+
+// Aggregate stats for a wallet's activity
+function getWalletStats(storage, walletAddress, callback) {
+    storage.dashboard.walletStats(walletAddress, (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        row.average_rating_received = row.average_rating_received === null ?
+            null : Math.round(row.average_rating_received * 100) / 100;
+        callback(null, row);
+    });
+}
+
+// List a page of a wallet's agents, either originals or forks, each with its latest ratings
+// Calls back with (err, rows, total)
+function listWalletAgents(storage, walletAddress, options, callback) {
+    storage.dashboard.listWalletAgents(walletAddress, !!options.forks, options.limit, options.offset, (err, rows, total) => {
+        if (err) {
+            return callback(err);
+        }
+        attachLatestRatings(storage, rows, (ratingsErr) => callback(ratingsErr, rows, total));
+    });
+}
+
+// Per-agent activity over the last `days` days for the agents a wallet created
+// Calls back with (err, rows) where each row has views, link_clicks, forks and ratings
+function getWalletAnalytics(storage, walletAddress, days, callback) {
+    storage.dashboard.walletAnalytics(walletAddress, days, callback);
+}
+
+// Set latest_ratings on each agent row
+function attachLatestRatings(storage, rows, callback) {
+    rows.forEach(row => {
+        row.latest_ratings = [];
+    });
+
+    storage.ratings.listForAgents(rows.map(row => row.id), (err, ratings) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        ratings.forEach(rating => {
+            const row = rowsById.get(rating.agent_id);
+            if (row.latest_ratings.length < LATEST_RATINGS_PER_AGENT) {
+                row.latest_ratings.push(rating);
+            }
+        });
+        callback(null);
+    });
+}
+
+module.exports = {
+    getWalletStats,
+    listWalletAgents,
+    getWalletAnalytics
+};
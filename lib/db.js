@@ -0,0 +1,89 @@
+// Small helpers on top of the sqlite3 database handle
+
+// Run statements one after another, stopping at the first error
+function runSequence(db, statements, callback) {
+    let index = 0;
+    const next = (err) => {
+        if (err || index === statements.length) {
+            return callback(err || null);
+        }
+        const [sql, params] = statements[index++];
+        db.run(sql, params, next);
+    };
+    next(null);
+}
+
+// Run an UPDATE or DELETE statement, calls back with (err, count) where count is the
+// number of rows changed
+function runCounting(db, sql, params, callback) {
+    db.run(sql, params, function(err) {
+        callback(err, err ? 0 : this.changes);
+    });
+}
+
+// Run an INSERT statement, calls back with (err, id) where id is the rowid of the new row
+function runInsert(db, sql, params, callback) {
+    db.run(sql, params, function(err) {
+        callback(err, err ? null : this.lastID);
+    });
+}
+
+// Transactions cannot nest on one connection, so they wait their turn per database handle
+const transactionQueues = new WeakMap();
+
+// Run statements one after another inside a transaction, rolling back on the first error
+function runInTransaction(db, statements, callback) {
+    queueTransaction(db, 'BEGIN TRANSACTION', (done) => runSequence(db, statements, done), callback);
+}
+
+// Run work(done) inside a transaction that takes the write lock up front (BEGIN IMMEDIATE), so
+// nothing else writes between what work reads and what it writes. Committed when work calls
+// done(null), rolled back when it calls done(err)
+function runImmediateTransaction(db, work, callback) {
+    queueTransaction(db, 'BEGIN IMMEDIATE', work, callback);
+}
+
+function queueTransaction(db, begin, work, callback) {
+    let queue = transactionQueues.get(db);
+    if (!queue) {
+        queue = [];
+        transactionQueues.set(db, queue);
+    }
+
+    queue.push({ begin, work, callback });
+    if (queue.length === 1) {
+        runNextTransaction(db, queue);
+    }
+}
+
+function runNextTransaction(db, queue) {
+    const { begin, work, callback } = queue[0];
+    const finish = (err) => {
+        queue.shift();
+        if (queue.length) {
+            runNextTransaction(db, queue);
+        }
+        callback(err || null);
+    };
+
+    db.run(begin, (beginErr) => {
+        if (beginErr) {
+            return finish(beginErr);
+        }
+
+        work((err) => {
+            if (err) {
+                return db.run('ROLLBACK', () => finish(err));
+            }
+            db.run('COMMIT', finish);
+        });
+    });
+}
+
+module.exports = {
+    runSequence,
+    runCounting,
+    runInsert,
+    runInTransaction,
+    runImmediateTransaction
+};
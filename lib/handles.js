@@ -0,0 +1,156 @@
+// Lens and Farcaster handles on user profiles and their ownership proof: the wallet
+// signs a statement binding the handle, then a resolver (see lib/resolvers.js)
+// confirms that the handle belongs to the wallet on its network
+
+const crypto = require('crypto');
+const siwe = require('./siwe');
+
+// Verification statements must be signed within this many minutes
+const CHALLENGE_TTL_MINUTES = 10;
+
+// Supported networks with their users columns and handle formats
+const NETWORKS = {
+    lens: {
+        name: 'Lens',
+        handleColumn: 'lens_handle',
+        verifiedColumn: 'lens_verified_at',
+        format: 'alice.lens',
+        // "alice", "@alice", "alice.lens" or "lens/alice", stored as "alice.lens"
+        normalize(input) {
+            const match = /^@?(?:lens\/)?([a-z0-9_]{1,26})(?:\.lens)?$/.exec(input);
+            return match ? `${match[1]}.lens` : null;
+        }
+    },
+    farcaster: {
+        name: 'Farcaster',
+        handleColumn: 'farcaster_handle',
+        verifiedColumn: 'farcaster_verified_at',
+        format: 'alice or alice.eth',
+        // fnames ("alice", "@alice") or ENS names ("alice.eth"), stored without the @
+        normalize(input) {
+            const match = /^@?([a-z0-9][a-z0-9-]{0,15}|[a-z0-9-]+\.eth)$/.exec(input);
+            return match ? match[1] : null;
+        }
+    }
+};
+
+// Normalize a handle for a network, returns null when it is not a valid handle
+function normalizeHandle(network, input) {
+    if (!NETWORKS[network] || typeof input !== 'string') {
+        return null;
+    }
+    return NETWORKS[network].normalize(input.trim().toLowerCase());
+}
+
+// Set or clear (null) handles on a wallet's profile; handles is keyed by network
+// Changing a handle drops its verification, keeping the same handle keeps it
+function updateHandles(storage, walletAddress, handles, callback) {
+    storage.handles.update(walletAddress, Object.keys(handles).map(network => ({
+        columns: NETWORKS[network],
+        handle: handles[network]
+    })), callback);
+}
+
+// The statement a wallet signs to prove it controls a handle
+function buildHandleStatement(fields) {
+    return [
+        `Link the ${NETWORKS[fields.network].name} handle ${fields.handle} to wallet ${fields.walletAddress} on the Web3 AI Marketplace.`,
+        '',
+        `Nonce: ${fields.nonce}`,
+        `Issued At: ${fields.issuedAt}`
+    ].join('\n');
+}
+
+// Issue a verification statement for the handle currently on a wallet's profile
+// Calls back with (err, problem, challenge) where challenge is { network, handle, statement, expires_at }
+function createChallenge(storage, walletAddress, network, callback) {
+    storage.handles.getHandle(walletAddress, NETWORKS[network], (err, handle) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!handle) {
+            return callback(null, { status: 400, code: 'no_handle', message: `Add a ${NETWORKS[network].name} handle to your profile first.` });
+        }
+
+        const statement = buildHandleStatement({
+            network,
+            handle,
+            walletAddress,
+            nonce: crypto.randomBytes(16).toString('hex'),
+            issuedAt: new Date().toISOString()
+        });
+
+        storage.handles.createChallenge({ walletAddress, network, handle, statement }, CHALLENGE_TTL_MINUTES,
+            (saveErr, challenge) => callback(saveErr, null, challenge));
+    });
+}
+
+// Problems reported when the resolver doesn't confirm ownership
+const OWNERSHIP_MESSAGES = {
+    handle_not_found: 'That handle does not exist.',
+    owned_by_another_wallet: 'That handle belongs to a different wallet.'
+};
+
+// Verify the signature over the latest statement issued to a wallet for a network and
+// check ownership with the resolver; on success the handle is marked verified and
+// cleared from any other wallet that had verified it before
+// options.mockSignature is accepted in place of a real signature (development only)
+// Calls back with (err, problem, handle)
+function verifyChallenge(storage, resolver, walletAddress, network, signature, options, callback) {
+    const { name } = NETWORKS[network];
+
+    storage.handles.findOpenChallenge(walletAddress, network, NETWORKS[network], (err, challenge) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!challenge) {
+            return callback(null, { status: 400, code: 'no_challenge', message: `Request a new verification statement and sign it within ${CHALLENGE_TTL_MINUTES} minutes.` });
+        }
+        if (challenge.current_handle !== challenge.handle) {
+            return callback(null, { status: 409, code: 'handle_changed', message: `Your ${name} handle changed since the statement was issued. Request a new one.` });
+        }
+
+        const signer = options.mockSignature && signature === options.mockSignature ?
+            walletAddress : siwe.recoverSigner(challenge.statement, signature);
+        if (signer !== walletAddress) {
+            return callback(null, { status: 401, code: 'invalid_signature', message: 'The signature does not match your wallet.' });
+        }
+
+        resolver.checkOwnership({ network, handle: challenge.handle, walletAddress }, (resolveErr, result) => {
+            if (resolveErr) {
+                console.error('Handle resolver error:', resolveErr.message);
+                return callback(null, { status: 502, code: 'resolver_unavailable', message: `Unable to reach ${name} right now. Please try again later.` });
+            }
+            if (!result.owned) {
+                return callback(null, { status: 403, code: 'not_owner', message: OWNERSHIP_MESSAGES[result.reason] || `${name} did not confirm that you own this handle.` });
+            }
+
+            storage.handles.completeChallenge(challenge, resolver.name, NETWORKS[network],
+                (saveErr) => callback(saveErr, null, challenge.handle));
+        });
+    });
+}
+
+// Shape the handles of a users row for JSON output
+function serializeHandles(user) {
+    const handles = {};
+    Object.keys(NETWORKS).forEach(network => {
+        const { handleColumn, verifiedColumn } = NETWORKS[network];
+        handles[network] = {
+            handle: (user && user[handleColumn]) || null,
+            verified: !!(user && user[handleColumn] && user[verifiedColumn]),
+            verified_at: (user && user[verifiedColumn]) || null
+        };
+    });
+    return handles;
+}
+
+module.exports = {
+    NETWORKS,
+    normalizeHandle,
+    updateHandles,
+    buildHandleStatement,
+    createChallenge,
+    verifyChallenge,
+    serializeHandles
+};
@@ -0,0 +1,22 @@
+// Output escaping for the HTML the server renders
+//
+// Every value interpolated into a template string goes through escapeHtml unless it is
+// markup built by another render helper. The result is safe both in text and in quoted
+// attributes (either quote style)
+
+// Escape any value for HTML; null and undefined become an empty string
+function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+module.exports = {
+    escapeHtml
+};
@@ -0,0 +1,133 @@
+// Minimal JSON Schema (2020-12) validator for the schemas in public/schemas
+// Supports type, const, enum, minLength, maxLength, pattern, minimum, maximum,
+// items, minItems, maxItems, uniqueItems, required, properties,
+// additionalProperties, if/then/else and local $refs ("#/$defs/...")
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+// Only own keys count: "constructor" or "__proto__" in a document must not match what
+// every object inherits
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// JSON Pointer to a property or item below path
+function childPath(path, key) {
+    return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported $ref: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+// Validate a value against a schema
+// Returns a list of { path, message } where path is a JSON Pointer (empty when valid)
+function validate(schema, value, root = schema, path = '') {
+    if (schema.$ref) {
+        return validate(resolveRef(root, schema.$ref), value, root, path);
+    }
+
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail('has an invalid format');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail('must not contain duplicates');
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, root, childPath(path, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!hasOwn(value, key) || value[key] === undefined) {
+                fail('is required', childPath(path, key));
+            }
+        });
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (hasOwn(properties, key)) {
+                errors.push(...validate(properties[key], value[key], root, childPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                fail('is not allowed', childPath(path, key));
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, value[key], root, childPath(path, key)));
+            }
+        });
+    }
+
+    if (schema.if) {
+        const branch = validate(schema.if, value, root, path).length === 0 ? schema.then : schema.else;
+        if (branch) {
+            errors.push(...validate(branch, value, root, path));
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,143 @@
+// Fork lineage queries: ancestor chain, descendant tree and fork-vs-parent diffs
+
+const { normalizeTags, getAgent } = require('./agents');
+const releases = require('./releases');
+
+// Guard against cycles or runaway chains in malformed data
+const MAX_DEPTH = 100;
+
+// Fields compared between a fork and its parent
+const DIFF_FIELDS = ['name', 'description', 'category', 'link', 'tags'];
+
+// Ancestors of an agent ordered from the root down to its direct parent
+function getAncestors(storage, agentId, callback) {
+    storage.lineage.ancestors(agentId, MAX_DEPTH, callback);
+}
+
+// Descendants of an agent as a nested tree: each node has a children array
+// Draft forks and forks that aren't approved (and anything forked from them) are left out
+function getDescendantTree(storage, agentId, callback) {
+    storage.lineage.descendants(agentId, MAX_DEPTH, (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const nodesById = new Map();
+        const roots = [];
+        rows.forEach(row => {
+            const node = Object.assign(serializeNode(row), { children: [] });
+            nodesById.set(node.id, node);
+            if (row.original_agent_id === agentId) {
+                roots.push(node);
+            } else if (nodesById.has(row.original_agent_id)) {
+                nodesById.get(row.original_agent_id).children.push(node);
+            }
+        });
+        callback(null, roots, rows.length);
+    });
+}
+
+// Field-level diff between a fork and its parent
+function diffAgents(parent, fork) {
+    return DIFF_FIELDS.map(field => {
+        if (field === 'tags') {
+            const parentTags = normalizeTags(parent.tags);
+            const forkTags = normalizeTags(fork.tags);
+            const added = forkTags.filter(tag => !parentTags.includes(tag));
+            const removed = parentTags.filter(tag => !forkTags.includes(tag));
+            return {
+                field,
+                parent: parentTags,
+                fork: forkTags,
+                changed: added.length > 0 || removed.length > 0,
+                added,
+                removed
+            };
+        }
+
+        const parentValue = parent[field] || null;
+        const forkValue = fork[field] || null;
+        return { field, parent: parentValue, fork: forkValue, changed: parentValue !== forkValue };
+    });
+}
+
+// Full lineage of an agent row: ancestors, descendant tree and the diff against its parent
+// Forks pinned to a release are compared with that release (diff_version), others with
+// the parent as it is now. The diff is null for original agents and for forks whose
+// parent was deleted
+function getLineage(storage, agent, callback) {
+    getAncestors(storage, agent.id, (ancestorsErr, ancestorRows) => {
+        if (ancestorsErr) {
+            return callback(ancestorsErr);
+        }
+
+        getDescendantTree(storage, agent.id, (descendantsErr, descendants, descendantCount) => {
+            if (descendantsErr) {
+                return callback(descendantsErr);
+            }
+
+            const lineage = {
+                agent: serializeNode(Object.assign({ depth: 0 }, agent)),
+                ancestors: ancestorRows.map(serializeNode),
+                descendants,
+                descendant_count: descendantCount,
+                diff: null,
+                diff_version: null
+            };
+
+            if (!agent.original_agent_id) {
+                return callback(null, lineage);
+            }
+
+            getAgent(storage, agent.original_agent_id, (parentErr, parent) => {
+                if (parentErr) {
+                    return callback(parentErr);
+                }
+                if (!parent || parent.deleted_at) {
+                    return callback(null, lineage);
+                }
+                if (!agent.original_version) {
+                    lineage.diff = diffAgents(parent, agent);
+                    return callback(null, lineage);
+                }
+
+                releases.getRelease(storage, parent.id, agent.original_version, (releaseErr, release) => {
+                    if (releaseErr) {
+                        return callback(releaseErr);
+                    }
+                    lineage.diff = diffAgents(release ? releases.parseSnapshot(release) : parent, agent);
+                    lineage.diff_version = release ? release.version : null;
+                    callback(null, lineage);
+                });
+            });
+        });
+    });
+}
+
+// Shape a lineage row for JSON output
+function serializeNode(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        category: row.category,
+        creator_wallet: row.creator_wallet || null,
+        original_agent_id: row.original_agent_id || null,
+        fork_count: row.fork_count || 0,
+        is_premium: !!row.is_premium,
+        created_at: row.created_at,
+        deleted: !!row.deleted_at,
+        depth: row.depth,
+        rating: {
+            average: Math.round((parseFloat(row.avg_rating) || 0) * 100) / 100,
+            count: row.rating_count || 0
+        }
+    };
+}
+
+module.exports = {
+    getAncestors,
+    getDescendantTree,
+    diffAgents,
+    getLineage,
+    serializeNode
+};
@@ -0,0 +1,124 @@
+// Agent manifests: a versioned JSON document describing an agent (metadata,
+// prompt or automation definition, inputs/outputs, required chains, license and
+// lineage) so agents can be exported and imported between marketplaces
+// The format is defined by the JSON Schema in public/schemas/agent-manifest-v1.json
+
+const jsonschema = require('./jsonschema');
+const cid = require('./cid');
+const prompts = require('./prompts');
+const { normalizeTags } = require('./agents');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SCHEMA = require('../public/schemas/agent-manifest-v1.json');
+const SCHEMA_PATH = '/schemas/agent-manifest-v1.json';
+
+// Names of common EIP-155 chain IDs, for display
+const CHAIN_NAMES = {
+    1: 'Ethereum',
+    10: 'Optimism',
+    56: 'BNB Chain',
+    137: 'Polygon',
+    8453: 'Base',
+    42161: 'Arbitrum One',
+    11155111: 'Sepolia'
+};
+
+// Manifest sections kept together as JSON in the spec column of agents
+const SPEC_KEYS = ['definition', 'inputs', 'outputs', 'required_chains', 'lineage'];
+
+// Parse the spec column of an agent row, {} when there is none
+function parseSpec(row) {
+    if (!row.spec) {
+        return {};
+    }
+    try {
+        return JSON.parse(row.spec);
+    } catch (err) {
+        return {};
+    }
+}
+
+// Build the manifest of an agent; baseUrl (e.g. "https://host") makes the schema
+// and parent manifest URLs absolute
+// Local forks point at their original's manifest (and the release they were forked
+// from), imported agents keep the lineage they were imported with
+function buildManifest(agent, baseUrl) {
+    const spec = parseSpec(agent);
+    let parent = spec.lineage ? spec.lineage.parent || null : null;
+    if (agent.original_agent_id) {
+        parent = agent.original_deleted_at ? null : {
+            id: agent.original_agent_id,
+            name: agent.original_name,
+            manifest_url: `${baseUrl}/agent/${agent.original_agent_id}/manifest.json`
+        };
+        if (parent && agent.original_version) {
+            parent.version = agent.original_version;
+        }
+    }
+
+    return {
+        $schema: baseUrl + SCHEMA_PATH,
+        manifest_version: MANIFEST_VERSION,
+        name: agent.name,
+        description: agent.description,
+        category: agent.category,
+        link: agent.link,
+        ipfs_hash: agent.ipfs_hash || null,
+        tags: agent.tags ? agent.tags.split(',') : [],
+        is_premium: !!agent.is_premium,
+        license: agent.license || null,
+        definition: spec.definition || null,
+        inputs: spec.inputs || [],
+        outputs: spec.outputs || [],
+        required_chains: spec.required_chains || [],
+        lineage: { parent },
+        creator: { wallet: agent.creator_wallet || null }
+    };
+}
+
+// Check a manifest against the schema and its prompt template (see lib/prompts.js),
+// returns a list of error messages (empty when valid)
+function validateManifest(manifest) {
+    const errors = jsonschema.validate(MANIFEST_SCHEMA, manifest).map(error => {
+        const field = error.path ? error.path.slice(1).replace(/\//g, '.') : 'The manifest';
+        return `${field} ${error.message}`;
+    });
+    if (errors.length) {
+        return errors;
+    }
+
+    const prompt = prompts.getPrompt(manifest);
+    return prompt ? prompt.errors.map(error => `definition.prompt: ${error}`) : [];
+}
+
+// Agent fields for an agent created from a valid manifest; the importer becomes its creator
+function manifestToFields(manifest) {
+    const spec = {};
+    SPEC_KEYS.forEach(key => {
+        if (manifest[key] !== undefined && manifest[key] !== null) {
+            spec[key] = manifest[key];
+        }
+    });
+
+    return {
+        name: manifest.name.trim(),
+        description: manifest.description.trim(),
+        category: manifest.category.trim(),
+        link: manifest.link.trim(),
+        ipfs_hash: cid.normalizeCid(manifest.ipfs_hash) || null,
+        tags: normalizeTags(manifest.tags || []),
+        is_premium: !!manifest.is_premium,
+        license: manifest.license || null,
+        spec: Object.keys(spec).length ? JSON.stringify(spec) : null
+    };
+}
+
+module.exports = {
+    MANIFEST_VERSION,
+    SCHEMA_PATH,
+    CHAIN_NAMES,
+    parseSpec,
+    buildManifest,
+    validateManifest,
+    manifestToFields
+};
@@ -0,0 +1,64 @@
+// Express middleware shared by the pages (server.js) and the JSON API (routes/api.js)
+//
+// Each factory takes the storage backend and a respond(req, res, message) that sends the failure
+// in the router's own format (an error page or the API error envelope); message is meant
+// for the visitor
+
+const categories = require('./categories');
+const ratelimits = require('./ratelimits');
+const subscriptions = require('./subscriptions');
+
+// Load the tier and entitlements of the visitor into req.entitlements; respond sends a 500
+function loadEntitlements(storage, respond) {
+    return (req, res, next) => {
+        subscriptions.getEntitlements(storage, req.user ? req.user.walletAddress : null, (err, entitlements) => {
+            if (err) {
+                console.error('Error loading entitlements:', err.message);
+                return respond(req, res, 'Unable to load your plan.');
+            }
+            req.entitlements = entitlements;
+            next();
+        });
+    };
+}
+
+// Load the categories the visitor can pick into req.categories (see categories.listCategories);
+// respond sends a 500
+function loadCategories(storage, respond) {
+    return (req, res, next) => {
+        categories.listCategories(storage, req.user ? req.user.walletAddress : null, (err, rows) => {
+            if (err) {
+                console.error('Error loading categories:', err.message);
+                return respond(req, res, 'Unable to load the categories.');
+            }
+            req.categories = rows;
+            next();
+        });
+    };
+}
+
+// Throttle an action of the visitor per wallet and IP (see ratelimits.LIMITS)
+// Over the limit, respond sends the 429 after Retry-After is set
+// Requests go through when the buckets can't be read, so an error never locks people out
+function rateLimit(storage, action, respond) {
+    return (req, res, next) => {
+        const client = { wallet: req.user ? req.user.walletAddress : null, ip: req.ip };
+        ratelimits.consume(storage, action, client, (err, retryAfter) => {
+            if (err) {
+                console.error('Error checking rate limit:', err.message);
+                return next();
+            }
+            if (!retryAfter) {
+                return next();
+            }
+            res.set('Retry-After', String(retryAfter));
+            respond(req, res, `You're doing that too often. Please try again ${ratelimits.describeRetryAfter(retryAfter)}.`);
+        });
+    };
+}
+
+module.exports = {
+    loadEntitlements,
+    loadCategories,
+    rateLimit
+};
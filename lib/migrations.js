@@ -0,0 +1,292 @@
+// Schema migrations: numbered files in migrations/ (001_initial_schema.js, ...) that export
+// up and down, lists of SQL statements. Applied versions are recorded in the
+// schema_migrations table, and each migration runs in a transaction with its record there
+//
+// Foreign keys are off while a migration runs, so tables can be rebuilt the way SQLite
+// requires, and a migration that leaves a broken reference is rolled back
+
+const fs = require('fs');
+const path = require('path');
+const { runSequence } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+)`;
+
+// The migrations in a directory, ordered by version: [{ version, name, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir).filter(file => FILE_PATTERN.test(file)).map(file => {
+        const [, version, name] = file.match(FILE_PATTERN);
+        const { up, down } = require(path.join(dir, file));
+        if (!Array.isArray(up) || !Array.isArray(down)) {
+            throw new Error(`Migration ${file} must export up and down lists of statements`);
+        }
+        return { version: parseInt(version, 10), name: `${version}_${name}`, up, down };
+    }).sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index && migration.version === migrations[index - 1].version) {
+            throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} have the same version`);
+        }
+    });
+    return migrations;
+}
+
+// Compare the database with the migrations; calls back with (err, status) where status is
+// { legacy, applied, pending, unknown }: legacy is true for a database created before
+// migrations, applied lists the schema_migrations rows, pending the migrations not applied
+// yet and unknown the applied versions that have no migration file
+function getStatus(db, migrations, callback) {
+    db.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`, (err, tables) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!tables.some(table => table.name === 'schema_migrations')) {
+            return callback(null, { legacy: tables.length > 0, applied: [], pending: migrations, unknown: [] });
+        }
+
+        db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version', (appliedErr, applied) => {
+            if (appliedErr) {
+                return callback(appliedErr);
+            }
+            const known = new Set(migrations.map(migration => migration.version));
+            const done = new Set(applied.map(row => row.version));
+            callback(null, {
+                legacy: false,
+                applied,
+                pending: migrations.filter(migration => !done.has(migration.version)),
+                unknown: applied.filter(row => !known.has(row.version))
+            });
+        });
+    });
+}
+
+// Why the database doesn't match the migrations, or null when it does
+function describeMismatch(status) {
+    if (status.legacy) {
+        return 'The database was created before schema migrations and has to be migrated.';
+    }
+    if (status.unknown.length) {
+        return `The database has migrations this version of the marketplace doesn't know: ${status.unknown.map(row => row.name).join(', ')}.`;
+    }
+    if (status.pending.length) {
+        return `The database is missing ${status.pending.length === 1 ? 'a migration' : `${status.pending.length} migrations`}: ${status.pending.map(migration => migration.name).join(', ')}.`;
+    }
+    return null;
+}
+
+// Check that every migration and nothing else has been applied; calls back with
+// (err, mismatch) where mismatch is describeMismatch's message or null
+function checkSchema(db, migrations, callback) {
+    getStatus(db, migrations, (err, status) => {
+        callback(err, err ? null : describeMismatch(status));
+    });
+}
+
+// Run work(done) in a transaction with foreign keys off, then check the foreign keys and
+// commit, or roll back on the first error. Foreign keys are on again afterwards
+function runMigrationTransaction(db, work, callback) {
+    const finish = (err) => db.run('PRAGMA foreign_keys = ON', () => callback(err || null));
+    const rollback = (err) => db.run('ROLLBACK', () => finish(err));
+
+    runSequence(db, [['PRAGMA foreign_keys = OFF', []], ['BEGIN TRANSACTION', []]], (beginErr) => {
+        if (beginErr) {
+            return finish(beginErr);
+        }
+        work((err) => {
+            if (err) {
+                return rollback(err);
+            }
+            db.all('PRAGMA foreign_key_check', (checkErr, violations) => {
+                if (checkErr || violations.length) {
+                    const tables = [...new Set((violations || []).map(violation => violation.table))];
+                    return rollback(checkErr || new Error(`Rows in ${tables.join(', ')} reference rows that don't exist`));
+                }
+                db.run('COMMIT', (commitErr) => commitErr ? rollback(commitErr) : finish(null));
+            });
+        });
+    });
+}
+
+// The statements applying a migration and recording it
+function upStatements(migration) {
+    return [
+        [CREATE_MIGRATIONS_TABLE, []],
+        ...migration.up.map(sql => [sql, []]),
+        ['INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]]
+    ];
+}
+
+// The statements rolling back a migration and its record
+function downStatements(migration) {
+    return [
+        ...migration.down.map(sql => [sql, []]),
+        ['DELETE FROM schema_migrations WHERE version = ?', [migration.version]]
+    ];
+}
+
+// Copy the rows of legacy_<table> into each of the tables, column by column where the names
+// match, and drop the legacy table. Tables the migrations didn't create are left as
+// legacy_<table>; calls back with (err, keptTables)
+function copyLegacyRows(db, tables, callback) {
+    const kept = [];
+    const next = (index) => {
+        if (index === tables.length) {
+            return callback(null, kept);
+        }
+        const table = tables[index];
+        const legacy = `legacy_${table}`;
+        db.all(`PRAGMA table_info("${table}")`, (err, columns) => {
+            if (err || !columns.length) {
+                kept.push(legacy);
+                return err ? callback(err) : next(index + 1);
+            }
+            db.all(`PRAGMA table_info("${legacy}")`, (legacyErr, legacyColumns) => {
+                if (legacyErr) {
+                    return callback(legacyErr);
+                }
+                const names = new Set(legacyColumns.map(column => column.name));
+                const shared = columns.filter(column => names.has(column.name)).map(column => `"${column.name}"`).join(', ');
+                runSequence(db, [
+                    [`INSERT INTO "${table}" (${shared}) SELECT ${shared} FROM "${legacy}"`, []],
+                    // Keep AUTOINCREMENT ids of deleted rows from being handed out again
+                    ['UPDATE sqlite_sequence SET seq = (SELECT MAX(seq) FROM sqlite_sequence WHERE name IN (?, ?)) WHERE name = ?',
+                        [table, legacy, table]],
+                    [`DROP TABLE "${legacy}"`, []]
+                ], (copyErr) => {
+                    if (copyErr) {
+                        copyErr.message = `Copying ${table}: ${copyErr.message}`;
+                        return callback(copyErr);
+                    }
+                    next(index + 1);
+                });
+            });
+        });
+    };
+    next(0);
+}
+
+// Bring a database created before migrations to the schema of the first migration, in one
+// transaction: its tables are renamed out of the way, the migration creates the schema and
+// the rows are copied over. Indexes, triggers and the search index are recreated by the
+// migration. Calls back with (err, keptTables) as copyLegacyRows
+function adoptLegacyDatabase(db, migration, callback) {
+    let kept = [];
+    runMigrationTransaction(db, (done) => {
+        db.all(`SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%'`, (err, objects) => {
+            if (err) {
+                return done(err);
+            }
+            const virtualTables = objects.filter(object => object.type === 'table' && /^CREATE VIRTUAL TABLE/i.test(object.sql))
+                .map(object => object.name);
+            // Virtual tables keep their data in shadow tables named after them
+            const tables = objects.filter(object => object.type === 'table' && !virtualTables.some(name =>
+                object.name === name || object.name.startsWith(`${name}_`))).map(object => object.name);
+
+            runSequence(db, [
+                ...objects.filter(object => object.type === 'trigger').map(object => [`DROP TRIGGER "${object.name}"`, []]),
+                ...objects.filter(object => object.type === 'index' && object.sql).map(object => [`DROP INDEX "${object.name}"`, []]),
+                ...virtualTables.map(name => [`DROP TABLE "${name}"`, []]),
+                ...tables.map(name => [`ALTER TABLE "${name}" RENAME TO "legacy_${name}"`, []]),
+                ...upStatements(migration)
+            ], (migrateErr) => {
+                if (migrateErr) {
+                    return done(migrateErr);
+                }
+                copyLegacyRows(db, tables, (copyErr, keptTables) => {
+                    kept = keptTables || [];
+                    done(copyErr);
+                });
+            });
+        });
+    }, (err) => callback(err, err ? [] : kept));
+}
+
+// Apply the pending migrations up to a version (all of them when target is null), each in
+// its own transaction. A database created before migrations is adopted with the first one
+// (see adoptLegacyDatabase), so later migrations see its rows. Calls back with (err, result)
+// where result is { applied: [names], adopted, keptTables }
+function migrateUp(db, migrations, target, callback) {
+    getStatus(db, migrations, (err, status) => {
+        if (err) {
+            return callback(err);
+        }
+        if (status.unknown.length) {
+            return callback(new Error(describeMismatch(status)));
+        }
+        const pending = status.pending.filter(migration => target === null || migration.version <= target);
+        const result = { applied: pending.map(migration => migration.name), adopted: status.legacy, keptTables: [] };
+
+        const next = (index) => {
+            if (index === pending.length) {
+                return callback(null, result);
+            }
+            runMigrationTransaction(db, (done) => runSequence(db, upStatements(pending[index]), done), (migrateErr) => {
+                if (migrateErr) {
+                    migrateErr.message = `${pending[index].name}: ${migrateErr.message}`;
+                    return callback(migrateErr, { ...result, applied: result.applied.slice(0, index) });
+                }
+                next(index + 1);
+            });
+        };
+
+        if (status.legacy && pending.length) {
+            return adoptLegacyDatabase(db, pending[0], (adoptErr, keptTables) => {
+                if (adoptErr) {
+                    return callback(adoptErr, { ...result, applied: [] });
+                }
+                result.keptTables = keptTables;
+                next(1);
+            });
+        }
+        next(0);
+    });
+}
+
+// Roll back the applied migrations above a version (only the latest one when target is
+// null), newest first and each in its own transaction. Calls back with (err, rolledBack)
+function migrateDown(db, migrations, target, callback) {
+    getStatus(db, migrations, (err, status) => {
+        if (err) {
+            return callback(err);
+        }
+        if (status.legacy) {
+            return callback(new Error(describeMismatch(status)));
+        }
+        const applied = status.applied.slice().reverse();
+        const rows = target === null ? applied.slice(0, 1) : applied.filter(row => row.version > target);
+        const unknown = rows.find(row => !migrations.some(migration => migration.version === row.version));
+        if (unknown) {
+            return callback(new Error(`Can't roll back ${unknown.name}: this version of the marketplace doesn't have it`));
+        }
+        const toRollBack = rows.map(row => migrations.find(migration => migration.version === row.version));
+
+        const next = (index) => {
+            if (index === toRollBack.length) {
+                return callback(null, toRollBack.map(migration => migration.name));
+            }
+            runMigrationTransaction(db, (done) => runSequence(db, downStatements(toRollBack[index]), done), (rollbackErr) => {
+                if (rollbackErr) {
+                    rollbackErr.message = `${toRollBack[index].name}: ${rollbackErr.message}`;
+                    return callback(rollbackErr, toRollBack.slice(0, index).map(migration => migration.name));
+                }
+                next(index + 1);
+            });
+        };
+        next(0);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    checkSchema,
+    migrateUp,
+    migrateDown
+};
@@ -0,0 +1,280 @@
+// Moderation: the review state of agents, abuse reports on agents and reviews, hidden
+// reviews, banned wallets, admins and changes to public categories, with every moderator
+// action recorded in the append-only audit log
+
+// Only approved agents are listed; pending agents wait for review, hidden ones were
+// taken down until their creator fixes them and removed ones for good
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden', 'removed'];
+
+// Reasons a report can give, with their labels
+const REPORT_REASONS = {
+    spam: 'Spam or misleading',
+    scam: 'Scam or phishing',
+    offensive: 'Offensive or abusive',
+    illegal: 'Illegal content',
+    impersonation: 'Impersonation or copyright',
+    other: 'Something else'
+};
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = ['approve_agent', 'hide_agent', 'remove_agent', 'hide_rating', 'restore_rating',
+    'dismiss_report', 'ban_wallet', 'unban_wallet', 'grant_admin', 'revoke_admin',
+    'create_category', 'rename_category', 'move_category', 'delete_category'];
+
+// Audit log action for moving an agent to each moderation status
+const AGENT_ACTIONS = {
+    approved: 'approve_agent',
+    hidden: 'hide_agent',
+    removed: 'remove_agent'
+};
+
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_REASON_LENGTH = 500;
+
+// Moderation status of a new agent: "pre" moderation queues everything but the agents
+// of admins, "post" moderation lists agents right away and reviews them when reported
+function initialStatus(mode, user) {
+    return mode === 'post' || (!!user && user.isAdmin) ? 'approved' : 'pending';
+}
+
+// Moderators can see published agents whatever their moderation status, to review them
+function canReview(user, agent) {
+    return !!user && user.isAdmin && agent.status === 'published';
+}
+
+// Trim an optional moderator note; returns null when empty
+function normalizeReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : '';
+    return text ? text.slice(0, MAX_REASON_LENGTH) : null;
+}
+
+// Check a report before it is filed, returns a { status, code, message } problem or null
+function validateReport(input) {
+    if (!Object.prototype.hasOwnProperty.call(REPORT_REASONS, input.reason)) {
+        return { status: 400, code: 'validation_failed', message: `Please pick a reason: ${Object.keys(REPORT_REASONS).join(', ')}.` };
+    }
+    if (input.details !== undefined && input.details !== null && typeof input.details !== 'string') {
+        return { status: 400, code: 'validation_failed', message: 'Details must be text.' };
+    }
+    if (input.details && input.details.trim().length > MAX_DETAILS_LENGTH) {
+        return { status: 400, code: 'validation_failed', message: `Details can be at most ${MAX_DETAILS_LENGTH} characters.` };
+    }
+    return null;
+}
+
+// File a report on an agent, or on one of its reviews with report.rating_id
+// Calls back with (err, problem, report); a wallet has one open report per target
+function createReport(storage, report, callback) {
+    const problem = validateReport(report);
+    if (problem) {
+        return callback(null, problem);
+    }
+
+    const details = report.details ? report.details.trim() : '';
+    storage.moderation.createReport(Object.assign({}, report, { details: details || null }), (err, reportId) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!reportId) {
+            return callback(null, { status: 409, code: 'already_reported', message: 'You have already reported this. Moderators will review it soon.' });
+        }
+        getReport(storage, reportId, (getErr, saved) => callback(getErr, null, saved));
+    });
+}
+
+// A report with what it is about, or undefined
+function getReport(storage, reportId, callback) {
+    storage.moderation.getReport(reportId, callback);
+}
+
+// A page of reports with one status; open reports oldest first so the queue is worked
+// in order, closed ones newest first. Calls back with (err, rows, total)
+function listReports(storage, status, page, callback) {
+    storage.moderation.listReports(status, page.limit, page.offset, callback);
+}
+
+// Move an agent to a moderation status (approved, hidden or removed) with an optional
+// reason shown to its creator. Open reports on the agent are resolved when it is taken
+// down and dismissed when it is approved. Calls back with (err, problem)
+function setAgentStatus(storage, agent, status, moderatorWallet, reason, callback) {
+    if (!AGENT_ACTIONS[status]) {
+        return callback(null, { status: 400, code: 'validation_failed', message: 'Status must be approved, hidden or removed.' });
+    }
+    if (agent.deleted_at) {
+        return callback(null, { status: 409, code: 'deleted', message: 'This agent has been deleted by its creator.' });
+    }
+    if (agent.moderation_status === status) {
+        return callback(null, { status: 409, code: 'unchanged', message: `This agent is already ${status}.` });
+    }
+
+    const note = normalizeReason(reason);
+    storage.moderation.setAgentStatus(agent.id, status, status === 'approved' ? null : note,
+        status === 'approved' ? 'dismissed' : 'resolved',
+        { actor_wallet: moderatorWallet, action: AGENT_ACTIONS[status], agent_id: agent.id, target_wallet: agent.creator_wallet, reason: note },
+        (err) => callback(err, null));
+}
+
+// A review by id with the moderation columns, or undefined
+function getRating(storage, ratingId, callback) {
+    storage.ratings.getById(ratingId, callback);
+}
+
+// Hide a review (its stars no longer count either) or show it again; open reports on it
+// are resolved or dismissed accordingly. Calls back with (err, problem)
+function setRatingHidden(storage, rating, hidden, moderatorWallet, reason, callback) {
+    if (!!rating.hidden_at === hidden) {
+        return callback(null, { status: 409, code: 'unchanged', message: `This review is already ${hidden ? 'hidden' : 'visible'}.` });
+    }
+    storage.moderation.setRatingHidden(rating, hidden, hidden ? 'resolved' : 'dismissed', {
+        actor_wallet: moderatorWallet,
+        action: hidden ? 'hide_rating' : 'restore_rating',
+        agent_id: rating.agent_id,
+        rating_id: rating.id,
+        target_wallet: rating.wallet_address,
+        reason: normalizeReason(reason)
+    }, (err) => callback(err, null));
+}
+
+// Close a report without acting on what it is about; calls back with (err, problem)
+function dismissReport(storage, report, moderatorWallet, reason, callback) {
+    if (report.status !== 'open') {
+        return callback(null, { status: 409, code: 'report_closed', message: 'This report has already been closed.' });
+    }
+    storage.moderation.dismissReport(report.id, {
+        actor_wallet: moderatorWallet,
+        action: 'dismiss_report',
+        agent_id: report.agent_id,
+        rating_id: report.rating_id,
+        report_id: report.id,
+        target_wallet: report.reporter_wallet,
+        reason: normalizeReason(reason)
+    }, (err) => callback(err, null));
+}
+
+// Moderation fields of a wallet: { wallet_address, role, banned_at, banned_reason }, or
+// undefined for wallets that never signed in or were never moderated
+function getUserStatus(storage, walletAddress, callback) {
+    storage.moderation.getUserStatus(walletAddress, callback);
+}
+
+// Ban a wallet: it is signed out everywhere and can't sign in again. With hideContent,
+// its listed agents and visible reviews are hidden too, each with its own log entry
+// Calls back with (err)
+function banWallet(storage, walletAddress, moderatorWallet, reason, hideContent, callback) {
+    storage.moderation.ban(walletAddress, hideContent,
+        { actor_wallet: moderatorWallet, action: 'ban_wallet', target_wallet: walletAddress, reason: normalizeReason(reason) }, callback);
+}
+
+// Lift the ban of a wallet; hidden content stays hidden. Calls back with (err)
+function unbanWallet(storage, walletAddress, moderatorWallet, reason, callback) {
+    storage.moderation.unban(walletAddress,
+        { actor_wallet: moderatorWallet, action: 'unban_wallet', target_wallet: walletAddress, reason: normalizeReason(reason) }, callback);
+}
+
+// Banned wallets, most recently banned first
+function listBannedWallets(storage, callback) {
+    storage.moderation.listBanned(callback);
+}
+
+// Give or take the admin role of a wallet that has signed in before. Calls back with (err)
+function setAdminRole(storage, walletAddress, isAdmin, moderatorWallet, callback) {
+    storage.moderation.setRole(walletAddress, isAdmin ? 'admin' : 'user',
+        { actor_wallet: moderatorWallet, action: isAdmin ? 'grant_admin' : 'revoke_admin', target_wallet: walletAddress }, callback);
+}
+
+// Audit log entries for an admin's change to a public category, written in the transaction
+// of the change (see lib/categories.js). before and after are the category ({ id, name,
+// parent_id, parent_name }) before and after the change: before is null for a new category,
+// whose id the storage fills in, and after is null for a deleted one whose used_count agents
+// moved to the category named replacementName, if any
+function categoryAuditEntries(moderatorWallet, before, after, replacementName) {
+    const entry = (action, category, reason) => ({
+        actor_wallet: moderatorWallet,
+        action,
+        category_id: before ? before.id : null,
+        category_name: category.name,
+        reason
+    });
+    const parentText = (category) => category.parent_name ? `"${category.parent_name}"` : 'the top level';
+
+    if (!before) {
+        return [entry('create_category', after, after.parent_name ? `Created under "${after.parent_name}"` : null)];
+    }
+    if (!after) {
+        const agentsText = before.used_count === 1 ? '1 agent' : `${before.used_count} agents`;
+        return [entry('delete_category', before, replacementName ? `${agentsText} moved to "${replacementName}"` : null)];
+    }
+    const entries = [];
+    if (after.name !== before.name) {
+        entries.push(entry('rename_category', after, `Renamed from "${before.name}"`));
+    }
+    if (after.parent_id !== before.parent_id) {
+        entries.push(entry('move_category', after, `Moved from ${parentText(before)} to ${parentText(after)}`));
+    }
+    return entries;
+}
+
+// Wallets with the admin role in the database (see also ADMIN_WALLETS in server.js)
+function listAdmins(storage, callback) {
+    storage.moderation.listAdmins(callback);
+}
+
+// A page of the audit log, newest first, optionally for one action or agent
+// Calls back with (err, rows, total)
+function listAuditLog(storage, filters, page, callback) {
+    storage.moderation.listAuditLog(filters, page.limit, page.offset, callback);
+}
+
+// Shape a report row for JSON output
+function serializeReport(row) {
+    return {
+        id: row.id,
+        reason: row.reason,
+        details: row.details || null,
+        status: row.status,
+        reporter_wallet: row.reporter_wallet,
+        created_at: row.created_at,
+        resolved_by: row.resolved_by || null,
+        resolved_at: row.resolved_at || null,
+        agent: {
+            id: row.agent_id,
+            name: row.agent_name,
+            creator_wallet: row.agent_creator_wallet || null,
+            moderation_status: row.agent_moderation_status
+        },
+        rating: row.rating_id ? {
+            id: row.rating_id,
+            deleted: row.rating_stars === null,
+            stars: row.rating_stars,
+            comment: row.rating_comment || null,
+            wallet_address: row.rating_wallet || null,
+            hidden: !!row.rating_hidden_at
+        } : null
+    };
+}
+
+module.exports = {
+    MODERATION_STATUSES,
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    AUDIT_ACTIONS,
+    initialStatus,
+    canReview,
+    createReport,
+    getReport,
+    listReports,
+    setAgentStatus,
+    getRating,
+    setRatingHidden,
+    dismissReport,
+    getUserStatus,
+    banWallet,
+    unbanWallet,
+    listBannedWallets,
+    setAdminRole,
+    categoryAuditEntries,
+    listAdmins,
+    listAuditLog,
+    serializeReport
+};
@@ -0,0 +1,272 @@
+// Organisations (team workspaces): membership with owner/admin/member roles,
+// invites, and the permission policy for agents owned by an org
+
+const crypto = require('crypto');
+const subscriptions = require('./subscriptions');
+const { AGENT_STATUSES } = require('./agents');
+
+// Higher ranks can manage lower ones
+const ROLE_RANKS = {
+    member: 1,
+    admin: 2,
+    owner: 3
+};
+
+const INVITE_TTL_DAYS = 7;
+const MAX_ORG_NAME_LENGTH = 60;
+
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Admins and the owner manage members and publish the org's agents
+function isOrgAdmin(membership) {
+    return !!membership && ROLE_RANKS[membership.role] >= ROLE_RANKS.admin;
+}
+
+// Whether a member with actorRole may change or remove a member with targetRole,
+// optionally giving them newRole; nobody can manage someone of equal or higher rank
+function canManageMember(actorRole, targetRole, newRole) {
+    const actorRank = ROLE_RANKS[actorRole] || 0;
+    if (actorRank < ROLE_RANKS.admin || actorRank <= (ROLE_RANKS[targetRole] || 0)) {
+        return false;
+    }
+    return newRole === undefined || (!!ROLE_RANKS[newRole] && ROLE_RANKS[newRole] < actorRank);
+}
+
+// What a wallet may do with an agent, given its membership row in the agent's org (if any)
+// Returns { view, edit, delete, publish, release }
+// Agents that aren't approved by moderators (see lib/moderation.js) are only visible to
+// those who own them, and removed agents can no longer be changed, only deleted
+function agentPermissions(agent, walletAddress, membership) {
+    const isDraft = agent.status === 'draft';
+    const isListed = !isDraft && (agent.moderation_status || 'approved') === 'approved';
+    const isRemoved = agent.moderation_status === 'removed';
+
+    if (!agent.org_id) {
+        const isCreator = !!walletAddress && agent.creator_wallet === walletAddress;
+        return {
+            view: isListed || isCreator,
+            edit: isCreator && !isRemoved,
+            delete: isCreator,
+            publish: isCreator && isDraft && !isRemoved,
+            release: isCreator && !isRemoved
+        };
+    }
+
+    // Org agents are governed by membership alone; creators who leave lose access.
+    // Drafts are shared: any member may edit them, only admins publish. Releases are
+    // made by admins or the member who created the agent
+    const isMember = !!membership;
+    const isAdmin = isOrgAdmin(membership);
+    const isOwnWork = !!walletAddress && agent.creator_wallet === walletAddress;
+    return {
+        view: isListed || isMember,
+        edit: !isRemoved && (isAdmin || (isMember && (isDraft || isOwnWork))),
+        delete: isAdmin || (isMember && isDraft && isOwnWork),
+        publish: isAdmin && isDraft && !isRemoved,
+        release: !isRemoved && (isAdmin || (isMember && isOwnWork))
+    };
+}
+
+// Membership row of a wallet in an org, or undefined
+function getMembership(storage, orgId, walletAddress, callback) {
+    if (!orgId || !walletAddress) {
+        return callback(null, undefined);
+    }
+    storage.orgs.getMembership(orgId, walletAddress, callback);
+}
+
+// Permissions of a wallet on an agent, looking up org membership when needed
+function getAgentPermissions(storage, agent, walletAddress, callback) {
+    getMembership(storage, agent.org_id, walletAddress, (err, membership) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, agentPermissions(agent, walletAddress, membership));
+    });
+}
+
+// Decide the org and status of a new agent from the requested ones
+// Org members who are not admins can only add drafts, which is also their default
+// Calls back with (err, problem, ownership) where ownership is { org_id, status }
+function resolveAgentOwnership(storage, walletAddress, orgId, status, callback) {
+    if (status && !AGENT_STATUSES.includes(status)) {
+        return callback(null, { status: 400, code: 'validation_failed', message: 'Status must be draft or published.' });
+    }
+    if (!orgId) {
+        if (status === 'draft' && !walletAddress) {
+            return callback(null, { status: 401, code: 'not_authenticated', message: 'Connect your wallet to save drafts.' });
+        }
+        return callback(null, null, { org_id: null, status: status || 'published' });
+    }
+    if (!walletAddress) {
+        return callback(null, { status: 401, code: 'not_authenticated', message: 'Connect your wallet to add agents to an organisation.' });
+    }
+
+    getMembership(storage, orgId, walletAddress, (err, membership) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!membership) {
+            return callback(null, { status: 403, code: 'forbidden', message: 'You are not a member of this organisation.' });
+        }
+        if (status === 'published' && !isOrgAdmin(membership)) {
+            return callback(null, { status: 403, code: 'forbidden', message: 'Only organisation admins can publish agents. Save it as a draft instead.' });
+        }
+        callback(null, null, { org_id: membership.org_id, status: status || (isOrgAdmin(membership) ? 'published' : 'draft') });
+    });
+}
+
+// Validate a new org name, returns an error message or null
+function validateOrgName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Please provide a name for the organisation.';
+    }
+    if (name.trim().length > MAX_ORG_NAME_LENGTH) {
+        return `Organisation names can be at most ${MAX_ORG_NAME_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// Create an org owned by a wallet, together with the owner's membership
+// Calls back with (err, orgId)
+function createOrg(storage, name, ownerWallet, callback) {
+    storage.orgs.create(name.trim(), ownerWallet, callback);
+}
+
+// Get an org with its member count, or undefined
+function getOrg(storage, orgId, callback) {
+    storage.orgs.get(orgId, callback);
+}
+
+// Seats of an org come from its owner's plan (the team_seats entitlement)
+function getOrgSeats(storage, org, callback) {
+    subscriptions.getEntitlements(storage, org.owner_wallet, (err, entitlements) => {
+        callback(err, err ? 0 : entitlements.team_seats);
+    });
+}
+
+// Orgs a wallet belongs to, with its role in each
+function listWalletOrgs(storage, walletAddress, callback) {
+    storage.orgs.listForWallet(walletAddress, callback);
+}
+
+// Members of an org, highest role first
+function listMembers(storage, orgId, callback) {
+    storage.orgs.listMembers(orgId, callback);
+}
+
+// Change the role of a member; calls back with (err, changed)
+function setMemberRole(storage, orgId, walletAddress, role, callback) {
+    storage.orgs.setMemberRole(orgId, walletAddress, role, callback);
+}
+
+// Remove a member (the owner cannot be removed); calls back with (err, changed)
+function removeMember(storage, orgId, walletAddress, callback) {
+    storage.orgs.removeMember(orgId, walletAddress, callback);
+}
+
+// Create an invite; only a hash of the token is stored, so the token is returned once
+// walletAddress optionally restricts who may accept it
+// Calls back with (err, { id, token, expires_at })
+function createInvite(storage, orgId, invitedBy, role, walletAddress, callback) {
+    const token = crypto.randomBytes(24).toString('hex');
+
+    storage.orgs.createInvite({
+        org_id: orgId,
+        token_hash: hashInviteToken(token),
+        wallet_address: walletAddress,
+        role,
+        invited_by: invitedBy
+    }, INVITE_TTL_DAYS, (err, row) => {
+        callback(err, err ? null : { id: row.id, token, expires_at: row.expires_at });
+    });
+}
+
+// Pending (unused, unexpired, not revoked) invites of an org
+function listInvites(storage, orgId, callback) {
+    storage.orgs.listInvites(orgId, callback);
+}
+
+// Revoke a pending invite; calls back with (err, changed)
+function revokeInvite(storage, orgId, inviteId, callback) {
+    storage.orgs.revokeInvite(orgId, inviteId, callback);
+}
+
+// Look up a pending invite by token, with the org name; undefined when unusable
+function getInvite(storage, token, callback) {
+    storage.orgs.getInvite(hashInviteToken(String(token || '')), callback);
+}
+
+// Join an org through an invite token, as long as the org has a free seat
+// Calls back with (err, problem, invite) where problem is a { status, code, message }
+function acceptInviteToken(storage, token, walletAddress, callback) {
+    getInvite(storage, token, (err, invite) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!invite) {
+            return callback(null, { status: 404, code: 'not_found', message: 'This invite is invalid, expired or has already been used.' });
+        }
+        if (invite.wallet_address && invite.wallet_address !== walletAddress) {
+            return callback(null, { status: 403, code: 'forbidden', message: 'This invite was issued to a different wallet.' });
+        }
+
+        getMembership(storage, invite.org_id, walletAddress, (memberErr, membership) => {
+            if (memberErr) {
+                return callback(memberErr);
+            }
+            if (membership) {
+                return callback(null, { status: 409, code: 'already_member', message: 'You are already a member of this organisation.' });
+            }
+
+            getOrg(storage, invite.org_id, (orgErr, org) => {
+                if (orgErr) {
+                    return callback(orgErr);
+                }
+                getOrgSeats(storage, org, (seatsErr, seats) => {
+                    if (seatsErr) {
+                        return callback(seatsErr);
+                    }
+                    if (org.member_count >= seats) {
+                        return callback(null, { status: 409, code: 'no_seats', message: 'This organisation has no free seats. Ask its owner to upgrade their plan.' });
+                    }
+
+                    storage.orgs.acceptInvite(invite, walletAddress, (saveErr, accepted) => {
+                        if (saveErr) {
+                            return callback(saveErr);
+                        }
+                        if (!accepted) {
+                            return callback(null, { status: 409, code: 'invite_used', message: 'This invite has already been used.' });
+                        }
+                        callback(null, null, invite);
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    ROLE_RANKS,
+    isOrgAdmin,
+    canManageMember,
+    agentPermissions,
+    getMembership,
+    getAgentPermissions,
+    resolveAgentOwnership,
+    validateOrgName,
+    createOrg,
+    getOrg,
+    getOrgSeats,
+    listWalletOrgs,
+    listMembers,
+    setMemberRole,
+    removeMember,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    getInvite,
+    acceptInviteToken
+};
@@ -0,0 +1,39 @@
+// Page-number and keyset (cursor) pagination helpers
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+// Pages past the last one are empty; larger page numbers are clamped to this one so the
+// offset stays a whole number SQLite accepts
+const MAX_PAGE = 1000000;
+
+// Parse page and limit query parameters into { page, limit, offset }
+function parsePagination(query, defaultLimit = DEFAULT_PAGE_SIZE) {
+    const page = Math.min(Math.max(parseInt(query.page) || 1, 1), MAX_PAGE);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+// Encode the sort position of a row as an opaque, URL-safe cursor
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Decode a cursor made by encodeCursor, returns null when malformed
+function decodeCursor(cursor) {
+    if (typeof cursor !== 'string' || !cursor) {
+        return null;
+    }
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return position && typeof position === 'object' ? position : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    parsePagination,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,53 @@
+// Payment providers used to charge subscriptions
+//
+// A provider is an object with:
+//   name: identifier stored with subscriptions and payments
+//   charge({ walletAddress, paymentMethod, amountCents, description }, callback)
+//     calls back with (err, { status, reference, failureReason }) where status is
+//     'succeeded' or 'failed'; err is reserved for the provider being unreachable
+
+const crypto = require('crypto');
+
+// Payment method tokens understood by the fake provider
+const FAKE_DECLINE = 'fake_decline';
+const FAKE_UNAVAILABLE = 'fake_unavailable';
+
+// Local provider for development and offline testing: every charge succeeds except
+// for the decline and unavailable tokens above
+function createFakeProvider() {
+    return {
+        name: 'fake',
+        charge(params, callback) {
+            const reference = `fake_${crypto.randomBytes(8).toString('hex')}`;
+
+            setImmediate(() => {
+                if (params.paymentMethod === FAKE_UNAVAILABLE) {
+                    return callback(new Error('Fake payment provider unavailable'));
+                }
+                if (params.paymentMethod === FAKE_DECLINE) {
+                    return callback(null, { status: 'failed', reference, failureReason: 'card_declined' });
+                }
+                callback(null, { status: 'succeeded', reference, failureReason: null });
+            });
+        }
+    };
+}
+
+const PROVIDERS = {
+    fake: createFakeProvider
+};
+
+// Create the provider registered under a name
+function getPaymentProvider(name) {
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return PROVIDERS[name]();
+}
+
+module.exports = {
+    FAKE_DECLINE,
+    FAKE_UNAVAILABLE,
+    createFakeProvider,
+    getPaymentProvider
+};
@@ -0,0 +1,86 @@
+// Pinning backends that keep published content available by CID
+//
+// A backend is an object with:
+//   name: identifier of the backend
+//   pin(cid, bytes, callback) - keep content under its CID (base32 CIDv1); calls back with (err)
+//   get(cid, callback) - calls back with (err, bytes) where bytes is null when the CID isn't pinned
+//   err is reserved for the backend being unavailable
+
+const fs = require('fs');
+const path = require('path');
+const cid = require('./cid');
+
+// Local blob store: one file per CID in a directory (default ./blobs)
+// Files are written to a temporary name first so readers never see partial content
+function createFilesystemBackend(options = {}) {
+    const directory = path.resolve(options.directory || process.env.BLOB_STORE_DIR || 'blobs');
+
+    // CIDs are checked before they become file names
+    function blobPath(contentCid) {
+        if (cid.toCidV1(contentCid) !== contentCid) {
+            throw new Error(`Not a base32 CIDv1: ${contentCid}`);
+        }
+        return path.join(directory, contentCid);
+    }
+
+    return {
+        name: 'filesystem',
+        pin(contentCid, bytes, callback) {
+            let target;
+            try {
+                target = blobPath(contentCid);
+            } catch (err) {
+                return callback(err);
+            }
+
+            fs.mkdir(directory, { recursive: true }, (mkdirErr) => {
+                if (mkdirErr) {
+                    return callback(mkdirErr);
+                }
+                const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+                fs.writeFile(temporary, bytes, (writeErr) => {
+                    if (writeErr) {
+                        return callback(writeErr);
+                    }
+                    fs.rename(temporary, target, callback);
+                });
+            });
+        },
+        get(contentCid, callback) {
+            let target;
+            try {
+                target = blobPath(contentCid);
+            } catch (err) {
+                return callback(null, null);
+            }
+
+            fs.readFile(target, (err, bytes) => {
+                if (err) {
+                    return callback(err.code === 'ENOENT' ? null : err, null);
+                }
+                // Never serve a blob that no longer matches its name
+                if (!cid.cidMatchesContent(contentCid, bytes)) {
+                    return callback(new Error(`Blob ${contentCid} does not match its CID`));
+                }
+                callback(null, bytes);
+            });
+        }
+    };
+}
+
+const BACKENDS = {
+    filesystem: createFilesystemBackend
+};
+
+// Create the backend registered under a name
+function getPinningBackend(name, options) {
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown pinning backend: ${name}`);
+    }
+    return BACKENDS[name](options);
+}
+
+module.exports = {
+    createFilesystemBackend,
+    getPinningBackend
+};
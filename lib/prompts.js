@@ -0,0 +1,250 @@
+// Prompt templates: the prompt of a "prompt" definition in an agent's spec (see
+// lib/manifests.js) with {{variable}} placeholders, rendered with visitor-supplied values
+//
+// Variables are written {{name}} or {{name:type}} with the manifest port types. A
+// variable's type comes from its annotation, else from the input port of the same name,
+// else it is a string. Write \{{ for literal braces. Values are substituted in a single
+// pass, so a value containing {{...}} is never expanded
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'address', 'json'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+// Control characters other than tabs and newlines are dropped from values
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Limits of the manifest schema (definition.prompt and inputs)
+const MAX_TEMPLATE_LENGTH = 20000;
+const MAX_VARIABLES = 50;
+const MAX_VALUE_LENGTH = 4000;
+
+// Split a template into literal text and { name, type } placeholders (type is null
+// without an annotation); returns { parts, errors }
+function parseTemplate(template) {
+    const parts = [];
+    const errors = [];
+    let text = '';
+    let index = 0;
+
+    while (index < template.length) {
+        if (template.startsWith('\\{{', index)) {
+            text += '{{';
+            index += 3;
+        } else if (!template.startsWith('{{', index)) {
+            text += template[index++];
+        } else {
+            const end = template.indexOf('}}', index + 2);
+            if (end === -1) {
+                errors.push(`The {{ at character ${index + 1} is never closed with }}.`);
+                text += template.slice(index);
+                break;
+            }
+
+            const placeholder = template.slice(index, end + 2);
+            const [name, type, ...extra] = template.slice(index + 2, end).split(':').map(part => part.trim());
+            if (!NAME_PATTERN.test(name) || extra.length) {
+                errors.push(`${placeholder} is not a valid variable: names use letters, digits and underscores and can't start with a digit.`);
+            } else if (type !== undefined && !VARIABLE_TYPES.includes(type)) {
+                errors.push(`${placeholder} has an unknown type; use one of: ${VARIABLE_TYPES.join(', ')}.`);
+            } else {
+                if (text) {
+                    parts.push(text);
+                    text = '';
+                }
+                parts.push({ name, type: type || null });
+            }
+            index = end + 2;
+        }
+    }
+    if (text) {
+        parts.push(text);
+    }
+
+    return { parts, errors };
+}
+
+// Variables of parsed template parts in order of appearance, typed from annotations and
+// the spec's input ports; returns { variables, errors }
+function collectVariables(parts, inputs) {
+    const variables = [];
+    const errors = [];
+
+    parts.filter(part => typeof part !== 'string').forEach(part => {
+        const existing = variables.find(variable => variable.name === part.name);
+        if (existing) {
+            if (part.type && existing.annotated && part.type !== existing.type) {
+                errors.push(`{{${part.name}}} is given two different types.`);
+            } else if (part.type && !existing.annotated) {
+                Object.assign(existing, { type: part.type, annotated: true });
+            }
+            return;
+        }
+
+        const port = (inputs || []).find(input => input.name === part.name);
+        variables.push({
+            name: part.name,
+            type: part.type || (port ? port.type : 'string'),
+            required: port ? port.required !== false : true,
+            description: port && port.description ? port.description : null,
+            annotated: !!part.type
+        });
+    });
+    if (variables.length > MAX_VARIABLES) {
+        errors.push(`Prompt templates can use at most ${MAX_VARIABLES} variables.`);
+    }
+
+    return { variables: variables.map(({ annotated, ...variable }) => variable), errors };
+}
+
+// The prompt template of a parsed spec: { template, model, parts, variables, errors },
+// or null when the agent has no prompt definition
+function getPrompt(spec) {
+    const definition = spec.definition;
+    if (!definition || definition.type !== 'prompt' || typeof definition.prompt !== 'string') {
+        return null;
+    }
+
+    const parsed = parseTemplate(definition.prompt);
+    const collected = collectVariables(parsed.parts, spec.inputs);
+    return {
+        template: definition.prompt,
+        model: definition.model || null,
+        parts: parsed.parts,
+        variables: collected.variables,
+        errors: parsed.errors.concat(collected.errors)
+    };
+}
+
+// Set the prompt template in the JSON text of a spec column (null for none), or remove
+// it with an empty template. The inputs become the template's variables, keeping the
+// descriptions and required flags of existing inputs
+// Returns { spec, errors } where spec is the new spec text (null when empty)
+function applyPromptTemplate(specText, template) {
+    if (typeof template !== 'string') {
+        return { spec: specText, errors: ['The prompt template must be text.'] };
+    }
+    let updated = {};
+    try {
+        updated = specText ? JSON.parse(specText) : {};
+    } catch (err) {
+        // An unreadable spec is replaced
+    }
+    const current = updated.definition || null;
+    const text = template.trim();
+    const done = () => ({ spec: Object.keys(updated).length ? JSON.stringify(updated) : null, errors: [] });
+
+    if (!text) {
+        if (current && current.type === 'prompt') {
+            delete updated.definition;
+            delete updated.inputs;
+        }
+        return done();
+    }
+    if (current && current.type !== 'prompt') {
+        return { spec: specText, errors: ['This agent runs automation steps, so it can\'t also have a prompt template.'] };
+    }
+    if (text.length > MAX_TEMPLATE_LENGTH) {
+        return { spec: specText, errors: [`Prompt templates can be at most ${MAX_TEMPLATE_LENGTH} characters.`] };
+    }
+
+    updated.definition = Object.assign({}, current, { type: 'prompt', prompt: text });
+    const prompt = getPrompt(updated);
+    if (prompt.errors.length) {
+        return { spec: specText, errors: prompt.errors };
+    }
+
+    updated.inputs = prompt.variables.map(variable => {
+        const port = { name: variable.name, type: variable.type, required: variable.required };
+        if (variable.description) {
+            port.description = variable.description;
+        }
+        return port;
+    });
+    if (!updated.inputs.length) {
+        delete updated.inputs;
+    }
+    return done();
+}
+
+// Check a value against the type of a variable; returns { text } to substitute or { error }
+function formatValue(variable, value) {
+    const label = `{{${variable.name}}}`;
+
+    if (value === undefined || value === null || value === '') {
+        return variable.required ? { error: `${label} is required.` } : { text: '' };
+    }
+
+    switch (variable.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value :
+                (typeof value === 'string' && NUMBER_PATTERN.test(value.trim()) ? Number(value.trim()) : NaN);
+            return Number.isFinite(number) ? { text: String(number) } : { error: `${label} must be a number.` };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') {
+                return { text: 'true' };
+            }
+            if (value === false || value === 'false') {
+                return { text: 'false' };
+            }
+            return { error: `${label} must be true or false.` };
+        case 'address':
+            return typeof value === 'string' && ADDRESS_PATTERN.test(value.trim()) ?
+                { text: value.trim().toLowerCase() } : { error: `${label} must be a wallet address (0x followed by 40 hex digits).` };
+        case 'json': {
+            let parsed = value;
+            if (typeof value === 'string') {
+                try {
+                    parsed = JSON.parse(value);
+                } catch (err) {
+                    return { error: `${label} must be valid JSON.` };
+                }
+            }
+            const text = JSON.stringify(parsed);
+            return text.length > MAX_VALUE_LENGTH ?
+                { error: `${label} can be at most ${MAX_VALUE_LENGTH} characters.` } : { text };
+        }
+        default: {
+            if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+                return { error: `${label} must be text.` };
+            }
+            const text = String(value).replace(CONTROL_CHARACTERS, '');
+            return text.length > MAX_VALUE_LENGTH ?
+                { error: `${label} can be at most ${MAX_VALUE_LENGTH} characters.` } : { text };
+        }
+    }
+}
+
+// Render a prompt (from getPrompt) with values keyed by variable name
+// Returns { text, errors }; text is null when any value is invalid
+function renderPrompt(prompt, values) {
+    const input = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+    const errors = prompt.errors.slice();
+    const texts = {};
+
+    prompt.variables.forEach(variable => {
+        const result = formatValue(variable, Object.prototype.hasOwnProperty.call(input, variable.name) ? input[variable.name] : undefined);
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            texts[variable.name] = result.text;
+        }
+    });
+    if (errors.length) {
+        return { text: null, errors };
+    }
+
+    return {
+        text: prompt.parts.map(part => typeof part === 'string' ? part : texts[part.name]).join(''),
+        errors
+    };
+}
+
+module.exports = {
+    VARIABLE_TYPES,
+    MAX_TEMPLATE_LENGTH,
+    parseTemplate,
+    getPrompt,
+    applyPromptTemplate,
+    renderPrompt
+};
@@ -0,0 +1,97 @@
+// Rate limits on write routes: token buckets per action and per wallet or IP, stored
+// in the rate_limits table so they survive restarts
+//
+// A bucket holds up to capacity tokens and gets one back every refillSeconds; each
+// request takes one. Signed-in requests use the wallet's bucket and the IP's, anonymous
+// requests only the IP's
+
+const LIMITS = {
+    // Sign-in nonces and logins
+    sign_in: {
+        ip: { capacity: 20, refillSeconds: 30 }
+    },
+    // New agents: submissions, forks and imports
+    submit: {
+        wallet: { capacity: 5, refillSeconds: 600 },
+        ip: { capacity: 10, refillSeconds: 360 }
+    },
+    // Ratings, new or updated
+    rate: {
+        wallet: { capacity: 10, refillSeconds: 60 },
+        ip: { capacity: 30, refillSeconds: 20 }
+    },
+    // Abuse reports
+    report: {
+        wallet: { capacity: 10, refillSeconds: 300 },
+        ip: { capacity: 20, refillSeconds: 150 }
+    }
+};
+
+// A bucket untouched for this long has refilled completely, so it can be dropped
+const FULL_AFTER_SECONDS = Math.max(...Object.values(LIMITS).flatMap(limit =>
+    Object.values(limit).map(bucket => bucket.capacity * bucket.refillSeconds)));
+
+// Take a token from one bucket; calls back with (err, retryAfter) where retryAfter is
+// 0 when a token was taken, else the seconds until the next one. The refill and the
+// take happen in one statement, so concurrent requests can't both take the last token
+function takeToken(storage, key, bucket, callback) {
+    const now = Date.now() / 1000;
+
+    storage.ratelimits.take(key, bucket, now, (err, taken, row) => {
+        if (err || taken) {
+            return callback(err, 0);
+        }
+        const tokens = Math.min(bucket.capacity, row.tokens + Math.max(now - row.updated_at, 0) / bucket.refillSeconds);
+        callback(null, Math.max(Math.ceil((1 - tokens) * bucket.refillSeconds), 1));
+    });
+}
+
+// Take a token for an action from the buckets of a client ({ wallet, ip }, either may
+// be null); calls back with (err, retryAfter) as takeToken. The wallet's bucket is
+// checked first, so a limited wallet doesn't use up its IP's tokens
+function consume(storage, action, client, callback) {
+    const limit = LIMITS[action];
+    if (!limit) {
+        throw new Error(`Unknown rate limit: ${action}`);
+    }
+
+    const buckets = ['wallet', 'ip'].filter(scope => limit[scope] && client[scope])
+        .map(scope => [`${action}:${scope}:${client[scope]}`, limit[scope]]);
+    const next = (index) => {
+        if (index === buckets.length) {
+            return callback(null, 0);
+        }
+        takeToken(storage, buckets[index][0], buckets[index][1], (err, retryAfter) => {
+            if (err || retryAfter) {
+                return callback(err, retryAfter);
+            }
+            next(index + 1);
+        });
+    };
+    next(0);
+}
+
+// Drop buckets that have refilled completely; calls back with (err, count)
+function pruneBuckets(storage, callback) {
+    storage.ratelimits.prune(Date.now() / 1000 - FULL_AFTER_SECONDS, callback);
+}
+
+// "in 40 seconds", "in 5 minutes", "in 2 hours": when a limited client can try again
+function describeRetryAfter(seconds) {
+    if (seconds < 60) {
+        return `in ${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+    }
+    if (seconds < 3600) {
+        const minutes = Math.ceil(seconds / 60);
+        return `in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    }
+    const hours = Math.ceil(seconds / 3600);
+    return `in ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+}
+
+module.exports = {
+    LIMITS,
+    consume,
+    pruneBuckets,
+    describeRetryAfter
+};
@@ -0,0 +1,28 @@
+// Rating rules: one rating per wallet per agent, editable by its author
+// Ratings are stored through the storage layer (see lib/storage)
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Check whether a wallet may rate an agent, returns { status, code, message } or null
+function checkRatingAllowed(agent, walletAddress, stars) {
+    if (!walletAddress) {
+        return { status: 401, code: 'not_authenticated', message: 'Connect your wallet to rate agents.' };
+    }
+    if (agent.creator_wallet && agent.creator_wallet === walletAddress) {
+        return { status: 403, code: 'own_agent', message: 'You cannot rate your own agent.' };
+    }
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+        return { status: 400, code: 'validation_failed', message: 'Stars must be a whole number from 1 to 5.' };
+    }
+    return null;
+}
+
+// A review comment as it is stored: trimmed and cut to MAX_COMMENT_LENGTH, null when empty
+function normalizeComment(comment) {
+    return comment ? String(comment).trim().slice(0, MAX_COMMENT_LENGTH) || null : null;
+}
+
+module.exports = {
+    checkRatingAllowed,
+    normalizeComment
+};
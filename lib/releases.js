@@ -0,0 +1,169 @@
+// Agent releases: numbered (semver), immutable snapshots of an agent's published content
+// with a changelog. Agents point at their latest stable release, forks at the release
+// they were forked from. Edits still change the listing in place; releases never change
+
+const semver = require('./semver');
+const cid = require('./cid');
+const content = require('./content');
+const manifests = require('./manifests');
+const { normalizeTags } = require('./agents');
+
+const MAX_CHANGELOG_LENGTH = 5000;
+
+// Snapshot fields compared between releases, in display order
+const DIFF_FIELDS = ['name', 'description', 'category', 'link', 'tags', 'is_premium', 'license',
+    'definition', 'inputs', 'outputs', 'required_chains'];
+
+// Fields hidden from visitors without access to a premium agent
+const LOCKED_FIELDS = ['link', 'definition'];
+
+// Releases of an agent, newest first (versions only ever increase, so this is also
+// highest version first)
+function listReleases(storage, agentId, callback) {
+    storage.releases.list(agentId, callback);
+}
+
+// A release of an agent by version, or undefined; "latest" is the latest stable release
+function getRelease(storage, agentId, version, callback) {
+    if (version === 'latest') {
+        return storage.releases.getLatest(agentId, callback);
+    }
+    storage.releases.get(agentId, semver.normalizeVersion(version), callback);
+}
+
+// The manifest stored in a release (see content.agentContent)
+function parseSnapshot(release) {
+    return JSON.parse(release.snapshot);
+}
+
+// Agent fields stored in a release (name, description, category, link, tags, is_premium,
+// license and spec), for forks made from it
+function releaseFields(release) {
+    return manifests.manifestToFields(parseSnapshot(release));
+}
+
+// Check a new release against the existing ones (newest first)
+// Returns a { status, code, message } problem, or null when the release can be created
+function validateRelease(input, existing) {
+    const version = semver.normalizeVersion(input.version);
+    const changelog = typeof input.changelog === 'string' ? input.changelog.trim() : '';
+
+    if (!version) {
+        return { status: 400, code: 'invalid_version', message: 'Please provide a semantic version such as 1.0.0.' };
+    }
+    if (!changelog) {
+        return { status: 400, code: 'validation_failed', message: 'Please describe what changed in this release.' };
+    }
+    if (changelog.length > MAX_CHANGELOG_LENGTH) {
+        return { status: 400, code: 'validation_failed', message: `Changelogs can be at most ${MAX_CHANGELOG_LENGTH} characters.` };
+    }
+
+    const highest = existing.map(release => release.version)
+        .sort((a, b) => semver.compareVersions(b, a))[0];
+    if (highest && semver.compareVersions(version, highest) <= 0) {
+        return { status: 409, code: 'version_conflict', message: `The version must be higher than ${highest}, the highest release so far.` };
+    }
+    return null;
+}
+
+// Release the current content of a published agent row (as loaded by agents.getAgent)
+// The snapshot is pinned like the agent's own content; stable versions become the
+// agent's latest release. Calls back with (err, problem, release)
+function createRelease(storage, backend, agent, input, editorWallet, baseUrl, callback) {
+    if (agent.status !== 'published' || agent.deleted_at) {
+        return callback(null, { status: 409, code: 'not_published', message: 'Only published agents can be released.' });
+    }
+
+    listReleases(storage, agent.id, (err, existing) => {
+        if (err) {
+            return callback(err);
+        }
+        const problem = validateRelease(input, existing);
+        if (problem) {
+            return callback(null, problem);
+        }
+
+        const version = semver.normalizeVersion(input.version);
+        const bytes = content.agentContent(agent, baseUrl);
+        const contentCid = cid.computeCid(bytes);
+
+        backend.pin(contentCid, bytes, (pinErr) => {
+            if (pinErr) {
+                return callback(pinErr);
+            }
+
+            storage.releases.create({
+                agent_id: agent.id,
+                version,
+                changelog: input.changelog.trim(),
+                snapshot: bytes.toString('utf8'),
+                content_cid: contentCid,
+                created_by: editorWallet
+            }, existing.length ? existing[0].version : null, !semver.isPrerelease(version), (saveErr, created) => {
+                if (saveErr) {
+                    return callback(saveErr);
+                }
+                if (!created) {
+                    return callback(null, { status: 409, code: 'version_conflict', message: `Version ${version} has already been released.` });
+                }
+                getRelease(storage, agent.id, version, (getErr, release) => callback(getErr, null, release));
+            });
+        });
+    });
+}
+
+// Field-level diff between two release snapshots (or agent contents); from is null
+// for a first release
+function diffSnapshots(from, to) {
+    return DIFF_FIELDS.map(field => {
+        if (field === 'tags') {
+            const fromTags = from ? normalizeTags(from.tags) : [];
+            const toTags = normalizeTags(to.tags);
+            const added = toTags.filter(tag => !fromTags.includes(tag));
+            const removed = fromTags.filter(tag => !toTags.includes(tag));
+            return { field, from: fromTags, to: toTags, changed: added.length > 0 || removed.length > 0, added, removed };
+        }
+
+        const fromValue = from && from[field] !== undefined ? from[field] : null;
+        const toValue = to[field] !== undefined ? to[field] : null;
+        return {
+            field,
+            from: fromValue,
+            to: toValue,
+            changed: JSON.stringify(fromValue) !== JSON.stringify(toValue)
+        };
+    });
+}
+
+// Hide premium fields of a diff, for visitors without access to the agent
+function lockDiff(diff) {
+    return diff.map(entry => LOCKED_FIELDS.includes(entry.field) ?
+        Object.assign({}, entry, { from: null, to: null, locked: true }) : entry);
+}
+
+// Shape a release row for JSON output; the snapshot is left out when showSnapshot is false
+function serializeRelease(row, showSnapshot) {
+    return {
+        version: row.version,
+        changelog: row.changelog,
+        content_cid: row.content_cid,
+        prerelease: semver.isPrerelease(row.version),
+        created_by: row.created_by || null,
+        created_at: row.created_at,
+        snapshot: showSnapshot ? parseSnapshot(row) : null,
+        snapshot_locked: !showSnapshot
+    };
+}
+
+module.exports = {
+    MAX_CHANGELOG_LENGTH,
+    listReleases,
+    getRelease,
+    parseSnapshot,
+    releaseFields,
+    validateRelease,
+    createRelease,
+    diffSnapshots,
+    lockDiff,
+    serializeRelease
+};
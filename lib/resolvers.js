@@ -0,0 +1,58 @@
+// Handle resolvers used to check that a wallet owns a Lens or Farcaster handle
+//
+// A resolver is an object with:
+//   name: identifier recorded with each verification
+//   checkOwnership({ network, handle, walletAddress }, callback)
+//     calls back with (err, { owned, reason }) where reason explains a false owned;
+//     err is reserved for the network being unreachable
+
+// Handles understood by the local resolver
+const LOCAL_TAKEN_PREFIX = 'taken';
+const LOCAL_MISSING_PREFIX = 'missing';
+const LOCAL_UNAVAILABLE_PREFIX = 'unavailable';
+
+// Local stand-in for development and offline testing: every handle belongs to the
+// wallet asking about it, except those listed in owners (a map of "network:handle"
+// to wallet address) and handles starting with the prefixes above
+function createLocalResolver(owners = {}) {
+    return {
+        name: 'local',
+        checkOwnership(params, callback) {
+            const name = params.handle.replace(/^@/, '');
+            const owner = owners[`${params.network}:${params.handle}`];
+
+            setImmediate(() => {
+                if (name.startsWith(LOCAL_UNAVAILABLE_PREFIX)) {
+                    return callback(new Error('Local handle resolver unavailable'));
+                }
+                if (name.startsWith(LOCAL_MISSING_PREFIX)) {
+                    return callback(null, { owned: false, reason: 'handle_not_found' });
+                }
+                if (owner ? owner !== params.walletAddress : name.startsWith(LOCAL_TAKEN_PREFIX)) {
+                    return callback(null, { owned: false, reason: 'owned_by_another_wallet' });
+                }
+                callback(null, { owned: true, reason: null });
+            });
+        }
+    };
+}
+
+const RESOLVERS = {
+    local: createLocalResolver
+};
+
+// Create the resolver registered under a name
+function getHandleResolver(name) {
+    if (!RESOLVERS[name]) {
+        throw new Error(`Unknown handle resolver: ${name}`);
+    }
+    return RESOLVERS[name]();
+}
+
+module.exports = {
+    LOCAL_TAKEN_PREFIX,
+    LOCAL_MISSING_PREFIX,
+    LOCAL_UNAVAILABLE_PREFIX,
+    createLocalResolver,
+    getHandleResolver
+};
@@ -0,0 +1,46 @@
+// Model runners used by the prompt playground to run a rendered prompt template
+//
+// A runner is an object with:
+//   name: identifier returned with each result
+//   run({ prompt, model, agentId }, callback)
+//     model is the model the agent's definition asks for, or null
+//     calls back with (err, { output, model }) where model is the one that answered;
+//     err is reserved for the model being unreachable
+
+// Longest prompt the echo runner repeats in full
+const ECHO_MAX_LENGTH = 2000;
+
+// Local stand-in that needs no model: answers with a description of the prompt and
+// the prompt itself, so the playground works offline
+function createEchoRunner() {
+    return {
+        name: 'echo',
+        run(params, callback) {
+            const words = params.prompt.split(/\s+/).filter(Boolean).length;
+            const echoed = params.prompt.length > ECHO_MAX_LENGTH ?
+                `${params.prompt.slice(0, ECHO_MAX_LENGTH)}…` : params.prompt;
+
+            setImmediate(() => callback(null, {
+                output: `Echo of a ${words}-word prompt${params.model ? ` written for ${params.model}` : ''}:\n\n${echoed}`,
+                model: 'echo'
+            }));
+        }
+    };
+}
+
+const RUNNERS = {
+    echo: createEchoRunner
+};
+
+// Create the runner registered under a name
+function getModelRunner(name) {
+    if (!RUNNERS[name]) {
+        throw new Error(`Unknown model runner: ${name}`);
+    }
+    return RUNNERS[name]();
+}
+
+module.exports = {
+    createEchoRunner,
+    getModelRunner
+};
@@ -0,0 +1,60 @@
+// Full-text search over agents: how search input is read, how much each column counts
+// and how matches are shown. The index itself belongs to the storage backend (see
+// lib/storage): an FTS5 table in SQLite, a tsvector table in PostgreSQL
+
+const { escapeHtml } = require('./html');
+
+// Markers wrapped around matched terms; chosen so they never appear in agent text
+// and can be swapped for <mark> tags after HTML escaping
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// How much a match in each indexed column counts towards relevance
+const COLUMN_WEIGHTS = {
+    name: 10.0,
+    description: 2.0,
+    tags: 5.0,
+    category: 1.0
+};
+
+// Length of the description snippets shown with results, in words
+const SNIPPET_TOKENS = 24;
+
+// Split user input into search terms: "quoted phrases" are kept together, a trailing *
+// makes a prefix term and all terms must match. Punctuation inside a word (e.g. "gpt-4")
+// splits it into a phrase, like the index does
+// Returns a list of { words, prefix }, empty when the input has nothing searchable
+function parseSearchTerms(input) {
+    const terms = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(input || ''))) !== null) {
+        const text = match[1] !== undefined ? match[1] : match[2];
+        const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (words.length) {
+            terms.push({ words, prefix: match[1] === undefined && text.endsWith('*') });
+        }
+    }
+
+    return terms;
+}
+
+// Escape highlighted text for HTML, turning the highlight markers into <mark> tags
+function highlightToHtml(text) {
+    if (!text) {
+        return '';
+    }
+    return escapeHtml(text)
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_END).join('</mark>');
+}
+
+module.exports = {
+    HIGHLIGHT_START,
+    HIGHLIGHT_END,
+    COLUMN_WEIGHTS,
+    SNIPPET_TOKENS,
+    parseSearchTerms,
+    highlightToHtml
+};
@@ -0,0 +1,111 @@
+// Semantic versions (https://semver.org) used to number agent releases
+// Versions are MAJOR.MINOR.PATCH with an optional -prerelease and +build suffix
+
+const VERSION_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+const MAX_VERSION_LENGTH = 64;
+
+// Trim a version and drop a leading "v" ("v1.2.0" -> "1.2.0"); returns null for anything
+// that isn't a valid version
+function normalizeVersion(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    const version = text.trim().replace(/^v/i, '');
+    return version.length <= MAX_VERSION_LENGTH && VERSION_PATTERN.test(version) ? version : null;
+}
+
+// Split a valid version into its parts, or null
+function parseVersion(text) {
+    const match = VERSION_PATTERN.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    return {
+        major: match[1],
+        minor: match[2],
+        patch: match[3],
+        prerelease: match[4] ? match[4].split('.') : [],
+        build: match[5] || null
+    };
+}
+
+function isPrerelease(text) {
+    const version = parseVersion(text);
+    return !!version && version.prerelease.length > 0;
+}
+
+// Numeric identifiers have no leading zeros, so longer means larger
+function compareNumbers(a, b) {
+    if (a.length !== b.length) {
+        return a.length < b.length ? -1 : 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Precedence of two prerelease identifiers: numbers sort before words
+function compareIdentifiers(a, b) {
+    const aNumeric = /^\d+$/.test(a);
+    const bNumeric = /^\d+$/.test(b);
+    if (aNumeric && bNumeric) {
+        return compareNumbers(a, b);
+    }
+    if (aNumeric !== bNumeric) {
+        return aNumeric ? -1 : 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Compare two valid versions by precedence: -1, 0 or 1
+// Build metadata is ignored, and a prerelease sorts before its release (1.0.0-rc.1 < 1.0.0)
+function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+
+    for (const part of ['major', 'minor', 'patch']) {
+        const order = compareNumbers(left[part], right[part]);
+        if (order !== 0) {
+            return order;
+        }
+    }
+
+    if (!left.prerelease.length || !right.prerelease.length) {
+        return left.prerelease.length === right.prerelease.length ? 0 : left.prerelease.length ? -1 : 1;
+    }
+    for (let index = 0; index < Math.max(left.prerelease.length, right.prerelease.length); index++) {
+        if (index === left.prerelease.length || index === right.prerelease.length) {
+            return index === left.prerelease.length ? -1 : 1;
+        }
+        const order = compareIdentifiers(left.prerelease[index], right.prerelease[index]);
+        if (order !== 0) {
+            return order;
+        }
+    }
+    return 0;
+}
+
+// Suggested versions following a release: { patch, minor, major }, or null for an
+// invalid version; after a prerelease the patch suggestion is the release it leads up to
+function nextVersions(text) {
+    const version = parseVersion(text);
+    if (!version) {
+        return null;
+    }
+
+    const major = parseInt(version.major);
+    const minor = parseInt(version.minor);
+    const patch = parseInt(version.patch);
+    return {
+        patch: version.prerelease.length ? `${major}.${minor}.${patch}` : `${major}.${minor}.${patch + 1}`,
+        minor: `${major}.${minor + 1}.0`,
+        major: `${major + 1}.0.0`
+    };
+}
+
+module.exports = {
+    MAX_VERSION_LENGTH,
+    normalizeVersion,
+    parseVersion,
+    isPrerelease,
+    compareVersions,
+    nextVersions
+};
@@ -0,0 +1,145 @@
+// Sign-In With Ethereum (EIP-4361) helpers
+// Builds and parses SIWE messages and recovers the signing address
+
+const { verifyMessage, getAddress } = require('ethers');
+
+const SIWE_VERSION = '1';
+const DEFAULT_STATEMENT = 'Sign in to the Web3 AI Marketplace.';
+
+// Normalize a wallet address to the lowercase form stored in the database
+function normalizeWalletAddress(address) {
+    if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        return null;
+    }
+    return address.toLowerCase();
+}
+
+// Build an EIP-4361 message for the given fields
+function buildSiweMessage(fields) {
+    const lines = [
+        `${fields.domain} wants you to sign in with your Ethereum account:`,
+        getAddress(fields.address),
+        ''
+    ];
+
+    if (fields.statement) {
+        lines.push(fields.statement, '');
+    }
+
+    lines.push(
+        `URI: ${fields.uri}`,
+        `Version: ${SIWE_VERSION}`,
+        `Chain ID: ${fields.chainId}`,
+        `Nonce: ${fields.nonce}`,
+        `Issued At: ${fields.issuedAt}`
+    );
+
+    if (fields.expirationTime) {
+        lines.push(`Expiration Time: ${fields.expirationTime}`);
+    }
+
+    return lines.join('\n');
+}
+
+// Parse an EIP-4361 message back into its fields, returns null if malformed
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') {
+        return null;
+    }
+
+    const lines = message.split('\n');
+    const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+    if (!header || !/^0x[0-9a-fA-F]{40}$/.test(lines[1] || '') || lines[2] !== '') {
+        return null;
+    }
+
+    const fields = { domain: header[1], address: lines[1], statement: null };
+    let index = 3;
+
+    // Optional statement followed by a blank line
+    if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+        fields.statement = lines[index];
+        if (lines[index + 1] !== '') {
+            return null;
+        }
+        index += 2;
+    }
+
+    const keys = {
+        'URI': 'uri',
+        'Version': 'version',
+        'Chain ID': 'chainId',
+        'Nonce': 'nonce',
+        'Issued At': 'issuedAt',
+        'Expiration Time': 'expirationTime',
+        'Not Before': 'notBefore',
+        'Request ID': 'requestId'
+    };
+
+    for (; index < lines.length; index++) {
+        const separator = lines[index].indexOf(': ');
+        const key = keys[lines[index].slice(0, separator)];
+        if (separator === -1 || !key || fields[key] !== undefined) {
+            return null;
+        }
+        fields[key] = lines[index].slice(separator + 2);
+    }
+
+    if (!fields.uri || fields.version !== SIWE_VERSION || !/^\d+$/.test(fields.chainId || '') ||
+        !/^[a-zA-Z0-9]{8,}$/.test(fields.nonce || '') || isNaN(Date.parse(fields.issuedAt))) {
+        return null;
+    }
+
+    fields.chainId = parseInt(fields.chainId);
+    return fields;
+}
+
+// Recover the address that produced an EIP-191 personal_sign signature
+function recoverSigner(message, signature) {
+    try {
+        return verifyMessage(message, signature).toLowerCase();
+    } catch (err) {
+        return null;
+    }
+}
+
+// Origin (scheme, host and port) of a URI, or null if it is not a valid URL
+function originOf(uri) {
+    try {
+        return new URL(uri).origin;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Check a parsed message against this site's domain and origin, the chains sign-in
+// is accepted on and the current time
+function validateSiweFields(fields, expected) {
+    const now = expected.now || Date.now();
+
+    if (fields.domain !== expected.domain) {
+        return 'Message domain does not match this site';
+    }
+    if (!originOf(fields.uri) || originOf(fields.uri) !== originOf(expected.uri)) {
+        return 'Message URI does not match this site';
+    }
+    if (!expected.chainIds.includes(fields.chainId)) {
+        return 'Sign-in is not supported on this chain';
+    }
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+        return 'Sign-in message has expired';
+    }
+    if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+        return 'Sign-in message is not yet valid';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_STATEMENT,
+    normalizeWalletAddress,
+    buildSiweMessage,
+    parseSiweMessage,
+    recoverSigner,
+    validateSiweFields
+};
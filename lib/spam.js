@@ -0,0 +1,117 @@
+// Spam defenses for new agents: per-tier daily submission quotas, and duplicates of
+// agents the same wallet already listed (the same link or a near-identical description)
+//
+// Both only apply to signed-in wallets; anonymous submissions are limited per IP by
+// the submit rate limit (see lib/ratelimits.js)
+
+const subscriptions = require('./subscriptions');
+
+const QUOTA_WINDOW_HOURS = 24;
+
+// Descriptions whose word pairs overlap at least this much are near-identical
+const SIMILARITY_THRESHOLD = 0.9;
+
+// A link without the parts that don't change where it goes: scheme, "www.", letter
+// case of the host and trailing slashes
+function normalizeLink(link) {
+    const text = typeof link === 'string' ? link.trim() : '';
+    try {
+        const url = new URL(text);
+        const host = url.host.toLowerCase().replace(/^www\./, '');
+        return `${host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+    } catch (err) {
+        return text.toLowerCase().replace(/\/+$/, '');
+    }
+}
+
+// Lowercase words of a text, without punctuation
+function words(text) {
+    return (typeof text === 'string' ? text.toLowerCase() : '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Jaccard similarity of the word pairs of two texts (of the words for one-word texts),
+// so reordered sentences count as changes but punctuation and spacing don't
+function descriptionSimilarity(a, b) {
+    const shingles = (list) => new Set(list.length < 2 ? list : list.slice(1).map((word, i) => `${list[i]} ${word}`));
+    const first = shingles(words(a));
+    const second = shingles(words(b));
+    if (!first.size || !second.size) {
+        return 0;
+    }
+    const shared = [...first].filter(shingle => second.has(shingle)).length;
+    return shared / (first.size + second.size - shared);
+}
+
+// The wallet's agents created within the quota window, calls back with (err, { count, resetsIn })
+// where resetsIn is the seconds until the oldest of them leaves the window. Deleted
+// agents count too, so deleting doesn't free up the quota
+function countRecentSubmissions(storage, walletAddress, callback) {
+    storage.agents.countRecentByCreator(walletAddress, QUOTA_WINDOW_HOURS, (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        const resetsIn = row.oldest ? row.oldest + QUOTA_WINDOW_HOURS * 3600 - Math.floor(Date.now() / 1000) : 0;
+        callback(null, { count: row.count, resetsIn: Math.max(resetsIn, 1) });
+    });
+}
+
+// A listed agent of the wallet that the new one duplicates, as { agent, field } with the
+// field that matched (link or description), or null. The agent a fork is made from is
+// never a duplicate of the fork
+function findDuplicate(storage, fields, callback) {
+    storage.agents.listLiveByCreator(fields.creator_wallet, fields.original_agent_id, (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const link = normalizeLink(fields.link);
+        const sameLink = rows.find(row => link && normalizeLink(row.link) === link);
+        if (sameLink) {
+            return callback(null, { agent: sameLink, field: 'link' });
+        }
+        const similar = rows.find(row => descriptionSimilarity(row.description, fields.description) >= SIMILARITY_THRESHOLD);
+        callback(null, similar ? { agent: similar, field: 'description' } : null);
+    });
+}
+
+// Check a new agent's fields (after validation) against the quota of the creator's plan
+// and their listed agents. Calls back with (err, problem) where problem is
+// { status, code, message, retryAfter } for a used-up quota (429), or
+// { status, code, message, agentId } for a duplicate (409)
+function checkSubmission(storage, fields, entitlements, callback) {
+    if (!fields.creator_wallet) {
+        return callback(null, null);
+    }
+
+    countRecentSubmissions(storage, fields.creator_wallet, (err, recent) => {
+        if (err) {
+            return callback(err);
+        }
+        if (recent.count >= entitlements.daily_submissions) {
+            const plan = subscriptions.TIERS[entitlements.tier].name;
+            return callback(null, {
+                status: 429,
+                code: 'quota_exceeded',
+                message: `The ${plan} plan allows ${entitlements.daily_submissions} new agents per ${QUOTA_WINDOW_HOURS} hours.`,
+                retryAfter: recent.resetsIn
+            });
+        }
+
+        findDuplicate(storage, fields, (dupErr, duplicate) => {
+            if (dupErr || !duplicate) {
+                return callback(dupErr, null);
+            }
+            callback(null, {
+                status: 409,
+                code: 'duplicate_submission',
+                message: duplicate.field === 'link' ?
+                    `You already listed this link as "${duplicate.agent.name}". Edit that agent instead of submitting it again.` :
+                    `This description is nearly identical to your agent "${duplicate.agent.name}". Edit that agent instead of submitting it again.`,
+                agentId: duplicate.agent.id
+            });
+        });
+    });
+}
+
+module.exports = {
+    checkSubmission
+};
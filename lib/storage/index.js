@@ -0,0 +1,130 @@
+// Storage backends: repositories over the tables of the marketplace, so the code using
+// them doesn't depend on the database. Callbacks take an error first; lookups call back
+// with undefined when there is no row, and methods described as returning "changed" call
+// back with whether a row was changed
+//
+// A backend is an object with:
+//   name: identifier of the backend
+//   users.get(walletAddress, callback) - calls back with (err, user) where user is undefined
+//     for a wallet that never signed in
+//   users.recordLogin(walletAddress, callback) - create the user or update its last_login;
+//     the plan, handles and sign-up date of an existing user are kept
+//   sessions.create(session, callback) - session is { tokenHash, walletAddress, userAgent,
+//     ipAddress, lifetimeDays }; calls back with (err, id)
+//   sessions.findActive(tokenHash, { idleHours, renewMinutes }, callback) - calls back with
+//     (err, session) where session is { id, wallet_address, needs_renewal, role } for a session
+//     that isn't revoked, expired or idle, of a wallet that isn't banned, else undefined.
+//     needs_renewal is 1 when the session was last seen more than renewMinutes ago
+//   sessions.touch(id, callback) - record that a session was just used
+//   sessions.listActive(walletAddress, idleHours, callback) - calls back with (err, sessions),
+//     the usable sessions of a wallet, most recently used first
+//   sessions.revoke(id, walletAddress, callback) - revoke a session of a wallet
+//   sessions.revokeAll(walletAddress, callback) - revoke every session of a wallet
+//   sessions.prune(idleHours, callback) - delete the sessions that can no longer be used
+//     (the three of them call back with (err, count) where count is the number of sessions)
+//   nonces.create(nonce, walletAddress, ttlMinutes, callback) - store a sign-in nonce,
+//     dropping expired ones
+//   nonces.consume(nonce, walletAddress, callback) - use up an unexpired nonce of the wallet;
+//     calls back with (err, consumed), false when it is unknown, expired or already used
+//   agents.get(id, callback) - an agent with its rating, tags, parent, release, org and
+//     verified creator handle columns (see lib/agents.js), whether deleted or not
+//   agents.list(criteria, order, page, callback) - live agents; calls back with (err, rows,
+//     total) where total counts every match. criteria is { terms (see
+//     search.parseSearchTerms), org_id, creator_wallet, forks, status, moderation_status,
+//     category (a name or slug; public categories include their subcategories), tag }; order is { keys, trendingPeriod }, keys being expressions over the
+//     row sorted descending, returned as sort_key_0... columns; page is { after (key values
+//     to continue after), limit (null for all), offset }. With terms, rows have search_rank
+//     (lower is better), name_highlight and description_snippet, marked up with
+//     search.HIGHLIGHT_START and HIGHLIGHT_END; with trendingPeriod, trending_score
+//   agents.create(fields, callback) - insert an agent without tags; calls back with (err, id)
+//   agents.incrementForkCount(id, callback)
+//   agents.update(current, fields, changes, editorWallet, callback) - save edited fields
+//     (and tags when fields.tags is set, category_id unless it is undefined) with an
+//     agent_edits row per { field, old_value, new_value } change; hidden agents go back to
+//     pending review
+//   agents.publish(agent, editorWallet, callback) - turn a draft into a published agent
+//   agents.markDeleted(agent, editorWallet, tombstoneName, callback) - delete the ratings,
+//     tags and releases of an agent and blank it out, leaving a tombstone
+//   agents.listEdits(agentId, callback) - edit history, newest first
+//   agents.countRecentByCreator(walletAddress, hours, callback) - calls back with (err,
+//     { count, oldest }), oldest being the Unix time of the oldest of those agents
+//   agents.listLiveByCreator(walletAddress, exceptId, callback) - id, name, link and
+//     description of the wallet's live agents but exceptId
+//   tags.setForAgent(agentId, tags, callback) - replace the tags of an agent, creating tags
+//     as needed
+//   tags.listForAgent(agentId, callback) - calls back with (err, names), sorted by name
+//   categories.list(walletAddress, callback) - the public categories and the wallet's private
+//     ones with agent_count, see lib/categories.js
+//   categories.get(id, callback) - a category with parent_name, child_count and used_count
+//   categories.findPublicByName(name, callback), categories.ensurePrivate(name, walletAddress,
+//     callback) - { id, name } of a public category / of the wallet's private category, which
+//     is created when missing; names are matched without regard to case
+//   categories.create(fields, ownerWallet, entries, callback) - calls back with (err, id)
+//     where id is null when the name or slug is taken; the audit entries get the new id
+//   categories.update(current, fields, entries, callback) - calls back with (err, updated),
+//     false when the name or slug is taken; a new name is given to the agents too
+//   categories.remove(category, replacement, entries, callback) - move the agents of a
+//     category to replacement (or none) and delete it
+//   ratings.save(rating, callback) - rating is { agent_id, wallet_address, stars, comment };
+//     create or update the wallet's rating, calls back with (err, created) where created
+//     is false when an existing rating was updated
+//   ratings.get(agentId, walletAddress, callback) - calls back with (err, rating) or undefined
+//   ratings.getById(id, callback) - a rating with its hidden_at
+//   ratings.remove(agentId, walletAddress, callback) - calls back with (err, count)
+//   ratings.listForAgent(agentId, callback) - the reviews of an agent that moderators didn't
+//     hide, most recently written or edited first
+//   ratings.listForAgents(agentIds, callback) - the same for several agents, with agent_id
+//   activity.record(agentId, eventType, walletAddress, callback) - log an agent event
+//   activity.recordVisitor(agentId, eventType, { wallet, key }, dedupeMinutes, callback) -
+//     log an event unless the visitor key logged the same one in the last dedupeMinutes
+//   activity.backfill(hours, callback) - seed an empty log from recent forks and ratings
+//   activity.refreshTrending(weights, windows, retentionHours, callback) - drop old events
+//     and recompute the trending score of each window (see lib/activity.js)
+//   content.setAgentContent(agentId, cid, ipfsVerified, callback) - record published content
+//   content.clearAgentContent(agentId, callback)
+//   content.listAgentIdsWithoutContent(callback) - published live agents without content
+//   content.listAgents(cid, callback) - the agents that published content under a CID
+//   releases.list(agentId, callback) - releases, newest first
+//   releases.get(agentId, version, callback), releases.getLatest(agentId, callback)
+//   releases.create(release, previousVersion, makeLatest, callback) - release is { agent_id,
+//     version, changelog, snapshot, content_cid, created_by }; calls back with (err, created)
+//     where created is false when the version already exists
+//   lineage.ancestors(agentId, maxDepth, callback), lineage.descendants(agentId, maxDepth,
+//     callback) - lineage nodes with their depth, root first / breadth first
+//   creators.getProfile(walletAddress, callback) - the public stats of a creator
+//   dashboard.walletStats(walletAddress, callback), dashboard.listWalletAgents(walletAddress,
+//     forks, limit, offset, callback) (calls back with (err, rows, total)) and
+//     dashboard.walletAnalytics(walletAddress, days, callback) - see lib/dashboard.js
+//   handles.* - profile handles and their challenges, see lib/handles.js
+//   moderation.* - reports, moderation status, bans, admins and the audit log, see
+//     lib/moderation.js; every action is written together with its audit log entry
+//   orgs.* - organisations, members and invites, see lib/orgs.js
+//   subscriptions.* - subscriptions and payments, see lib/subscriptions.js
+//   ratelimits.take(key, { capacity, refillSeconds }, now, callback) - take a token from a
+//     bucket; calls back with (err, taken, state) where state is { tokens, updated_at } of a
+//     bucket that had none left
+//   ratelimits.prune(before, callback) - drop buckets untouched since before (Unix seconds)
+//   close(callback) - release the connections the backend opened itself
+//
+// Rows have the columns and values of the SQLite schema whatever the backend: timestamps
+// are 'YYYY-MM-DD HH:MM:SS' strings in UTC, flags are 0 or 1 and counts are numbers
+
+const { createSqliteStorage } = require('./sqlite');
+const { createPostgresStorage } = require('./postgres');
+
+const BACKENDS = {
+    sqlite: createSqliteStorage,
+    postgres: createPostgresStorage
+};
+
+// Create a storage backend by name (sqlite or postgres), see the backends for their options
+function getStorage(name, options) {
+    if (!BACKENDS[name]) {
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+    return BACKENDS[name](options);
+}
+
+module.exports = {
+    getStorage
+};
@@ -0,0 +1,60 @@
+// The agent activity log and the trending scores materialised from it, in PostgreSQL
+
+const { NOW } = require('./query');
+
+function createActivityRepository(db) {
+    return {
+        record(agentId, eventType, walletAddress, callback) {
+            db.run('INSERT INTO agent_events (agent_id, event_type, wallet_address) VALUES ($1, $2, $3)',
+                [agentId, eventType, walletAddress || null], (err) => callback(err || null));
+        },
+        recordVisitor(agentId, eventType, visitor, dedupeMinutes, callback) {
+            db.run(`INSERT INTO agent_events (agent_id, event_type, wallet_address, visitor_key)
+                    SELECT $1, $2, $3, $4
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM agent_events
+                        WHERE agent_id = $1 AND visitor_key = $4 AND event_type = $2
+                          AND created_at >= ${NOW} - make_interval(mins => $5)
+                    )`,
+            [agentId, eventType, visitor.wallet || null, visitor.key, dedupeMinutes], (err) => callback(err || null));
+        },
+        backfill(hours, callback) {
+            db.run(`INSERT INTO agent_events (agent_id, event_type, wallet_address, created_at)
+                    SELECT original_agent_id, 'fork', creator_wallet, created_at FROM agents
+                    WHERE original_agent_id IS NOT NULL AND created_at >= ${NOW} - make_interval(hours => $1)
+                          AND NOT EXISTS (SELECT 1 FROM agent_events)
+                    UNION ALL
+                    SELECT agent_id, 'rating', wallet_address, created_at FROM ratings
+                    WHERE created_at >= ${NOW} - make_interval(hours => $1) AND NOT EXISTS (SELECT 1 FROM agent_events)`,
+            [hours], (err) => callback(err || null));
+        },
+        refreshTrending(weights, windows, retentionHours, callback) {
+            const weightCase = 'CASE e.event_type ' +
+                Object.keys(weights).map(type => `WHEN '${type}' THEN ${weights[type]}`).join(' ') +
+                ' ELSE 0 END';
+            const statements = [
+                [`DELETE FROM agent_events WHERE created_at < ${NOW} - make_interval(hours => $1)`, [retentionHours]]
+            ];
+
+            Object.keys(windows).forEach(period => {
+                const window = windows[period];
+                statements.push(['DELETE FROM agent_trending WHERE period = $1', [period]]);
+                statements.push([`
+                    INSERT INTO agent_trending (agent_id, period, score)
+                    SELECT e.agent_id, $1,
+                           SUM(${weightCase} * exp(-${Math.LN2} * EXTRACT(EPOCH FROM ${NOW} - e.created_at)::float8 / 3600 / $2))
+                    FROM agent_events e
+                    JOIN agents a ON a.id = e.agent_id AND a.deleted_at IS NULL
+                    WHERE e.created_at >= ${NOW} - make_interval(hours => $3)
+                    GROUP BY e.agent_id
+                `, [period, window.halfLifeHours, window.hours]]);
+            });
+
+            db.runInTransaction(statements, callback);
+        }
+    };
+}
+
+module.exports = {
+    createActivityRepository
+};
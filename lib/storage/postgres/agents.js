@@ -0,0 +1,250 @@
+// Agents and tags in PostgreSQL; searches use the agent_search documents kept up to date
+// by the triggers created in schema.js (one row per live agent)
+
+const { NOW } = require('./query');
+const { SEARCH_WEIGHTS } = require('./schema');
+const search = require('../../search');
+
+// Ratings and tags are aggregated in subqueries so that joining both
+// doesn't multiply rating counts by the number of tags; hidden reviews don't count
+// Creator handles are only included once verified
+const AGENT_COLUMNS = `
+    a.*,
+    COALESCE((SELECT AVG(r.stars)::float8 FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL), 0) as avg_rating,
+    (SELECT COUNT(*)::int FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL) as rating_count,
+    (SELECT string_agg(t.name, ',') FROM agent_tags at JOIN tags t ON at.tag_id = t.id WHERE at.agent_id = a.id) as tags,
+    (SELECT o.name FROM agents o WHERE o.id = a.original_agent_id) as original_name,
+    (SELECT o.deleted_at FROM agents o WHERE o.id = a.original_agent_id) as original_deleted_at,
+    (SELECT rl.version FROM agent_releases rl WHERE rl.id = a.latest_release_id) as latest_version,
+    (SELECT rl.version FROM agent_releases rl WHERE rl.id = a.original_release_id) as original_version,
+    (SELECT g.name FROM orgs g WHERE g.id = a.org_id) as org_name,
+    (SELECT c.slug FROM categories c WHERE c.id = a.category_id) as category_slug,
+    (SELECT u.lens_handle FROM users u
+     WHERE u.wallet_address = a.creator_wallet AND u.lens_verified_at IS NOT NULL) as creator_lens_handle,
+    (SELECT u.farcaster_handle FROM users u
+     WHERE u.wallet_address = a.creator_wallet AND u.farcaster_verified_at IS NOT NULL) as creator_farcaster_handle
+`;
+
+// ts_rank weights of the D, C, B and A labels, scaled from search.COLUMN_WEIGHTS
+const RANK_WEIGHTS = (() => {
+    const byLabel = {};
+    Object.keys(SEARCH_WEIGHTS).forEach(column => {
+        byLabel[SEARCH_WEIGHTS[column]] = search.COLUMN_WEIGHTS[column];
+    });
+    const highest = Math.max(...Object.values(byLabel));
+    return `{${['D', 'C', 'B', 'A'].map(label => byLabel[label] / highest).join(', ')}}`;
+})();
+
+const HEADLINE_MARKERS = `StartSel=${search.HIGHLIGHT_START}, StopSel=${search.HIGHLIGHT_END}`;
+
+// Subquery adding relevance, highlighted name and description snippet columns to an
+// agent query, for the tsquery in parameter queryParam; joined as
+// "JOIN (matchSql(...)) s ON s.agent_id = a.id". Ranks are negated so that better
+// matches sort lower, as with bm25 in SQLite
+function matchSql(queryParam) {
+    return `
+        SELECT sd.agent_id,
+               -ts_rank('${RANK_WEIGHTS}', sd.document, tq.query) AS search_rank,
+               ts_headline('simple', sa.name, tq.query, '${HEADLINE_MARKERS}, HighlightAll=true') AS name_highlight,
+               ts_headline('simple', sa.description, tq.query,
+                           '${HEADLINE_MARKERS}, MaxWords=${search.SNIPPET_TOKENS}, MinWords=${Math.floor(search.SNIPPET_TOKENS / 2)}') AS description_snippet
+        FROM agent_search sd
+        JOIN agents sa ON sa.id = sd.agent_id
+        CROSS JOIN to_tsquery('simple', ${queryParam}) tq(query)
+        WHERE sd.document @@ tq.query
+    `;
+}
+
+const EDIT_INSERT = 'INSERT INTO agent_edits (agent_id, wallet_address, field, old_value, new_value) VALUES ($1, $2, $3, $4, $5)';
+
+// tsquery matching all of the search terms (see search.parseSearchTerms); the words of
+// a term follow each other and a prefix term matches its last word as a prefix
+function matchQuery(terms) {
+    return terms.map(term => '(' + term.words.map((word, index) =>
+        word + (term.prefix && index === term.words.length - 1 ? ':*' : '')).join(' <-> ') + ')').join(' & ');
+}
+
+// Statements that replace the tags of an agent, creating tag rows as needed
+function tagStatements(agentId, tags) {
+    const statements = [['DELETE FROM agent_tags WHERE agent_id = $1', [agentId]]];
+
+    tags.forEach(tag => {
+        statements.push(['INSERT INTO tags (name) VALUES ($1) ON CONFLICT (name) DO NOTHING', [tag]]);
+        statements.push([`INSERT INTO agent_tags (agent_id, tag_id) SELECT $1, id FROM tags WHERE name = $2
+                          ON CONFLICT DO NOTHING`, [agentId, tag]]);
+    });
+
+    return statements;
+}
+
+function createAgentsRepository(db) {
+    return {
+        get(id, callback) {
+            db.get(`SELECT ${AGENT_COLUMNS} FROM agents a WHERE a.id = $1`, [id], callback);
+        },
+        list(criteria, order, page, callback) {
+            const conditions = ['a.deleted_at IS NULL'];
+            const params = [];
+            const param = (value) => {
+                params.push(value);
+                return `$${params.length}`;
+            };
+            let searchJoin = '';
+
+            if (criteria.terms.length) {
+                searchJoin = `JOIN (${matchSql(param(matchQuery(criteria.terms)))}) s ON s.agent_id = a.id`;
+            }
+            if (criteria.org_id) {
+                conditions.push(`a.org_id = ${param(criteria.org_id)}`);
+            }
+            if (criteria.creator_wallet) {
+                conditions.push(`a.creator_wallet = ${param(criteria.creator_wallet)}`);
+            }
+            if (criteria.forks !== undefined) {
+                conditions.push(criteria.forks ? 'a.original_agent_id IS NOT NULL' : 'a.original_agent_id IS NULL');
+            }
+            if (criteria.status) {
+                conditions.push(`a.status = ${param(criteria.status)}`);
+            }
+            if (criteria.moderation_status) {
+                conditions.push(`a.moderation_status = ${param(criteria.moderation_status)}`);
+            }
+            // By name or slug; public categories include their subcategories
+            if (criteria.category) {
+                const category = param(criteria.category);
+                conditions.push(`(a.category = ${category} OR a.category_id IN (
+                                     SELECT c.id FROM categories c LEFT JOIN categories p ON p.id = c.parent_id
+                                     WHERE c.owner_wallet IS NULL AND (c.slug = ${category} OR p.slug = ${category} OR p.name = ${category})))`);
+            }
+            if (criteria.tag !== undefined) {
+                conditions.push(`EXISTS (SELECT 1 FROM agent_tags at JOIN tags t ON at.tag_id = t.id
+                                         WHERE at.agent_id = a.id AND t.name = ${param(criteria.tag)})`);
+            }
+            const whereClause = 'WHERE ' + conditions.join(' AND ');
+            const countParams = params.slice();
+
+            db.get(`SELECT COUNT(*)::int as total FROM agents a ${searchJoin} ${whereClause}`, countParams, (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+
+                let afterClause = '';
+                if (page.after) {
+                    afterClause = `WHERE (${order.keys.join(', ')}) < (${page.after.map(param).join(', ')})`;
+                }
+                const limitClause = `LIMIT ${param(page.limit || null)} OFFSET ${param(page.after ? 0 : (page.offset || 0))}`;
+
+                let extraColumns = searchJoin ? ', s.search_rank, s.name_highlight, s.description_snippet' : '';
+                if (order.trendingPeriod) {
+                    extraColumns += `, COALESCE((SELECT tr.score FROM agent_trending tr
+                                                 WHERE tr.agent_id = a.id AND tr.period = '${order.trendingPeriod}'), 0) as trending_score`;
+                }
+
+                db.all(`
+                    SELECT q.*, ${order.keys.map((key, index) => `${key} as sort_key_${index}`).join(', ')}
+                    FROM (
+                        SELECT ${AGENT_COLUMNS}${extraColumns}
+                        FROM agents a
+                        ${searchJoin}
+                        ${whereClause}
+                    ) q
+                    ${afterClause}
+                    ORDER BY ${order.keys.map(key => `${key} DESC`).join(', ')}
+                    ${limitClause}
+                `, params, (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        },
+        create(fields, callback) {
+            db.get(`INSERT INTO agents (name, description, category, category_id, link, ipfs_hash, creator_wallet,
+                                        original_agent_id, is_premium, org_id, status, license, spec, original_release_id,
+                                        moderation_status)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                    RETURNING id`,
+            [fields.name, fields.description, fields.category, fields.category_id || null, fields.link || null, fields.ipfs_hash || null,
+                fields.creator_wallet || null, fields.original_agent_id || null, fields.is_premium ? 1 : 0,
+                fields.org_id || null, fields.status === 'draft' ? 'draft' : 'published', fields.license || null,
+                fields.spec || null, fields.original_agent_id && fields.original_release_id || null,
+                fields.moderation_status || 'approved'], (err, row) => callback(err, err ? null : row.id));
+        },
+        incrementForkCount(id, callback) {
+            db.run('UPDATE agents SET fork_count = fork_count + 1 WHERE id = $1', [id], (err) => callback(err || null));
+        },
+        update(current, fields, changes, editorWallet, callback) {
+            const statements = [[
+                `UPDATE agents SET name = $1, description = $2, category = $3, category_id = $4, link = $5, ipfs_hash = $6,
+                                   is_premium = $7, spec = $8,
+                                   moderation_status = CASE moderation_status WHEN 'hidden' THEN 'pending' ELSE moderation_status END
+                 WHERE id = $9`,
+                [fields.name, fields.description, fields.category,
+                    fields.category_id !== undefined ? fields.category_id : current.category_id, fields.link, fields.ipfs_hash || null,
+                    fields.is_premium ? 1 : 0, fields.spec !== undefined ? fields.spec : current.spec, current.id]
+            ]];
+            if (fields.tags) {
+                statements.push(...tagStatements(current.id, fields.tags));
+            }
+            changes.forEach(change => {
+                statements.push([EDIT_INSERT, [current.id, editorWallet, change.field, change.old_value, change.new_value]]);
+            });
+
+            db.runInTransaction(statements, callback);
+        },
+        publish(agent, editorWallet, callback) {
+            db.runInTransaction([
+                [`UPDATE agents SET status = 'published' WHERE id = $1`, [agent.id]],
+                [EDIT_INSERT, [agent.id, editorWallet, 'status', agent.status, 'published']]
+            ], callback);
+        },
+        markDeleted(agent, editorWallet, tombstoneName, callback) {
+            const statements = [
+                ['DELETE FROM ratings WHERE agent_id = $1', [agent.id]],
+                ['DELETE FROM agent_tags WHERE agent_id = $1', [agent.id]],
+                ['DELETE FROM agent_releases WHERE agent_id = $1', [agent.id]],
+                [`UPDATE agents SET name = $1, description = '', link = NULL, ipfs_hash = NULL, is_premium = 0,
+                                    license = NULL, spec = NULL, latest_release_id = NULL, deleted_at = ${NOW}
+                  WHERE id = $2`, [tombstoneName, agent.id]],
+                [EDIT_INSERT, [agent.id, editorWallet, 'deleted', agent.name, null]]
+            ];
+            if (agent.original_agent_id) {
+                statements.push(['UPDATE agents SET fork_count = GREATEST(fork_count - 1, 0) WHERE id = $1', [agent.original_agent_id]]);
+            }
+
+            db.runInTransaction(statements, callback);
+        },
+        listEdits(agentId, callback) {
+            db.all(`SELECT id, agent_id, wallet_address, field, old_value, new_value, created_at
+                    FROM agent_edits
+                    WHERE agent_id = $1
+                    ORDER BY created_at DESC, id DESC`, [agentId], callback);
+        },
+        countRecentByCreator(walletAddress, hours, callback) {
+            db.get(`SELECT COUNT(*)::int as count, EXTRACT(EPOCH FROM MIN(created_at))::int as oldest
+                    FROM agents WHERE creator_wallet = $1 AND created_at > ${NOW} - make_interval(hours => $2)`,
+            [walletAddress, hours], callback);
+        },
+        listLiveByCreator(walletAddress, exceptId, callback) {
+            db.all(`SELECT id, name, link, description FROM agents
+                    WHERE creator_wallet = $1 AND deleted_at IS NULL AND id IS DISTINCT FROM $2
+                    ORDER BY id DESC`, [walletAddress, exceptId || null], callback);
+        }
+    };
+}
+
+function createTagsRepository(db) {
+    return {
+        setForAgent(agentId, names, callback) {
+            db.runInTransaction(tagStatements(agentId, names), callback);
+        },
+        listForAgent(agentId, callback) {
+            db.all(`SELECT t.name FROM agent_tags at JOIN tags t ON t.id = at.tag_id
+                    WHERE at.agent_id = $1 ORDER BY t.name`, [agentId], (err, rows) => {
+                callback(err, err ? null : rows.map(row => row.name));
+            });
+        }
+    };
+}
+
+module.exports = {
+    AGENT_COLUMNS,
+    createAgentsRepository,
+    createTagsRepository
+};
@@ -0,0 +1,92 @@
+// Public and private categories in PostgreSQL. Changes to public categories take their
+// audit entries (see moderation.js), written in the same transaction as the change
+
+const { isUniqueViolation } = require('./query');
+const { auditStatement } = require('./moderation');
+
+// Agents counted in a category are the ones browse lists
+const LISTED_AGENT = `a.deleted_at IS NULL AND a.status = 'published' AND a.moderation_status = 'approved'`;
+
+const CATEGORY_COLUMNS = `
+    c.id, c.slug, c.name, c.description, c.icon, c.parent_id, c.owner_wallet, c.position, c.created_at,
+    (SELECT COUNT(*)::int FROM agents a WHERE a.category_id = c.id AND ${LISTED_AGENT}) as agent_count
+`;
+
+function createCategoriesRepository(db) {
+    return {
+        list(walletAddress, callback) {
+            db.all(`SELECT ${CATEGORY_COLUMNS}
+                    FROM categories c
+                    WHERE c.owner_wallet IS NULL OR c.owner_wallet = $1
+                    ORDER BY c.owner_wallet IS NOT NULL, c.position, lower(c.name)`, [walletAddress || null], callback);
+        },
+        get(id, callback) {
+            db.get(`SELECT ${CATEGORY_COLUMNS},
+                           (SELECT p.name FROM categories p WHERE p.id = c.parent_id) as parent_name,
+                           (SELECT COUNT(*)::int FROM categories s WHERE s.parent_id = c.id) as child_count,
+                           (SELECT COUNT(*)::int FROM agents a WHERE a.category_id = c.id AND a.deleted_at IS NULL) as used_count
+                    FROM categories c
+                    WHERE c.id = $1`, [id], callback);
+        },
+        findPublicByName(name, callback) {
+            db.get('SELECT id, name FROM categories WHERE owner_wallet IS NULL AND lower(name) = lower($1)', [name], callback);
+        },
+        ensurePrivate(name, walletAddress, callback) {
+            db.run('INSERT INTO categories (name, owner_wallet) VALUES ($1, $2) ON CONFLICT DO NOTHING', [name, walletAddress], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.get('SELECT id, name FROM categories WHERE owner_wallet = $1 AND lower(name) = lower($2)', [walletAddress, name], callback);
+            });
+        },
+        create(fields, ownerWallet, entries, callback) {
+            db.transaction((tx, done) => {
+                tx.get(`INSERT INTO categories (slug, name, description, icon, parent_id, owner_wallet, position)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+                [fields.slug, fields.name, fields.description, fields.icon, fields.parent_id, ownerWallet || null, fields.position], (err, category) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    tx.sequence(entries.map(entry => auditStatement(Object.assign({}, entry, { category_id: category.id }))),
+                        (auditErr) => done(auditErr, category.id));
+                });
+            }, (err, categoryId) => {
+                if (isUniqueViolation(err)) {
+                    return callback(null, null);
+                }
+                callback(err, err ? null : categoryId);
+            });
+        },
+        update(current, fields, entries, callback) {
+            const statements = [[
+                'UPDATE categories SET slug = $1, name = $2, description = $3, icon = $4, parent_id = $5, position = $6 WHERE id = $7',
+                [fields.slug, fields.name, fields.description, fields.icon, fields.parent_id, fields.position, current.id]
+            ]];
+            if (fields.name !== current.name) {
+                statements.push(['UPDATE agents SET category = $1 WHERE category_id = $2', [fields.name, current.id]]);
+            }
+            db.runInTransaction(statements.concat(entries.map(auditStatement)), (err) => {
+                if (isUniqueViolation(err)) {
+                    return callback(null, false);
+                }
+                callback(err, !err);
+            });
+        },
+        remove(category, replacement, entries, callback) {
+            const statements = [];
+            if (replacement) {
+                statements.push(['UPDATE agents SET category_id = $1, category = $2 WHERE category_id = $3 AND deleted_at IS NULL',
+                    [replacement.id, replacement.name, category.id]]);
+            }
+            statements.push(
+                ['UPDATE agents SET category_id = $1 WHERE category_id = $2', [replacement ? replacement.id : null, category.id]],
+                ['DELETE FROM categories WHERE id = $1', [category.id]]
+            );
+            db.runInTransaction(statements.concat(entries.map(auditStatement)), callback);
+        }
+    };
+}
+
+module.exports = {
+    createCategoriesRepository
+};
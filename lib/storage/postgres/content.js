@@ -0,0 +1,29 @@
+// The CIDs of published agent content in PostgreSQL
+
+function createContentRepository(db) {
+    return {
+        setAgentContent(agentId, contentCid, ipfsVerified, callback) {
+            db.runInTransaction([
+                ['UPDATE agents SET content_cid = $1, ipfs_verified = $2 WHERE id = $3', [contentCid, ipfsVerified, agentId]],
+                ['INSERT INTO agent_contents (cid, agent_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [contentCid, agentId]]
+            ], callback);
+        },
+        clearAgentContent(agentId, callback) {
+            db.run('UPDATE agents SET content_cid = NULL, ipfs_verified = NULL WHERE id = $1', [agentId],
+                (err) => callback(err || null));
+        },
+        listAgentIdsWithoutContent(callback) {
+            db.all(`SELECT id FROM agents WHERE content_cid IS NULL AND deleted_at IS NULL AND status = 'published' ORDER BY id`, [],
+                (err, rows) => callback(err, err ? null : rows.map(row => row.id)));
+        },
+        listAgents(contentCid, callback) {
+            db.all(`SELECT a.id, a.creator_wallet, a.is_premium, a.status, a.moderation_status, a.deleted_at
+                    FROM agent_contents c JOIN agents a ON a.id = c.agent_id
+                    WHERE c.cid = $1`, [contentCid], callback);
+        }
+    };
+}
+
+module.exports = {
+    createContentRepository
+};
@@ -0,0 +1,32 @@
+// Creator profile stats in PostgreSQL
+
+// Published, approved and not deleted agents of the creator (a in the subqueries below)
+const PUBLIC_AGENT = `a.creator_wallet = w.wallet_address AND a.deleted_at IS NULL AND a.status = 'published'
+    AND a.moderation_status = 'approved'`;
+
+function createCreatorsRepository(db) {
+    return {
+        getProfile(walletAddress, callback) {
+            db.get(`
+                SELECT
+                    w.wallet_address,
+                    u.created_at as member_since,
+                    CASE WHEN u.lens_verified_at IS NOT NULL THEN u.lens_handle END as creator_lens_handle,
+                    CASE WHEN u.farcaster_verified_at IS NOT NULL THEN u.farcaster_handle END as creator_farcaster_handle,
+                    (SELECT COUNT(*)::int FROM agents a WHERE ${PUBLIC_AGENT} AND a.original_agent_id IS NULL) as agents_count,
+                    (SELECT COUNT(*)::int FROM agents a WHERE ${PUBLIC_AGENT} AND a.original_agent_id IS NOT NULL) as forks_count,
+                    (SELECT COALESCE(SUM(a.fork_count), 0)::int FROM agents a WHERE ${PUBLIC_AGENT}) as forks_received,
+                    (SELECT AVG(r.stars)::float8 FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE ${PUBLIC_AGENT} AND r.hidden_at IS NULL) as average_rating,
+                    (SELECT COUNT(*)::int FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE ${PUBLIC_AGENT} AND r.hidden_at IS NULL) as ratings_count
+                FROM (SELECT $1::text as wallet_address) w
+                LEFT JOIN users u ON u.wallet_address = w.wallet_address
+            `, [walletAddress], callback);
+        }
+    };
+}
+
+module.exports = {
+    createCreatorsRepository
+};
@@ -0,0 +1,60 @@
+// Account dashboard queries for a single wallet in PostgreSQL
+
+const { NOW } = require('./query');
+const { AGENT_COLUMNS } = require('./agents');
+
+function createDashboardRepository(db) {
+    return {
+        walletStats(walletAddress, callback) {
+            db.get(`
+                SELECT
+                    (SELECT COUNT(*)::int FROM agents
+                     WHERE creator_wallet = $1 AND deleted_at IS NULL AND original_agent_id IS NULL) as agents_created,
+                    (SELECT COUNT(*)::int FROM agents
+                     WHERE creator_wallet = $1 AND deleted_at IS NULL AND original_agent_id IS NOT NULL) as forks_made,
+                    (SELECT COUNT(*)::int FROM ratings WHERE wallet_address = $1) as ratings_given,
+                    (SELECT COALESCE(SUM(fork_count), 0)::int FROM agents
+                     WHERE creator_wallet = $1 AND deleted_at IS NULL) as forks_received,
+                    (SELECT AVG(r.stars)::float8 FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE a.creator_wallet = $1 AND a.deleted_at IS NULL AND r.hidden_at IS NULL) as average_rating_received,
+                    (SELECT COUNT(*)::int FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE a.creator_wallet = $1 AND a.deleted_at IS NULL AND r.hidden_at IS NULL) as ratings_received
+            `, [walletAddress], callback);
+        },
+        listWalletAgents(walletAddress, forks, limit, offset, callback) {
+            const forkCondition = forks ? 'a.original_agent_id IS NOT NULL' : 'a.original_agent_id IS NULL';
+            const whereClause = `WHERE a.creator_wallet = $1 AND a.deleted_at IS NULL AND ${forkCondition}`;
+
+            db.get(`SELECT COUNT(*)::int as total FROM agents a ${whereClause}`, [walletAddress], (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT ${AGENT_COLUMNS}
+                        FROM agents a
+                        ${whereClause}
+                        ORDER BY a.created_at DESC, a.id DESC
+                        LIMIT $2 OFFSET $3`, [walletAddress, limit, offset], (err, rows) => {
+                    callback(err, rows, err ? 0 : count.total);
+                });
+            });
+        },
+        walletAnalytics(walletAddress, days, callback) {
+            db.all(`
+                SELECT a.id, a.name, a.is_premium,
+                       COUNT(*) FILTER (WHERE e.event_type = 'view')::int as views,
+                       COUNT(*) FILTER (WHERE e.event_type = 'link_click')::int as link_clicks,
+                       COUNT(*) FILTER (WHERE e.event_type = 'fork')::int as forks,
+                       COUNT(*) FILTER (WHERE e.event_type = 'rating')::int as ratings
+                FROM agents a
+                LEFT JOIN agent_events e ON e.agent_id = a.id AND e.created_at >= ${NOW} - make_interval(days => $1)
+                WHERE a.creator_wallet = $2 AND a.deleted_at IS NULL
+                GROUP BY a.id
+                ORDER BY views DESC, a.id DESC
+            `, [days, walletAddress], callback);
+        }
+    };
+}
+
+module.exports = {
+    createDashboardRepository
+};
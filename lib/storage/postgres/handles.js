@@ -0,0 +1,54 @@
+// Profile handles and their verification challenges in PostgreSQL
+// columns is { handleColumn, verifiedColumn }: where a network's handle lives on users
+
+const { NOW } = require('./query');
+
+function createHandlesRepository(db) {
+    return {
+        update(walletAddress, changes, callback) {
+            db.runInTransaction(changes.map(({ columns, handle }) => {
+                const { handleColumn, verifiedColumn } = columns;
+                return [`UPDATE users SET ${handleColumn} = $1,
+                                          ${verifiedColumn} = CASE WHEN ${handleColumn} IS NOT DISTINCT FROM $1 THEN ${verifiedColumn} ELSE NULL END
+                         WHERE wallet_address = $2`, [handle, walletAddress]];
+            }), callback);
+        },
+        getHandle(walletAddress, columns, callback) {
+            db.get(`SELECT ${columns.handleColumn} as handle FROM users WHERE wallet_address = $1`, [walletAddress],
+                (err, user) => callback(err, user ? user.handle : null));
+        },
+        createChallenge(challenge, ttlMinutes, callback) {
+            db.transaction((tx, done) => {
+                tx.run(`DELETE FROM handle_challenges WHERE expires_at <= ${NOW}`, [], (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    tx.get(`INSERT INTO handle_challenges (wallet_address, network, handle, statement, expires_at)
+                            VALUES ($1, $2, $3, $4, ${NOW} + make_interval(mins => $5))
+                            RETURNING network, handle, statement, expires_at`,
+                    [challenge.walletAddress, challenge.network, challenge.handle, challenge.statement, ttlMinutes], done);
+                });
+            }, callback);
+        },
+        findOpenChallenge(walletAddress, network, columns, callback) {
+            db.get(`SELECT c.*, u.${columns.handleColumn} as current_handle
+                    FROM handle_challenges c JOIN users u ON u.wallet_address = c.wallet_address
+                    WHERE c.wallet_address = $1 AND c.network = $2 AND c.used_at IS NULL AND c.expires_at > ${NOW}
+                    ORDER BY c.id DESC LIMIT 1`, [walletAddress, network], callback);
+        },
+        completeChallenge(challenge, resolverName, columns, callback) {
+            const { handleColumn, verifiedColumn } = columns;
+            db.runInTransaction([
+                [`UPDATE handle_challenges SET used_at = ${NOW}, resolver = $1 WHERE id = $2`, [resolverName, challenge.id]],
+                [`UPDATE users SET ${verifiedColumn} = NULL WHERE ${handleColumn} = $1 AND wallet_address <> $2`,
+                    [challenge.handle, challenge.wallet_address]],
+                [`UPDATE users SET ${verifiedColumn} = ${NOW} WHERE wallet_address = $1 AND ${handleColumn} = $2`,
+                    [challenge.wallet_address, challenge.handle]]
+            ], callback);
+        }
+    };
+}
+
+module.exports = {
+    createHandlesRepository
+};
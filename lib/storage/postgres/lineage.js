@@ -0,0 +1,44 @@
+// Fork lineage queries in PostgreSQL
+
+const NODE_COLUMNS = `
+    a.id, a.name, a.category, a.creator_wallet, a.original_agent_id, a.fork_count, a.is_premium, a.created_at, a.deleted_at,
+    COALESCE((SELECT AVG(r.stars)::float8 FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL), 0) as avg_rating,
+    (SELECT COUNT(*)::int FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL) as rating_count
+`;
+
+function createLineageRepository(db) {
+    return {
+        ancestors(agentId, maxDepth, callback) {
+            db.all(`
+                WITH RECURSIVE ancestors(id, depth) AS (
+                    SELECT original_agent_id, 1 FROM agents WHERE id = $1 AND original_agent_id IS NOT NULL
+                    UNION ALL
+                    SELECT a.original_agent_id, ancestors.depth + 1
+                    FROM agents a JOIN ancestors ON a.id = ancestors.id
+                    WHERE a.original_agent_id IS NOT NULL AND ancestors.depth < $2
+                )
+                SELECT ${NODE_COLUMNS}, ancestors.depth
+                FROM ancestors JOIN agents a ON a.id = ancestors.id
+                ORDER BY ancestors.depth DESC
+            `, [agentId, maxDepth], callback);
+        },
+        descendants(agentId, maxDepth, callback) {
+            db.all(`
+                WITH RECURSIVE descendants(id, depth) AS (
+                    SELECT id, 1 FROM agents WHERE original_agent_id = $1 AND status = 'published' AND moderation_status = 'approved'
+                    UNION ALL
+                    SELECT a.id, descendants.depth + 1
+                    FROM agents a JOIN descendants ON a.original_agent_id = descendants.id
+                    WHERE a.status = 'published' AND a.moderation_status = 'approved' AND descendants.depth < $2
+                )
+                SELECT ${NODE_COLUMNS}, descendants.depth
+                FROM descendants JOIN agents a ON a.id = descendants.id
+                ORDER BY descendants.depth, a.created_at, a.id
+            `, [agentId, maxDepth], callback);
+        }
+    };
+}
+
+module.exports = {
+    createLineageRepository
+};
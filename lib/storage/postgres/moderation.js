@@ -0,0 +1,163 @@
+// Abuse reports, moderation state, bans, admins and the audit log in PostgreSQL
+// Every moderator action takes an audit entry ({ actor_wallet, action, agent_id, rating_id,
+// report_id, target_wallet, category_id, category_name, reason }), written in the same
+// transaction as the action
+
+const { NOW, isUniqueViolation } = require('./query');
+
+const REPORT_COLUMNS = `
+    rp.id, rp.agent_id, rp.rating_id, rp.reporter_wallet, rp.reason, rp.details, rp.status,
+    rp.resolved_by, rp.resolved_at, rp.created_at,
+    a.name as agent_name, a.creator_wallet as agent_creator_wallet, a.moderation_status as agent_moderation_status,
+    r.stars as rating_stars, r.comment as rating_comment, r.wallet_address as rating_wallet, r.hidden_at as rating_hidden_at
+`;
+
+function auditStatement(entry) {
+    return [`INSERT INTO audit_log (actor_wallet, action, agent_id, rating_id, report_id, target_wallet,
+                                    category_id, category_name, reason)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [entry.actor_wallet, entry.action, entry.agent_id || null, entry.rating_id || null, entry.report_id || null,
+        entry.target_wallet || null, entry.category_id || null, entry.category_name || null, entry.reason || null]];
+}
+
+// Closes the open reports on an agent (ratingId null) or one of its reviews
+function closeReportsStatement(agentId, ratingId, status, moderatorWallet) {
+    return [`UPDATE reports SET status = $1, resolved_by = $2, resolved_at = ${NOW}
+             WHERE agent_id = $3 AND rating_id IS NOT DISTINCT FROM $4 AND status = 'open'`, [status, moderatorWallet, agentId, ratingId]];
+}
+
+function createModerationRepository(db) {
+    return {
+        createReport(report, callback) {
+            db.get('INSERT INTO reports (agent_id, rating_id, reporter_wallet, reason, details) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+                [report.agent_id, report.rating_id || null, report.reporter_wallet, report.reason, report.details || null], (err, row) => {
+                    if (isUniqueViolation(err)) {
+                        return callback(null, null);
+                    }
+                    callback(err, err ? null : row.id);
+                });
+        },
+        getReport(id, callback) {
+            db.get(`SELECT ${REPORT_COLUMNS}
+                    FROM reports rp JOIN agents a ON a.id = rp.agent_id LEFT JOIN ratings r ON r.id = rp.rating_id
+                    WHERE rp.id = $1`, [id], callback);
+        },
+        listReports(status, limit, offset, callback) {
+            db.get('SELECT COUNT(*)::int as total FROM reports WHERE status = $1', [status], (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT ${REPORT_COLUMNS}
+                        FROM reports rp JOIN agents a ON a.id = rp.agent_id LEFT JOIN ratings r ON r.id = rp.rating_id
+                        WHERE rp.status = $1
+                        ORDER BY rp.id ${status === 'open' ? 'ASC' : 'DESC'}
+                        LIMIT $2 OFFSET $3`, [status, limit, offset], (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        },
+        dismissReport(reportId, entry, callback) {
+            db.runInTransaction([
+                [`UPDATE reports SET status = 'dismissed', resolved_by = $1, resolved_at = ${NOW} WHERE id = $2`,
+                    [entry.actor_wallet, reportId]],
+                auditStatement(entry)
+            ], callback);
+        },
+        setAgentStatus(agentId, status, reason, reportStatus, entry, callback) {
+            db.runInTransaction([
+                ['UPDATE agents SET moderation_status = $1, moderation_reason = $2 WHERE id = $3', [status, reason, agentId]],
+                closeReportsStatement(agentId, null, reportStatus, entry.actor_wallet),
+                auditStatement(entry)
+            ], callback);
+        },
+        setRatingHidden(rating, hidden, reportStatus, entry, callback) {
+            db.runInTransaction([
+                [`UPDATE ratings SET hidden_at = ${hidden ? NOW : 'NULL'} WHERE id = $1`, [rating.id]],
+                closeReportsStatement(rating.agent_id, rating.id, reportStatus, entry.actor_wallet),
+                auditStatement(entry)
+            ], callback);
+        },
+        getUserStatus(walletAddress, callback) {
+            db.get('SELECT wallet_address, role, banned_at, banned_reason FROM users WHERE wallet_address = $1', [walletAddress], callback);
+        },
+        ban(walletAddress, hideContent, entry, callback) {
+            const moderatorWallet = entry.actor_wallet;
+            const note = entry.reason || null;
+            const statements = [
+                ['INSERT INTO users (wallet_address) VALUES ($1) ON CONFLICT DO NOTHING', [walletAddress]],
+                [`UPDATE users SET banned_at = ${NOW}, banned_reason = $1 WHERE wallet_address = $2`, [note, walletAddress]],
+                [`UPDATE sessions SET revoked_at = ${NOW} WHERE wallet_address = $1 AND revoked_at IS NULL`, [walletAddress]],
+                auditStatement(entry)
+            ];
+
+            if (hideContent) {
+                const listedAgents = (param) => `creator_wallet = ${param} AND deleted_at IS NULL AND moderation_status IN ('pending', 'approved')`;
+                statements.push(
+                    [`INSERT INTO audit_log (actor_wallet, action, agent_id, target_wallet, reason)
+                      SELECT $1, 'hide_agent', id, creator_wallet, $2 FROM agents WHERE ${listedAgents('$3')}`, [moderatorWallet, note, walletAddress]],
+                    [`UPDATE reports SET status = 'resolved', resolved_by = $1, resolved_at = ${NOW}
+                      WHERE status = 'open' AND rating_id IS NULL AND agent_id IN (SELECT id FROM agents WHERE ${listedAgents('$2')})`,
+                    [moderatorWallet, walletAddress]],
+                    [`UPDATE agents SET moderation_status = 'hidden', moderation_reason = $1 WHERE ${listedAgents('$2')}`, [note, walletAddress]],
+                    [`INSERT INTO audit_log (actor_wallet, action, agent_id, rating_id, target_wallet, reason)
+                      SELECT $1, 'hide_rating', agent_id, id, wallet_address, $2 FROM ratings WHERE wallet_address = $3 AND hidden_at IS NULL`,
+                    [moderatorWallet, note, walletAddress]],
+                    [`UPDATE reports SET status = 'resolved', resolved_by = $1, resolved_at = ${NOW}
+                      WHERE status = 'open' AND rating_id IN (SELECT id FROM ratings WHERE wallet_address = $2 AND hidden_at IS NULL)`,
+                    [moderatorWallet, walletAddress]],
+                    [`UPDATE ratings SET hidden_at = ${NOW} WHERE wallet_address = $1 AND hidden_at IS NULL`, [walletAddress]]
+                );
+            }
+
+            db.runInTransaction(statements, callback);
+        },
+        unban(walletAddress, entry, callback) {
+            db.runInTransaction([
+                ['UPDATE users SET banned_at = NULL, banned_reason = NULL WHERE wallet_address = $1', [walletAddress]],
+                auditStatement(entry)
+            ], callback);
+        },
+        listBanned(callback) {
+            db.all(`SELECT wallet_address, banned_at, banned_reason FROM users
+                    WHERE banned_at IS NOT NULL ORDER BY banned_at DESC, id DESC`, [], callback);
+        },
+        setRole(walletAddress, role, entry, callback) {
+            db.runInTransaction([
+                ['UPDATE users SET role = $1 WHERE wallet_address = $2', [role, walletAddress]],
+                auditStatement(entry)
+            ], callback);
+        },
+        listAdmins(callback) {
+            db.all(`SELECT wallet_address, last_login FROM users WHERE role = 'admin' ORDER BY wallet_address`, [], callback);
+        },
+        listAuditLog(filters, limit, offset, callback) {
+            const conditions = [];
+            const params = [];
+            if (filters.action) {
+                params.push(filters.action);
+                conditions.push(`l.action = $${params.length}`);
+            }
+            if (filters.agent_id) {
+                params.push(filters.agent_id);
+                conditions.push(`l.agent_id = $${params.length}`);
+            }
+            const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            db.get(`SELECT COUNT(*)::int as total FROM audit_log l ${whereClause}`, params, (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT l.id, l.actor_wallet, l.action, l.agent_id, l.rating_id, l.report_id, l.target_wallet,
+                               l.category_id, l.category_name, l.reason, l.created_at, a.name as agent_name
+                        FROM audit_log l LEFT JOIN agents a ON a.id = l.agent_id
+                        ${whereClause}
+                        ORDER BY l.id DESC
+                        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`, params.concat(limit, offset),
+                (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        }
+    };
+}
+
+module.exports = {
+    auditStatement,
+    createModerationRepository
+};
@@ -0,0 +1,87 @@
+// Organisations, their members and invites in PostgreSQL
+
+const { NOW } = require('./query');
+
+function createOrgsRepository(db) {
+    return {
+        create(name, ownerWallet, callback) {
+            db.transaction((tx, done) => {
+                tx.get('INSERT INTO orgs (name, owner_wallet) VALUES ($1, $2) RETURNING id', [name, ownerWallet], (err, org) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    tx.run(`INSERT INTO org_members (org_id, wallet_address, role) VALUES ($1, $2, 'owner')`, [org.id, ownerWallet],
+                        (memberErr) => done(memberErr, org.id));
+                });
+            }, (err, orgId) => callback(err, err ? null : orgId));
+        },
+        get(orgId, callback) {
+            db.get(`SELECT o.*, (SELECT COUNT(*)::int FROM org_members m WHERE m.org_id = o.id) as member_count
+                    FROM orgs o WHERE o.id = $1`, [orgId], callback);
+        },
+        listForWallet(walletAddress, callback) {
+            db.all(`SELECT o.id, o.name, o.owner_wallet, o.created_at, m.role,
+                           (SELECT COUNT(*)::int FROM org_members c WHERE c.org_id = o.id) as member_count
+                    FROM org_members m JOIN orgs o ON o.id = m.org_id
+                    WHERE m.wallet_address = $1
+                    ORDER BY o.name`, [walletAddress], callback);
+        },
+        getMembership(orgId, walletAddress, callback) {
+            db.get('SELECT org_id, wallet_address, role, joined_at FROM org_members WHERE org_id = $1 AND wallet_address = $2',
+                [orgId, walletAddress], callback);
+        },
+        listMembers(orgId, callback) {
+            db.all(`SELECT wallet_address, role, joined_at FROM org_members
+                    WHERE org_id = $1
+                    ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, joined_at`, [orgId], callback);
+        },
+        setMemberRole(orgId, walletAddress, role, callback) {
+            db.run(`UPDATE org_members SET role = $1 WHERE org_id = $2 AND wallet_address = $3 AND role <> 'owner'`,
+                [role, orgId, walletAddress], (err, count) => callback(err, count > 0));
+        },
+        removeMember(orgId, walletAddress, callback) {
+            db.run(`DELETE FROM org_members WHERE org_id = $1 AND wallet_address = $2 AND role <> 'owner'`,
+                [orgId, walletAddress], (err, count) => callback(err, count > 0));
+        },
+        createInvite(invite, ttlDays, callback) {
+            db.get(`INSERT INTO org_invites (org_id, token_hash, wallet_address, role, invited_by, expires_at)
+                    VALUES ($1, $2, $3, $4, $5, ${NOW} + make_interval(days => $6))
+                    RETURNING id, expires_at`,
+            [invite.org_id, invite.token_hash, invite.wallet_address || null, invite.role, invite.invited_by, ttlDays], callback);
+        },
+        listInvites(orgId, callback) {
+            db.all(`SELECT id, wallet_address, role, invited_by, expires_at, created_at FROM org_invites
+                    WHERE org_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ${NOW}
+                    ORDER BY created_at DESC, id DESC`, [orgId], callback);
+        },
+        revokeInvite(orgId, inviteId, callback) {
+            db.run(`UPDATE org_invites SET revoked_at = ${NOW}
+                    WHERE id = $1 AND org_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+            [inviteId, orgId], (err, count) => callback(err, count > 0));
+        },
+        getInvite(tokenHash, callback) {
+            db.get(`SELECT i.*, o.name as org_name, o.owner_wallet FROM org_invites i JOIN orgs o ON o.id = i.org_id
+                    WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > ${NOW}`,
+            [tokenHash], callback);
+        },
+        // The membership is only added if this call is the one that consumed the invite; a
+        // concurrent acceptance waits on the row lock and then finds it accepted. Calls back
+        // with (err, accepted)
+        acceptInvite(invite, walletAddress, callback) {
+            db.transaction((tx, done) => {
+                tx.run(`UPDATE org_invites SET accepted_at = ${NOW}, accepted_by = $1
+                        WHERE id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`, [walletAddress, invite.id], (err, count) => {
+                    if (err || !count) {
+                        return done(err, false);
+                    }
+                    tx.run('INSERT INTO org_members (org_id, wallet_address, role) VALUES ($1, $2, $3)',
+                        [invite.org_id, walletAddress, invite.role], (memberErr) => done(memberErr, true));
+                });
+            }, (err, accepted) => callback(err, !err && accepted));
+        }
+    };
+}
+
+module.exports = {
+    createOrgsRepository
+};
@@ -0,0 +1,109 @@
+// Callback helpers over a pg pool, shaped like the sqlite3 calls the SQLite repositories
+// make, so both backends read alike
+
+const pg = require('pg');
+
+// Columns are TIMESTAMP (UTC, without a time zone) and read back as the text Postgres
+// sends, which is the format SQLite stores
+const TIMESTAMP_OID = 1114;
+
+// CURRENT_TIMESTAMP of SQLite: UTC, whole seconds
+const NOW = `date_trunc('second', now() AT TIME ZONE 'UTC')`;
+
+// SQLSTATE of unique constraint violations
+const UNIQUE_VIOLATION = '23505';
+
+function isUniqueViolation(err) {
+    return !!err && err.code === UNIQUE_VIOLATION;
+}
+
+// Query functions over anything with query(sql, params, callback): the pool, or the
+// client of a transaction
+function queries(target) {
+    // Calls back with (err, rows)
+    function all(sql, params, callback) {
+        target.query(sql, params, (err, result) => callback(err, err ? null : result.rows));
+    }
+
+    // Calls back with (err, row) where row is undefined when there is none
+    function get(sql, params, callback) {
+        target.query(sql, params, (err, result) => callback(err, err ? undefined : result.rows[0]));
+    }
+
+    // Calls back with (err, count) where count is the number of rows changed
+    function run(sql, params, callback) {
+        target.query(sql, params, (err, result) => callback(err, err ? 0 : result.rowCount));
+    }
+
+    // Run [sql, params] statements one after another, stopping at the first error
+    function sequence(statements, callback) {
+        let index = 0;
+        const next = (err) => {
+            if (err || index === statements.length) {
+                return callback(err || null);
+            }
+            const [sql, params] = statements[index++];
+            target.query(sql, params, (queryErr) => next(queryErr));
+        };
+        next(null);
+    }
+
+    return { all, get, run, sequence };
+}
+
+// Open a pool on a database URL; calls come back as with sqlite3, see queries()
+function createDatabase(connectionString) {
+    const types = new pg.TypeOverrides();
+    types.setTypeParser(TIMESTAMP_OID, value => value);
+    const pool = new pg.Pool({ connectionString, types });
+
+    // An idle connection that breaks is replaced on the next query
+    pool.on('error', (err) => {
+        console.error('PostgreSQL connection error:', err.message);
+    });
+
+    // Run work(tx, done) in a transaction on one connection, where tx has the query
+    // functions; it commits when done is called without an error and rolls back otherwise.
+    // Calls back with the arguments given to done
+    function transaction(work, callback) {
+        pool.connect((connectErr, client, release) => {
+            if (connectErr) {
+                return callback(connectErr);
+            }
+            const finish = (...args) => {
+                release();
+                callback(...args);
+            };
+            client.query('BEGIN', (beginErr) => {
+                if (beginErr) {
+                    return finish(beginErr);
+                }
+                work(queries(client), (err, ...results) => {
+                    if (err) {
+                        return client.query('ROLLBACK', () => finish(err));
+                    }
+                    client.query('COMMIT', (commitErr) => commitErr ? finish(commitErr) : finish(null, ...results));
+                });
+            });
+        });
+    }
+
+    // Run [sql, params] statements in one transaction
+    function runInTransaction(statements, callback) {
+        transaction((tx, done) => tx.sequence(statements, done), callback);
+    }
+
+    return Object.assign(queries(pool), {
+        transaction,
+        runInTransaction,
+        close(callback) {
+            pool.end(() => callback(null));
+        }
+    });
+}
+
+module.exports = {
+    NOW,
+    isUniqueViolation,
+    createDatabase
+};
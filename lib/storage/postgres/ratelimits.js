@@ -0,0 +1,27 @@
+// Rate limit token buckets in PostgreSQL
+
+function createRateLimitsRepository(db) {
+    return {
+        take(key, bucket, now, callback) {
+            const refilled = `LEAST($4, rate_limits.tokens + GREATEST(excluded.updated_at - rate_limits.updated_at, 0) / $5)`;
+
+            db.run(`INSERT INTO rate_limits (bucket_key, tokens, updated_at) VALUES ($1, $2, $3)
+                    ON CONFLICT (bucket_key) DO UPDATE SET tokens = ${refilled} - 1, updated_at = excluded.updated_at
+                    WHERE ${refilled} >= 1`,
+            [key, bucket.capacity - 1, now, bucket.capacity, bucket.refillSeconds], (err, count) => {
+                if (err || count === 1) {
+                    return callback(err, !err);
+                }
+                db.get('SELECT tokens, updated_at FROM rate_limits WHERE bucket_key = $1', [key],
+                    (getErr, state) => callback(getErr, false, state));
+            });
+        },
+        prune(before, callback) {
+            db.run('DELETE FROM rate_limits WHERE updated_at < $1', [before], callback);
+        }
+    };
+}
+
+module.exports = {
+    createRateLimitsRepository
+};
@@ -0,0 +1,51 @@
+// Ratings in PostgreSQL
+
+const { NOW } = require('./query');
+
+const RATING_COLUMNS = 'id, agent_id, wallet_address, stars, comment, created_at, updated_at';
+
+function createRatingsRepository(db) {
+    return {
+        save(rating, callback) {
+            db.get('SELECT id FROM ratings WHERE agent_id = $1 AND wallet_address = $2', [rating.agent_id, rating.wallet_address], (err, existing) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.run(`INSERT INTO ratings (agent_id, wallet_address, stars, comment) VALUES ($1, $2, $3, $4)
+                        ON CONFLICT (agent_id, wallet_address)
+                        DO UPDATE SET stars = excluded.stars, comment = excluded.comment, updated_at = ${NOW}`,
+                [rating.agent_id, rating.wallet_address, rating.stars, rating.comment || null], (saveErr) => {
+                    callback(saveErr, saveErr ? null : !existing);
+                });
+            });
+        },
+        get(agentId, walletAddress, callback) {
+            db.get(`SELECT ${RATING_COLUMNS} FROM ratings WHERE agent_id = $1 AND wallet_address = $2`, [agentId, walletAddress], callback);
+        },
+        getById(id, callback) {
+            db.get(`SELECT ${RATING_COLUMNS}, hidden_at FROM ratings WHERE id = $1`, [id], callback);
+        },
+        remove(agentId, walletAddress, callback) {
+            db.run('DELETE FROM ratings WHERE agent_id = $1 AND wallet_address = $2', [agentId, walletAddress], callback);
+        },
+        listForAgent(agentId, callback) {
+            db.all(`SELECT ${RATING_COLUMNS}
+                    FROM ratings
+                    WHERE agent_id = $1 AND hidden_at IS NULL
+                    ORDER BY COALESCE(updated_at, created_at) DESC, id DESC`, [agentId], callback);
+        },
+        listForAgents(agentIds, callback) {
+            if (agentIds.length === 0) {
+                return callback(null, []);
+            }
+            db.all(`SELECT agent_id, wallet_address, stars, comment, created_at, updated_at
+                    FROM ratings
+                    WHERE agent_id = ANY ($1) AND hidden_at IS NULL
+                    ORDER BY COALESCE(updated_at, created_at) DESC, id DESC`, [agentIds], callback);
+        }
+    };
+}
+
+module.exports = {
+    createRatingsRepository
+};
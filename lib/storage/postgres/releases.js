@@ -0,0 +1,47 @@
+// Agent releases in PostgreSQL; the schema rejects any change to a release once written
+
+const { isUniqueViolation } = require('./query');
+
+const RELEASE_COLUMNS = `r.id, r.agent_id, r.version, r.changelog, r.snapshot, r.content_cid, r.created_by, r.created_at`;
+
+function createReleasesRepository(db) {
+    return {
+        list(agentId, callback) {
+            db.all(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r WHERE r.agent_id = $1 ORDER BY r.id DESC`,
+                [agentId], callback);
+        },
+        get(agentId, version, callback) {
+            db.get(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r WHERE r.agent_id = $1 AND r.version = $2`,
+                [agentId, version], callback);
+        },
+        getLatest(agentId, callback) {
+            db.get(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r JOIN agents a ON a.latest_release_id = r.id
+                    WHERE a.id = $1`, [agentId], callback);
+        },
+        create(release, previousVersion, makeLatest, callback) {
+            const statements = [
+                [`INSERT INTO agent_releases (agent_id, version, changelog, snapshot, content_cid, created_by)
+                  VALUES ($1, $2, $3, $4, $5, $6)`,
+                [release.agent_id, release.version, release.changelog, release.snapshot, release.content_cid, release.created_by]],
+                ['INSERT INTO agent_contents (cid, agent_id) VALUES ($1, $2) ON CONFLICT DO NOTHING', [release.content_cid, release.agent_id]],
+                ['INSERT INTO agent_edits (agent_id, wallet_address, field, old_value, new_value) VALUES ($1, $2, $3, $4, $5)',
+                    [release.agent_id, release.created_by, 'release', previousVersion, release.version]]
+            ];
+            if (makeLatest) {
+                statements.push([`UPDATE agents SET latest_release_id = (SELECT id FROM agent_releases WHERE agent_id = $1 AND version = $2)
+                                  WHERE id = $1`, [release.agent_id, release.version]]);
+            }
+
+            db.runInTransaction(statements, (err) => {
+                if (isUniqueViolation(err)) {
+                    return callback(null, false);
+                }
+                callback(err, !err);
+            });
+        }
+    };
+}
+
+module.exports = {
+    createReleasesRepository
+};
@@ -0,0 +1,429 @@
+// The PostgreSQL schema: the tables of the SQLite schema (migrations/) with the same
+// columns, so rows can be copied over unchanged, and a tsvector search index in place of
+// agents_fts. Every statement can run again on an existing database
+
+const pg = require('pg');
+const { NOW } = require('./query');
+const { TOP_LEVEL, CHILDREN } = require('../../../migrations/002_categories');
+
+// Search weights of the columns of an agent: A (highest) to D
+const SEARCH_WEIGHTS = { name: 'A', tags: 'B', description: 'C', category: 'D' };
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT UNIQUE NOT NULL,
+        subscription_tier TEXT DEFAULT 'creator' CHECK (subscription_tier IN ('creator', 'user_pro', 'agency')),
+        lens_handle TEXT,
+        farcaster_handle TEXT,
+        lens_verified_at TIMESTAMP,
+        farcaster_verified_at TIMESTAMP,
+        role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        banned_at TIMESTAMP,
+        banned_reason TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW},
+        last_login TIMESTAMP DEFAULT ${NOW}
+    )`,
+    // The parent of a category may be copied after it, so its check waits for the commit
+    `CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        slug TEXT UNIQUE DEFAULT NULL,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT NULL,
+        icon TEXT DEFAULT NULL,
+        parent_id INTEGER DEFAULT NULL REFERENCES categories (id) DEFERRABLE INITIALLY DEFERRED,
+        owner_wallet TEXT DEFAULT NULL REFERENCES users (wallet_address),
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT ${NOW},
+        CHECK (owner_wallet IS NOT NULL OR slug IS NOT NULL),
+        CHECK (owner_wallet IS NULL OR parent_id IS NULL)
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_name ON categories (COALESCE(owner_wallet, ''), lower(name))`,
+    'CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories (parent_id)',
+    `CREATE TABLE IF NOT EXISTS orgs (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner_wallet TEXT NOT NULL REFERENCES users (wallet_address),
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS org_members (
+        org_id INTEGER NOT NULL REFERENCES orgs (id),
+        wallet_address TEXT NOT NULL REFERENCES users (wallet_address),
+        role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member')),
+        joined_at TIMESTAMP DEFAULT ${NOW},
+        PRIMARY KEY (org_id, wallet_address)
+    )`,
+    `CREATE TABLE IF NOT EXISTS org_invites (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        org_id INTEGER NOT NULL REFERENCES orgs (id),
+        token_hash TEXT UNIQUE NOT NULL,
+        wallet_address TEXT,
+        role TEXT NOT NULL CHECK (role IN ('admin', 'member')),
+        invited_by TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        accepted_by TEXT,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS agents (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT NOT NULL,
+        category TEXT NOT NULL,
+        link TEXT,
+        ipfs_hash TEXT,
+        creator_wallet TEXT REFERENCES users (wallet_address),
+        original_agent_id INTEGER DEFAULT NULL REFERENCES agents (id),
+        fork_count INTEGER DEFAULT 0,
+        is_premium INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT ${NOW},
+        deleted_at TIMESTAMP DEFAULT NULL,
+        org_id INTEGER DEFAULT NULL REFERENCES orgs (id),
+        status TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published')),
+        license TEXT DEFAULT NULL,
+        spec TEXT DEFAULT NULL,
+        content_cid TEXT DEFAULT NULL,
+        ipfs_verified INTEGER DEFAULT NULL,
+        latest_release_id INTEGER DEFAULT NULL,
+        original_release_id INTEGER DEFAULT NULL,
+        moderation_status TEXT NOT NULL DEFAULT 'approved' CHECK (moderation_status IN ('pending', 'approved', 'hidden', 'removed')),
+        moderation_reason TEXT DEFAULT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_agents_creator_wallet ON agents (creator_wallet)',
+    'CREATE INDEX IF NOT EXISTS idx_agents_original_agent_id ON agents (original_agent_id)',
+    // Added separately so agents tables created before categories existed get it too
+    'ALTER TABLE agents ADD COLUMN IF NOT EXISTS category_id INTEGER DEFAULT NULL REFERENCES categories (id)',
+    'CREATE INDEX IF NOT EXISTS idx_agents_category_id ON agents (category_id)',
+    `CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS agent_tags (
+        agent_id INTEGER NOT NULL REFERENCES agents (id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+        PRIMARY KEY (agent_id, tag_id)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_agent_tags_tag_id ON agent_tags (tag_id)',
+    `CREATE TABLE IF NOT EXISTS ratings (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        wallet_address TEXT REFERENCES users (wallet_address),
+        stars INTEGER NOT NULL CHECK (stars >= 1 AND stars <= 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW},
+        updated_at TIMESTAMP,
+        hidden_at TIMESTAMP,
+        UNIQUE (agent_id, wallet_address)
+    )`,
+    `CREATE TABLE IF NOT EXISTS login_nonces (
+        nonce TEXT PRIMARY KEY,
+        wallet_address TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        token_hash TEXT UNIQUE NOT NULL,
+        wallet_address TEXT NOT NULL REFERENCES users (wallet_address),
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW},
+        last_seen_at TIMESTAMP DEFAULT ${NOW},
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_sessions_wallet_address ON sessions (wallet_address)',
+    `CREATE TABLE IF NOT EXISTS agent_edits (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        wallet_address TEXT REFERENCES users (wallet_address),
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS agent_events (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        event_type TEXT NOT NULL CHECK (event_type IN ('fork', 'rating', 'view', 'link_click')),
+        wallet_address TEXT,
+        visitor_key TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_agent_events_created_at ON agent_events (created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_agent_events_visitor ON agent_events (agent_id, visitor_key, created_at)',
+    `CREATE TABLE IF NOT EXISTS agent_trending (
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        period TEXT NOT NULL,
+        score DOUBLE PRECISION NOT NULL,
+        computed_at TIMESTAMP DEFAULT ${NOW},
+        PRIMARY KEY (agent_id, period)
+    )`,
+    `CREATE TABLE IF NOT EXISTS subscriptions (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT NOT NULL REFERENCES users (wallet_address),
+        tier TEXT NOT NULL CHECK (tier IN ('user_pro', 'agency')),
+        status TEXT NOT NULL CHECK (status IN ('pending', 'active', 'canceled', 'expired')),
+        payment_provider TEXT NOT NULL,
+        payment_method TEXT,
+        current_period_start TIMESTAMP NOT NULL,
+        current_period_end TIMESTAMP NOT NULL,
+        canceled_at TIMESTAMP,
+        expired_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_active_wallet
+        ON subscriptions (wallet_address) WHERE status IN ('pending', 'active')`,
+    `CREATE TABLE IF NOT EXISTS subscription_payments (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT NOT NULL REFERENCES users (wallet_address),
+        subscription_id INTEGER REFERENCES subscriptions (id),
+        provider TEXT NOT NULL,
+        provider_reference TEXT,
+        amount_cents INTEGER NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+        failure_reason TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS handle_challenges (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        wallet_address TEXT NOT NULL REFERENCES users (wallet_address),
+        network TEXT NOT NULL CHECK (network IN ('lens', 'farcaster')),
+        handle TEXT NOT NULL,
+        statement TEXT NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        resolver TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE TABLE IF NOT EXISTS agent_contents (
+        cid TEXT NOT NULL,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        created_at TIMESTAMP DEFAULT ${NOW},
+        PRIMARY KEY (cid, agent_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS agent_releases (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        version TEXT NOT NULL,
+        changelog TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        content_cid TEXT NOT NULL,
+        created_by TEXT REFERENCES users (wallet_address),
+        created_at TIMESTAMP DEFAULT ${NOW},
+        UNIQUE (agent_id, version)
+    )`,
+    `CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        agent_id INTEGER NOT NULL REFERENCES agents (id),
+        rating_id INTEGER,
+        reporter_wallet TEXT NOT NULL REFERENCES users (wallet_address),
+        reason TEXT NOT NULL CHECK (reason IN ('spam', 'scam', 'offensive', 'illegal', 'impersonation', 'other')),
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+        resolved_by TEXT,
+        resolved_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open
+        ON reports (reporter_wallet, agent_id, COALESCE(rating_id, 0)) WHERE status = 'open'`,
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        actor_wallet TEXT NOT NULL,
+        action TEXT NOT NULL,
+        agent_id INTEGER REFERENCES agents (id),
+        rating_id INTEGER,
+        report_id INTEGER REFERENCES reports (id),
+        target_wallet TEXT,
+        category_id INTEGER,
+        category_name TEXT,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT ${NOW}
+    )`,
+    // Category entries keep no reference since deleted categories stay in the log. The
+    // columns and the list of actions are brought up to date on older databases
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS category_id INTEGER',
+    'ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS category_name TEXT',
+    'ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_action_check',
+    `ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+        CHECK (action IN ('approve_agent', 'hide_agent', 'remove_agent', 'hide_rating', 'restore_rating',
+                          'dismiss_report', 'ban_wallet', 'unban_wallet', 'grant_admin', 'revoke_admin',
+                          'create_category', 'rename_category', 'move_category', 'delete_category'))`,
+    `CREATE TABLE IF NOT EXISTS rate_limits (
+        bucket_key TEXT PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        updated_at DOUBLE PRECISION NOT NULL
+    )`,
+
+    // Releases are immutable and the audit log is append-only, as in SQLite
+    `CREATE OR REPLACE FUNCTION reject_change() RETURNS trigger AS $$
+     BEGIN
+         RAISE EXCEPTION '%', TG_ARGV[0];
+     END
+     $$ LANGUAGE plpgsql`,
+    `CREATE OR REPLACE TRIGGER agent_releases_immutable BEFORE UPDATE ON agent_releases
+     FOR EACH ROW EXECUTE FUNCTION reject_change('agent releases are immutable')`,
+    `CREATE OR REPLACE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+     FOR EACH ROW EXECUTE FUNCTION reject_change('the audit log is append-only')`,
+
+    // Search document of each live agent, kept up to date by triggers. Text is split on
+    // anything but letters and digits, as the SQLite tokenizer does
+    `CREATE TABLE IF NOT EXISTS agent_search (
+        agent_id INTEGER PRIMARY KEY REFERENCES agents (id) ON DELETE CASCADE,
+        document TSVECTOR NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_agent_search_document ON agent_search USING GIN (document)',
+    `CREATE OR REPLACE FUNCTION search_words(text TEXT) RETURNS TEXT AS $$
+         SELECT regexp_replace(COALESCE(text, ''), '[^[:alnum:]]+', ' ', 'g')
+     $$ LANGUAGE sql IMMUTABLE`,
+    `CREATE OR REPLACE FUNCTION refresh_agent_search(target INTEGER) RETURNS void AS $$
+     BEGIN
+         DELETE FROM agent_search WHERE agent_id = target;
+         INSERT INTO agent_search (agent_id, document)
+         SELECT a.id,
+                setweight(to_tsvector('simple', search_words(a.name)), '${SEARCH_WEIGHTS.name}') ||
+                setweight(to_tsvector('simple', search_words((SELECT string_agg(t.name, ' ') FROM agent_tags at
+                                                              JOIN tags t ON t.id = at.tag_id
+                                                              WHERE at.agent_id = a.id))), '${SEARCH_WEIGHTS.tags}') ||
+                setweight(to_tsvector('simple', search_words(a.description)), '${SEARCH_WEIGHTS.description}') ||
+                setweight(to_tsvector('simple', search_words(a.category)), '${SEARCH_WEIGHTS.category}')
+         FROM agents a
+         WHERE a.id = target AND a.deleted_at IS NULL;
+     END
+     $$ LANGUAGE plpgsql`,
+    `CREATE OR REPLACE FUNCTION agents_search_changed() RETURNS trigger AS $$
+     BEGIN
+         PERFORM refresh_agent_search(NEW.id);
+         RETURN NULL;
+     END
+     $$ LANGUAGE plpgsql`,
+    `CREATE OR REPLACE FUNCTION agent_tags_search_changed() RETURNS trigger AS $$
+     BEGIN
+         PERFORM refresh_agent_search(CASE TG_OP WHEN 'DELETE' THEN OLD.agent_id ELSE NEW.agent_id END);
+         RETURN NULL;
+     END
+     $$ LANGUAGE plpgsql`,
+    `CREATE OR REPLACE TRIGGER agents_search_insert AFTER INSERT ON agents
+     FOR EACH ROW EXECUTE FUNCTION agents_search_changed()`,
+    `CREATE OR REPLACE TRIGGER agents_search_update AFTER UPDATE OF name, description, category, deleted_at ON agents
+     FOR EACH ROW EXECUTE FUNCTION agents_search_changed()`,
+    `CREATE OR REPLACE TRIGGER agent_tags_search AFTER INSERT OR DELETE ON agent_tags
+     FOR EACH ROW EXECUTE FUNCTION agent_tags_search_changed()`
+];
+
+// The tables copied from SQLite, in an order where rows only reference rows of earlier
+// tables. agent_search is derived from them
+const TABLES = ['users', 'categories', 'orgs', 'org_members', 'org_invites', 'agents', 'tags', 'agent_tags', 'ratings',
+    'login_nonces', 'sessions', 'agent_edits', 'agent_events', 'agent_trending', 'subscriptions',
+    'subscription_payments', 'handle_challenges', 'agent_contents', 'agent_releases', 'reports',
+    'audit_log', 'rate_limits'];
+
+// Tables whose rows are numbered by an id column
+const ID_TABLES = TABLES.filter(name =>
+    !['org_members', 'agent_tags', 'login_nonces', 'agent_trending', 'agent_contents', 'rate_limits'].includes(name));
+
+// Rows per INSERT statement when importing
+const IMPORT_BATCH_SIZE = 500;
+
+// Create the tables, indexes and triggers that don't exist yet
+function createSchema(db, callback) {
+    db.runInTransaction(SCHEMA.map(sql => [sql, []]), callback);
+}
+
+// Insert the public categories the SQLite migrations start with into an empty categories
+// table. Databases that have categories, such as copied ones, are left as they are
+function seedCategories(db, callback) {
+    db.transaction((tx, done) => {
+        tx.get('SELECT EXISTS (SELECT 1 FROM categories) as has_rows', [], (err, result) => {
+            if (err || result.has_rows) {
+                return done(err);
+            }
+            tx.sequence([
+                ...TOP_LEVEL.map(([slug, name, description, icon], index) => [
+                    'INSERT INTO categories (slug, name, description, icon, position) VALUES ($1, $2, $3, $4, $5)',
+                    [slug, name, description, icon, index + 1]
+                ]),
+                ...CHILDREN.map(([parentSlug, slug, name, description, icon], index) => [
+                    `INSERT INTO categories (slug, name, description, icon, parent_id, position)
+                     SELECT $1, $2, $3, $4, id, $5 FROM categories WHERE slug = $6`,
+                    [slug, name, description, icon, index + 1, parentSlug]
+                ])
+            ], done);
+        });
+    }, callback);
+}
+
+// Calls back with (err, mismatch) where mismatch describes the tables that are missing,
+// or is null when the schema is complete
+function checkSchema(db, callback) {
+    const expected = TABLES.concat('agent_search');
+    db.all(`SELECT table_name FROM information_schema.tables
+            WHERE table_schema = current_schema() AND table_name = ANY ($1)`, [expected], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const existing = rows.map(row => row.table_name);
+        const missing = expected.filter(name => !existing.includes(name));
+        callback(null, missing.length ? `The PostgreSQL database is missing tables: ${missing.join(', ')}` : null);
+    });
+}
+
+// Insert rows copied from another database, keeping their ids, in one transaction.
+// tables is a list of { name, columns, rows } in the order of TABLES; the tables must be
+// empty. Ids handed out afterwards continue after the highest imported one
+function importTables(db, tables, callback) {
+    db.transaction((tx, done) => {
+        const next = (index) => {
+            if (index === tables.length) {
+                return done(null);
+            }
+            const { name, columns, rows } = tables[index];
+            if (!TABLES.includes(name)) {
+                return done(new Error(`Unknown table: ${name}`));
+            }
+            const table = pg.escapeIdentifier(name);
+            tx.get(`SELECT EXISTS (SELECT 1 FROM ${table}) as has_rows`, [], (err, result) => {
+                if (err) {
+                    return done(err);
+                }
+                if (result.has_rows) {
+                    return done(new Error(`The ${name} table already has rows`));
+                }
+
+                const statements = [];
+                for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+                    const batch = rows.slice(start, start + IMPORT_BATCH_SIZE);
+                    const values = batch.map((row, rowIndex) =>
+                        `(${columns.map((column, columnIndex) => `$${rowIndex * columns.length + columnIndex + 1}`).join(', ')})`);
+                    statements.push([
+                        `INSERT INTO ${table} (${columns.map(pg.escapeIdentifier).join(', ')}) VALUES ${values.join(', ')}`,
+                        batch.flatMap(row => columns.map(column => row[column] === undefined ? null : row[column]))
+                    ]);
+                }
+                if (ID_TABLES.includes(name)) {
+                    statements.push([`SELECT setval(pg_get_serial_sequence($1, 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${table}`, [name]]);
+                }
+                tx.sequence(statements, (importErr) => {
+                    if (importErr) {
+                        importErr.message = `Copying ${name}: ${importErr.message}`;
+                        return done(importErr);
+                    }
+                    next(index + 1);
+                });
+            });
+        };
+        next(0);
+    }, callback);
+}
+
+module.exports = {
+    SEARCH_WEIGHTS,
+    TABLES,
+    createSchema,
+    seedCategories,
+    checkSchema,
+    importTables
+};
@@ -0,0 +1,146 @@
+// Subscriptions and their payments in PostgreSQL
+// Payments are { wallet_address, subscription_id, provider, provider_reference, amount_cents,
+// status, failure_reason } and are written together with the change they pay for
+
+const { NOW, isUniqueViolation } = require('./query');
+
+// Subscriptions that currently grant their tier: active, or canceled but paid up to the period end
+const CURRENT_CONDITION = `status IN ('active', 'canceled') AND current_period_end > ${NOW}`;
+
+function paymentStatement(payment) {
+    return [`INSERT INTO subscription_payments
+                (wallet_address, subscription_id, provider, provider_reference, amount_cents, status, failure_reason)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [payment.wallet_address, payment.subscription_id, payment.provider, payment.provider_reference, payment.amount_cents,
+        payment.status, payment.failure_reason || null]];
+}
+
+function expireStatements(subscription, freeTier) {
+    return [
+        [`UPDATE subscriptions SET status = 'expired', expired_at = ${NOW} WHERE id = $1`, [subscription.id]],
+        ['UPDATE users SET subscription_tier = $1 WHERE wallet_address = $2', [freeTier, subscription.wallet_address]]
+    ];
+}
+
+function createSubscriptionsRepository(db) {
+    return {
+        getCurrent(walletAddress, callback) {
+            db.get(`SELECT * FROM subscriptions
+                    WHERE wallet_address = $1 AND ${CURRENT_CONDITION}
+                    ORDER BY id DESC LIMIT 1`, [walletAddress], callback);
+        },
+        listDue(callback) {
+            db.all(`SELECT * FROM subscriptions
+                    WHERE status IN ('active', 'canceled') AND current_period_end <= ${NOW}
+                    ORDER BY current_period_end`, [], callback);
+        },
+        listPayments(walletAddress, callback) {
+            db.all(`SELECT id, subscription_id, provider, provider_reference, amount_cents, status, failure_reason, created_at
+                    FROM subscription_payments
+                    WHERE wallet_address = $1
+                    ORDER BY created_at DESC, id DESC`, [walletAddress], callback);
+        },
+        // Reservations of a wallet take turns on an advisory lock, so two of them can't both
+        // pass the check. Calls back with (err, blocking, id) where blocking is the status
+        // ('pending' or 'active') of the subscription in the way
+        reserve(subscription, pendingMinutes, callback) {
+            const walletAddress = subscription.wallet_address;
+            let blocking = null;
+
+            db.transaction((tx, done) => {
+                tx.sequence([
+                    ['SELECT pg_advisory_xact_lock(hashtext($1))', [`subscriptions:${walletAddress}`]],
+                    [`DELETE FROM subscriptions
+                      WHERE wallet_address = $1 AND status = 'pending' AND created_at <= ${NOW} - make_interval(mins => $2)`,
+                    [walletAddress, pendingMinutes]]
+                ], (pruneErr) => {
+                    if (pruneErr) {
+                        return done(pruneErr);
+                    }
+                    tx.get(`SELECT status FROM subscriptions
+                            WHERE wallet_address = $1 AND (status = 'pending' OR (status = 'active' AND current_period_end > ${NOW}))`,
+                    [walletAddress], (err, row) => {
+                        if (err || row) {
+                            blocking = row ? row.status : null;
+                            return done(err);
+                        }
+                        // An active subscription whose period ended without a renewal yet is replaced
+                        tx.run(`UPDATE subscriptions SET status = 'expired', expired_at = ${NOW}
+                                WHERE wallet_address = $1 AND status = 'active'`, [walletAddress], (expireErr) => {
+                            if (expireErr) {
+                                return done(expireErr);
+                            }
+                            tx.get(`INSERT INTO subscriptions
+                                        (wallet_address, tier, status, payment_provider, payment_method, current_period_start, current_period_end)
+                                    VALUES ($1, $2, 'pending', $3, $4, ${NOW}, ${NOW})
+                                    RETURNING id`,
+                            [walletAddress, subscription.tier, subscription.payment_provider, subscription.payment_method || null],
+                            (insertErr, row) => {
+                                if (isUniqueViolation(insertErr)) {
+                                    blocking = 'active';
+                                }
+                                done(insertErr, insertErr ? null : row.id);
+                            });
+                        });
+                    });
+                });
+            }, (err, subscriptionId) => {
+                if (blocking) {
+                    return callback(null, blocking, null);
+                }
+                callback(err, null, err ? null : subscriptionId);
+            });
+        },
+        release(subscriptionId, payment, callback) {
+            const statements = [['DELETE FROM subscriptions WHERE id = $1', [subscriptionId]]];
+            if (payment) {
+                statements.push(paymentStatement(payment));
+            }
+            db.runInTransaction(statements, callback);
+        },
+        activate(subscriptionId, walletAddress, tier, periodDays, payment, callback) {
+            db.runInTransaction([
+                [`UPDATE subscriptions SET status = 'expired', expired_at = ${NOW}
+                  WHERE wallet_address = $1 AND status = 'canceled'`, [walletAddress]],
+                [`UPDATE subscriptions
+                  SET status = 'active', current_period_start = ${NOW}, current_period_end = ${NOW} + make_interval(days => $1)
+                  WHERE id = $2`, [periodDays, subscriptionId]],
+                paymentStatement(payment),
+                ['UPDATE users SET subscription_tier = $1 WHERE wallet_address = $2', [tier, walletAddress]]
+            ], callback);
+        },
+        cancel(walletAddress, callback) {
+            db.run(`UPDATE subscriptions SET status = 'canceled', canceled_at = ${NOW}
+                    WHERE wallet_address = $1 AND status = 'active' AND current_period_end > ${NOW}`,
+            [walletAddress], (err, count) => callback(err, count > 0));
+        },
+        resume(walletAddress, callback) {
+            db.run(`UPDATE subscriptions SET status = 'active', canceled_at = NULL
+                    WHERE wallet_address = $1 AND status = 'canceled' AND current_period_end > ${NOW}`,
+            [walletAddress], (err, count) => {
+                // A new subscription being started in the meantime takes precedence
+                if (isUniqueViolation(err)) {
+                    return callback(null, false);
+                }
+                callback(err, count > 0);
+            });
+        },
+        expire(subscription, freeTier, payment, callback) {
+            db.runInTransaction((payment ? [paymentStatement(payment)] : []).concat(expireStatements(subscription, freeTier)), callback);
+        },
+        // Renews from the old period end, or from now when renewals fell behind
+        renew(subscription, periodDays, payment, callback) {
+            db.runInTransaction([
+                paymentStatement(payment),
+                [`UPDATE subscriptions
+                  SET current_period_start = GREATEST(current_period_end, ${NOW}),
+                      current_period_end = GREATEST(current_period_end, ${NOW}) + make_interval(days => $1)
+                  WHERE id = $2`, [periodDays, subscription.id]]
+            ], callback);
+        }
+    };
+}
+
+module.exports = {
+    createSubscriptionsRepository
+};
@@ -0,0 +1,90 @@
+// Users, sessions and sign-in nonces in PostgreSQL
+
+const { NOW } = require('./query');
+
+function createUsersRepository(db) {
+    return {
+        get(walletAddress, callback) {
+            db.get('SELECT * FROM users WHERE wallet_address = $1', [walletAddress], callback);
+        },
+        recordLogin(walletAddress, callback) {
+            db.run(`INSERT INTO users (wallet_address, last_login) VALUES ($1, ${NOW})
+                    ON CONFLICT (wallet_address) DO UPDATE SET last_login = ${NOW}`, [walletAddress],
+            (err) => callback(err || null));
+        }
+    };
+}
+
+function createSessionsRepository(db) {
+    return {
+        create(session, callback) {
+            db.get(`INSERT INTO sessions (token_hash, wallet_address, user_agent, ip_address, expires_at)
+                    VALUES ($1, $2, $3, $4, ${NOW} + make_interval(days => $5))
+                    RETURNING id`,
+            [session.tokenHash, session.walletAddress, session.userAgent || null, session.ipAddress || null,
+                session.lifetimeDays], (err, row) => callback(err, err ? null : row.id));
+        },
+        findActive(tokenHash, limits, callback) {
+            db.get(`SELECT s.id, s.wallet_address, (s.last_seen_at <= ${NOW} - make_interval(mins => $1))::int as needs_renewal, u.role
+                    FROM sessions s
+                    LEFT JOIN users u ON u.wallet_address = s.wallet_address
+                    WHERE s.token_hash = $2
+                      AND s.revoked_at IS NULL
+                      AND s.expires_at > ${NOW}
+                      AND s.last_seen_at > ${NOW} - make_interval(hours => $3)
+                      AND u.banned_at IS NULL`,
+            [limits.renewMinutes, tokenHash, limits.idleHours], callback);
+        },
+        touch(id, callback) {
+            db.run(`UPDATE sessions SET last_seen_at = ${NOW} WHERE id = $1`, [id], (err) => callback(err || null));
+        },
+        listActive(walletAddress, idleHours, callback) {
+            db.all(`SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+                    FROM sessions
+                    WHERE wallet_address = $1
+                      AND revoked_at IS NULL
+                      AND expires_at > ${NOW}
+                      AND last_seen_at > ${NOW} - make_interval(hours => $2)
+                    ORDER BY last_seen_at DESC, id DESC`, [walletAddress, idleHours], callback);
+        },
+        revoke(id, walletAddress, callback) {
+            db.run(`UPDATE sessions SET revoked_at = ${NOW}
+                    WHERE id = $1 AND wallet_address = $2 AND revoked_at IS NULL`, [id, walletAddress], callback);
+        },
+        revokeAll(walletAddress, callback) {
+            db.run(`UPDATE sessions SET revoked_at = ${NOW}
+                    WHERE wallet_address = $1 AND revoked_at IS NULL`, [walletAddress], callback);
+        },
+        prune(idleHours, callback) {
+            db.run(`DELETE FROM sessions
+                    WHERE revoked_at IS NOT NULL OR expires_at <= ${NOW} OR last_seen_at <= ${NOW} - make_interval(hours => $1)`,
+            [idleHours], callback);
+        }
+    };
+}
+
+function createNoncesRepository(db) {
+    return {
+        create(nonce, walletAddress, ttlMinutes, callback) {
+            // Expired nonces are dropped on the way so the table doesn't grow forever
+            db.run(`DELETE FROM login_nonces WHERE expires_at <= ${NOW}`, [], (cleanupErr) => {
+                if (cleanupErr) {
+                    return callback(cleanupErr);
+                }
+                db.run(`INSERT INTO login_nonces (nonce, wallet_address, expires_at) VALUES ($1, $2, ${NOW} + make_interval(mins => $3))`,
+                    [nonce, walletAddress, ttlMinutes], (err) => callback(err || null));
+            });
+        },
+        consume(nonce, walletAddress, callback) {
+            db.run(`UPDATE login_nonces SET used_at = ${NOW}
+                    WHERE nonce = $1 AND wallet_address = $2 AND used_at IS NULL AND expires_at > ${NOW}`,
+            [nonce, walletAddress], (err, count) => callback(err, count === 1));
+        }
+    };
+}
+
+module.exports = {
+    createUsersRepository,
+    createSessionsRepository,
+    createNoncesRepository
+};
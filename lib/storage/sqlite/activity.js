@@ -0,0 +1,61 @@
+// The agent activity log and the trending scores materialised from it, in SQLite
+
+const { runInTransaction } = require('../../db');
+
+function createActivityRepository(db) {
+    return {
+        record(agentId, eventType, walletAddress, callback) {
+            db.run('INSERT INTO agent_events (agent_id, event_type, wallet_address) VALUES (?, ?, ?)',
+                [agentId, eventType, walletAddress || null], (err) => callback(err || null));
+        },
+        recordVisitor(agentId, eventType, visitor, dedupeMinutes, callback) {
+            db.run(`INSERT INTO agent_events (agent_id, event_type, wallet_address, visitor_key)
+                    SELECT ?, ?, ?, ?
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM agent_events
+                        WHERE agent_id = ? AND visitor_key = ? AND event_type = ? AND created_at >= datetime('now', ?)
+                    )`,
+            [agentId, eventType, visitor.wallet || null, visitor.key, agentId, visitor.key, eventType,
+                `-${dedupeMinutes} minutes`], (err) => callback(err || null));
+        },
+        backfill(hours, callback) {
+            const cutoff = `-${hours} hours`;
+            db.run(`INSERT INTO agent_events (agent_id, event_type, wallet_address, created_at)
+                    SELECT original_agent_id, 'fork', creator_wallet, created_at FROM agents
+                    WHERE original_agent_id IS NOT NULL AND created_at >= datetime('now', ?)
+                          AND NOT EXISTS (SELECT 1 FROM agent_events)
+                    UNION ALL
+                    SELECT agent_id, 'rating', wallet_address, created_at FROM ratings
+                    WHERE created_at >= datetime('now', ?) AND NOT EXISTS (SELECT 1 FROM agent_events)`,
+            [cutoff, cutoff], (err) => callback(err || null));
+        },
+        refreshTrending(weights, windows, retentionHours, callback) {
+            const weightCase = 'CASE e.event_type ' +
+                Object.keys(weights).map(type => `WHEN '${type}' THEN ${weights[type]}`).join(' ') +
+                ' ELSE 0 END';
+            const statements = [
+                [`DELETE FROM agent_events WHERE created_at < datetime('now', ?)`, [`-${retentionHours} hours`]]
+            ];
+
+            Object.keys(windows).forEach(period => {
+                const window = windows[period];
+                statements.push(['DELETE FROM agent_trending WHERE period = ?', [period]]);
+                statements.push([`
+                    INSERT INTO agent_trending (agent_id, period, score)
+                    SELECT e.agent_id, ?,
+                           SUM(${weightCase} * exp(-${Math.LN2} * (julianday('now') - julianday(e.created_at)) * 24 / ?))
+                    FROM agent_events e
+                    JOIN agents a ON a.id = e.agent_id AND a.deleted_at IS NULL
+                    WHERE e.created_at >= datetime('now', ?)
+                    GROUP BY e.agent_id
+                `, [period, window.halfLifeHours, `-${window.hours} hours`]]);
+            });
+
+            runInTransaction(db, statements, callback);
+        }
+    };
+}
+
+module.exports = {
+    createActivityRepository
+};
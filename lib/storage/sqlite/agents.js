@@ -0,0 +1,229 @@
+// Agents and tags in SQLite; searches use the agents_fts index kept in sync by the triggers
+// created in migrations/001_initial_schema.js (one row per live agent, rowid = agent id)
+
+const { runSequence, runInTransaction, runInsert } = require('../../db');
+const search = require('../../search');
+
+// Ratings and tags are aggregated in subqueries so that joining both
+// doesn't multiply rating counts by the number of tags; hidden reviews don't count
+// Creator handles are only included once verified
+const AGENT_COLUMNS = `
+    a.*,
+    COALESCE((SELECT AVG(r.stars) FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL), 0) as avg_rating,
+    (SELECT COUNT(*) FROM ratings r WHERE r.agent_id = a.id AND r.hidden_at IS NULL) as rating_count,
+    (SELECT GROUP_CONCAT(t.name) FROM agent_tags at JOIN tags t ON at.tag_id = t.id WHERE at.agent_id = a.id) as tags,
+    (SELECT o.name FROM agents o WHERE o.id = a.original_agent_id) as original_name,
+    (SELECT o.deleted_at FROM agents o WHERE o.id = a.original_agent_id) as original_deleted_at,
+    (SELECT rl.version FROM agent_releases rl WHERE rl.id = a.latest_release_id) as latest_version,
+    (SELECT rl.version FROM agent_releases rl WHERE rl.id = a.original_release_id) as original_version,
+    (SELECT g.name FROM orgs g WHERE g.id = a.org_id) as org_name,
+    (SELECT c.slug FROM categories c WHERE c.id = a.category_id) as category_slug,
+    (SELECT u.lens_handle FROM users u
+     WHERE u.wallet_address = a.creator_wallet AND u.lens_verified_at IS NOT NULL) as creator_lens_handle,
+    (SELECT u.farcaster_handle FROM users u
+     WHERE u.wallet_address = a.creator_wallet AND u.farcaster_verified_at IS NOT NULL) as creator_farcaster_handle
+`;
+
+// Subquery adding relevance, highlighted name and description snippet columns
+// to an agent query; joined as "JOIN (MATCH_SQL) s ON s.agent_id = a.id"
+// bm25 ranks better matches lower; its weights follow the columns of agents_fts
+const MATCH_SQL = `
+    SELECT rowid AS agent_id,
+           bm25(agents_fts, ${['name', 'description', 'tags', 'category'].map(column => search.COLUMN_WEIGHTS[column]).join(', ')}) AS search_rank,
+           highlight(agents_fts, 0, '${search.HIGHLIGHT_START}', '${search.HIGHLIGHT_END}') AS name_highlight,
+           snippet(agents_fts, 1, '${search.HIGHLIGHT_START}', '${search.HIGHLIGHT_END}', '…', ${search.SNIPPET_TOKENS}) AS description_snippet
+    FROM agents_fts
+    WHERE agents_fts MATCH ?
+`;
+
+const EDIT_INSERT = 'INSERT INTO agent_edits (agent_id, wallet_address, field, old_value, new_value) VALUES (?, ?, ?, ?, ?)';
+
+// FTS5 query matching all of the search terms (see search.parseSearchTerms)
+function matchQuery(terms) {
+    return terms.map(term => `"${term.words.join(' ')}"${term.prefix ? '*' : ''}`).join(' ');
+}
+
+// Statements that replace the tags of an agent, creating tag rows as needed
+function tagStatements(agentId, tags) {
+    const statements = [['DELETE FROM agent_tags WHERE agent_id = ?', [agentId]]];
+
+    tags.forEach(tag => {
+        statements.push(['INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]]);
+        statements.push(['INSERT OR IGNORE INTO agent_tags (agent_id, tag_id) SELECT ?, id FROM tags WHERE name = ?', [agentId, tag]]);
+    });
+
+    return statements;
+}
+
+function createAgentsRepository(db) {
+    return {
+        get(id, callback) {
+            db.get(`SELECT ${AGENT_COLUMNS} FROM agents a WHERE a.id = ?`, [id], callback);
+        },
+        list(criteria, order, page, callback) {
+            const conditions = ['a.deleted_at IS NULL'];
+            const params = [];
+            let searchJoin = '';
+
+            if (criteria.terms.length) {
+                searchJoin = `JOIN (${MATCH_SQL}) s ON s.agent_id = a.id`;
+                params.push(matchQuery(criteria.terms));
+            }
+            if (criteria.org_id) {
+                conditions.push('a.org_id = ?');
+                params.push(criteria.org_id);
+            }
+            if (criteria.creator_wallet) {
+                conditions.push('a.creator_wallet = ?');
+                params.push(criteria.creator_wallet);
+            }
+            if (criteria.forks !== undefined) {
+                conditions.push(criteria.forks ? 'a.original_agent_id IS NOT NULL' : 'a.original_agent_id IS NULL');
+            }
+            if (criteria.status) {
+                conditions.push('a.status = ?');
+                params.push(criteria.status);
+            }
+            if (criteria.moderation_status) {
+                conditions.push('a.moderation_status = ?');
+                params.push(criteria.moderation_status);
+            }
+            // By name or slug; public categories include their subcategories
+            if (criteria.category) {
+                conditions.push(`(a.category = ? OR a.category_id IN (
+                                     SELECT c.id FROM categories c LEFT JOIN categories p ON p.id = c.parent_id
+                                     WHERE c.owner_wallet IS NULL AND (c.slug = ? OR p.slug = ? OR p.name = ?)))`);
+                params.push(criteria.category, criteria.category, criteria.category, criteria.category);
+            }
+            if (criteria.tag !== undefined) {
+                conditions.push(`EXISTS (SELECT 1 FROM agent_tags at JOIN tags t ON at.tag_id = t.id
+                                         WHERE at.agent_id = a.id AND t.name = ?)`);
+                params.push(criteria.tag);
+            }
+            const whereClause = 'WHERE ' + conditions.join(' AND ');
+
+            db.get(`SELECT COUNT(*) as total FROM agents a ${searchJoin} ${whereClause}`, params, (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+
+                const pageParams = params.slice();
+                let afterClause = '';
+                if (page.after) {
+                    afterClause = `WHERE (${order.keys.join(', ')}) < (${order.keys.map(() => '?').join(', ')})`;
+                    pageParams.push(...page.after);
+                }
+                pageParams.push(page.limit || -1, page.after ? 0 : (page.offset || 0));
+
+                let extraColumns = searchJoin ? ', s.search_rank, s.name_highlight, s.description_snippet' : '';
+                if (order.trendingPeriod) {
+                    extraColumns += `, COALESCE((SELECT tr.score FROM agent_trending tr
+                                                 WHERE tr.agent_id = a.id AND tr.period = '${order.trendingPeriod}'), 0) as trending_score`;
+                }
+
+                db.all(`
+                    SELECT q.*, ${order.keys.map((key, index) => `${key} as sort_key_${index}`).join(', ')}
+                    FROM (
+                        SELECT ${AGENT_COLUMNS}${extraColumns}
+                        FROM agents a
+                        ${searchJoin}
+                        ${whereClause}
+                    ) q
+                    ${afterClause}
+                    ORDER BY ${order.keys.map(key => `${key} DESC`).join(', ')}
+                    LIMIT ? OFFSET ?
+                `, pageParams, (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        },
+        create(fields, callback) {
+            runInsert(db, `INSERT INTO agents (name, description, category, category_id, link, ipfs_hash, creator_wallet,
+                                               original_agent_id, is_premium, org_id, status, license, spec, original_release_id,
+                                               moderation_status)
+                           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [fields.name, fields.description, fields.category, fields.category_id || null, fields.link || null, fields.ipfs_hash || null,
+                fields.creator_wallet || null, fields.original_agent_id || null, fields.is_premium ? 1 : 0,
+                fields.org_id || null, fields.status === 'draft' ? 'draft' : 'published', fields.license || null,
+                fields.spec || null, fields.original_agent_id && fields.original_release_id || null,
+                fields.moderation_status || 'approved'], callback);
+        },
+        incrementForkCount(id, callback) {
+            db.run('UPDATE agents SET fork_count = fork_count + 1 WHERE id = ?', [id], (err) => callback(err || null));
+        },
+        update(current, fields, changes, editorWallet, callback) {
+            const statements = [[
+                `UPDATE agents SET name = ?, description = ?, category = ?, category_id = ?, link = ?, ipfs_hash = ?, is_premium = ?,
+                                   spec = ?, moderation_status = CASE moderation_status WHEN 'hidden' THEN 'pending' ELSE moderation_status END
+                 WHERE id = ?`,
+                [fields.name, fields.description, fields.category,
+                    fields.category_id !== undefined ? fields.category_id : current.category_id, fields.link, fields.ipfs_hash || null,
+                    fields.is_premium ? 1 : 0, fields.spec !== undefined ? fields.spec : current.spec, current.id]
+            ]];
+            if (fields.tags) {
+                statements.push(...tagStatements(current.id, fields.tags));
+            }
+            changes.forEach(change => {
+                statements.push([EDIT_INSERT, [current.id, editorWallet, change.field, change.old_value, change.new_value]]);
+            });
+
+            runInTransaction(db, statements, callback);
+        },
+        publish(agent, editorWallet, callback) {
+            runInTransaction(db, [
+                [`UPDATE agents SET status = 'published' WHERE id = ?`, [agent.id]],
+                [EDIT_INSERT, [agent.id, editorWallet, 'status', agent.status, 'published']]
+            ], callback);
+        },
+        markDeleted(agent, editorWallet, tombstoneName, callback) {
+            const statements = [
+                ['DELETE FROM ratings WHERE agent_id = ?', [agent.id]],
+                ['DELETE FROM agent_tags WHERE agent_id = ?', [agent.id]],
+                ['DELETE FROM agent_releases WHERE agent_id = ?', [agent.id]],
+                [`UPDATE agents SET name = ?, description = '', link = NULL, ipfs_hash = NULL, is_premium = 0,
+                                    license = NULL, spec = NULL, latest_release_id = NULL, deleted_at = CURRENT_TIMESTAMP
+                  WHERE id = ?`, [tombstoneName, agent.id]],
+                [EDIT_INSERT, [agent.id, editorWallet, 'deleted', agent.name, null]]
+            ];
+            if (agent.original_agent_id) {
+                statements.push(['UPDATE agents SET fork_count = MAX(fork_count - 1, 0) WHERE id = ?', [agent.original_agent_id]]);
+            }
+
+            runInTransaction(db, statements, callback);
+        },
+        listEdits(agentId, callback) {
+            db.all(`SELECT id, agent_id, wallet_address, field, old_value, new_value, created_at
+                    FROM agent_edits
+                    WHERE agent_id = ?
+                    ORDER BY created_at DESC, id DESC`, [agentId], callback);
+        },
+        countRecentByCreator(walletAddress, hours, callback) {
+            db.get(`SELECT COUNT(*) as count, CAST(strftime('%s', MIN(created_at)) AS INTEGER) as oldest
+                    FROM agents WHERE creator_wallet = ? AND created_at > datetime('now', ?)`,
+            [walletAddress, `-${hours} hours`], callback);
+        },
+        listLiveByCreator(walletAddress, exceptId, callback) {
+            db.all(`SELECT id, name, link, description FROM agents
+                    WHERE creator_wallet = ? AND deleted_at IS NULL AND id IS NOT ?
+                    ORDER BY id DESC`, [walletAddress, exceptId || null], callback);
+        }
+    };
+}
+
+function createTagsRepository(db) {
+    return {
+        setForAgent(agentId, names, callback) {
+            runSequence(db, tagStatements(agentId, names), callback);
+        },
+        listForAgent(agentId, callback) {
+            db.all(`SELECT t.name FROM agent_tags at JOIN tags t ON t.id = at.tag_id
+                    WHERE at.agent_id = ? ORDER BY t.name`, [agentId], (err, rows) => {
+                callback(err, err ? null : rows.map(row => row.name));
+            });
+        }
+    };
+}
+
+module.exports = {
+    AGENT_COLUMNS,
+    createAgentsRepository,
+    createTagsRepository
+};
@@ -0,0 +1,93 @@
+// Public and private categories in SQLite. Changes to public categories take their audit
+// entries (see moderation.js), written in the same transaction as the change
+
+const { runInTransaction, runImmediateTransaction, runInsert, runSequence } = require('../../db');
+const { auditStatement } = require('./moderation');
+
+// Agents counted in a category are the ones browse lists
+const LISTED_AGENT = `a.deleted_at IS NULL AND a.status = 'published' AND a.moderation_status = 'approved'`;
+
+const CATEGORY_COLUMNS = `
+    c.id, c.slug, c.name, c.description, c.icon, c.parent_id, c.owner_wallet, c.position, c.created_at,
+    (SELECT COUNT(*) FROM agents a WHERE a.category_id = c.id AND ${LISTED_AGENT}) as agent_count
+`;
+
+function createCategoriesRepository(db) {
+    return {
+        list(walletAddress, callback) {
+            db.all(`SELECT ${CATEGORY_COLUMNS}
+                    FROM categories c
+                    WHERE c.owner_wallet IS NULL OR c.owner_wallet = ?
+                    ORDER BY c.owner_wallet IS NOT NULL, c.position, c.name COLLATE NOCASE`, [walletAddress || null], callback);
+        },
+        get(id, callback) {
+            db.get(`SELECT ${CATEGORY_COLUMNS},
+                           (SELECT p.name FROM categories p WHERE p.id = c.parent_id) as parent_name,
+                           (SELECT COUNT(*) FROM categories s WHERE s.parent_id = c.id) as child_count,
+                           (SELECT COUNT(*) FROM agents a WHERE a.category_id = c.id AND a.deleted_at IS NULL) as used_count
+                    FROM categories c
+                    WHERE c.id = ?`, [id], callback);
+        },
+        findPublicByName(name, callback) {
+            db.get('SELECT id, name FROM categories WHERE owner_wallet IS NULL AND name = ? COLLATE NOCASE', [name], callback);
+        },
+        ensurePrivate(name, walletAddress, callback) {
+            db.run('INSERT OR IGNORE INTO categories (name, owner_wallet) VALUES (?, ?)', [name, walletAddress], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.get('SELECT id, name FROM categories WHERE owner_wallet = ? AND name = ? COLLATE NOCASE', [walletAddress, name], callback);
+            });
+        },
+        create(fields, ownerWallet, entries, callback) {
+            let categoryId = null;
+            runImmediateTransaction(db, (done) => {
+                runInsert(db, `INSERT INTO categories (slug, name, description, icon, parent_id, owner_wallet, position)
+                               VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [fields.slug, fields.name, fields.description, fields.icon, fields.parent_id, ownerWallet || null, fields.position], (err, id) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    categoryId = id;
+                    runSequence(db, entries.map(entry => auditStatement(Object.assign({}, entry, { category_id: id }))), done);
+                });
+            }, (err) => {
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    return callback(null, null);
+                }
+                callback(err, err ? null : categoryId);
+            });
+        },
+        update(current, fields, entries, callback) {
+            const statements = [[
+                'UPDATE categories SET slug = ?, name = ?, description = ?, icon = ?, parent_id = ?, position = ? WHERE id = ?',
+                [fields.slug, fields.name, fields.description, fields.icon, fields.parent_id, fields.position, current.id]
+            ]];
+            if (fields.name !== current.name) {
+                statements.push(['UPDATE agents SET category = ? WHERE category_id = ?', [fields.name, current.id]]);
+            }
+            runInTransaction(db, statements.concat(entries.map(auditStatement)), (err) => {
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    return callback(null, false);
+                }
+                callback(err, !err);
+            });
+        },
+        remove(category, replacement, entries, callback) {
+            const statements = [];
+            if (replacement) {
+                statements.push(['UPDATE agents SET category_id = ?, category = ? WHERE category_id = ? AND deleted_at IS NULL',
+                    [replacement.id, replacement.name, category.id]]);
+            }
+            statements.push(
+                ['UPDATE agents SET category_id = ? WHERE category_id = ?', [replacement ? replacement.id : null, category.id]],
+                ['DELETE FROM categories WHERE id = ?', [category.id]]
+            );
+            runInTransaction(db, statements.concat(entries.map(auditStatement)), callback);
+        }
+    };
+}
+
+module.exports = {
+    createCategoriesRepository
+};
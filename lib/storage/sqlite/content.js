@@ -0,0 +1,31 @@
+// The CIDs of published agent content in SQLite
+
+const { runInTransaction } = require('../../db');
+
+function createContentRepository(db) {
+    return {
+        setAgentContent(agentId, contentCid, ipfsVerified, callback) {
+            runInTransaction(db, [
+                ['UPDATE agents SET content_cid = ?, ipfs_verified = ? WHERE id = ?', [contentCid, ipfsVerified, agentId]],
+                ['INSERT OR IGNORE INTO agent_contents (cid, agent_id) VALUES (?, ?)', [contentCid, agentId]]
+            ], callback);
+        },
+        clearAgentContent(agentId, callback) {
+            db.run('UPDATE agents SET content_cid = NULL, ipfs_verified = NULL WHERE id = ?', [agentId],
+                (err) => callback(err || null));
+        },
+        listAgentIdsWithoutContent(callback) {
+            db.all(`SELECT id FROM agents WHERE content_cid IS NULL AND deleted_at IS NULL AND status = 'published' ORDER BY id`,
+                (err, rows) => callback(err, err ? null : rows.map(row => row.id)));
+        },
+        listAgents(contentCid, callback) {
+            db.all(`SELECT a.id, a.creator_wallet, a.is_premium, a.status, a.moderation_status, a.deleted_at
+                    FROM agent_contents c JOIN agents a ON a.id = c.agent_id
+                    WHERE c.cid = ?`, [contentCid], callback);
+        }
+    };
+}
+
+module.exports = {
+    createContentRepository
+};
@@ -0,0 +1,59 @@
+// Account dashboard queries for a single wallet in SQLite
+
+const { AGENT_COLUMNS } = require('./agents');
+
+function createDashboardRepository(db) {
+    return {
+        walletStats(walletAddress, callback) {
+            db.get(`
+                SELECT
+                    (SELECT COUNT(*) FROM agents
+                     WHERE creator_wallet = ? AND deleted_at IS NULL AND original_agent_id IS NULL) as agents_created,
+                    (SELECT COUNT(*) FROM agents
+                     WHERE creator_wallet = ? AND deleted_at IS NULL AND original_agent_id IS NOT NULL) as forks_made,
+                    (SELECT COUNT(*) FROM ratings WHERE wallet_address = ?) as ratings_given,
+                    (SELECT COALESCE(SUM(fork_count), 0) FROM agents
+                     WHERE creator_wallet = ? AND deleted_at IS NULL) as forks_received,
+                    (SELECT AVG(r.stars) FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE a.creator_wallet = ? AND a.deleted_at IS NULL AND r.hidden_at IS NULL) as average_rating_received,
+                    (SELECT COUNT(*) FROM ratings r JOIN agents a ON r.agent_id = a.id
+                     WHERE a.creator_wallet = ? AND a.deleted_at IS NULL AND r.hidden_at IS NULL) as ratings_received
+            `, Array(6).fill(walletAddress), callback);
+        },
+        listWalletAgents(walletAddress, forks, limit, offset, callback) {
+            const forkCondition = forks ? 'a.original_agent_id IS NOT NULL' : 'a.original_agent_id IS NULL';
+            const whereClause = `WHERE a.creator_wallet = ? AND a.deleted_at IS NULL AND ${forkCondition}`;
+
+            db.get(`SELECT COUNT(*) as total FROM agents a ${whereClause}`, [walletAddress], (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT ${AGENT_COLUMNS}
+                        FROM agents a
+                        ${whereClause}
+                        ORDER BY a.created_at DESC, a.id DESC
+                        LIMIT ? OFFSET ?`, [walletAddress, limit, offset], (err, rows) => {
+                    callback(err, rows, err ? 0 : count.total);
+                });
+            });
+        },
+        walletAnalytics(walletAddress, days, callback) {
+            db.all(`
+                SELECT a.id, a.name, a.is_premium,
+                       COALESCE(SUM(e.event_type = 'view'), 0) as views,
+                       COALESCE(SUM(e.event_type = 'link_click'), 0) as link_clicks,
+                       COALESCE(SUM(e.event_type = 'fork'), 0) as forks,
+                       COALESCE(SUM(e.event_type = 'rating'), 0) as ratings
+                FROM agents a
+                LEFT JOIN agent_events e ON e.agent_id = a.id AND e.created_at >= datetime('now', ?)
+                WHERE a.creator_wallet = ? AND a.deleted_at IS NULL
+                GROUP BY a.id
+                ORDER BY views DESC, a.id DESC
+            `, [`-${days} days`, walletAddress], callback);
+        }
+    };
+}
+
+module.exports = {
+    createDashboardRepository
+};
@@ -0,0 +1,56 @@
+// Profile handles and their verification challenges in SQLite
+// columns is { handleColumn, verifiedColumn }: where a network's handle lives on users
+
+const { runInTransaction } = require('../../db');
+
+function createHandlesRepository(db) {
+    return {
+        update(walletAddress, changes, callback) {
+            runInTransaction(db, changes.map(({ columns, handle }) => {
+                const { handleColumn, verifiedColumn } = columns;
+                return [`UPDATE users SET ${handleColumn} = ?,
+                                          ${verifiedColumn} = CASE WHEN ${handleColumn} IS ? THEN ${verifiedColumn} ELSE NULL END
+                         WHERE wallet_address = ?`, [handle, handle, walletAddress]];
+            }), callback);
+        },
+        getHandle(walletAddress, columns, callback) {
+            db.get(`SELECT ${columns.handleColumn} as handle FROM users WHERE wallet_address = ?`, [walletAddress],
+                (err, user) => callback(err, user ? user.handle : null));
+        },
+        createChallenge(challenge, ttlMinutes, callback) {
+            runInTransaction(db, [
+                [`DELETE FROM handle_challenges WHERE expires_at <= datetime('now')`, []],
+                [`INSERT INTO handle_challenges (wallet_address, network, handle, statement, expires_at)
+                  VALUES (?, ?, ?, ?, datetime('now', ?))`,
+                [challenge.walletAddress, challenge.network, challenge.handle, challenge.statement, `+${ttlMinutes} minutes`]]
+            ], (err) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.get(`SELECT network, handle, statement, expires_at FROM handle_challenges
+                        WHERE wallet_address = ? AND network = ? ORDER BY id DESC LIMIT 1`,
+                [challenge.walletAddress, challenge.network], callback);
+            });
+        },
+        findOpenChallenge(walletAddress, network, columns, callback) {
+            db.get(`SELECT c.*, u.${columns.handleColumn} as current_handle
+                    FROM handle_challenges c JOIN users u ON u.wallet_address = c.wallet_address
+                    WHERE c.wallet_address = ? AND c.network = ? AND c.used_at IS NULL AND c.expires_at > datetime('now')
+                    ORDER BY c.id DESC LIMIT 1`, [walletAddress, network], callback);
+        },
+        completeChallenge(challenge, resolverName, columns, callback) {
+            const { handleColumn, verifiedColumn } = columns;
+            runInTransaction(db, [
+                ['UPDATE handle_challenges SET used_at = CURRENT_TIMESTAMP, resolver = ? WHERE id = ?', [resolverName, challenge.id]],
+                [`UPDATE users SET ${verifiedColumn} = NULL WHERE ${handleColumn} = ? AND wallet_address != ?`,
+                    [challenge.handle, challenge.wallet_address]],
+                [`UPDATE users SET ${verifiedColumn} = CURRENT_TIMESTAMP WHERE wallet_address = ? AND ${handleColumn} = ?`,
+                    [challenge.wallet_address, challenge.handle]]
+            ], callback);
+        }
+    };
+}
+
+module.exports = {
+    createHandlesRepository
+};
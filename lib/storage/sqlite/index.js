@@ -0,0 +1,57 @@
+// SQLite storage backend (see lib/storage/index.js) over an open sqlite3 database whose
+// schema is managed by the migrations (see lib/migrations.js)
+//
+// options.db is the sqlite3 database handle; the caller opened it and closes it, so
+// close() leaves it open
+
+const { createUsersRepository, createSessionsRepository, createNoncesRepository } = require('./users');
+const { createAgentsRepository, createTagsRepository } = require('./agents');
+const { createCategoriesRepository } = require('./categories');
+const { createRatingsRepository } = require('./ratings');
+const { createActivityRepository } = require('./activity');
+const { createContentRepository } = require('./content');
+const { createReleasesRepository } = require('./releases');
+const { createLineageRepository } = require('./lineage');
+const { createCreatorsRepository } = require('./creators');
+const { createDashboardRepository } = require('./dashboard');
+const { createHandlesRepository } = require('./handles');
+const { createModerationRepository } = require('./moderation');
+const { createOrgsRepository } = require('./orgs');
+const { createSubscriptionsRepository } = require('./subscriptions');
+const { createRateLimitsRepository } = require('./ratelimits');
+
+function createSqliteStorage(options = {}) {
+    const { db } = options;
+    if (!db) {
+        throw new Error('The SQLite storage backend needs an open database (options.db)');
+    }
+
+    return {
+        name: 'sqlite',
+        users: createUsersRepository(db),
+        sessions: createSessionsRepository(db),
+        nonces: createNoncesRepository(db),
+        agents: createAgentsRepository(db),
+        tags: createTagsRepository(db),
+        categories: createCategoriesRepository(db),
+        ratings: createRatingsRepository(db),
+        activity: createActivityRepository(db),
+        content: createContentRepository(db),
+        releases: createReleasesRepository(db),
+        lineage: createLineageRepository(db),
+        creators: createCreatorsRepository(db),
+        dashboard: createDashboardRepository(db),
+        handles: createHandlesRepository(db),
+        moderation: createModerationRepository(db),
+        orgs: createOrgsRepository(db),
+        subscriptions: createSubscriptionsRepository(db),
+        ratelimits: createRateLimitsRepository(db),
+        close(callback) {
+            callback(null);
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStorage
+};
@@ -0,0 +1,162 @@
+// Abuse reports, moderation state, bans, admins and the audit log in SQLite
+// Every moderator action takes an audit entry ({ actor_wallet, action, agent_id, rating_id,
+// report_id, target_wallet, category_id, category_name, reason }), written in the same
+// transaction as the action
+
+const { runInTransaction, runInsert } = require('../../db');
+
+const REPORT_COLUMNS = `
+    rp.id, rp.agent_id, rp.rating_id, rp.reporter_wallet, rp.reason, rp.details, rp.status,
+    rp.resolved_by, rp.resolved_at, rp.created_at,
+    a.name as agent_name, a.creator_wallet as agent_creator_wallet, a.moderation_status as agent_moderation_status,
+    r.stars as rating_stars, r.comment as rating_comment, r.wallet_address as rating_wallet, r.hidden_at as rating_hidden_at
+`;
+
+function auditStatement(entry) {
+    return [`INSERT INTO audit_log (actor_wallet, action, agent_id, rating_id, report_id, target_wallet,
+                                    category_id, category_name, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [entry.actor_wallet, entry.action, entry.agent_id || null, entry.rating_id || null, entry.report_id || null,
+        entry.target_wallet || null, entry.category_id || null, entry.category_name || null, entry.reason || null]];
+}
+
+// Closes the open reports on an agent (ratingId null) or one of its reviews
+function closeReportsStatement(agentId, ratingId, status, moderatorWallet) {
+    return [`UPDATE reports SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+             WHERE agent_id = ? AND rating_id IS ? AND status = 'open'`, [status, moderatorWallet, agentId, ratingId]];
+}
+
+function createModerationRepository(db) {
+    return {
+        createReport(report, callback) {
+            runInsert(db, 'INSERT INTO reports (agent_id, rating_id, reporter_wallet, reason, details) VALUES (?, ?, ?, ?, ?)',
+                [report.agent_id, report.rating_id || null, report.reporter_wallet, report.reason, report.details || null], (err, id) => {
+                    if (err && err.code === 'SQLITE_CONSTRAINT') {
+                        return callback(null, null);
+                    }
+                    callback(err, id);
+                });
+        },
+        getReport(id, callback) {
+            db.get(`SELECT ${REPORT_COLUMNS}
+                    FROM reports rp JOIN agents a ON a.id = rp.agent_id LEFT JOIN ratings r ON r.id = rp.rating_id
+                    WHERE rp.id = ?`, [id], callback);
+        },
+        listReports(status, limit, offset, callback) {
+            db.get('SELECT COUNT(*) as total FROM reports WHERE status = ?', [status], (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT ${REPORT_COLUMNS}
+                        FROM reports rp JOIN agents a ON a.id = rp.agent_id LEFT JOIN ratings r ON r.id = rp.rating_id
+                        WHERE rp.status = ?
+                        ORDER BY rp.id ${status === 'open' ? 'ASC' : 'DESC'}
+                        LIMIT ? OFFSET ?`, [status, limit, offset], (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        },
+        dismissReport(reportId, entry, callback) {
+            runInTransaction(db, [
+                [`UPDATE reports SET status = 'dismissed', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [entry.actor_wallet, reportId]],
+                auditStatement(entry)
+            ], callback);
+        },
+        setAgentStatus(agentId, status, reason, reportStatus, entry, callback) {
+            runInTransaction(db, [
+                ['UPDATE agents SET moderation_status = ?, moderation_reason = ? WHERE id = ?', [status, reason, agentId]],
+                closeReportsStatement(agentId, null, reportStatus, entry.actor_wallet),
+                auditStatement(entry)
+            ], callback);
+        },
+        setRatingHidden(rating, hidden, reportStatus, entry, callback) {
+            runInTransaction(db, [
+                [`UPDATE ratings SET hidden_at = ${hidden ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`, [rating.id]],
+                closeReportsStatement(rating.agent_id, rating.id, reportStatus, entry.actor_wallet),
+                auditStatement(entry)
+            ], callback);
+        },
+        getUserStatus(walletAddress, callback) {
+            db.get('SELECT wallet_address, role, banned_at, banned_reason FROM users WHERE wallet_address = ?', [walletAddress], callback);
+        },
+        ban(walletAddress, hideContent, entry, callback) {
+            const moderatorWallet = entry.actor_wallet;
+            const note = entry.reason || null;
+            const statements = [
+                ['INSERT OR IGNORE INTO users (wallet_address) VALUES (?)', [walletAddress]],
+                ['UPDATE users SET banned_at = CURRENT_TIMESTAMP, banned_reason = ? WHERE wallet_address = ?', [note, walletAddress]],
+                ['UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE wallet_address = ? AND revoked_at IS NULL', [walletAddress]],
+                auditStatement(entry)
+            ];
+
+            if (hideContent) {
+                const listedAgents = `creator_wallet = ? AND deleted_at IS NULL AND moderation_status IN ('pending', 'approved')`;
+                statements.push(
+                    [`INSERT INTO audit_log (actor_wallet, action, agent_id, target_wallet, reason)
+                      SELECT ?, 'hide_agent', id, creator_wallet, ? FROM agents WHERE ${listedAgents}`, [moderatorWallet, note, walletAddress]],
+                    [`UPDATE reports SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+                      WHERE status = 'open' AND rating_id IS NULL AND agent_id IN (SELECT id FROM agents WHERE ${listedAgents})`,
+                    [moderatorWallet, walletAddress]],
+                    [`UPDATE agents SET moderation_status = 'hidden', moderation_reason = ? WHERE ${listedAgents}`, [note, walletAddress]],
+                    [`INSERT INTO audit_log (actor_wallet, action, agent_id, rating_id, target_wallet, reason)
+                      SELECT ?, 'hide_rating', agent_id, id, wallet_address, ? FROM ratings WHERE wallet_address = ? AND hidden_at IS NULL`,
+                    [moderatorWallet, note, walletAddress]],
+                    [`UPDATE reports SET status = 'resolved', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+                      WHERE status = 'open' AND rating_id IN (SELECT id FROM ratings WHERE wallet_address = ? AND hidden_at IS NULL)`,
+                    [moderatorWallet, walletAddress]],
+                    ['UPDATE ratings SET hidden_at = CURRENT_TIMESTAMP WHERE wallet_address = ? AND hidden_at IS NULL', [walletAddress]]
+                );
+            }
+
+            runInTransaction(db, statements, callback);
+        },
+        unban(walletAddress, entry, callback) {
+            runInTransaction(db, [
+                ['UPDATE users SET banned_at = NULL, banned_reason = NULL WHERE wallet_address = ?', [walletAddress]],
+                auditStatement(entry)
+            ], callback);
+        },
+        listBanned(callback) {
+            db.all(`SELECT wallet_address, banned_at, banned_reason FROM users
+                    WHERE banned_at IS NOT NULL ORDER BY banned_at DESC, id DESC`, callback);
+        },
+        setRole(walletAddress, role, entry, callback) {
+            runInTransaction(db, [
+                ['UPDATE users SET role = ? WHERE wallet_address = ?', [role, walletAddress]],
+                auditStatement(entry)
+            ], callback);
+        },
+        listAdmins(callback) {
+            db.all(`SELECT wallet_address, last_login FROM users WHERE role = 'admin' ORDER BY wallet_address`, callback);
+        },
+        listAuditLog(filters, limit, offset, callback) {
+            const conditions = [];
+            const params = [];
+            if (filters.action) {
+                conditions.push('l.action = ?');
+                params.push(filters.action);
+            }
+            if (filters.agent_id) {
+                conditions.push('l.agent_id = ?');
+                params.push(filters.agent_id);
+            }
+            const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            db.get(`SELECT COUNT(*) as total FROM audit_log l ${whereClause}`, params, (countErr, count) => {
+                if (countErr) {
+                    return callback(countErr);
+                }
+                db.all(`SELECT l.id, l.actor_wallet, l.action, l.agent_id, l.rating_id, l.report_id, l.target_wallet,
+                               l.category_id, l.category_name, l.reason, l.created_at, a.name as agent_name
+                        FROM audit_log l LEFT JOIN agents a ON a.id = l.agent_id
+                        ${whereClause}
+                        ORDER BY l.id DESC
+                        LIMIT ? OFFSET ?`, params.concat(limit, offset), (err, rows) => callback(err, rows, err ? 0 : count.total));
+            });
+        }
+    };
+}
+
+module.exports = {
+    auditStatement,
+    createModerationRepository
+};
@@ -0,0 +1,93 @@
+// Organisations, their members and invites in SQLite
+
+const { runImmediateTransaction, runCounting, runInsert } = require('../../db');
+
+function createOrgsRepository(db) {
+    return {
+        create(name, ownerWallet, callback) {
+            let orgId = null;
+            runImmediateTransaction(db, (done) => {
+                runInsert(db, 'INSERT INTO orgs (name, owner_wallet) VALUES (?, ?)', [name, ownerWallet], (err, id) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    orgId = id;
+                    db.run(`INSERT INTO org_members (org_id, wallet_address, role) VALUES (?, ?, 'owner')`, [orgId, ownerWallet], done);
+                });
+            }, (err) => callback(err, err ? null : orgId));
+        },
+        get(orgId, callback) {
+            db.get(`SELECT o.*, (SELECT COUNT(*) FROM org_members m WHERE m.org_id = o.id) as member_count
+                    FROM orgs o WHERE o.id = ?`, [orgId], callback);
+        },
+        listForWallet(walletAddress, callback) {
+            db.all(`SELECT o.id, o.name, o.owner_wallet, o.created_at, m.role,
+                           (SELECT COUNT(*) FROM org_members c WHERE c.org_id = o.id) as member_count
+                    FROM org_members m JOIN orgs o ON o.id = m.org_id
+                    WHERE m.wallet_address = ?
+                    ORDER BY o.name`, [walletAddress], callback);
+        },
+        getMembership(orgId, walletAddress, callback) {
+            db.get('SELECT org_id, wallet_address, role, joined_at FROM org_members WHERE org_id = ? AND wallet_address = ?',
+                [orgId, walletAddress], callback);
+        },
+        listMembers(orgId, callback) {
+            db.all(`SELECT wallet_address, role, joined_at FROM org_members
+                    WHERE org_id = ?
+                    ORDER BY CASE role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, joined_at`, [orgId], callback);
+        },
+        setMemberRole(orgId, walletAddress, role, callback) {
+            runCounting(db, `UPDATE org_members SET role = ? WHERE org_id = ? AND wallet_address = ? AND role != 'owner'`,
+                [role, orgId, walletAddress], (err, count) => callback(err, count > 0));
+        },
+        removeMember(orgId, walletAddress, callback) {
+            runCounting(db, `DELETE FROM org_members WHERE org_id = ? AND wallet_address = ? AND role != 'owner'`,
+                [orgId, walletAddress], (err, count) => callback(err, count > 0));
+        },
+        createInvite(invite, ttlDays, callback) {
+            runInsert(db, `INSERT INTO org_invites (org_id, token_hash, wallet_address, role, invited_by, expires_at)
+                           VALUES (?, ?, ?, ?, ?, datetime('now', ?))`,
+            [invite.org_id, invite.token_hash, invite.wallet_address || null, invite.role, invite.invited_by, `+${ttlDays} days`], (err, id) => {
+                if (err) {
+                    return callback(err);
+                }
+                db.get('SELECT id, expires_at FROM org_invites WHERE id = ?', [id], callback);
+            });
+        },
+        listInvites(orgId, callback) {
+            db.all(`SELECT id, wallet_address, role, invited_by, expires_at, created_at FROM org_invites
+                    WHERE org_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > datetime('now')
+                    ORDER BY created_at DESC, id DESC`, [orgId], callback);
+        },
+        revokeInvite(orgId, inviteId, callback) {
+            runCounting(db, `UPDATE org_invites SET revoked_at = CURRENT_TIMESTAMP
+                             WHERE id = ? AND org_id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+            [inviteId, orgId], (err, count) => callback(err, count > 0));
+        },
+        getInvite(tokenHash, callback) {
+            db.get(`SELECT i.*, o.name as org_name, o.owner_wallet FROM org_invites i JOIN orgs o ON o.id = i.org_id
+                    WHERE i.token_hash = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > datetime('now')`,
+            [tokenHash], callback);
+        },
+        // The membership is only added if this call is the one that consumed the invite;
+        // calls back with (err, accepted)
+        acceptInvite(invite, walletAddress, callback) {
+            let accepted = false;
+            runImmediateTransaction(db, (done) => {
+                runCounting(db, `UPDATE org_invites SET accepted_at = CURRENT_TIMESTAMP, accepted_by = ?
+                                 WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`, [walletAddress, invite.id], (err, count) => {
+                    if (err || !count) {
+                        return done(err);
+                    }
+                    accepted = true;
+                    db.run('INSERT INTO org_members (org_id, wallet_address, role) VALUES (?, ?, ?)',
+                        [invite.org_id, walletAddress, invite.role], done);
+                });
+            }, (err) => callback(err, !err && accepted));
+        }
+    };
+}
+
+module.exports = {
+    createOrgsRepository
+};
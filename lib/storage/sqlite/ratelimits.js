@@ -0,0 +1,29 @@
+// Rate limit token buckets in SQLite
+
+const { runCounting } = require('../../db');
+
+function createRateLimitsRepository(db) {
+    return {
+        take(key, bucket, now, callback) {
+            const refilled = `MIN(?, tokens + MAX(excluded.updated_at - updated_at, 0) / ?)`;
+
+            runCounting(db, `INSERT INTO rate_limits (bucket_key, tokens, updated_at) VALUES (?, ?, ?)
+                             ON CONFLICT(bucket_key) DO UPDATE SET tokens = ${refilled} - 1, updated_at = excluded.updated_at
+                             WHERE ${refilled} >= 1`,
+            [key, bucket.capacity - 1, now, bucket.capacity, bucket.refillSeconds, bucket.capacity, bucket.refillSeconds], (err, count) => {
+                if (err || count === 1) {
+                    return callback(err, !err);
+                }
+                db.get('SELECT tokens, updated_at FROM rate_limits WHERE bucket_key = ?', [key],
+                    (getErr, state) => callback(getErr, false, state));
+            });
+        },
+        prune(before, callback) {
+            runCounting(db, 'DELETE FROM rate_limits WHERE updated_at < ?', [before], callback);
+        }
+    };
+}
+
+module.exports = {
+    createRateLimitsRepository
+};
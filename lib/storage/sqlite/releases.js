@@ -0,0 +1,47 @@
+// Agent releases in SQLite; the schema rejects any change to a release once written
+
+const { runInTransaction } = require('../../db');
+
+const RELEASE_COLUMNS = `r.id, r.agent_id, r.version, r.changelog, r.snapshot, r.content_cid, r.created_by, r.created_at`;
+
+function createReleasesRepository(db) {
+    return {
+        list(agentId, callback) {
+            db.all(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r WHERE r.agent_id = ? ORDER BY r.id DESC`,
+                [agentId], callback);
+        },
+        get(agentId, version, callback) {
+            db.get(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r WHERE r.agent_id = ? AND r.version = ?`,
+                [agentId, version], callback);
+        },
+        getLatest(agentId, callback) {
+            db.get(`SELECT ${RELEASE_COLUMNS} FROM agent_releases r JOIN agents a ON a.latest_release_id = r.id
+                    WHERE a.id = ?`, [agentId], callback);
+        },
+        create(release, previousVersion, makeLatest, callback) {
+            const statements = [
+                [`INSERT INTO agent_releases (agent_id, version, changelog, snapshot, content_cid, created_by)
+                  VALUES (?, ?, ?, ?, ?, ?)`,
+                [release.agent_id, release.version, release.changelog, release.snapshot, release.content_cid, release.created_by]],
+                ['INSERT OR IGNORE INTO agent_contents (cid, agent_id) VALUES (?, ?)', [release.content_cid, release.agent_id]],
+                ['INSERT INTO agent_edits (agent_id, wallet_address, field, old_value, new_value) VALUES (?, ?, ?, ?, ?)',
+                    [release.agent_id, release.created_by, 'release', previousVersion, release.version]]
+            ];
+            if (makeLatest) {
+                statements.push([`UPDATE agents SET latest_release_id = (SELECT id FROM agent_releases WHERE agent_id = ? AND version = ?)
+                                  WHERE id = ?`, [release.agent_id, release.version, release.agent_id]]);
+            }
+
+            runInTransaction(db, statements, (err) => {
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    return callback(null, false);
+                }
+                callback(err, !err);
+            });
+        }
+    };
+}
+
+module.exports = {
+    createReleasesRepository
+};
@@ -0,0 +1,139 @@
+// Subscriptions and their payments in SQLite
+// Payments are { wallet_address, subscription_id, provider, provider_reference, amount_cents,
+// status, failure_reason } and are written together with the change they pay for
+
+const { runInTransaction, runImmediateTransaction, runCounting, runInsert } = require('../../db');
+
+// Subscriptions that currently grant their tier: active, or canceled but paid up to the period end
+const CURRENT_CONDITION = "status IN ('active', 'canceled') AND current_period_end > datetime('now')";
+
+function paymentStatement(payment) {
+    return [`INSERT INTO subscription_payments
+                (wallet_address, subscription_id, provider, provider_reference, amount_cents, status, failure_reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [payment.wallet_address, payment.subscription_id, payment.provider, payment.provider_reference, payment.amount_cents,
+        payment.status, payment.failure_reason || null]];
+}
+
+function expireStatements(subscription, freeTier) {
+    return [
+        [`UPDATE subscriptions SET status = 'expired', expired_at = CURRENT_TIMESTAMP WHERE id = ?`, [subscription.id]],
+        ['UPDATE users SET subscription_tier = ? WHERE wallet_address = ?', [freeTier, subscription.wallet_address]]
+    ];
+}
+
+function createSubscriptionsRepository(db) {
+    return {
+        getCurrent(walletAddress, callback) {
+            db.get(`SELECT * FROM subscriptions
+                    WHERE wallet_address = ? AND ${CURRENT_CONDITION}
+                    ORDER BY id DESC LIMIT 1`, [walletAddress], callback);
+        },
+        listDue(callback) {
+            db.all(`SELECT * FROM subscriptions
+                    WHERE status IN ('active', 'canceled') AND current_period_end <= datetime('now')
+                    ORDER BY current_period_end`, [], callback);
+        },
+        listPayments(walletAddress, callback) {
+            db.all(`SELECT id, subscription_id, provider, provider_reference, amount_cents, status, failure_reason, created_at
+                    FROM subscription_payments
+                    WHERE wallet_address = ?
+                    ORDER BY created_at DESC, id DESC`, [walletAddress], callback);
+        },
+        // The check and the insert run under the write lock, so two reservations can't both
+        // pass the check. Calls back with (err, blocking, id) where blocking is the status
+        // ('pending' or 'active') of the subscription in the way
+        reserve(subscription, pendingMinutes, callback) {
+            const walletAddress = subscription.wallet_address;
+            let blocking = null;
+            let subscriptionId = null;
+
+            runImmediateTransaction(db, (done) => {
+                db.run(`DELETE FROM subscriptions
+                        WHERE wallet_address = ? AND status = 'pending' AND created_at <= datetime('now', ?)`,
+                [walletAddress, `-${pendingMinutes} minutes`], (pruneErr) => {
+                    if (pruneErr) {
+                        return done(pruneErr);
+                    }
+                    db.get(`SELECT status FROM subscriptions
+                            WHERE wallet_address = ? AND (status = 'pending' OR (status = 'active' AND current_period_end > datetime('now')))`,
+                    [walletAddress], (err, row) => {
+                        if (err || row) {
+                            blocking = row ? row.status : null;
+                            return done(err);
+                        }
+                        // An active subscription whose period ended without a renewal yet is replaced
+                        db.run(`UPDATE subscriptions SET status = 'expired', expired_at = CURRENT_TIMESTAMP
+                                WHERE wallet_address = ? AND status = 'active'`, [walletAddress], (expireErr) => {
+                            if (expireErr) {
+                                return done(expireErr);
+                            }
+                            runInsert(db, `INSERT INTO subscriptions
+                                               (wallet_address, tier, status, payment_provider, payment_method, current_period_start, current_period_end)
+                                           VALUES (?, ?, 'pending', ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+                            [walletAddress, subscription.tier, subscription.payment_provider, subscription.payment_method || null], (insertErr, id) => {
+                                if (insertErr && insertErr.code === 'SQLITE_CONSTRAINT') {
+                                    blocking = 'active';
+                                    return done(null);
+                                }
+                                subscriptionId = id;
+                                done(insertErr);
+                            });
+                        });
+                    });
+                });
+            }, (err) => callback(err, blocking, subscriptionId));
+        },
+        release(subscriptionId, payment, callback) {
+            const statements = [['DELETE FROM subscriptions WHERE id = ?', [subscriptionId]]];
+            if (payment) {
+                statements.push(paymentStatement(payment));
+            }
+            runInTransaction(db, statements, callback);
+        },
+        activate(subscriptionId, walletAddress, tier, periodDays, payment, callback) {
+            runInTransaction(db, [
+                [`UPDATE subscriptions SET status = 'expired', expired_at = CURRENT_TIMESTAMP
+                  WHERE wallet_address = ? AND status = 'canceled'`, [walletAddress]],
+                [`UPDATE subscriptions
+                  SET status = 'active', current_period_start = CURRENT_TIMESTAMP, current_period_end = datetime('now', ?)
+                  WHERE id = ?`, [`+${periodDays} days`, subscriptionId]],
+                paymentStatement(payment),
+                ['UPDATE users SET subscription_tier = ? WHERE wallet_address = ?', [tier, walletAddress]]
+            ], callback);
+        },
+        cancel(walletAddress, callback) {
+            runCounting(db, `UPDATE subscriptions SET status = 'canceled', canceled_at = CURRENT_TIMESTAMP
+                             WHERE wallet_address = ? AND status = 'active' AND current_period_end > datetime('now')`,
+            [walletAddress], (err, count) => callback(err, count > 0));
+        },
+        resume(walletAddress, callback) {
+            runCounting(db, `UPDATE subscriptions SET status = 'active', canceled_at = NULL
+                             WHERE wallet_address = ? AND status = 'canceled' AND current_period_end > datetime('now')`,
+            [walletAddress], (err, count) => {
+                // A new subscription being started in the meantime takes precedence
+                if (err && err.code === 'SQLITE_CONSTRAINT') {
+                    return callback(null, false);
+                }
+                callback(err, count > 0);
+            });
+        },
+        expire(subscription, freeTier, payment, callback) {
+            runInTransaction(db, (payment ? [paymentStatement(payment)] : []).concat(expireStatements(subscription, freeTier)), callback);
+        },
+        // Renews from the old period end, or from now when renewals fell behind
+        renew(subscription, periodDays, payment, callback) {
+            runInTransaction(db, [
+                paymentStatement(payment),
+                [`UPDATE subscriptions
+                  SET current_period_start = MAX(current_period_end, datetime('now')),
+                      current_period_end = datetime(MAX(current_period_end, datetime('now')), ?)
+                  WHERE id = ?`, [`+${periodDays} days`, subscription.id]]
+            ], callback);
+        }
+    };
+}
+
+module.exports = {
+    createSubscriptionsRepository
+};
@@ -0,0 +1,89 @@
+// Users, sessions and sign-in nonces in SQLite
+
+const { runCounting, runInsert } = require('../../db');
+
+function createUsersRepository(db) {
+    return {
+        get(walletAddress, callback) {
+            db.get('SELECT * FROM users WHERE wallet_address = ?', [walletAddress], callback);
+        },
+        recordLogin(walletAddress, callback) {
+            db.run(`INSERT INTO users (wallet_address, last_login) VALUES (?, CURRENT_TIMESTAMP)
+                    ON CONFLICT(wallet_address) DO UPDATE SET last_login = CURRENT_TIMESTAMP`, [walletAddress],
+            (err) => callback(err || null));
+        }
+    };
+}
+
+function createSessionsRepository(db) {
+    return {
+        create(session, callback) {
+            runInsert(db, `INSERT INTO sessions (token_hash, wallet_address, user_agent, ip_address, expires_at)
+                           VALUES (?, ?, ?, ?, datetime('now', ?))`,
+            [session.tokenHash, session.walletAddress, session.userAgent || null, session.ipAddress || null,
+                `+${session.lifetimeDays} days`], callback);
+        },
+        findActive(tokenHash, limits, callback) {
+            db.get(`SELECT s.id, s.wallet_address, s.last_seen_at <= datetime('now', ?) as needs_renewal, u.role
+                    FROM sessions s
+                    LEFT JOIN users u ON u.wallet_address = s.wallet_address
+                    WHERE s.token_hash = ?
+                      AND s.revoked_at IS NULL
+                      AND s.expires_at > datetime('now')
+                      AND s.last_seen_at > datetime('now', ?)
+                      AND u.banned_at IS NULL`,
+            [`-${limits.renewMinutes} minutes`, tokenHash, `-${limits.idleHours} hours`], callback);
+        },
+        touch(id, callback) {
+            db.run('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [id], (err) => callback(err || null));
+        },
+        listActive(walletAddress, idleHours, callback) {
+            db.all(`SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+                    FROM sessions
+                    WHERE wallet_address = ?
+                      AND revoked_at IS NULL
+                      AND expires_at > datetime('now')
+                      AND last_seen_at > datetime('now', ?)
+                    ORDER BY last_seen_at DESC, id DESC`, [walletAddress, `-${idleHours} hours`], callback);
+        },
+        revoke(id, walletAddress, callback) {
+            runCounting(db, `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                             WHERE id = ? AND wallet_address = ? AND revoked_at IS NULL`, [id, walletAddress], callback);
+        },
+        revokeAll(walletAddress, callback) {
+            runCounting(db, `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+                             WHERE wallet_address = ? AND revoked_at IS NULL`, [walletAddress], callback);
+        },
+        prune(idleHours, callback) {
+            runCounting(db, `DELETE FROM sessions
+                             WHERE revoked_at IS NOT NULL OR expires_at <= datetime('now') OR last_seen_at <= datetime('now', ?)`,
+            [`-${idleHours} hours`], callback);
+        }
+    };
+}
+
+function createNoncesRepository(db) {
+    return {
+        create(nonce, walletAddress, ttlMinutes, callback) {
+            // Expired nonces are dropped on the way so the table doesn't grow forever
+            db.run(`DELETE FROM login_nonces WHERE expires_at <= datetime('now')`, (cleanupErr) => {
+                if (cleanupErr) {
+                    return callback(cleanupErr);
+                }
+                db.run(`INSERT INTO login_nonces (nonce, wallet_address, expires_at) VALUES (?, ?, datetime('now', ?))`,
+                    [nonce, walletAddress, `+${ttlMinutes} minutes`], (err) => callback(err || null));
+            });
+        },
+        consume(nonce, walletAddress, callback) {
+            runCounting(db, `UPDATE login_nonces SET used_at = CURRENT_TIMESTAMP
+                             WHERE nonce = ? AND wallet_address = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+            [nonce, walletAddress], (err, count) => callback(err, count === 1));
+        }
+    };
+}
+
+module.exports = {
+    createUsersRepository,
+    createSessionsRepository,
+    createNoncesRepository
+};
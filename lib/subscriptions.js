@@ -0,0 +1,267 @@
+// Subscription tiers, the entitlements they grant and the subscription lifecycle:
+// start (first charge), renew (charge each period), cancel (runs to the period end) and expire
+
+const FREE_TIER = 'creator';
+const PERIOD_DAYS = 30;
+// A subscription is reserved as 'pending' while its first charge runs; one left behind
+// longer than this by a start that never finished stops blocking new ones
+const PENDING_MINUTES = 10;
+
+// Capabilities granted by each tier
+const TIERS = {
+    creator: {
+        name: 'Creator',
+        price_cents: 0,
+        entitlements: { premium_links: false, custom_categories: false, analytics: false, team_seats: 0, daily_submissions: 10 }
+    },
+    user_pro: {
+        name: 'User Pro',
+        price_cents: 2900,
+        entitlements: { premium_links: true, custom_categories: true, analytics: true, team_seats: 0, daily_submissions: 50 }
+    },
+    agency: {
+        name: 'Agency',
+        price_cents: 19900,
+        entitlements: { premium_links: true, custom_categories: true, analytics: true, team_seats: 10, daily_submissions: 200 }
+    }
+};
+
+// The subscription currently granting a wallet its tier, or undefined
+// (active, or canceled but paid up to the period end)
+function getCurrentSubscription(storage, walletAddress, callback) {
+    storage.subscriptions.getCurrent(walletAddress, callback);
+}
+
+// Tier and entitlements of a wallet; anonymous visitors get the free tier
+function getEntitlements(storage, walletAddress, callback) {
+    if (!walletAddress) {
+        return callback(null, Object.assign({ tier: FREE_TIER }, TIERS[FREE_TIER].entitlements));
+    }
+
+    getCurrentSubscription(storage, walletAddress, (err, subscription) => {
+        if (err) {
+            return callback(err);
+        }
+        const tier = subscription ? subscription.tier : FREE_TIER;
+        callback(null, Object.assign({ tier }, TIERS[tier].entitlements));
+    });
+}
+
+// Premium agent links are visible to their creator and to plans with premium_links
+function canViewLink(agent, walletAddress, entitlements) {
+    return !agent.is_premium ||
+        (!!walletAddress && agent.creator_wallet === walletAddress) ||
+        !!(entitlements && entitlements.premium_links);
+}
+
+// Blank out link values in a lineage diff unless the viewer may see the links of
+// both the agent and its parent
+function redactLineageLinks(lineage, walletAddress, entitlements) {
+    const parent = lineage.ancestors[lineage.ancestors.length - 1];
+    if (lineage.diff && !(canViewLink(lineage.agent, walletAddress, entitlements) &&
+                          canViewLink(parent, walletAddress, entitlements))) {
+        lineage.diff = lineage.diff.map(entry => entry.field === 'link' ?
+            Object.assign({}, entry, { parent: null, fork: null, locked: true }) : entry);
+    }
+    return lineage;
+}
+
+// Blank out link and prompt template values in an agent's edit history unless the
+// viewer may see its link
+function redactEditLinks(edits, agent, walletAddress, entitlements) {
+    if (canViewLink(agent, walletAddress, entitlements)) {
+        return edits;
+    }
+    return edits.map(edit => edit.field === 'link' || edit.field === 'prompt' ?
+        Object.assign({}, edit, { old_value: null, new_value: null, locked: true }) : edit);
+}
+
+// Payment record of a charge; subscriptionId is null for a declined first charge
+function paymentRecord(walletAddress, subscriptionId, provider, tier, result) {
+    return {
+        wallet_address: walletAddress,
+        subscription_id: subscriptionId,
+        provider: provider.name,
+        provider_reference: result.reference,
+        amount_cents: TIERS[tier].price_cents,
+        status: result.status,
+        failure_reason: result.failureReason || null
+    };
+}
+
+// Problem for charges without a payment provider configured
+const PAYMENTS_DISABLED = { status: 503, code: 'payments_disabled', message: 'Paid plans are not available at the moment.' };
+
+// Charge the price of a tier; calls back with (err, result, problem) where problem
+// is a { status, code, message } for declined or failed charges. provider is null when
+// no payment provider is configured, which fails like an outage without a result
+function chargeTier(provider, walletAddress, paymentMethod, tier, callback) {
+    if (!provider) {
+        return callback(null, null, PAYMENTS_DISABLED);
+    }
+    const params = {
+        walletAddress,
+        paymentMethod,
+        amountCents: TIERS[tier].price_cents,
+        description: `${TIERS[tier].name} subscription, ${PERIOD_DAYS} days`
+    };
+
+    provider.charge(params, (err, result) => {
+        if (err) {
+            console.error('Payment provider error:', err.message);
+            return callback(null, null, { status: 502, code: 'payment_unavailable', message: 'The payment provider is unavailable. Please try again later.' });
+        }
+        if (result.status !== 'succeeded') {
+            return callback(null, result, { status: 402, code: 'payment_failed', message: `The payment was declined (${result.failureReason || 'unknown reason'}).` });
+        }
+        callback(null, result, null);
+    });
+}
+
+// Reserve a subscription for a wallet that has no active one, as a 'pending' row that the
+// unique index on active and pending subscriptions keeps to one per wallet, so two starts
+// can't both get one. Calls back with (err, problem, subscriptionId)
+function reserveSubscription(storage, provider, walletAddress, tier, paymentMethod, callback) {
+    const subscription = { wallet_address: walletAddress, tier, payment_provider: provider.name, payment_method: paymentMethod };
+
+    storage.subscriptions.reserve(subscription, PENDING_MINUTES, (err, blocking, subscriptionId) => {
+        if (err) {
+            return callback(err);
+        }
+        if (blocking === 'pending') {
+            return callback(null, { status: 409, code: 'subscription_pending', message: 'Your previous upgrade is still being processed. Please try again in a few minutes.' });
+        }
+        if (blocking) {
+            return callback(null, { status: 409, code: 'already_subscribed', message: 'Cancel your current plan before switching to another one.' });
+        }
+        callback(null, null, subscriptionId);
+    });
+}
+
+// Start a paid subscription, charging the first period up front once the subscription is
+// reserved (see reserveSubscription). A canceled subscription still running out its period
+// is replaced
+// Calls back with (err, outcome) where outcome is { subscription } or { problem }
+function startSubscription(storage, provider, walletAddress, tier, paymentMethod, callback) {
+    if (!TIERS[tier] || TIERS[tier].price_cents === 0) {
+        return callback(null, { problem: { status: 400, code: 'invalid_tier', message: `Tier must be one of: ${Object.keys(TIERS).filter(key => TIERS[key].price_cents > 0).join(', ')}` } });
+    }
+    if (!provider) {
+        return callback(null, { problem: PAYMENTS_DISABLED });
+    }
+
+    reserveSubscription(storage, provider, walletAddress, tier, paymentMethod, (reserveErr, reserveProblem, subscriptionId) => {
+        if (reserveErr || reserveProblem) {
+            return callback(reserveErr, { problem: reserveProblem });
+        }
+
+        chargeTier(provider, walletAddress, paymentMethod, tier, (chargeErr, result, problem) => {
+            if (problem) {
+                const payment = result ? paymentRecord(walletAddress, null, provider, tier, result) : null;
+                return storage.subscriptions.release(subscriptionId, payment, (releaseErr) => callback(releaseErr, { problem }));
+            }
+
+            storage.subscriptions.activate(subscriptionId, walletAddress, tier, PERIOD_DAYS,
+                paymentRecord(walletAddress, subscriptionId, provider, tier, result), (saveErr) => {
+                    if (saveErr) {
+                        return callback(saveErr);
+                    }
+                    getCurrentSubscription(storage, walletAddress, (getErr, subscription) => callback(getErr, { subscription }));
+                });
+        });
+    });
+}
+
+// Stop renewing: the subscription keeps its tier until the end of the paid period
+// Calls back with (err, changed)
+function cancelSubscription(storage, walletAddress, callback) {
+    storage.subscriptions.cancel(walletAddress, callback);
+}
+
+// Undo a cancellation before the period ends; calls back with (err, changed), where
+// changed is false too when a new subscription was started in the meantime
+function resumeSubscription(storage, walletAddress, callback) {
+    storage.subscriptions.resume(walletAddress, callback);
+}
+
+// Renew or expire one subscription whose period has ended
+function settleSubscription(storage, provider, subscription, summary, callback) {
+    if (subscription.status === 'canceled') {
+        summary.expired++;
+        return storage.subscriptions.expire(subscription, FREE_TIER, null, callback);
+    }
+
+    chargeTier(provider, subscription.wallet_address, subscription.payment_method, subscription.tier, (err, result, problem) => {
+        // Provider outages are retried on the next run rather than ending the subscription
+        if (problem && !result) {
+            summary.retrying++;
+            return callback(null);
+        }
+
+        const payment = paymentRecord(subscription.wallet_address, subscription.id, provider, subscription.tier, result);
+        if (problem) {
+            summary.expired++;
+            return storage.subscriptions.expire(subscription, FREE_TIER, payment, callback);
+        }
+        summary.renewed++;
+        storage.subscriptions.renew(subscription, PERIOD_DAYS, payment, callback);
+    });
+}
+
+// Renew or expire every subscription whose period has ended
+// Calls back with (err, { renewed, expired, retrying })
+function processDueSubscriptions(storage, provider, callback) {
+    storage.subscriptions.listDue((err, due) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const summary = { renewed: 0, expired: 0, retrying: 0 };
+        let index = 0;
+        const next = (settleErr) => {
+            if (settleErr || index === due.length) {
+                return callback(settleErr || null, summary);
+            }
+            settleSubscription(storage, provider, due[index++], summary, next);
+        };
+        next(null);
+    });
+}
+
+// Payment history of a wallet, newest first
+function listPayments(storage, walletAddress, callback) {
+    storage.subscriptions.listPayments(walletAddress, callback);
+}
+
+// Shape a subscription row for JSON output
+function serializeSubscription(row) {
+    return {
+        id: row.id,
+        tier: row.tier,
+        status: row.status,
+        price_cents: TIERS[row.tier].price_cents,
+        payment_provider: row.payment_provider,
+        current_period_start: row.current_period_start,
+        current_period_end: row.current_period_end,
+        renews: row.status === 'active',
+        canceled_at: row.canceled_at || null,
+        created_at: row.created_at
+    };
+}
+
+module.exports = {
+    FREE_TIER,
+    PERIOD_DAYS,
+    TIERS,
+    getCurrentSubscription,
+    getEntitlements,
+    canViewLink,
+    redactLineageLinks,
+    redactEditLinks,
+    startSubscription,
+    cancelSubscription,
+    resumeSubscription,
+    processDueSubscriptions,
+    listPayments,
+    serializeSubscription
+};
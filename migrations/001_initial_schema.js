@@ -0,0 +1,370 @@
+// The schema as it was when migrations were introduced. Databases created before then
+// are brought to it when migrating (see adoptLegacyDatabase in lib/migrations.js)
+
+// Space-separated tag names of an agent, for the search index
+const TAGS_TEXT = (agentId) => `(SELECT GROUP_CONCAT(t.name, ' ') FROM agent_tags at JOIN tags t ON at.tag_id = t.id
+                                  WHERE at.agent_id = ${agentId})`;
+
+module.exports = {
+    up: [
+        // Wallet-based accounts
+        `CREATE TABLE users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT UNIQUE NOT NULL,
+            subscription_tier TEXT DEFAULT 'creator' CHECK (subscription_tier IN ('creator', 'user_pro', 'agency')),
+            lens_handle TEXT,
+            farcaster_handle TEXT,
+            lens_verified_at DATETIME,
+            farcaster_verified_at DATETIME,
+            role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+            banned_at DATETIME,
+            banned_reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Agents listed in the marketplace; deleted agents keep a tombstone (deleted_at)
+        `CREATE TABLE agents (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            description TEXT NOT NULL,
+            category TEXT NOT NULL,
+            link TEXT,
+            ipfs_hash TEXT,
+            creator_wallet TEXT,
+            original_agent_id INTEGER DEFAULT NULL,
+            fork_count INTEGER DEFAULT 0,
+            is_premium BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            deleted_at DATETIME DEFAULT NULL,
+            org_id INTEGER DEFAULT NULL,
+            status TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('draft', 'published')),
+            license TEXT DEFAULT NULL,
+            spec TEXT DEFAULT NULL,
+            content_cid TEXT DEFAULT NULL,
+            ipfs_verified BOOLEAN DEFAULT NULL,
+            latest_release_id INTEGER DEFAULT NULL,
+            original_release_id INTEGER DEFAULT NULL,
+            moderation_status TEXT NOT NULL DEFAULT 'approved' CHECK (moderation_status IN ('pending', 'approved', 'hidden', 'removed')),
+            moderation_reason TEXT DEFAULT NULL,
+            FOREIGN KEY (original_agent_id) REFERENCES agents(id),
+            FOREIGN KEY (creator_wallet) REFERENCES users(wallet_address),
+            FOREIGN KEY (org_id) REFERENCES orgs(id)
+        )`,
+        // A wallet's agents and dashboard stats, an agent's forks and lineage
+        'CREATE INDEX idx_agents_creator_wallet ON agents (creator_wallet)',
+        'CREATE INDEX idx_agents_original_agent_id ON agents (original_agent_id)',
+
+        // Tags and the agent_tags junction table
+        `CREATE TABLE tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE agent_tags (
+            agent_id INTEGER NOT NULL,
+            tag_id INTEGER NOT NULL,
+            PRIMARY KEY (agent_id, tag_id),
+            FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        )`,
+        'CREATE INDEX idx_agent_tags_tag_id ON agent_tags (tag_id)',
+
+        // One rating per wallet and agent
+        `CREATE TABLE ratings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_id INTEGER NOT NULL,
+            wallet_address TEXT,
+            stars INTEGER NOT NULL CHECK (stars >= 1 AND stars <= 5),
+            comment TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME,
+            hidden_at DATETIME,
+            UNIQUE(agent_id, wallet_address),
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+
+        // Sign-In With Ethereum nonces
+        `CREATE TABLE login_nonces (
+            nonce TEXT PRIMARY KEY,
+            wallet_address TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+
+        // Sessions; only a hash of each session token is stored
+        `CREATE TABLE sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            token_hash TEXT UNIQUE NOT NULL,
+            wallet_address TEXT NOT NULL,
+            user_agent TEXT,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+        'CREATE INDEX idx_sessions_wallet_address ON sessions (wallet_address)',
+
+        // Per-field edit history of agents
+        `CREATE TABLE agent_edits (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_id INTEGER NOT NULL,
+            wallet_address TEXT,
+            field TEXT NOT NULL,
+            old_value TEXT,
+            new_value TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+
+        // Activity log feeding the trending scores
+        `CREATE TABLE agent_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_id INTEGER NOT NULL,
+            event_type TEXT NOT NULL CHECK (event_type IN ('fork', 'rating', 'view', 'link_click')),
+            wallet_address TEXT,
+            visitor_key TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (agent_id) REFERENCES agents(id)
+        )`,
+        `CREATE INDEX idx_agent_events_created_at ON agent_events (created_at)`,
+        `CREATE INDEX idx_agent_events_visitor ON agent_events (agent_id, visitor_key, created_at)`,
+
+        // Materialised trending score per agent and window
+        `CREATE TABLE agent_trending (
+            agent_id INTEGER NOT NULL,
+            period TEXT NOT NULL,
+            score REAL NOT NULL,
+            computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (agent_id, period),
+            FOREIGN KEY (agent_id) REFERENCES agents(id)
+        )`,
+
+        // Paid plans and their billing periods
+        `CREATE TABLE subscriptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT NOT NULL,
+            tier TEXT NOT NULL CHECK (tier IN ('user_pro', 'agency')),
+            status TEXT NOT NULL CHECK (status IN ('pending', 'active', 'canceled', 'expired')),
+            payment_provider TEXT NOT NULL,
+            payment_method TEXT,
+            current_period_start DATETIME NOT NULL,
+            current_period_end DATETIME NOT NULL,
+            canceled_at DATETIME,
+            expired_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+        // A wallet has at most one subscription starting or renewing (see subscriptions.startSubscription)
+        `CREATE UNIQUE INDEX idx_subscriptions_active_wallet
+            ON subscriptions (wallet_address) WHERE status IN ('pending', 'active')`,
+
+        // Every charge attempt, successful or not
+        `CREATE TABLE subscription_payments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT NOT NULL,
+            subscription_id INTEGER,
+            provider TEXT NOT NULL,
+            provider_reference TEXT,
+            amount_cents INTEGER NOT NULL,
+            status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+            failure_reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (subscription_id) REFERENCES subscriptions(id),
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+
+        // Team workspaces that own agents
+        `CREATE TABLE orgs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            owner_wallet TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (owner_wallet) REFERENCES users(wallet_address)
+        )`,
+
+        // One role per wallet and org
+        `CREATE TABLE org_members (
+            org_id INTEGER NOT NULL,
+            wallet_address TEXT NOT NULL,
+            role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'member')),
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (org_id, wallet_address),
+            FOREIGN KEY (org_id) REFERENCES orgs(id),
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+
+        // Single-use invite tokens, stored hashed
+        `CREATE TABLE org_invites (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            org_id INTEGER NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            wallet_address TEXT,
+            role TEXT NOT NULL CHECK (role IN ('admin', 'member')),
+            invited_by TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            accepted_at DATETIME,
+            accepted_by TEXT,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (org_id) REFERENCES orgs(id)
+        )`,
+
+        // Statements issued to prove ownership of a Lens or Farcaster handle
+        `CREATE TABLE handle_challenges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wallet_address TEXT NOT NULL,
+            network TEXT NOT NULL CHECK (network IN ('lens', 'farcaster')),
+            handle TEXT NOT NULL,
+            statement TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            resolver TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (wallet_address) REFERENCES users(wallet_address)
+        )`,
+
+        // Every CID an agent has published content under
+        `CREATE TABLE agent_contents (
+            cid TEXT NOT NULL,
+            agent_id INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (cid, agent_id),
+            FOREIGN KEY (agent_id) REFERENCES agents(id)
+        )`,
+
+        // Numbered snapshots of an agent's content
+        `CREATE TABLE agent_releases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_id INTEGER NOT NULL,
+            version TEXT NOT NULL,
+            changelog TEXT NOT NULL,
+            snapshot TEXT NOT NULL,
+            content_cid TEXT NOT NULL,
+            created_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (agent_id, version),
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (created_by) REFERENCES users(wallet_address)
+        )`,
+        // Releases are immutable; they are only ever removed together with their agent
+        `CREATE TRIGGER agent_releases_immutable BEFORE UPDATE ON agent_releases
+         BEGIN
+             SELECT RAISE(ABORT, 'agent releases are immutable');
+         END`,
+
+        // Abuse reports on agents, or on one of their reviews
+        `CREATE TABLE reports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            agent_id INTEGER NOT NULL,
+            rating_id INTEGER,
+            reporter_wallet TEXT NOT NULL,
+            reason TEXT NOT NULL CHECK (reason IN ('spam', 'scam', 'offensive', 'illegal', 'impersonation', 'other')),
+            details TEXT,
+            status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+            resolved_by TEXT,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (reporter_wallet) REFERENCES users(wallet_address)
+        )`,
+        // One open report per wallet and agent or review
+        `CREATE UNIQUE INDEX idx_reports_open
+         ON reports (reporter_wallet, agent_id, COALESCE(rating_id, 0)) WHERE status = 'open'`,
+
+        // Every moderation action, never changed or deleted
+        `CREATE TABLE audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_wallet TEXT NOT NULL,
+            action TEXT NOT NULL CHECK (action IN ('approve_agent', 'hide_agent', 'remove_agent', 'hide_rating', 'restore_rating',
+                                                   'dismiss_report', 'ban_wallet', 'unban_wallet', 'grant_admin', 'revoke_admin')),
+            agent_id INTEGER,
+            rating_id INTEGER,
+            report_id INTEGER,
+            target_wallet TEXT,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (report_id) REFERENCES reports(id)
+        )`,
+        // The audit log is append-only
+        `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+         BEGIN
+             SELECT RAISE(ABORT, 'the audit log is append-only');
+         END`,
+        `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+         BEGIN
+             SELECT RAISE(ABORT, 'the audit log is append-only');
+         END`,
+
+        // Token buckets per action and wallet or IP, see lib/ratelimits.js
+        `CREATE TABLE rate_limits (
+            bucket_key TEXT PRIMARY KEY,
+            tokens REAL NOT NULL,
+            updated_at REAL NOT NULL
+        )`,
+
+        // Full-text search index over live agents (rowid = agent id), kept in sync by triggers;
+        // deleted agents are dropped from it when their tombstone is written
+        `CREATE VIRTUAL TABLE agents_fts USING fts5(
+            name, description, tags, category,
+            tokenize = 'unicode61 remove_diacritics 2'
+        )`,
+        `CREATE TRIGGER agents_fts_insert AFTER INSERT ON agents
+         WHEN new.deleted_at IS NULL
+         BEGIN
+             INSERT INTO agents_fts (rowid, name, description, tags, category)
+             VALUES (new.id, new.name, new.description, ${TAGS_TEXT('new.id')}, new.category);
+         END`,
+        `CREATE TRIGGER agents_fts_update AFTER UPDATE OF name, description, category, deleted_at ON agents
+         BEGIN
+             DELETE FROM agents_fts WHERE rowid = old.id;
+             INSERT INTO agents_fts (rowid, name, description, tags, category)
+             SELECT new.id, new.name, new.description, ${TAGS_TEXT('new.id')}, new.category
+             WHERE new.deleted_at IS NULL;
+         END`,
+        `CREATE TRIGGER agents_fts_delete AFTER DELETE ON agents
+         BEGIN
+             DELETE FROM agents_fts WHERE rowid = old.id;
+         END`,
+        `CREATE TRIGGER agents_fts_tag_insert AFTER INSERT ON agent_tags
+         BEGIN
+             UPDATE agents_fts SET tags = ${TAGS_TEXT('new.agent_id')} WHERE rowid = new.agent_id;
+         END`,
+        `CREATE TRIGGER agents_fts_tag_delete AFTER DELETE ON agent_tags
+         BEGIN
+             UPDATE agents_fts SET tags = ${TAGS_TEXT('old.agent_id')} WHERE rowid = old.agent_id;
+         END`
+    ],
+
+    // Dropping a table drops its indexes and triggers too
+    down: [
+        'DROP TABLE agents_fts',
+        'DROP TABLE rate_limits',
+        'DROP TABLE audit_log',
+        'DROP TABLE reports',
+        'DROP TABLE agent_releases',
+        'DROP TABLE agent_contents',
+        'DROP TABLE handle_challenges',
+        'DROP TABLE org_invites',
+        'DROP TABLE org_members',
+        'DROP TABLE orgs',
+        'DROP TABLE subscription_payments',
+        'DROP TABLE subscriptions',
+        'DROP TABLE agent_trending',
+        'DROP TABLE agent_events',
+        'DROP TABLE agent_edits',
+        'DROP TABLE sessions',
+        'DROP TABLE login_nonces',
+        'DROP TABLE ratings',
+        'DROP TABLE agent_tags',
+        'DROP TABLE tags',
+        'DROP TABLE agents',
+        'DROP TABLE users'
+    ]
+};
@@ -0,0 +1,96 @@
+// Categories managed in the database: a two-level taxonomy of public categories with
+// slugs, descriptions and icons, and private categories owned by a wallet (the custom
+// categories of the User Pro and Agency plans)
+//
+// agents.category keeps the name of the agent's category, which search and older clients
+// read; agents.category_id is the category itself. Existing agents are matched to the
+// public categories by name, other categories become private categories of the agent's
+// creator and agents without a creator fall back to Other
+
+// Public categories as [slug, name, description, icon], in display order
+const TOP_LEVEL = [
+    ['productivity', 'Productivity', 'Assistants for tasks, scheduling, email and everyday work.', '⚡'],
+    ['content-creation', 'Content Creation', 'Writing, image, audio and video generation.', '✍️'],
+    ['data-analysis', 'Data Analysis', 'Agents that query, summarise and visualise data.', '📊'],
+    ['customer-service', 'Customer Service', 'Support bots, help desks and ticket triage.', '💬'],
+    ['development-tools', 'Development Tools', 'Coding assistants, code review and DevOps helpers.', '🛠️'],
+    ['marketing', 'Marketing', 'Campaigns, copywriting, SEO and social media.', '📣'],
+    ['education', 'Education', 'Tutors, course builders and study aids.', '🎓'],
+    ['entertainment', 'Entertainment', 'Games, stories, characters and fun.', '🎬'],
+    ['healthcare', 'Healthcare', 'Health information, wellness and care workflows.', '🩺'],
+    ['finance', 'Finance', 'Budgeting, accounting, trading and market research.', '💰'],
+    ['defi', 'DeFi', 'Decentralised finance: protocols, positions and on-chain strategies.', '🔗'],
+    ['nft', 'NFT', 'Minting, collecting and trading NFTs.', '🖼️'],
+    ['gaming', 'Gaming', 'Game bots, companions and on-chain games.', '🎮'],
+    ['other', 'Other', 'Everything that fits nowhere else.', '📦']
+];
+
+// Subcategories as [parent slug, slug, name, description, icon]
+const CHILDREN = [
+    ['defi', 'lending', 'Lending', 'Borrowing, lending and collateral management.', '🏦'],
+    ['defi', 'dex', 'DEX', 'Swaps, liquidity provision and DEX aggregation.', '🔄'],
+    ['defi', 'yield', 'Yield', 'Yield farming, staking and vault strategies.', '🌾'],
+    ['nft', 'nft-minting', 'Minting', 'Generating and minting NFT collections.', '🪙'],
+    ['nft', 'nft-trading', 'Trading', 'Floor tracking, sniping and portfolio tools for NFTs.', '📈']
+];
+
+const quote = (value) => `'${value.replace(/'/g, "''")}'`;
+
+module.exports = {
+    up: [
+        // owner_wallet is null for public categories; private ones have no slug and no parent
+        `CREATE TABLE categories (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug TEXT DEFAULT NULL,
+            name TEXT NOT NULL,
+            description TEXT DEFAULT NULL,
+            icon TEXT DEFAULT NULL,
+            parent_id INTEGER DEFAULT NULL,
+            owner_wallet TEXT DEFAULT NULL,
+            position INTEGER NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            CHECK (owner_wallet IS NOT NULL OR slug IS NOT NULL),
+            CHECK (owner_wallet IS NULL OR parent_id IS NULL),
+            FOREIGN KEY (parent_id) REFERENCES categories(id),
+            FOREIGN KEY (owner_wallet) REFERENCES users(wallet_address)
+        )`,
+        'CREATE UNIQUE INDEX idx_categories_slug ON categories (slug)',
+        // Names are unique among the public categories and among each wallet's private ones
+        `CREATE UNIQUE INDEX idx_categories_name ON categories (COALESCE(owner_wallet, ''), name COLLATE NOCASE)`,
+        'CREATE INDEX idx_categories_parent_id ON categories (parent_id)',
+
+        `INSERT INTO categories (slug, name, description, icon, position) VALUES
+            ${TOP_LEVEL.map(([slug, name, description, icon], index) =>
+                `(${quote(slug)}, ${quote(name)}, ${quote(description)}, ${quote(icon)}, ${index + 1})`).join(',\n            ')}`,
+        ...CHILDREN.map(([parentSlug, slug, name, description, icon], index) =>
+            `INSERT INTO categories (slug, name, description, icon, parent_id, position)
+             SELECT ${quote(slug)}, ${quote(name)}, ${quote(description)}, ${quote(icon)}, id, ${index + 1}
+             FROM categories WHERE slug = ${quote(parentSlug)}`),
+
+        'ALTER TABLE agents ADD COLUMN category_id INTEGER DEFAULT NULL REFERENCES categories(id)',
+        'CREATE INDEX idx_agents_category_id ON agents (category_id)',
+
+        `UPDATE agents SET category_id = (SELECT c.id FROM categories c
+                                          WHERE c.owner_wallet IS NULL AND c.name = TRIM(agents.category) COLLATE NOCASE)`,
+        `INSERT INTO categories (name, owner_wallet)
+         SELECT MIN(TRIM(category)), creator_wallet FROM agents
+         WHERE category_id IS NULL AND creator_wallet IS NOT NULL AND TRIM(category) <> ''
+         GROUP BY creator_wallet, TRIM(category) COLLATE NOCASE`,
+        `UPDATE agents SET category_id = (SELECT c.id FROM categories c
+                                          WHERE c.owner_wallet = agents.creator_wallet AND c.name = TRIM(agents.category) COLLATE NOCASE)
+         WHERE category_id IS NULL AND creator_wallet IS NOT NULL`,
+        `UPDATE agents SET category_id = (SELECT id FROM categories WHERE slug = 'other') WHERE category_id IS NULL`,
+        `UPDATE agents SET category = (SELECT c.name FROM categories c WHERE c.id = agents.category_id)
+         WHERE category IS NOT (SELECT c.name FROM categories c WHERE c.id = agents.category_id)`
+    ],
+
+    down: [
+        'DROP INDEX idx_agents_category_id',
+        'ALTER TABLE agents DROP COLUMN category_id',
+        'DROP TABLE categories'
+    ],
+
+    // The PostgreSQL backend starts from the same categories (see lib/storage/postgres/schema.js)
+    TOP_LEVEL,
+    CHILDREN
+};
@@ -0,0 +1,58 @@
+// Admin changes to public categories are recorded in the audit log: created, renamed, moved
+// under another parent and deleted (see moderation.categoryAuditEntries). category_id
+// keeps no reference since deleted categories stay in the log, and category_name records the
+// category's name at the time
+//
+// SQLite can't change a CHECK constraint, so the table is rebuilt with its triggers
+
+const ACTIONS = ['approve_agent', 'hide_agent', 'remove_agent', 'hide_rating', 'restore_rating',
+    'dismiss_report', 'ban_wallet', 'unban_wallet', 'grant_admin', 'revoke_admin'];
+const CATEGORY_ACTIONS = ['create_category', 'rename_category', 'move_category', 'delete_category'];
+
+const COLUMNS = 'id, actor_wallet, action, agent_id, rating_id, report_id, target_wallet, reason, created_at';
+
+const createTable = (actions, categoryColumns) => `CREATE TABLE audit_log_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_wallet TEXT NOT NULL,
+            action TEXT NOT NULL CHECK (action IN (${actions.map(action => `'${action}'`).join(', ')})),
+            agent_id INTEGER,
+            rating_id INTEGER,
+            report_id INTEGER,
+            target_wallet TEXT,${categoryColumns ? `
+            category_id INTEGER,
+            category_name TEXT,` : ''}
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (agent_id) REFERENCES agents(id),
+            FOREIGN KEY (report_id) REFERENCES reports(id)
+        )`;
+
+const TRIGGERS = [
+    `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN
+         SELECT RAISE(ABORT, 'the audit log is append-only');
+     END`,
+    `CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+     BEGIN
+         SELECT RAISE(ABORT, 'the audit log is append-only');
+     END`
+];
+
+module.exports = {
+    up: [
+        createTable(ACTIONS.concat(CATEGORY_ACTIONS), true),
+        `INSERT INTO audit_log_new (${COLUMNS}) SELECT ${COLUMNS} FROM audit_log`,
+        'DROP TABLE audit_log',
+        'ALTER TABLE audit_log_new RENAME TO audit_log',
+        ...TRIGGERS
+    ],
+    // Category entries are dropped with the columns
+    down: [
+        createTable(ACTIONS, false),
+        `INSERT INTO audit_log_new (${COLUMNS}) SELECT ${COLUMNS} FROM audit_log
+         WHERE action NOT IN (${CATEGORY_ACTIONS.map(action => `'${action}'`).join(', ')})`,
+        'DROP TABLE audit_log',
+        'ALTER TABLE audit_log_new RENAME TO audit_log',
+        ...TRIGGERS
+    ]
+};
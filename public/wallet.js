@@ -1,9 +1,29 @@
-// Simple wallet connection simulation for MVP
-// In production, integrate with WalletConnect or similar
+// Wallet connection via an injected EIP-1193 provider (e.g. MetaMask)
+// and Sign-In With Ethereum (EIP-4361).
+// For local development without a wallet extension, set
+// localStorage.devMockWallet = 'true' and start the server with DEV_MOCK_WALLET=true
 
 let currentWallet = null;
 let sessionId = null;
 
+function toHex(text) {
+    return '0x' + Array.from(new TextEncoder().encode(text))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Ask the wallet to sign a message with personal_sign; resolves with the signature
+// The development mock wallet signs with the placeholder the server accepts
+function signWithWallet(message, address) {
+    const provider = window.ethereum;
+    if (!provider) {
+        return localStorage.getItem('devMockWallet') === 'true' ?
+            Promise.resolve('mock-signature') :
+            Promise.reject(new Error('No Ethereum wallet found. Please install a browser wallet such as MetaMask.'));
+    }
+    return provider.request({ method: 'personal_sign', params: [toHex(message), address] });
+}
+
 document.addEventListener('DOMContentLoaded', function() {
     const connectButton = document.getElementById('connectWallet');
     const walletInfo = document.getElementById('walletInfo');
@@ -40,18 +60,62 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function connectWallet() {
-        // Simulate wallet connection (in production, use WalletConnect)
-        const mockWallet = generateMockWallet();
+        const provider = window.ethereum;
+        const useMockWallet = !provider && localStorage.getItem('devMockWallet') === 'true';
         
-        fetch('/api/login', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                walletAddress: mockWallet,
-                signature: 'mock-signature'
-            })
+        if (!provider && !useMockWallet) {
+            alert('No Ethereum wallet found. Please install a browser wallet such as MetaMask.');
+            return;
+        }
+        
+        let address;
+        let chainId = 1;
+        let accountRequest;
+        
+        if (useMockWallet) {
+            accountRequest = Promise.resolve([generateMockWallet()]);
+        } else {
+            accountRequest = provider.request({ method: 'eth_requestAccounts' })
+                .then(accounts => provider.request({ method: 'eth_chainId' })
+                    .then(hexChainId => {
+                        chainId = parseInt(hexChainId, 16);
+                        return accounts;
+                    }));
+        }
+        
+        accountRequest
+        .then(accounts => {
+            if (!accounts || accounts.length === 0) {
+                throw new Error('No account selected');
+            }
+            address = accounts[0];
+            
+            return fetch('/api/nonce', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    walletAddress: address,
+                    chainId
+                })
+            }).then(response => response.json());
+        })
+        .then(data => {
+            if (!data.message) {
+                throw new Error(data.error || 'Unable to start sign-in');
+            }
+            
+            return signWithWallet(data.message, address).then(signature => fetch('/api/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    message: data.message,
+                    signature
+                })
+            }));
         })
         .then(response => response.json())
         .then(data => {
@@ -65,7 +129,7 @@ document.addEventListener('DOMContentLoaded', function() {
         })
         .catch(error => {
             console.error('Error connecting wallet:', error);
-            alert('Failed to connect wallet');
+            alert('Failed to connect wallet: ' + error.message);
         });
     }
 
@@ -102,7 +166,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function generateMockWallet() {
-        // Generate a mock Ethereum-like wallet address for demo
+        // Generate a mock Ethereum-like wallet address (dev mode only)
         const chars = '0123456789abcdef';
         let result = '0x';
         for (let i = 0; i < 40; i++) {
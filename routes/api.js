@@ -0,0 +1,1623 @@
+// Versioned JSON API (mounted at /api/v1)
+// Successful responses are wrapped as { data }, errors as { error: { code, message } }
+
+const express = require('express');
+const agents = require('../lib/agents');
+const categories = require('../lib/categories');
+const cid = require('../lib/cid');
+const ratings = require('../lib/ratings');
+const activity = require('../lib/activity');
+const dashboard = require('../lib/dashboard');
+const lineage = require('../lib/lineage');
+const pagination = require('../lib/pagination');
+const subscriptions = require('../lib/subscriptions');
+const orgs = require('../lib/orgs');
+const siwe = require('../lib/siwe');
+const handles = require('../lib/handles');
+const creators = require('../lib/creators');
+const manifests = require('../lib/manifests');
+const content = require('../lib/content');
+const releases = require('../lib/releases');
+const semver = require('../lib/semver');
+const prompts = require('../lib/prompts');
+const moderation = require('../lib/moderation');
+const middleware = require('../lib/middleware');
+const spam = require('../lib/spam');
+
+const API_PAGE_SIZE = 20;
+// Analytics can't look further back than the activity log keeps events (activity.RETENTION_HOURS)
+const ANALYTICS_DAYS = 30;
+
+// Send an error using the API error envelope
+function sendError(res, status, code, message, details) {
+    const error = { code, message };
+    if (details) {
+        error.details = details;
+    }
+    res.status(status).json({ error });
+}
+
+// Pick the editable agent fields out of a request body
+function pickAgentFields(body) {
+    const fields = {};
+    ['name', 'description', 'category', 'link'].forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+        }
+    });
+    if (body.ipfs_hash !== undefined) {
+        fields.ipfs_hash = cid.normalizeCid(body.ipfs_hash) || null;
+    }
+    if (body.tags !== undefined) {
+        fields.tags = agents.normalizeTags(body.tags);
+    }
+    if (body.is_premium !== undefined) {
+        fields.is_premium = agents.parsePremiumFlag(body.is_premium);
+    }
+    if (body.prompt_template !== undefined) {
+        fields.prompt_template = body.prompt_template === null ? '' : body.prompt_template;
+    }
+    return fields;
+}
+
+// Turn a picked prompt_template into the spec of the agent, starting from baseSpec (the
+// spec JSON the agent has or inherits); returns a list of error messages
+function applyPromptTemplate(fields, baseSpec) {
+    if (fields.prompt_template === undefined) {
+        return [];
+    }
+    const result = prompts.applyPromptTemplate(baseSpec || null, fields.prompt_template);
+    delete fields.prompt_template;
+    fields.spec = result.spec;
+    return result.errors;
+}
+
+// storage is the storage backend (see lib/storage)
+// services: { paymentProvider, handleResolver, pinningBackend, modelRunner, moderationMode,
+//             adminWallets, publicUrl, mockSignature }
+// moderationMode is "pre" or "post" (see moderation.initialStatus); adminWallets are the
+// wallets that are always admins; publicUrl is the
+// marketplace URL used in manifests; mockSignature is accepted in place of wallet
+// signatures (development only, otherwise null)
+function createApiRouter(storage, services) {
+    const router = express.Router();
+    const { paymentProvider, handleResolver, pinningBackend, modelRunner, moderationMode, adminWallets, publicUrl, mockSignature } = services;
+
+    // Pin the published content of an agent after it changed, then load the agent
+    // Publishing failures are only logged since the agent itself is saved
+    function publishAndLoad(agentId, callback) {
+        content.publishAgentContent(storage, pinningBackend, agentId, publicUrl, (publishErr) => {
+            if (publishErr) {
+                console.error('Error publishing agent content:', publishErr.message);
+            }
+            agents.getAgent(storage, agentId, callback);
+        });
+    }
+
+    // Load the agent named by :id into req.agent and what the caller may do with it
+    // into req.permissions; drafts and agents under review the caller may not see are
+    // reported as missing (admins see every published agent)
+    function loadAgent(req, res, next) {
+        const agentId = parseInt(req.params.id);
+        if (isNaN(agentId)) {
+            return sendError(res, 400, 'invalid_id', 'The agent ID must be a valid number.');
+        }
+
+        agents.getAgent(storage, agentId, (err, agent) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+            }
+            if (!agent) {
+                return sendError(res, 404, 'not_found', 'The requested AI agent could not be found.');
+            }
+            if (agent.deleted_at) {
+                return sendError(res, 410, 'deleted', 'This AI agent has been deleted by its creator.');
+            }
+
+            orgs.getAgentPermissions(storage, agent, req.user ? req.user.walletAddress : null, (permissionsErr, permissions) => {
+                if (permissionsErr) {
+                    console.error('Database error:', permissionsErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+                }
+                if (!permissions.view && !moderation.canReview(req.user, agent)) {
+                    return sendError(res, 404, 'not_found', 'The requested AI agent could not be found.');
+                }
+                req.agent = agent;
+                req.permissions = permissions;
+                next();
+            });
+        });
+    }
+
+    // Route middleware, see lib/middleware.js
+    const failedToLoad = (req, res, message) => sendError(res, 500, 'database_error', message);
+    const loadEntitlements = middleware.loadEntitlements(storage, failedToLoad);
+    const loadCategories = middleware.loadCategories(storage, failedToLoad);
+    const rateLimited = (req, res, message) => sendError(res, 429, 'rate_limited', message);
+    const rateLimit = (action) => middleware.rateLimit(storage, action, rateLimited);
+
+    // Serialize an agent for the caller, hiding premium links they are not entitled to
+    function presentAgent(req, row) {
+        const agent = agents.serializeAgent(row);
+        if (!subscriptions.canViewLink(row, req.user ? req.user.walletAddress : null, req.entitlements)) {
+            agent.link = null;
+            agent.link_locked = true;
+        }
+        return agent;
+    }
+
+    function requireSession(req, res, next) {
+        if (!req.user) {
+            return sendError(res, 401, 'not_authenticated', 'Connect your wallet to continue.');
+        }
+        next();
+    }
+
+    // Personal agents can only be changed by their creator; org agents by members
+    // whose role allows the action (see orgs.agentPermissions). Removed agents can
+    // only be deleted
+    function requirePermission(action) {
+        return (req, res, next) => {
+            if (action !== 'delete' && req.agent.moderation_status === 'removed') {
+                return sendError(res, 409, 'removed', 'Moderators have removed this agent, so it can no longer be changed.');
+            }
+            if (!req.permissions[action]) {
+                const message = req.agent.org_id ?
+                    `Only members of this agent's organisation with the right role can ${action} it.` :
+                    'Only the creator of this agent can modify it.';
+                return sendError(res, 403, 'forbidden', message);
+            }
+            next();
+        };
+    }
+
+    // Create an agent and respond with the stored record
+    // The body's org_id and status decide who owns the agent and whether it is a draft;
+    // forks may keep the category name of basedOn, the agent they were forked from
+    function createAndRespond(req, res, fields, allowCustomCategory, basedOn) {
+        const errors = agents.validateAgentInput(fields, {
+            categories: req.categories,
+            current: basedOn,
+            allowCustomCategory,
+            walletAddress: req.user ? req.user.walletAddress : null
+        }).concat(applyPromptTemplate(fields, fields.spec));
+        if (errors.length) {
+            return sendError(res, 400, 'validation_failed', errors[0], errors);
+        }
+
+        const walletAddress = req.user ? req.user.walletAddress : null;
+        const { org_id, status } = req.body || {};
+
+        orgs.resolveAgentOwnership(storage, walletAddress, parseInt(org_id) || null, status, (ownershipErr, problem, ownership) => {
+            if (ownershipErr) {
+                console.error('Database error:', ownershipErr.message);
+                return sendError(res, 500, 'database_error', 'Unable to save the agent.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+
+            Object.assign(fields, ownership, {
+                creator_wallet: walletAddress,
+                moderation_status: moderation.initialStatus(moderationMode, req.user)
+            });
+
+            // Quotas and duplicates: see lib/spam.js
+            spam.checkSubmission(storage, fields, req.entitlements, (spamErr, spamProblem) => {
+                if (spamErr) {
+                    console.error('Database error:', spamErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to save the agent.');
+                }
+                if (spamProblem && spamProblem.retryAfter) {
+                    res.set('Retry-After', String(spamProblem.retryAfter));
+                    return sendError(res, spamProblem.status, spamProblem.code, spamProblem.message);
+                }
+                if (spamProblem) {
+                    return sendError(res, spamProblem.status, spamProblem.code, spamProblem.message, { agent_id: spamProblem.agentId });
+                }
+
+                agents.createAgent(storage, fields, (err, agentId) => {
+                    if (err) {
+                        console.error('Database error:', err.message);
+                        return sendError(res, 500, 'database_error', 'Unable to save the agent.');
+                    }
+
+                    publishAndLoad(agentId, (getErr, agent) => {
+                        if (getErr) {
+                            console.error('Database error:', getErr.message);
+                            return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+                        }
+                        res.status(201).location(`/api/v1/agents/${agentId}`).json({ data: agents.serializeAgent(agent) });
+                    });
+                });
+            });
+        });
+    }
+
+    // List agents, accepts the same category, search, tag and sort filters as /browse
+    // Paged with limit and either page or the next_cursor of the previous response;
+    // cursors keep infinite scroll stable while new agents are added
+    router.get('/agents', loadEntitlements, (req, res) => {
+        const { category, search, tag, sort, cursor } = req.query;
+
+        if (sort && !agents.SORT_ORDERS[sort]) {
+            return sendError(res, 400, 'invalid_sort', `Sort must be one of: ${Object.keys(agents.SORT_ORDERS).join(', ')}`);
+        }
+
+        const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+        const filters = { category, search, tag, sort, limit: page.limit, offset: page.offset };
+        if (cursor !== undefined) {
+            filters.after = agents.decodeAgentCursor(cursor, filters);
+            if (!filters.after) {
+                return sendError(res, 400, 'invalid_cursor', 'The cursor is malformed or belongs to a different sort order.');
+            }
+        }
+
+        agents.listAgents(storage, filters, (err, rows, total, nextCursor) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load agents.');
+            }
+            res.json({
+                data: rows.map(row => presentAgent(req, row)),
+                meta: {
+                    count: rows.length,
+                    total,
+                    limit: page.limit,
+                    sort: agents.resolveSort(filters),
+                    next_cursor: nextCursor
+                }
+            });
+        });
+    });
+
+    router.get('/agents/:id', loadAgent, loadEntitlements, (req, res) => {
+        res.json({ data: presentAgent(req, req.agent) });
+    });
+
+    router.post('/agents', rateLimit('submit'), loadEntitlements, loadCategories, (req, res) => {
+        createAndRespond(req, res, pickAgentFields(req.body || {}), req.entitlements.custom_categories);
+    });
+
+    // Partial update: omitted fields keep their current value
+    router.patch('/agents/:id', requireSession, loadAgent, requirePermission('edit'), loadEntitlements, loadCategories, (req, res) => {
+        const current = req.agent;
+        const fields = Object.assign({
+            name: current.name,
+            description: current.description,
+            category: current.category,
+            link: current.link,
+            ipfs_hash: current.ipfs_hash,
+            is_premium: !!current.is_premium
+        }, pickAgentFields(req.body || {}));
+
+        // Agents may keep their category after the plan that allowed it ends
+        const errors = agents.validateAgentInput(fields, {
+            categories: req.categories,
+            current,
+            allowCustomCategory: req.entitlements.custom_categories,
+            walletAddress: req.user.walletAddress
+        }).concat(applyPromptTemplate(fields, current.spec));
+        if (errors.length) {
+            return sendError(res, 400, 'validation_failed', errors[0], errors);
+        }
+
+        agents.updateAgent(storage, current, fields, req.user.walletAddress, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to save the agent.');
+            }
+
+            publishAndLoad(current.id, (getErr, agent) => {
+                if (getErr) {
+                    console.error('Database error:', getErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+                }
+                res.json({ data: agents.serializeAgent(agent) });
+            });
+        });
+    });
+
+    router.delete('/agents/:id', requireSession, loadAgent, requirePermission('delete'), (req, res) => {
+        agents.deleteAgent(storage, req.agent, req.user.walletAddress, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to delete the agent.');
+            }
+            // Deleted agents stop serving their content
+            content.publishAgentContent(storage, pinningBackend, req.agent.id, publicUrl, (publishErr) => {
+                if (publishErr) {
+                    console.error('Error publishing agent content:', publishErr.message);
+                }
+                res.status(204).end();
+            });
+        });
+    });
+
+    // Publish a draft so it appears in browse and search
+    router.post('/agents/:id/publish', requireSession, loadAgent, (req, res, next) => {
+        if (req.agent.status !== 'draft') {
+            return sendError(res, 409, 'already_published', 'This agent is already published.');
+        }
+        next();
+    }, requirePermission('publish'), (req, res) => {
+        agents.publishAgent(storage, req.agent, req.user.walletAddress, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to publish the agent.');
+            }
+
+            publishAndLoad(req.agent.id, (getErr, agent) => {
+                if (getErr) {
+                    console.error('Database error:', getErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+                }
+                res.json({ data: agents.serializeAgent(agent) });
+            });
+        });
+    });
+
+    // Edit history: who changed which field and when
+    router.get('/agents/:id/history', loadAgent, loadEntitlements, (req, res) => {
+        agents.listAgentEdits(storage, req.agent.id, (err, rows) => {
+            if (err) {
+                console.error('Error loading edit history:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the edit history.');
+            }
+            const walletAddress = req.user ? req.user.walletAddress : null;
+            const edits = subscriptions.redactEditLinks(rows, req.agent, walletAddress, req.entitlements);
+            res.json({ data: edits, meta: { count: edits.length } });
+        });
+    });
+
+    // Fork family tree: ancestor chain, descendant tree and the diff against the parent
+    router.get('/agents/:id/lineage', loadAgent, loadEntitlements, (req, res) => {
+        lineage.getLineage(storage, req.agent, (err, result) => {
+            if (err) {
+                console.error('Error loading lineage:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the lineage.');
+            }
+            const walletAddress = req.user ? req.user.walletAddress : null;
+            res.json({ data: subscriptions.redactLineageLinks(result, walletAddress, req.entitlements) });
+        });
+    });
+
+    // Fork an agent; body fields override the copied values
+    // Forks are made from the release named by version, by default the latest stable
+    // release, and stay pinned to it; agents without releases are forked as they are now
+    // Premium agents can only be forked by callers who can see their link
+    router.post('/agents/:id/fork', rateLimit('submit'), loadAgent, loadEntitlements, loadCategories, (req, res) => {
+        const original = req.agent;
+        if (!subscriptions.canViewLink(original, req.user ? req.user.walletAddress : null, req.entitlements)) {
+            return sendError(res, 403, 'upgrade_required', 'Forking premium agents requires a User Pro or Agency plan.');
+        }
+
+        const { version } = req.body || {};
+        releases.getRelease(storage, original.id, version || 'latest', (err, release) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the release.');
+            }
+            if (version && !release) {
+                return sendError(res, 404, 'release_not_found', 'This agent has no release with that version.');
+            }
+
+            const source = release ? releases.releaseFields(release) : original;
+            const fields = Object.assign({
+                name: `Fork of ${source.name}`,
+                description: source.description,
+                category: source.category,
+                link: source.link,
+                tags: agents.normalizeTags(source.tags),
+                license: source.license,
+                spec: source.spec
+            }, pickAgentFields(req.body || {}));
+            fields.original_agent_id = original.id;
+            fields.original_release_id = release ? release.id : null;
+
+            createAndRespond(req, res, fields, req.entitlements.custom_categories || fields.category === source.category, original);
+        });
+    });
+
+    // Releases of an agent, newest first; snapshots of premium agents are only included
+    // for callers who can see their link
+    router.get('/agents/:id/releases', loadAgent, loadEntitlements, (req, res) => {
+        releases.listReleases(storage, req.agent.id, (err, rows) => {
+            if (err) {
+                console.error('Error loading releases:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the releases.');
+            }
+            const showSnapshot = subscriptions.canViewLink(req.agent, req.user ? req.user.walletAddress : null, req.entitlements);
+            res.json({
+                data: rows.map(row => releases.serializeRelease(row, showSnapshot)),
+                meta: { count: rows.length, latest_version: req.agent.latest_version || null }
+            });
+        });
+    });
+
+    // Release the agent's current content as a new version (body: version, changelog)
+    router.post('/agents/:id/releases', requireSession, loadAgent, requirePermission('release'), (req, res) => {
+        const { version, changelog } = req.body || {};
+        releases.createRelease(storage, pinningBackend, req.agent, { version, changelog }, req.user.walletAddress, publicUrl,
+            (err, problem, release) => {
+                if (err) {
+                    console.error('Database error:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to save the release.');
+                }
+                if (problem) {
+                    return sendError(res, problem.status, problem.code, problem.message);
+                }
+                res.status(201).location(`/api/v1/agents/${req.agent.id}/releases/${release.version}`)
+                    .json({ data: releases.serializeRelease(release, true) });
+            });
+    });
+
+    // One release ("latest" for the latest stable release) with the diff against the
+    // previous release, or against the release named by ?against
+    router.get('/agents/:id/releases/:version', loadAgent, loadEntitlements, (req, res) => {
+        releases.listReleases(storage, req.agent.id, (err, rows) => {
+            if (err) {
+                console.error('Error loading releases:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the release.');
+            }
+
+            const version = req.params.version === 'latest' ? req.agent.latest_version : semver.normalizeVersion(req.params.version);
+            const index = rows.findIndex(row => row.version === version);
+            if (index === -1) {
+                return sendError(res, 404, 'release_not_found', 'This agent has no release with that version.');
+            }
+            let base = rows[index + 1] || null;
+            if (req.query.against !== undefined) {
+                base = rows.find(row => row.version === semver.normalizeVersion(req.query.against));
+                if (!base) {
+                    return sendError(res, 404, 'release_not_found', 'This agent has no release to compare against with that version.');
+                }
+            }
+
+            const showSnapshot = subscriptions.canViewLink(req.agent, req.user ? req.user.walletAddress : null, req.entitlements);
+            const diff = releases.diffSnapshots(base ? releases.parseSnapshot(base) : null, releases.parseSnapshot(rows[index]));
+            res.json({
+                data: Object.assign(releases.serializeRelease(rows[index], showSnapshot), {
+                    compared_to: base ? base.version : null,
+                    diff: showSnapshot ? diff : releases.lockDiff(diff)
+                })
+            });
+        });
+    });
+
+    // Manifest of an agent (see public/schemas/agent-manifest-v1.json); premium agents
+    // can only be exported by those who could fork them
+    router.get('/agents/:id/manifest', loadAgent, loadEntitlements, (req, res) => {
+        if (!subscriptions.canViewLink(req.agent, req.user ? req.user.walletAddress : null, req.entitlements)) {
+            return sendError(res, 403, 'upgrade_required', 'Exporting premium agents requires a User Pro or Agency plan.');
+        }
+        res.json({ data: manifests.buildManifest(req.agent, publicUrl) });
+    });
+
+    // Load the prompt template of req.agent into req.prompt (see lib/prompts.js); the
+    // template of a premium agent is only shown to those who can see its link
+    function loadPrompt(req, res, next) {
+        const prompt = prompts.getPrompt(manifests.parseSpec(req.agent));
+        if (!prompt) {
+            return sendError(res, 404, 'no_prompt', 'This agent has no prompt template.');
+        }
+        if (!subscriptions.canViewLink(req.agent, req.user ? req.user.walletAddress : null, req.entitlements)) {
+            return sendError(res, 403, 'upgrade_required', 'Trying premium agents requires a User Pro or Agency plan.');
+        }
+        req.prompt = prompt;
+        next();
+    }
+
+    // Render req.prompt with the values in the body ({ values: { name: value } }) into
+    // req.renderedPrompt
+    function renderPromptValues(req, res, next) {
+        const result = prompts.renderPrompt(req.prompt, (req.body || {}).values);
+        if (result.errors.length) {
+            return sendError(res, 400, 'invalid_values', result.errors[0], result.errors);
+        }
+        req.renderedPrompt = result.text;
+        next();
+    }
+
+    // Prompt template of an agent with its typed variables
+    router.get('/agents/:id/prompt', loadAgent, loadEntitlements, loadPrompt, (req, res) => {
+        const { template, model, variables } = req.prompt;
+        res.json({ data: { template, model, variables } });
+    });
+
+    // Render the prompt template without running it
+    router.post('/agents/:id/prompt/render', loadAgent, loadEntitlements, loadPrompt, renderPromptValues, (req, res) => {
+        res.json({ data: { prompt: req.renderedPrompt } });
+    });
+
+    // Render the prompt template and run it with the configured model runner
+    router.post('/agents/:id/prompt/run', loadAgent, loadEntitlements, loadPrompt, renderPromptValues, (req, res) => {
+        modelRunner.run({ prompt: req.renderedPrompt, model: req.prompt.model, agentId: req.agent.id }, (err, result) => {
+            if (err) {
+                console.error('Error running prompt:', err.message);
+                return sendError(res, 502, 'runner_unavailable', 'The model could not be reached. Please try again later.');
+            }
+            res.json({
+                data: { prompt: req.renderedPrompt, output: result.output, model: result.model },
+                meta: { runner: modelRunner.name }
+            });
+        });
+    });
+
+    // Create an agent from a manifest (an object, or its JSON text); accepts org_id and
+    // status like POST /agents
+    router.post('/agents/import', rateLimit('submit'), loadEntitlements, loadCategories, (req, res) => {
+        let manifest = (req.body || {}).manifest;
+        if (typeof manifest === 'string') {
+            try {
+                manifest = JSON.parse(manifest);
+            } catch (err) {
+                return sendError(res, 400, 'invalid_json', 'The manifest is not valid JSON.');
+            }
+        }
+        if (manifest === undefined) {
+            return sendError(res, 400, 'validation_failed', 'Please provide a manifest.');
+        }
+
+        const errors = manifests.validateManifest(manifest);
+        if (errors.length) {
+            return sendError(res, 400, 'invalid_manifest', errors[0], errors);
+        }
+
+        createAndRespond(req, res, manifests.manifestToFields(manifest), req.entitlements.custom_categories);
+    });
+
+    router.get('/agents/:id/ratings', loadAgent, (req, res) => {
+        storage.ratings.listForAgent(req.agent.id, (err, rows) => {
+            if (err) {
+                console.error('Error loading ratings:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load ratings.');
+            }
+            res.json({ data: rows, meta: { count: rows.length } });
+        });
+    });
+
+    // Create or update the current wallet's rating
+    router.post('/agents/:id/ratings', rateLimit('rate'), loadAgent, (req, res) => {
+        const walletAddress = req.user ? req.user.walletAddress : null;
+        const stars = Number((req.body || {}).stars);
+
+        const problem = ratings.checkRatingAllowed(req.agent, walletAddress, stars);
+        if (problem) {
+            return sendError(res, problem.status, problem.code, problem.message);
+        }
+
+        const rating = {
+            agent_id: req.agent.id,
+            wallet_address: walletAddress,
+            stars,
+            comment: ratings.normalizeComment((req.body || {}).comment)
+        };
+
+        storage.ratings.save(rating, (err, created) => {
+            if (err) {
+                console.error('Error saving rating:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to save the rating.');
+            }
+
+            const respond = () => {
+                storage.ratings.get(req.agent.id, walletAddress, (getErr, saved) => {
+                    if (getErr) {
+                        console.error('Error loading rating:', getErr.message);
+                        return sendError(res, 500, 'database_error', 'Unable to load the rating.');
+                    }
+                    res.status(created ? 201 : 200).json({ data: saved });
+                });
+            };
+            if (!created) {
+                return respond();
+            }
+            // Only a new rating counts towards trending, so editing one can't inflate it
+            activity.recordEvent(storage, req.agent.id, 'rating', walletAddress, (eventErr) => {
+                if (eventErr) {
+                    console.error('Error recording rating event:', eventErr.message);
+                }
+                respond();
+            });
+        });
+    });
+
+    router.delete('/agents/:id/ratings/mine', requireSession, loadAgent, (req, res) => {
+        storage.ratings.remove(req.agent.id, req.user.walletAddress, (err, deleted) => {
+            if (err) {
+                console.error('Error deleting rating:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to delete the rating.');
+            }
+            if (!deleted) {
+                return sendError(res, 404, 'not_found', 'You have not rated this agent.');
+            }
+            res.status(204).end();
+        });
+    });
+
+    // Report the agent, or one of its reviews (rating_id), to the moderators
+    // (body: reason, details)
+    router.post('/agents/:id/reports', requireSession, rateLimit('report'), loadAgent, (req, res) => {
+        const { reason, details, rating_id } = req.body || {};
+        const ratingId = rating_id === undefined || rating_id === null ? null : parseInt(rating_id);
+
+        moderation.getRating(storage, ratingId, (ratingErr, rating) => {
+            if (ratingErr) {
+                console.error('Database error:', ratingErr.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the review.');
+            }
+            if (ratingId !== null && (!rating || rating.agent_id !== req.agent.id || rating.hidden_at)) {
+                return sendError(res, 404, 'not_found', 'This agent has no review with that ID.');
+            }
+
+            const report = { agent_id: req.agent.id, rating_id: ratingId, reporter_wallet: req.user.walletAddress, reason, details };
+            moderation.createReport(storage, report, (err, problem, saved) => {
+                if (err) {
+                    console.error('Error saving report:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to save the report.');
+                }
+                if (problem) {
+                    return sendError(res, problem.status, problem.code, problem.message);
+                }
+                const { id, reason: savedReason, details: savedDetails, status, created_at } = moderation.serializeReport(saved);
+                res.status(201).json({ data: { id, reason: savedReason, details: savedDetails, status, created_at } });
+            });
+        });
+    });
+
+    // Load the category named by :categoryId into req.category; private categories of the
+    // caller when isPrivate is set, public categories otherwise
+    function loadCategory(isPrivate) {
+        return (req, res, next) => {
+            const categoryId = parseInt(req.params.categoryId);
+            if (isNaN(categoryId)) {
+                return sendError(res, 400, 'invalid_id', 'The category ID must be a valid number.');
+            }
+            categories.getCategory(storage, categoryId, (err, category) => {
+                if (err) {
+                    console.error('Database error:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load the category.');
+                }
+                const owned = category && (isPrivate ? category.owner_wallet === req.user.walletAddress : !category.owner_wallet);
+                if (!owned) {
+                    return sendError(res, 404, 'not_found', 'Category not found.');
+                }
+                req.category = category;
+                next();
+            });
+        };
+    }
+
+    // Respond to a category change with the changed category, or with the problem
+    function respondWithCategory(res, status, err, problem, category) {
+        if (err) {
+            console.error('Database error:', err.message);
+            return sendError(res, 500, 'database_error', 'Unable to save the category.');
+        }
+        if (problem) {
+            return sendError(res, problem.status, problem.code, problem.message, problem.details);
+        }
+        res.status(status).json({ data: categories.serializeCategory(category) });
+    }
+
+    // Delete req.category; its agents move to the category in move_to (see categories.deleteCategory)
+    function deleteAndRespond(req, res) {
+        const moderatorWallet = req.category.owner_wallet ? null : req.user.walletAddress;
+        categories.deleteCategory(storage, req.category, parseInt(req.query.move_to) || null, moderatorWallet, (err, problem) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to delete the category.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+            res.status(204).end();
+        });
+    }
+
+    // The public categories as a tree, with the number of listed agents of each
+    router.get('/categories', loadCategories, (req, res) => {
+        const tree = categories.buildTree(req.categories);
+        res.json({ data: tree.map(categories.serializeCategory), meta: { count: tree.length } });
+    });
+
+    // A public category with its subcategories and parent
+    router.get('/categories/:slug', (req, res) => {
+        categories.getCategoryBySlug(storage, req.params.slug, (err, category) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the category.');
+            }
+            if (!category) {
+                return sendError(res, 404, 'not_found', 'Category not found.');
+            }
+            res.json({
+                data: Object.assign(categories.serializeCategory(category), {
+                    parent: category.parent ? { id: category.parent.id, slug: category.parent.slug, name: category.parent.name } : null
+                })
+            });
+        });
+    });
+
+    // The caller's private categories, the custom categories of their agents
+    router.get('/me/categories', requireSession, loadCategories, (req, res) => {
+        const own = req.categories.filter(category => category.owner_wallet);
+        res.json({ data: own.map(categories.serializeCategory), meta: { count: own.length } });
+    });
+
+    // Create a private category (name, description, icon); needs a plan with custom categories
+    router.post('/me/categories', requireSession, loadEntitlements, (req, res) => {
+        if (!req.entitlements.custom_categories) {
+            return sendError(res, 403, 'upgrade_required', 'Custom categories are available on the User Pro and Agency plans.');
+        }
+        categories.createCategory(storage, req.body || {}, req.user.walletAddress, null, (err, problem, category) =>
+            respondWithCategory(res, 201, err, problem, category));
+    });
+
+    // Rename or describe a private category; the agents using it get the new name
+    router.patch('/me/categories/:categoryId', requireSession, loadCategory(true), (req, res) => {
+        categories.updateCategory(storage, req.category, req.body || {}, null, (err, problem, category) =>
+            respondWithCategory(res, 200, err, problem, category));
+    });
+
+    router.delete('/me/categories/:categoryId', requireSession, loadCategory(true), deleteAndRespond);
+
+    // Load the public profile of the creator named by :wallet into req.creator
+    function loadCreator(req, res, next) {
+        const walletAddress = siwe.normalizeWalletAddress(req.params.wallet);
+        if (!walletAddress) {
+            return sendError(res, 400, 'invalid_wallet', 'The wallet address must be 0x followed by 40 hex characters.');
+        }
+
+        creators.getCreatorProfile(storage, walletAddress, (err, profile) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the creator.');
+            }
+            if (!profile) {
+                return sendError(res, 404, 'not_found', 'Creator not found.');
+            }
+            req.creator = profile;
+            next();
+        });
+    }
+
+    // Public profile of a creator: verified handles, member-since date and stats
+    router.get('/creators/:wallet', loadCreator, (req, res) => {
+        res.json({ data: creators.serializeCreator(req.creator) });
+    });
+
+    // Paginated published agents (or forks) of a creator, newest first
+    function listCreatorAgents(forks) {
+        return (req, res) => {
+            const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+            const filters = { creator_wallet: req.creator.wallet_address, forks, sort: 'recent', limit: page.limit, offset: page.offset };
+
+            agents.listAgents(storage, filters, (err, rows, total) => {
+                if (err) {
+                    console.error('Database error:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agents.');
+                }
+                res.json({
+                    data: rows.map(row => presentAgent(req, row)),
+                    meta: { page: page.page, limit: page.limit, total, total_pages: Math.ceil(total / page.limit) }
+                });
+            });
+        };
+    }
+
+    router.get('/creators/:wallet/agents', loadCreator, loadEntitlements, listCreatorAgents(false));
+    router.get('/creators/:wallet/forks', loadCreator, loadEntitlements, listCreatorAgents(true));
+
+    // Dashboard stats of the signed-in wallet
+    router.get('/me/stats', requireSession, (req, res) => {
+        dashboard.getWalletStats(storage, req.user.walletAddress, (err, stats) => {
+            if (err) {
+                console.error('Error loading stats:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load account stats.');
+            }
+            res.json({ data: stats });
+        });
+    });
+
+    // Paginated agents (or forks) created by the signed-in wallet
+    function listOwnAgents(forks) {
+        return (req, res) => {
+            const page = pagination.parsePagination(req.query);
+            const options = { forks, limit: page.limit, offset: page.offset };
+
+            dashboard.listWalletAgents(storage, req.user.walletAddress, options, (err, rows, total) => {
+                if (err) {
+                    console.error('Error loading agents:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agents.');
+                }
+                res.json({
+                    data: rows.map(row => Object.assign(agents.serializeAgent(row), { latest_ratings: row.latest_ratings })),
+                    meta: {
+                        page: page.page,
+                        limit: page.limit,
+                        total,
+                        total_pages: Math.ceil(total / page.limit)
+                    }
+                });
+            });
+        };
+    }
+
+    router.get('/me/agents', requireSession, listOwnAgents(false));
+    router.get('/me/forks', requireSession, listOwnAgents(true));
+
+    // Per-agent activity of the signed-in wallet's agents (analytics entitlement)
+    router.get('/me/analytics', requireSession, loadEntitlements, (req, res) => {
+        if (!req.entitlements.analytics) {
+            return sendError(res, 403, 'upgrade_required', 'Analytics are available on the User Pro and Agency plans.');
+        }
+
+        dashboard.getWalletAnalytics(storage, req.user.walletAddress, ANALYTICS_DAYS, (err, rows) => {
+            if (err) {
+                console.error('Error loading analytics:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load analytics.');
+            }
+            res.json({ data: rows, meta: { days: ANALYTICS_DAYS } });
+        });
+    });
+
+    // Subscription tiers with prices and entitlements
+    router.get('/plans', (req, res) => {
+        const plans = Object.keys(subscriptions.TIERS).map(tier => Object.assign({ tier }, subscriptions.TIERS[tier]));
+        res.json({ data: plans, meta: { period_days: subscriptions.PERIOD_DAYS, upgrades_available: !!paymentProvider } });
+    });
+
+    // Current plan of the signed-in wallet; subscription is null on the free tier
+    function respondWithSubscription(req, res, status) {
+        subscriptions.getCurrentSubscription(storage, req.user.walletAddress, (err, subscription) => {
+            if (err) {
+                console.error('Error loading subscription:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load your subscription.');
+            }
+            subscriptions.getEntitlements(storage, req.user.walletAddress, (entitlementsErr, entitlements) => {
+                if (entitlementsErr) {
+                    console.error('Error loading entitlements:', entitlementsErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load your plan.');
+                }
+                res.status(status).json({
+                    data: {
+                        tier: entitlements.tier,
+                        entitlements,
+                        subscription: subscription ? subscriptions.serializeSubscription(subscription) : null,
+                        upgrades_available: !!paymentProvider
+                    }
+                });
+            });
+        });
+    }
+
+    router.get('/me/subscription', requireSession, (req, res) => {
+        respondWithSubscription(req, res, 200);
+    });
+
+    // Start a paid plan; the first period is charged through the payment provider
+    router.post('/me/subscription', requireSession, (req, res) => {
+        const { tier, payment_method } = req.body || {};
+
+        subscriptions.startSubscription(storage, paymentProvider, req.user.walletAddress, tier, payment_method, (err, outcome) => {
+            if (err) {
+                console.error('Error starting subscription:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to start the subscription.');
+            }
+            if (outcome.problem) {
+                return sendError(res, outcome.problem.status, outcome.problem.code, outcome.problem.message);
+            }
+            respondWithSubscription(req, res, 201);
+        });
+    });
+
+    // Cancel renewal; the plan stays active until the end of the paid period
+    router.post('/me/subscription/cancel', requireSession, (req, res) => {
+        subscriptions.cancelSubscription(storage, req.user.walletAddress, (err, changed) => {
+            if (err) {
+                console.error('Error canceling subscription:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to cancel the subscription.');
+            }
+            if (!changed) {
+                return sendError(res, 404, 'not_found', 'You have no active subscription to cancel.');
+            }
+            respondWithSubscription(req, res, 200);
+        });
+    });
+
+    router.post('/me/subscription/resume', requireSession, (req, res) => {
+        subscriptions.resumeSubscription(storage, req.user.walletAddress, (err, changed) => {
+            if (err) {
+                console.error('Error resuming subscription:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to resume the subscription.');
+            }
+            if (!changed) {
+                return sendError(res, 404, 'not_found', 'You have no canceled subscription to resume.');
+            }
+            respondWithSubscription(req, res, 200);
+        });
+    });
+
+    router.get('/me/payments', requireSession, (req, res) => {
+        subscriptions.listPayments(storage, req.user.walletAddress, (err, rows) => {
+            if (err) {
+                console.error('Error loading payments:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load payments.');
+            }
+            res.json({ data: rows, meta: { count: rows.length } });
+        });
+    });
+
+    // Profile of the signed-in wallet with its Lens and Farcaster handles
+    function respondWithProfile(req, res) {
+        storage.users.get(req.user.walletAddress, (err, user) => {
+            if (err) {
+                console.error('Error loading profile:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load your profile.');
+            }
+            res.json({
+                data: {
+                    wallet_address: req.user.walletAddress,
+                    handles: handles.serializeHandles(user),
+                    verification_available: !!handleResolver,
+                    created_at: user ? user.created_at : null
+                }
+            });
+        });
+    }
+
+    router.get('/me/profile', requireSession, (req, res) => {
+        respondWithProfile(req, res);
+    });
+
+    // Set or clear (null or empty) lens_handle and farcaster_handle; a changed handle
+    // has to be verified again
+    router.patch('/me/profile', requireSession, (req, res) => {
+        const body = req.body || {};
+        const updates = {};
+        const errors = [];
+
+        Object.keys(handles.NETWORKS).forEach(network => {
+            const value = body[`${network}_handle`];
+            if (value === undefined) {
+                return;
+            }
+            if (value === null || value === '') {
+                updates[network] = null;
+                return;
+            }
+            updates[network] = handles.normalizeHandle(network, value);
+            if (!updates[network]) {
+                errors.push(`Please provide a valid ${handles.NETWORKS[network].name} handle (like ${handles.NETWORKS[network].format}).`);
+            }
+        });
+        if (errors.length) {
+            return sendError(res, 400, 'validation_failed', errors[0], errors);
+        }
+
+        handles.updateHandles(storage, req.user.walletAddress, updates, (err) => {
+            if (err) {
+                console.error('Error updating profile:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to update your profile.');
+            }
+            respondWithProfile(req, res);
+        });
+    });
+
+    function requireNetwork(req, res, next) {
+        if (!handles.NETWORKS[req.params.network]) {
+            return sendError(res, 404, 'not_found', `Unknown network. Use one of: ${Object.keys(handles.NETWORKS).join(', ')}`);
+        }
+        next();
+    }
+
+    // Handles can only be verified when a resolver is configured
+    function requireResolver(req, res, next) {
+        if (!handleResolver) {
+            return sendError(res, 503, 'verification_disabled', 'Handle verification is not available at the moment.');
+        }
+        next();
+    }
+
+    // Issue the statement to sign (personal_sign) to prove ownership of the profile's handle
+    router.post('/me/handles/:network/challenge', requireSession, requireNetwork, requireResolver, (req, res) => {
+        handles.createChallenge(storage, req.user.walletAddress, req.params.network, (err, problem, challenge) => {
+            if (err) {
+                console.error('Error creating handle challenge:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to start the verification.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+            res.status(201).json({ data: challenge });
+        });
+    });
+
+    // Submit the signed statement; the handle resolver then confirms ownership
+    router.post('/me/handles/:network/verify', requireSession, requireNetwork, requireResolver, (req, res) => {
+        const signature = (req.body || {}).signature;
+        const options = { mockSignature };
+
+        handles.verifyChallenge(storage, handleResolver, req.user.walletAddress, req.params.network, signature, options, (err, problem) => {
+            if (err) {
+                console.error('Error verifying handle:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to verify the handle.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+            respondWithProfile(req, res);
+        });
+    });
+
+    // Organisations the signed-in wallet belongs to, with its role in each
+    router.get('/me/orgs', requireSession, (req, res) => {
+        orgs.listWalletOrgs(storage, req.user.walletAddress, (err, rows) => {
+            if (err) {
+                console.error('Error loading orgs:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load your organisations.');
+            }
+            res.json({ data: rows, meta: { count: rows.length } });
+        });
+    });
+
+    // Load the org named by :orgId into req.org and the caller's membership into
+    // req.membership; orgs are only visible to their members
+    function loadOrg(req, res, next) {
+        const orgId = parseInt(req.params.orgId);
+        if (isNaN(orgId)) {
+            return sendError(res, 400, 'invalid_id', 'The organisation ID must be a valid number.');
+        }
+
+        orgs.getMembership(storage, orgId, req.user.walletAddress, (err, membership) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the organisation.');
+            }
+            if (!membership) {
+                return sendError(res, 404, 'not_found', 'The requested organisation could not be found.');
+            }
+
+            orgs.getOrg(storage, orgId, (orgErr, org) => {
+                if (orgErr || !org) {
+                    console.error('Database error:', orgErr ? orgErr.message : `org ${orgId} has members but no row`);
+                    return sendError(res, 500, 'database_error', 'Unable to load the organisation.');
+                }
+                req.org = org;
+                req.membership = membership;
+                next();
+            });
+        });
+    }
+
+    function requireOrgAdmin(req, res, next) {
+        if (!orgs.isOrgAdmin(req.membership)) {
+            return sendError(res, 403, 'forbidden', 'Only organisation owners and admins can manage members.');
+        }
+        next();
+    }
+
+    // Respond with an org, its seats, the caller's role and the member list
+    function respondWithOrg(req, res, status) {
+        orgs.getOrg(storage, req.org.id, (err, org) => {
+            if (err) {
+                console.error('Error loading org:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the organisation.');
+            }
+            orgs.getOrgSeats(storage, org, (seatsErr, seats) => {
+                if (seatsErr) {
+                    console.error('Error loading entitlements:', seatsErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load the organisation.');
+                }
+                orgs.listMembers(storage, org.id, (membersErr, members) => {
+                    if (membersErr) {
+                        console.error('Error loading members:', membersErr.message);
+                        return sendError(res, 500, 'database_error', 'Unable to load the organisation.');
+                    }
+                    res.status(status).json({
+                        data: Object.assign({}, org, { seats, role: req.membership.role, members })
+                    });
+                });
+            });
+        });
+    }
+
+    // Create an org owned by the signed-in wallet (needs team seats, i.e. the Agency plan)
+    router.post('/orgs', requireSession, loadEntitlements, (req, res) => {
+        if (!req.entitlements.team_seats) {
+            return sendError(res, 403, 'upgrade_required', 'Organisations are available on the Agency plan.');
+        }
+        const name = (req.body || {}).name;
+        const problem = orgs.validateOrgName(name);
+        if (problem) {
+            return sendError(res, 400, 'validation_failed', problem);
+        }
+
+        orgs.createOrg(storage, name, req.user.walletAddress, (err, orgId) => {
+            if (err) {
+                console.error('Error creating org:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to create the organisation.');
+            }
+            req.org = { id: orgId };
+            req.membership = { role: 'owner' };
+            res.location(`/api/v1/orgs/${orgId}`);
+            respondWithOrg(req, res, 201);
+        });
+    });
+
+    router.get('/orgs/:orgId', requireSession, loadOrg, (req, res) => {
+        respondWithOrg(req, res, 200);
+    });
+
+    // Agents owned by an org, drafts included; status=draft or status=published narrows the list
+    router.get('/orgs/:orgId/agents', requireSession, loadOrg, loadEntitlements, (req, res) => {
+        const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+        const filters = { org_id: req.org.id, drafts: true, status: req.query.status, limit: page.limit, offset: page.offset };
+
+        agents.listAgents(storage, filters, (err, rows, total) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load agents.');
+            }
+            res.json({
+                data: rows.map(row => presentAgent(req, row)),
+                meta: { page: page.page, limit: page.limit, total, total_pages: Math.ceil(total / page.limit) }
+            });
+        });
+    });
+
+    // Change a member's role; admins manage members, only the owner manages admins
+    router.patch('/orgs/:orgId/members/:wallet', requireSession, loadOrg, requireOrgAdmin, (req, res) => {
+        const walletAddress = siwe.normalizeWalletAddress(req.params.wallet);
+        const role = (req.body || {}).role;
+
+        orgs.getMembership(storage, req.org.id, walletAddress, (err, target) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to update the member.');
+            }
+            if (!target) {
+                return sendError(res, 404, 'not_found', 'That wallet is not a member of this organisation.');
+            }
+            if (!['admin', 'member'].includes(role)) {
+                return sendError(res, 400, 'validation_failed', 'Role must be admin or member.');
+            }
+            if (!orgs.canManageMember(req.membership.role, target.role, role)) {
+                return sendError(res, 403, 'forbidden', 'Your role does not allow you to make this change.');
+            }
+
+            orgs.setMemberRole(storage, req.org.id, walletAddress, role, (updateErr) => {
+                if (updateErr) {
+                    console.error('Database error:', updateErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to update the member.');
+                }
+                respondWithOrg(req, res, 200);
+            });
+        });
+    });
+
+    // Remove a member, or leave the org when the wallet is the caller's own
+    router.delete('/orgs/:orgId/members/:wallet', requireSession, loadOrg, (req, res) => {
+        const walletAddress = siwe.normalizeWalletAddress(req.params.wallet);
+
+        orgs.getMembership(storage, req.org.id, walletAddress, (err, target) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to remove the member.');
+            }
+            if (!target) {
+                return sendError(res, 404, 'not_found', 'That wallet is not a member of this organisation.');
+            }
+            const isSelf = walletAddress === req.user.walletAddress;
+            if (target.role === 'owner') {
+                return sendError(res, 403, 'forbidden', 'The owner cannot leave or be removed from their organisation.');
+            }
+            if (!isSelf && !orgs.canManageMember(req.membership.role, target.role)) {
+                return sendError(res, 403, 'forbidden', 'Your role does not allow you to remove this member.');
+            }
+
+            orgs.removeMember(storage, req.org.id, walletAddress, (removeErr) => {
+                if (removeErr) {
+                    console.error('Database error:', removeErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to remove the member.');
+                }
+                res.status(204).end();
+            });
+        });
+    });
+
+    router.get('/orgs/:orgId/invites', requireSession, loadOrg, requireOrgAdmin, (req, res) => {
+        orgs.listInvites(storage, req.org.id, (err, rows) => {
+            if (err) {
+                console.error('Error loading invites:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load invites.');
+            }
+            res.json({ data: rows, meta: { count: rows.length } });
+        });
+    });
+
+    // Invite someone to the org; the token is only returned here, share the url with the invitee
+    // wallet_address optionally restricts the invite to one wallet
+    router.post('/orgs/:orgId/invites', requireSession, loadOrg, requireOrgAdmin, (req, res) => {
+        const body = req.body || {};
+        const role = body.role || 'member';
+        const walletAddress = body.wallet_address ? siwe.normalizeWalletAddress(body.wallet_address) : null;
+
+        if (!['admin', 'member'].includes(role)) {
+            return sendError(res, 400, 'validation_failed', 'Role must be admin or member.');
+        }
+        if (body.wallet_address && !walletAddress) {
+            return sendError(res, 400, 'validation_failed', 'Please provide a valid wallet address.');
+        }
+        if (!orgs.canManageMember(req.membership.role, undefined, role)) {
+            return sendError(res, 403, 'forbidden', 'Only the owner can invite admins.');
+        }
+
+        orgs.getOrgSeats(storage, req.org, (seatsErr, seats) => {
+            if (seatsErr) {
+                console.error('Error loading entitlements:', seatsErr.message);
+                return sendError(res, 500, 'database_error', 'Unable to create the invite.');
+            }
+            if (req.org.member_count >= seats) {
+                return sendError(res, 409, 'no_seats', 'This organisation has no free seats. The owner needs an Agency plan with more seats.');
+            }
+
+            orgs.createInvite(storage, req.org.id, req.user.walletAddress, role, walletAddress, (err, invite) => {
+                if (err) {
+                    console.error('Error creating invite:', err.message);
+                    return sendError(res, 500, 'database_error', 'Unable to create the invite.');
+                }
+                res.status(201).json({
+                    data: Object.assign(invite, { role, wallet_address: walletAddress, url: `/invite/${invite.token}` })
+                });
+            });
+        });
+    });
+
+    router.delete('/orgs/:orgId/invites/:inviteId', requireSession, loadOrg, requireOrgAdmin, (req, res) => {
+        orgs.revokeInvite(storage, req.org.id, parseInt(req.params.inviteId), (err, changed) => {
+            if (err) {
+                console.error('Error revoking invite:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to revoke the invite.');
+            }
+            if (!changed) {
+                return sendError(res, 404, 'not_found', 'No pending invite with that ID.');
+            }
+            res.status(204).end();
+        });
+    });
+
+    // What an invite is for, so the invitee can decide whether to accept it
+    router.get('/invites/:token', (req, res) => {
+        orgs.getInvite(storage, req.params.token, (err, invite) => {
+            if (err) {
+                console.error('Error loading invite:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the invite.');
+            }
+            if (!invite) {
+                return sendError(res, 404, 'not_found', 'This invite is invalid, expired or has already been used.');
+            }
+            res.json({
+                data: {
+                    org: { id: invite.org_id, name: invite.org_name },
+                    role: invite.role,
+                    wallet_address: invite.wallet_address,
+                    expires_at: invite.expires_at
+                }
+            });
+        });
+    });
+
+    // Join an org with an invite token
+    router.post('/invites/:token/accept', requireSession, (req, res) => {
+        orgs.acceptInviteToken(storage, req.params.token, req.user.walletAddress, (err, problem, invite) => {
+            if (err) {
+                console.error('Error accepting invite:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to accept the invite.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+            req.org = { id: invite.org_id };
+            req.membership = { role: invite.role };
+            respondWithOrg(req, res, 200);
+        });
+    });
+
+    // Moderation console (admins only)
+    router.use('/admin', (req, res, next) => {
+        if (!req.user) {
+            return sendError(res, 401, 'not_authenticated', 'Connect your wallet to continue.');
+        }
+        if (!req.user.isAdmin) {
+            return sendError(res, 403, 'forbidden', 'Only admins can moderate the marketplace.');
+        }
+        next();
+    });
+
+    // Agents in one moderation status (pending by default), newest first
+    router.get('/admin/queue', (req, res) => {
+        const status = req.query.status || 'pending';
+        if (!moderation.MODERATION_STATUSES.includes(status)) {
+            return sendError(res, 400, 'validation_failed', `Status must be one of: ${moderation.MODERATION_STATUSES.join(', ')}`);
+        }
+        const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+
+        agents.listAgents(storage, { moderation_status: status, sort: 'recent', limit: page.limit, offset: page.offset }, (err, rows, total) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the moderation queue.');
+            }
+            res.json({
+                data: rows.map(row => Object.assign(agents.serializeAgent(row), { moderation_reason: row.moderation_reason || null })),
+                meta: { page: page.page, limit: page.limit, total, total_pages: Math.ceil(total / page.limit) }
+            });
+        });
+    });
+
+    // Reports in one status (open by default); open reports oldest first
+    router.get('/admin/reports', (req, res) => {
+        const status = req.query.status || 'open';
+        if (!moderation.REPORT_STATUSES.includes(status)) {
+            return sendError(res, 400, 'validation_failed', `Status must be one of: ${moderation.REPORT_STATUSES.join(', ')}`);
+        }
+        const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+
+        moderation.listReports(storage, status, page, (err, rows, total) => {
+            if (err) {
+                console.error('Error loading reports:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load reports.');
+            }
+            res.json({
+                data: rows.map(moderation.serializeReport),
+                meta: { page: page.page, limit: page.limit, total, total_pages: Math.ceil(total / page.limit) }
+            });
+        });
+    });
+
+    // Approve, hide or remove an agent (body: status, reason)
+    router.post('/admin/agents/:id/moderation', loadAgent, (req, res) => {
+        const { status, reason } = req.body || {};
+        moderation.setAgentStatus(storage, req.agent, status, req.user.walletAddress, reason, (err, problem) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to moderate the agent.');
+            }
+            if (problem) {
+                return sendError(res, problem.status, problem.code, problem.message);
+            }
+            agents.getAgent(storage, req.agent.id, (getErr, agent) => {
+                if (getErr) {
+                    console.error('Database error:', getErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load agent details.');
+                }
+                res.json({ data: Object.assign(agents.serializeAgent(agent), { moderation_reason: agent.moderation_reason || null }) });
+            });
+        });
+    });
+
+    // Hide a review or show it again (body: hidden, reason)
+    router.post('/admin/ratings/:ratingId/moderation', (req, res) => {
+        const { hidden, reason } = req.body || {};
+        if (typeof hidden !== 'boolean') {
+            return sendError(res, 400, 'validation_failed', 'Please set hidden to true or false.');
+        }
+
+        moderation.getRating(storage, parseInt(req.params.ratingId), (err, rating) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the review.');
+            }
+            if (!rating) {
+                return sendError(res, 404, 'not_found', 'Review not found.');
+            }
+            moderation.setRatingHidden(storage, rating, hidden, req.user.walletAddress, reason, (saveErr, problem) => {
+                if (saveErr) {
+                    console.error('Database error:', saveErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to moderate the review.');
+                }
+                if (problem) {
+                    return sendError(res, problem.status, problem.code, problem.message);
+                }
+                res.json({ data: { id: rating.id, agent_id: rating.agent_id, hidden } });
+            });
+        });
+    });
+
+    // Close a report without acting on it (body: reason)
+    router.post('/admin/reports/:reportId/dismiss', (req, res) => {
+        moderation.getReport(storage, parseInt(req.params.reportId), (err, report) => {
+            if (err) {
+                console.error('Error loading report:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the report.');
+            }
+            if (!report) {
+                return sendError(res, 404, 'not_found', 'Report not found.');
+            }
+            moderation.dismissReport(storage, report, req.user.walletAddress, (req.body || {}).reason, (saveErr, problem) => {
+                if (saveErr) {
+                    console.error('Database error:', saveErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to dismiss the report.');
+                }
+                if (problem) {
+                    return sendError(res, problem.status, problem.code, problem.message);
+                }
+                moderation.getReport(storage, report.id, (getErr, dismissed) => {
+                    if (getErr) {
+                        console.error('Error loading report:', getErr.message);
+                        return sendError(res, 500, 'database_error', 'Unable to load the report.');
+                    }
+                    res.json({ data: moderation.serializeReport(dismissed) });
+                });
+            });
+        });
+    });
+
+    // Load the wallet named by :wallet into req.targetWallet and its moderation fields
+    // (if it ever signed in) into req.targetUser; admins can't act on their own wallet
+    function loadTargetWallet(req, res, next) {
+        const walletAddress = siwe.normalizeWalletAddress(req.params.wallet);
+        if (!walletAddress) {
+            return sendError(res, 400, 'invalid_wallet', 'The wallet address must be 0x followed by 40 hex characters.');
+        }
+        if (walletAddress === req.user.walletAddress) {
+            return sendError(res, 409, 'own_wallet', 'You can\'t moderate your own wallet.');
+        }
+
+        moderation.getUserStatus(storage, walletAddress, (err, user) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the wallet.');
+            }
+            req.targetWallet = walletAddress;
+            req.targetUser = user;
+            next();
+        });
+    }
+
+    // Banned wallets, most recently banned first
+    router.get('/admin/bans', (req, res) => {
+        moderation.listBannedWallets(storage, (err, rows) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load banned wallets.');
+            }
+            res.json({ data: rows, meta: { count: rows.length } });
+        });
+    });
+
+    // Ban a wallet (body: reason, hide_content to also hide its agents and reviews)
+    router.put('/admin/bans/:wallet', loadTargetWallet, (req, res) => {
+        if (adminWallets.includes(req.targetWallet) || (req.targetUser && req.targetUser.role === 'admin')) {
+            return sendError(res, 409, 'admin_wallet', 'Admins can\'t be banned. Revoke their admin role first.');
+        }
+        if (req.targetUser && req.targetUser.banned_at) {
+            return sendError(res, 409, 'unchanged', 'This wallet is already banned.');
+        }
+
+        const { reason, hide_content } = req.body || {};
+        moderation.banWallet(storage, req.targetWallet, req.user.walletAddress, reason, hide_content === true, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to ban the wallet.');
+            }
+            moderation.getUserStatus(storage, req.targetWallet, (getErr, user) => {
+                if (getErr) {
+                    console.error('Database error:', getErr.message);
+                    return sendError(res, 500, 'database_error', 'Unable to load the wallet.');
+                }
+                res.json({ data: { wallet_address: user.wallet_address, banned_at: user.banned_at, banned_reason: user.banned_reason } });
+            });
+        });
+    });
+
+    // Lift the ban of a wallet
+    router.delete('/admin/bans/:wallet', loadTargetWallet, (req, res) => {
+        if (!req.targetUser || !req.targetUser.banned_at) {
+            return sendError(res, 404, 'not_found', 'This wallet is not banned.');
+        }
+        moderation.unbanWallet(storage, req.targetWallet, req.user.walletAddress, (req.body || {}).reason, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to lift the ban.');
+            }
+            res.status(204).end();
+        });
+    });
+
+    // Admins: wallets with the admin role, and those configured in ADMIN_WALLETS
+    router.get('/admin/admins', (req, res) => {
+        moderation.listAdmins(storage, (err, rows) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load admins.');
+            }
+            const configured = adminWallets.map(wallet => ({ wallet_address: wallet, configured: true }));
+            const appointed = rows.filter(row => !adminWallets.includes(row.wallet_address))
+                .map(row => ({ wallet_address: row.wallet_address, configured: false }));
+            res.json({ data: configured.concat(appointed) });
+        });
+    });
+
+    // Give the admin role to a wallet that has signed in before
+    router.put('/admin/admins/:wallet', loadTargetWallet, (req, res) => {
+        if (!req.targetUser) {
+            return sendError(res, 404, 'not_found', 'This wallet has never signed in.');
+        }
+        if (req.targetUser.banned_at) {
+            return sendError(res, 409, 'banned', 'Banned wallets can\'t become admins.');
+        }
+        if (req.targetUser.role === 'admin') {
+            return sendError(res, 409, 'unchanged', 'This wallet is already an admin.');
+        }
+        moderation.setAdminRole(storage, req.targetWallet, true, req.user.walletAddress, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to appoint the admin.');
+            }
+            res.json({ data: { wallet_address: req.targetWallet, configured: adminWallets.includes(req.targetWallet) } });
+        });
+    });
+
+    // Take the admin role away; admins configured in ADMIN_WALLETS stay admins
+    router.delete('/admin/admins/:wallet', loadTargetWallet, (req, res) => {
+        if (adminWallets.includes(req.targetWallet)) {
+            return sendError(res, 409, 'configured_admin', 'This admin is configured in ADMIN_WALLETS and can only be removed there.');
+        }
+        if (!req.targetUser || req.targetUser.role !== 'admin') {
+            return sendError(res, 404, 'not_found', 'This wallet is not an admin.');
+        }
+        moderation.setAdminRole(storage, req.targetWallet, false, req.user.walletAddress, (err) => {
+            if (err) {
+                console.error('Database error:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to revoke the admin role.');
+            }
+            res.status(204).end();
+        });
+    });
+
+    // Create a public category (name, slug, description, icon, parent_id, position); the
+    // slug is made from the name when omitted
+    router.post('/admin/categories', (req, res) => {
+        categories.createCategory(storage, req.body || {}, null, req.user.walletAddress, (err, problem, category) =>
+            respondWithCategory(res, 201, err, problem, category));
+    });
+
+    // Change the given fields of a public category; a new name is given to its agents too
+    router.patch('/admin/categories/:categoryId', loadCategory(false), (req, res) => {
+        categories.updateCategory(storage, req.category, req.body || {}, req.user.walletAddress, (err, problem, category) =>
+            respondWithCategory(res, 200, err, problem, category));
+    });
+
+    router.delete('/admin/categories/:categoryId', loadCategory(false), deleteAndRespond);
+
+    // Audit log of moderation actions, newest first (filters: action, agent_id)
+    router.get('/admin/audit-log', (req, res) => {
+        const { action } = req.query;
+        if (action && !moderation.AUDIT_ACTIONS.includes(action)) {
+            return sendError(res, 400, 'validation_failed', `Action must be one of: ${moderation.AUDIT_ACTIONS.join(', ')}`);
+        }
+        const page = pagination.parsePagination(req.query, API_PAGE_SIZE);
+
+        moderation.listAuditLog(storage, { action, agent_id: parseInt(req.query.agent_id) || null }, page, (err, rows, total) => {
+            if (err) {
+                console.error('Error loading audit log:', err.message);
+                return sendError(res, 500, 'database_error', 'Unable to load the audit log.');
+            }
+            res.json({
+                data: rows,
+                meta: { page: page.page, limit: page.limit, total, total_pages: Math.ceil(total / page.limit) }
+            });
+        });
+    });
+
+    router.use((req, res) => {
+        sendError(res, 404, 'not_found', 'Unknown API endpoint.');
+    });
+
+    return router;
+}
+
+module.exports = createApiRouter;
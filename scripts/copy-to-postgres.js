@@ -0,0 +1,86 @@
+// Copy every table of the marketplace database into PostgreSQL, keeping their ids
+//
+//   DATABASE_URL=postgres://... node scripts/copy-to-postgres.js
+//
+// The SQLite database is ./marketplace.db, or the file in DATABASE_PATH, and must be migrated
+// (see scripts/migrate.js). The Postgres tables are created when missing and must be empty;
+// everything is copied in one transaction, so a failed copy leaves nothing behind
+
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+const { getStorage } = require('../lib/storage');
+const { TABLES } = require('../lib/storage/postgres');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || './marketplace.db';
+
+if (!process.env.DATABASE_URL) {
+    console.error('Usage: DATABASE_URL=postgres://... node scripts/copy-to-postgres.js');
+    process.exit(1);
+}
+
+const db = new sqlite3.Database(DATABASE_PATH, sqlite3.OPEN_READONLY, (err) => {
+    if (err) {
+        console.error('Error opening database:', err.message);
+        process.exit(1);
+    }
+    migrations.checkSchema(db, migrations.loadMigrations(), (schemaErr, mismatch) => {
+        if (schemaErr || mismatch) {
+            console.error(schemaErr ? `Error checking the database schema: ${schemaErr.message}` : mismatch);
+            console.error('Run "npm run migrate" first.');
+            return db.close(() => process.exit(1));
+        }
+        readTables((readErr, tables) => {
+            if (readErr) {
+                console.error('Error reading the database:', readErr.message);
+                return db.close(() => process.exit(1));
+            }
+            copy(tables, (copyErr) => {
+                if (copyErr) {
+                    console.error('Copy failed:', copyErr.message);
+                } else {
+                    tables.forEach(table => console.log(`Copied ${table.rows.length} ${table.name}`));
+                }
+                db.close(() => process.exit(copyErr ? 1 : 0));
+            });
+        });
+    });
+});
+
+// The columns and rows of each table; calls back with (err, [{ name, columns, rows }])
+function readTables(callback) {
+    const tables = [];
+    const next = (index) => {
+        if (index === TABLES.length) {
+            return callback(null, tables);
+        }
+        const name = TABLES[index];
+        db.all(`PRAGMA table_info("${name}")`, (err, columns) => {
+            if (err) {
+                return callback(err);
+            }
+            db.all(`SELECT * FROM "${name}" ORDER BY rowid`, (rowsErr, rows) => {
+                if (rowsErr) {
+                    return callback(rowsErr);
+                }
+                tables.push({ name, columns: columns.map(column => column.name), rows });
+                next(index + 1);
+            });
+        });
+    };
+    next(0);
+}
+
+function copy(tables, callback) {
+    let storage;
+    try {
+        storage = getStorage('postgres', { connectionString: process.env.DATABASE_URL });
+    } catch (err) {
+        return callback(err);
+    }
+    storage.createSchema((schemaErr) => {
+        if (schemaErr) {
+            return storage.close(() => callback(schemaErr));
+        }
+        storage.importTables(tables, (importErr) => storage.close(() => callback(importErr)));
+    });
+}
@@ -0,0 +1,131 @@
+// Apply, roll back and list the schema migrations of the marketplace database
+//
+//   node scripts/migrate.js [up [version]]   apply the pending migrations (up to version)
+//   node scripts/migrate.js down [version]   roll back the latest migration (or all above version)
+//   node scripts/migrate.js status           list the applied and pending migrations
+//
+// The database is ./marketplace.db, or the file in DATABASE_PATH. With
+// STORAGE_BACKEND=postgres it is the PostgreSQL database in DATABASE_URL instead, whose
+// schema is created as a whole rather than by numbered migrations: "up" creates what is
+// missing, along with the default categories of an empty database, and "status" tells
+// whether anything is, while rolling back is not supported
+
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+const { getStorage } = require('../lib/storage');
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'sqlite';
+const DATABASE_PATH = process.env.DATABASE_PATH || './marketplace.db';
+
+const USAGE = 'Usage: node scripts/migrate.js [up [version] | down [version] | status]';
+
+const [command = 'up', versionArg] = process.argv.slice(2);
+const target = versionArg === undefined ? null : parseInt(versionArg, 10);
+if (!['up', 'down', 'status'].includes(command) || (versionArg !== undefined && !/^\d+$/.test(versionArg))) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+if (STORAGE_BACKEND !== 'sqlite') {
+    migratePostgres();
+    return;
+}
+
+const available = migrations.loadMigrations();
+
+const db = new sqlite3.Database(DATABASE_PATH, (err) => {
+    if (err) {
+        console.error('Error opening database:', err.message);
+        process.exit(1);
+    }
+    const commands = { up, down, status };
+    commands[command]((commandErr) => {
+        if (commandErr) {
+            console.error('Migration failed:', commandErr.message);
+        }
+        db.close(() => process.exit(commandErr ? 1 : 0));
+    });
+});
+
+function up(callback) {
+    migrations.migrateUp(db, available, target, (err, result) => {
+        if (result && result.adopted && !err) {
+            console.log('Moved the rows of the existing tables into the migrated schema');
+        }
+        (result ? result.applied : []).forEach(name => console.log(`Applied ${name}`));
+        if (result && result.keptTables.length) {
+            console.log(`Tables the schema doesn't have were kept as: ${result.keptTables.join(', ')}`);
+        }
+        if (!err && !result.applied.length) {
+            console.log('The database is up to date');
+        }
+        callback(err);
+    });
+}
+
+function down(callback) {
+    migrations.migrateDown(db, available, target, (err, rolledBack) => {
+        (rolledBack || []).forEach(name => console.log(`Rolled back ${name}`));
+        if (!err && !rolledBack.length) {
+            console.log('Nothing to roll back');
+        }
+        callback(err);
+    });
+}
+
+function status(callback) {
+    migrations.getStatus(db, available, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.legacy) {
+            console.log('The database was created before schema migrations; "up" moves its rows into the migrated schema');
+        }
+        result.applied.forEach(row => console.log(`applied  ${row.name}  ${row.applied_at}${
+            result.unknown.includes(row) ? '  (unknown to this version)' : ''}`));
+        result.pending.forEach(migration => console.log(`pending  ${migration.name}`));
+        callback(null);
+    });
+}
+
+function migratePostgres() {
+    if (command === 'down' || target !== null) {
+        console.error('PostgreSQL schemas are created as a whole: only "up" and "status" are supported');
+        process.exit(1);
+    }
+    let storage;
+    try {
+        storage = getStorage(STORAGE_BACKEND, { connectionString: process.env.DATABASE_URL });
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    const finish = (err) => {
+        if (err) {
+            console.error('Migration failed:', err.message);
+        }
+        storage.close(() => process.exit(err ? 1 : 0));
+    };
+    storage.checkSchema((err, mismatch) => {
+        if (err || command === 'status') {
+            if (!err) {
+                console.log(mismatch || 'The database is up to date');
+            }
+            return finish(err);
+        }
+        if (!mismatch) {
+            console.log('The database is up to date');
+        }
+        // Tables are all there, but indexes, functions and triggers are brought up to date too
+        storage.createSchema((schemaErr) => {
+            if (schemaErr) {
+                return finish(schemaErr);
+            }
+            if (mismatch) {
+                console.log('Created the schema');
+            }
+            storage.seedCategories(finish);
+        });
+    });
+}
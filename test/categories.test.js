@@ -0,0 +1,285 @@
+// Behaviour of the category rules (lib/categories): validation, where a category can be
+// placed, deletion with its agents moved elsewhere and the visibility of private categories,
+// on a migrated in-memory SQLite database
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { promisify } = require('util');
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+const categories = require('../lib/categories');
+const { getStorage } = require('../lib/storage');
+
+const ADMIN = '0x00000000000000000000000000000000000000ad';
+
+describe('categories', () => {
+    let db;
+    let storage;
+    let nextWallet = 0;
+
+    const run = (sql, params = []) => promisify(db.run.bind(db))(sql, params);
+    const get = (sql, params = []) => promisify(db.get.bind(db))(sql, params);
+
+    // The category lib calls back with (err, problem, result); resolve to { problem, result }
+    const change = (method, ...args) => new Promise((resolve, reject) => {
+        categories[method](storage, ...args, (err, problem, result) => err ? reject(err) : resolve({ problem, result }));
+    });
+    const getCategory = (categoryId) => promisify(categories.getCategory)(storage, categoryId);
+    const listCategories = (walletAddress) => promisify(categories.listCategories)(storage, walletAddress);
+
+    async function newUser() {
+        const walletAddress = `0x${(++nextWallet).toString(16).padStart(40, '0')}`;
+        await run('INSERT INTO users (wallet_address) VALUES (?)', [walletAddress]);
+        return walletAddress;
+    }
+
+    async function newCategory(input, ownerWallet = null) {
+        const { problem, result } = await change('createCategory', input, ownerWallet, ownerWallet ? null : ADMIN);
+        assert.strictEqual(problem, null);
+        return result;
+    }
+
+    async function newAgent(category, deletedAt = null) {
+        await run(`INSERT INTO agents (name, description, category, category_id, deleted_at)
+                   VALUES ('Agent', 'An agent', ?, ?, ?)`, [category.name, category.id, deletedAt]);
+        return get('SELECT id FROM agents WHERE id = last_insert_rowid()');
+    }
+
+    before(async () => {
+        db = await new Promise((resolve, reject) => {
+            const handle = new sqlite3.Database(':memory:', err => err ? reject(err) : resolve(handle));
+        });
+        await run('PRAGMA foreign_keys = ON');
+        await promisify(migrations.migrateUp)(db, migrations.loadMigrations(), null);
+        storage = getStorage('sqlite', { db });
+    });
+
+    after(async () => {
+        if (db) {
+            await promisify(db.close.bind(db))();
+        }
+    });
+
+    describe('validation', () => {
+        it('needs a name of at most MAX_NAME_LENGTH characters', async () => {
+            const missing = await change('createCategory', { name: '  ' }, null, ADMIN);
+            assert.strictEqual(missing.problem.code, 'validation_failed');
+            assert.strictEqual(missing.problem.message, 'A category needs a name.');
+
+            const long = await change('createCategory', { name: 'x'.repeat(categories.MAX_NAME_LENGTH + 1) }, null, ADMIN);
+            assert.strictEqual(long.problem.code, 'validation_failed');
+
+            const category = await newCategory({ name: `  ${'y'.repeat(categories.MAX_NAME_LENGTH)}  ` });
+            assert.strictEqual(category.name, 'y'.repeat(categories.MAX_NAME_LENGTH));
+        });
+
+        it('makes the slug of a public category from its name and checks given slugs', async () => {
+            const category = await newCategory({ name: 'Café Bots & Más' });
+            assert.strictEqual(category.slug, 'cafe-bots-mas');
+
+            const invalid = await change('createCategory', { name: 'Bad Slug', slug: 'Bad Slug' }, null, ADMIN);
+            assert.strictEqual(invalid.problem.code, 'validation_failed');
+        });
+
+        it('rejects names and slugs already taken by a public category, ignoring case', async () => {
+            const name = await change('createCategory', { name: 'productivity', slug: 'productivity-2' }, null, ADMIN);
+            assert.strictEqual(name.problem.code, 'category_exists');
+
+            const slug = await change('createCategory', { name: 'Other Productivity', slug: 'productivity' }, null, ADMIN);
+            assert.strictEqual(slug.problem.code, 'category_exists');
+        });
+
+        it('records the creation, renaming and moving of public categories', async () => {
+            const parent = await newCategory({ name: 'Audited Parent' });
+            const category = await newCategory({ name: 'Audited', parent_id: parent.id });
+            await change('updateCategory', await getCategory(category.id), { name: 'Audited Again', parent_id: null }, ADMIN);
+
+            const entries = await new Promise((resolve, reject) => db.all(
+                `SELECT action, category_id, category_name, reason FROM audit_log WHERE category_id = ? ORDER BY id`, [category.id],
+                (err, rows) => err ? reject(err) : resolve(rows)));
+            assert.deepStrictEqual(entries.map(entry => ({ ...entry })), [
+                { action: 'create_category', category_id: category.id, category_name: 'Audited', reason: 'Created under "Audited Parent"' },
+                { action: 'rename_category', category_id: category.id, category_name: 'Audited Again', reason: 'Renamed from "Audited"' },
+                { action: 'move_category', category_id: category.id, category_name: 'Audited Again',
+                    reason: 'Moved from "Audited Parent" to the top level' }
+            ]);
+        });
+
+        it('renames the agents of a renamed category', async () => {
+            const category = await newCategory({ name: 'Renamed Later' });
+            const agent = await newAgent(category);
+
+            const { problem, result } = await change('updateCategory', await getCategory(category.id), { name: 'Renamed Now' }, ADMIN);
+            assert.strictEqual(problem, null);
+            assert.strictEqual(result.slug, category.slug);
+            assert.strictEqual((await get('SELECT category FROM agents WHERE id = ?', [agent.id])).category, 'Renamed Now');
+        });
+    });
+
+    describe('placement', () => {
+        it('puts subcategories under top-level public categories only', async () => {
+            const parent = await newCategory({ name: 'Parent' });
+            const child = await newCategory({ name: 'Child', parent_id: parent.id });
+            assert.strictEqual(child.parent_id, parent.id);
+
+            const grandchild = await change('createCategory', { name: 'Grandchild', parent_id: child.id }, null, ADMIN);
+            assert.strictEqual(grandchild.problem.message, 'The parent must be another top-level category.');
+
+            const unknown = await change('createCategory', { name: 'Orphan', parent_id: 999999 }, null, ADMIN);
+            assert.strictEqual(unknown.problem.code, 'validation_failed');
+
+            const owned = await newCategory({ name: 'Owned Parent' }, await newUser());
+            const underPrivate = await change('createCategory', { name: 'Under Private', parent_id: owned.id }, null, ADMIN);
+            assert.strictEqual(underPrivate.problem.code, 'validation_failed');
+        });
+
+        it('keeps a category from becoming its own parent or its subcategory\'s child', async () => {
+            const parent = await newCategory({ name: 'Cycle Parent' });
+            const child = await newCategory({ name: 'Cycle Child', parent_id: parent.id });
+
+            const self = await change('updateCategory', await getCategory(parent.id), { parent_id: parent.id }, ADMIN);
+            assert.strictEqual(self.problem.code, 'validation_failed');
+
+            const underChild = await change('updateCategory', await getCategory(parent.id), { parent_id: child.id }, ADMIN);
+            assert.strictEqual(underChild.problem.message, 'A category with subcategories cannot become a subcategory.');
+
+            const moved = await change('updateCategory', await getCategory(child.id), { parent_id: null }, ADMIN);
+            assert.strictEqual(moved.problem, null);
+            assert.strictEqual(moved.result.parent_id, null);
+        });
+
+        it('gives private categories no slug and no parent', async () => {
+            const owner = await newUser();
+            const parent = await newCategory({ name: 'Ignored Parent' });
+            const category = await newCategory({ name: 'Mine', slug: 'mine', parent_id: parent.id }, owner);
+            assert.strictEqual(category.slug, null);
+            assert.strictEqual(category.parent_id, null);
+            assert.strictEqual(category.owner_wallet, owner);
+        });
+    });
+
+    describe('deleteCategory', () => {
+        it('refuses to delete a category in use without a replacement, or one with subcategories', async () => {
+            const category = await newCategory({ name: 'In Use' });
+            await newAgent(category);
+            const inUse = await change('deleteCategory', await getCategory(category.id), null, ADMIN);
+            assert.strictEqual(inUse.problem.code, 'category_in_use');
+
+            const parent = await newCategory({ name: 'With Children' });
+            await newCategory({ name: 'Only Child', parent_id: parent.id });
+            const withChildren = await change('deleteCategory', await getCategory(parent.id), null, ADMIN);
+            assert.strictEqual(withChildren.problem.code, 'category_has_subcategories');
+        });
+
+        it('moves the agents to move_to and records the deletion', async () => {
+            const category = await newCategory({ name: 'Going Away' });
+            const replacement = await newCategory({ name: 'Staying' });
+            const listed = await newAgent(category);
+            const deleted = await newAgent(category, '2026-01-01 00:00:00');
+
+            const { problem } = await change('deleteCategory', await getCategory(category.id), replacement.id, ADMIN);
+            assert.strictEqual(problem, null);
+            assert.strictEqual(await getCategory(category.id), undefined);
+
+            const moved = await get('SELECT category, category_id FROM agents WHERE id = ?', [listed.id]);
+            assert.deepStrictEqual({ ...moved }, { category: 'Staying', category_id: replacement.id });
+            // Deleted agents keep the old name their tombstone was written with
+            const tombstone = await get('SELECT category, category_id FROM agents WHERE id = ?', [deleted.id]);
+            assert.deepStrictEqual({ ...tombstone }, { category: 'Going Away', category_id: replacement.id });
+
+            const entry = await get(`SELECT actor_wallet, category_id, category_name, reason FROM audit_log
+                                     WHERE action = 'delete_category' ORDER BY id DESC LIMIT 1`);
+            assert.deepStrictEqual({ ...entry },
+                { actor_wallet: ADMIN, category_id: category.id, category_name: 'Going Away', reason: '1 agent moved to "Staying"' });
+        });
+
+        it('only moves agents to a public category or one of the same owner', async () => {
+            const owner = await newUser();
+            const other = await newUser();
+            const category = await newCategory({ name: 'Private Source' }, owner);
+            const foreign = await newCategory({ name: 'Foreign' }, other);
+            await newAgent(category);
+
+            const toForeign = await change('deleteCategory', await getCategory(category.id), foreign.id, null);
+            assert.strictEqual(toForeign.problem.code, 'validation_failed');
+            const toItself = await change('deleteCategory', await getCategory(category.id), category.id, null);
+            assert.strictEqual(toItself.problem.code, 'validation_failed');
+
+            const own = await newCategory({ name: 'Private Target' }, owner);
+            const { problem } = await change('deleteCategory', await getCategory(category.id), own.id, null);
+            assert.strictEqual(problem, null);
+        });
+    });
+
+    describe('private categories', () => {
+        it('are listed only for their owner, after the public ones', async () => {
+            const owner = await newUser();
+            const other = await newUser();
+            const category = await newCategory({ name: 'Secret Sauce' }, owner);
+
+            const ownList = await listCategories(owner);
+            assert.ok(ownList.some(row => row.id === category.id));
+            assert.strictEqual(ownList[ownList.length - 1].owner_wallet, owner);
+            assert.ok(!(await listCategories(other)).some(row => row.id === category.id));
+            assert.ok(!(await listCategories(null)).some(row => row.owner_wallet));
+            assert.ok(!categories.buildTree(ownList).some(node => node.id === category.id));
+        });
+
+        it('can share a name across wallets but not with a public category', async () => {
+            const first = await newUser();
+            const second = await newUser();
+            await newCategory({ name: 'Shared Name' }, first);
+            await newCategory({ name: 'shared name' }, second);
+
+            const duplicate = await change('createCategory', { name: 'SHARED NAME' }, first, null);
+            assert.strictEqual(duplicate.problem.code, 'category_exists');
+            const publicName = await change('createCategory', { name: 'DeFi' }, first, null);
+            assert.strictEqual(publicName.problem.code, 'category_exists');
+        });
+
+        it('are not audited', async () => {
+            const owner = await newUser();
+            const before = (await get('SELECT COUNT(*) as count FROM audit_log')).count;
+            const category = await newCategory({ name: 'Quiet' }, owner);
+            await change('updateCategory', await getCategory(category.id), { name: 'Still Quiet' }, null);
+            assert.strictEqual((await get('SELECT COUNT(*) as count FROM audit_log')).count, before);
+        });
+    });
+
+    describe('resolveAgentCategory', () => {
+        const owner = '0x00000000000000000000000000000000000000a1';
+        const other = '0x00000000000000000000000000000000000000b2';
+        const picks = [
+            { id: 1, name: 'DeFi', owner_wallet: null },
+            { id: 50, name: 'Mine', owner_wallet: owner }
+        ];
+
+        it('matches the categories the wallet can pick, ignoring case', () => {
+            const input = { category: ' defi ' };
+            assert.strictEqual(categories.resolveAgentCategory(input, picks, { walletAddress: owner }), null);
+            assert.deepStrictEqual(input, { category: 'DeFi', category_id: 1 });
+        });
+
+        it('only attaches the kept category of the current agent when the wallet owns it', () => {
+            const current = { category: 'Mine', category_id: 50 };
+            const own = { category: 'Mine' };
+            assert.strictEqual(categories.resolveAgentCategory(own, picks, { current, walletAddress: owner }), null);
+            assert.strictEqual(own.category_id, 50);
+
+            // Another org member, or the creator of a fork, keeps the name without the category
+            const foreign = { category: 'Secret' };
+            const foreignCurrent = { category: 'Secret', category_id: 77 };
+            assert.strictEqual(categories.resolveAgentCategory(foreign, picks, { current: foreignCurrent, walletAddress: other }), null);
+            assert.deepStrictEqual(foreign, { category: 'Secret', category_id: null });
+        });
+
+        it('creates a private category only when custom categories are allowed', () => {
+            const refused = { category: 'Brand New' };
+            assert.match(categories.resolveAgentCategory(refused, picks, { walletAddress: owner }), /Custom categories/);
+
+            const allowed = { category: 'Brand New' };
+            assert.strictEqual(categories.resolveAgentCategory(allowed, picks, { allowCustomCategory: true, walletAddress: owner }), null);
+            assert.deepStrictEqual(allowed, { category: 'Brand New', category_id: null, new_category: true });
+        });
+    });
+});
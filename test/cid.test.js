@@ -0,0 +1,76 @@
+// Behaviour of the CID helpers (lib/cid) against CIDs that `ipfs add` gives well-known
+// content, so a mistake in the encoding can't hide behind a round trip
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const cid = require('../lib/cid');
+
+// The empty block as a raw CIDv1 (`ipfs add --cid-version=1 --raw-leaves` of an empty file)
+const EMPTY_RAW = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+// "hello\n" as a dag-pb UnixFS file (`echo hello | ipfs add`), in CIDv0 and CIDv1
+const HELLO = Buffer.from('hello\n');
+const HELLO_DAG_PB_V0 = 'QmZULkCELmmk5XNfCgTnCyFgAVxBRBXyDHGGMVoLFLiXEN';
+const HELLO_DAG_PB_V1 = 'bafybeiffndsajwhk3lwjewwdxqntmjm4b5wxaaanokonsggenkbw6slwk4';
+// "hello\n" as a raw CIDv1; its digest is the sha256 of the content itself
+const HELLO_RAW = 'bafkreicysg23kiwv34eg2d7qweipxwosdo2py4ldv42nbauguluen5v6am';
+
+describe('cid', () => {
+    describe('computeCid', () => {
+        it('gives the raw CIDv1 that ipfs gives', () => {
+            assert.strictEqual(cid.computeCid(Buffer.alloc(0)), EMPTY_RAW);
+            assert.strictEqual(cid.computeCid(HELLO), HELLO_RAW);
+        });
+    });
+
+    describe('parseCid', () => {
+        it('reads the version, codec and sha2-256 digest of CIDv0 and CIDv1', () => {
+            const v0 = cid.parseCid(HELLO_DAG_PB_V0);
+            assert.strictEqual(v0.version, 0);
+            assert.strictEqual(v0.codec, 0x70);
+            assert.strictEqual(v0.multihash.code, 0x12);
+
+            const raw = cid.parseCid(HELLO_RAW);
+            assert.strictEqual(raw.version, 1);
+            assert.strictEqual(raw.codec, 0x55);
+            assert.strictEqual(Buffer.from(raw.multihash.digest).toString('hex'),
+                '5891b5b522d5df086d0ff0b110fbd9d21bb4fc7163af34d08286a2e846f6be03');
+        });
+
+        it('rejects strings that are not CIDs', () => {
+            for (const text of ['', 'Qm', HELLO_DAG_PB_V0.slice(0, -1) + '0', 'bafy!', 'https://example.com', null]) {
+                assert.strictEqual(cid.parseCid(text), null, String(text));
+            }
+        });
+    });
+
+    describe('toCidV1', () => {
+        it('turns a CIDv0 into its base32 CIDv1 and keeps CIDv1 as they are', () => {
+            assert.strictEqual(cid.toCidV1(HELLO_DAG_PB_V0), HELLO_DAG_PB_V1);
+            assert.strictEqual(cid.toCidV1(HELLO_DAG_PB_V1), HELLO_DAG_PB_V1);
+            assert.strictEqual(cid.toCidV1(HELLO_DAG_PB_V1.toUpperCase()), HELLO_DAG_PB_V1);
+            assert.strictEqual(cid.toCidV1('not a cid'), null);
+        });
+    });
+
+    describe('normalizeCid', () => {
+        it('strips the prefixes and trailing slashes people paste', () => {
+            assert.strictEqual(cid.normalizeCid(` ipfs://${HELLO_DAG_PB_V0}/ `), HELLO_DAG_PB_V0);
+            assert.strictEqual(cid.normalizeCid(`/ipfs/${HELLO_RAW}`), HELLO_RAW);
+        });
+    });
+
+    describe('cidMatchesContent', () => {
+        it('matches content as a raw block or a single-block UnixFS file', () => {
+            assert.ok(cid.cidMatchesContent(EMPTY_RAW, Buffer.alloc(0)));
+            assert.ok(cid.cidMatchesContent(HELLO_RAW, HELLO));
+            assert.ok(cid.cidMatchesContent(HELLO_DAG_PB_V0, HELLO));
+            assert.ok(cid.cidMatchesContent(HELLO_DAG_PB_V1, HELLO));
+        });
+
+        it('does not match other content', () => {
+            assert.ok(!cid.cidMatchesContent(EMPTY_RAW, HELLO));
+            assert.ok(!cid.cidMatchesContent(HELLO_DAG_PB_V0, Buffer.from('hello')));
+            assert.ok(!cid.cidMatchesContent(HELLO_RAW, Buffer.from('hello\n\n')));
+        });
+    });
+});
@@ -0,0 +1,27 @@
+// Behaviour of reading cookies from the Cookie header (lib/cookies)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getCookie } = require('../lib/cookies');
+
+const request = (cookie) => ({ headers: cookie === undefined ? {} : { cookie } });
+
+describe('cookies', () => {
+    describe('getCookie', () => {
+        it('finds a cookie among others and decodes its value', () => {
+            const req = request('theme=dark; sessionId=abc%20123;other=1');
+            assert.strictEqual(getCookie(req, 'sessionId'), 'abc 123');
+            assert.strictEqual(getCookie(req, 'other'), '1');
+        });
+
+        it('returns null without a Cookie header or the named cookie', () => {
+            assert.strictEqual(getCookie(request(), 'sessionId'), null);
+            assert.strictEqual(getCookie(request('theme=dark'), 'sessionId'), null);
+            assert.strictEqual(getCookie(request('xsessionId=abc'), 'sessionId'), null);
+        });
+
+        it('treats a value that is not valid percent-encoding as absent', () => {
+            assert.strictEqual(getCookie(request('sessionId=%E0%A4%A'), 'sessionId'), null);
+        });
+    });
+});
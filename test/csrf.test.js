@@ -0,0 +1,48 @@
+// Behaviour of the CSRF tokens (lib/csrf): a token only passes for the secret it was made
+// from, whichever of the visitor's secrets that is
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const csrf = require('../lib/csrf');
+
+describe('csrf', () => {
+    describe('createSecret', () => {
+        it('makes a different random secret each time', () => {
+            const secret = csrf.createSecret();
+            assert.match(secret, /^[0-9a-f]{64}$/);
+            assert.notStrictEqual(csrf.createSecret(), secret);
+        });
+    });
+
+    describe('verifyToken', () => {
+        it('accepts the token of any of the visitor\'s secrets, skipping missing ones', () => {
+            const session = csrf.createSecret();
+            const cookie = csrf.createSecret();
+            assert.ok(csrf.verifyToken([session, cookie], csrf.createToken(session)));
+            assert.ok(csrf.verifyToken([null, cookie], csrf.createToken(cookie)));
+            assert.ok(csrf.verifyToken([session, undefined], csrf.createToken(session)));
+        });
+
+        it('rejects the token of another session', () => {
+            const token = csrf.createToken(csrf.createSecret());
+            assert.ok(!csrf.verifyToken([csrf.createSecret(), csrf.createSecret()], token));
+        });
+
+        it('rejects a tampered token', () => {
+            const secret = csrf.createSecret();
+            const token = csrf.createToken(secret);
+            const flipped = (token[0] === 'A' ? 'B' : 'A') + token.slice(1);
+            for (const tampered of [flipped, token.slice(0, -1), `${token}A`, token.toUpperCase(), ` ${token}`]) {
+                assert.ok(!csrf.verifyToken([secret], tampered), tampered);
+            }
+        });
+
+        it('rejects missing tokens and visitors without a secret', () => {
+            const secret = csrf.createSecret();
+            for (const token of [undefined, null, '', 42, [csrf.createToken(secret)]]) {
+                assert.ok(!csrf.verifyToken([secret], token), String(token));
+            }
+            assert.ok(!csrf.verifyToken([null, undefined], csrf.createToken(secret)));
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// Behaviour of the JSON Schema validator (lib/jsonschema) on small schemas, and on the
+// agent manifest schema it was written for
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../lib/jsonschema');
+const manifestSchema = require('../public/schemas/agent-manifest-v1.json');
+
+// The JSON Pointers of the errors, for comparing without the messages
+const paths = (errors) => errors.map(error => error.path);
+
+describe('jsonschema', () => {
+    describe('type', () => {
+        it('checks JSON types, counting integers as numbers', () => {
+            assert.deepStrictEqual(validate({ type: 'string' }, 'text'), []);
+            assert.deepStrictEqual(validate({ type: 'string' }, 3), [{ path: '', message: 'must be string' }]);
+            assert.deepStrictEqual(validate({ type: 'number' }, 3), []);
+            assert.deepStrictEqual(validate({ type: 'integer' }, 3.5), [{ path: '', message: 'must be integer' }]);
+            assert.deepStrictEqual(validate({ type: 'object' }, []), [{ path: '', message: 'must be object' }]);
+            assert.deepStrictEqual(validate({ type: 'object' }, null), [{ path: '', message: 'must be object' }]);
+            assert.deepStrictEqual(validate({ type: ['string', 'null'] }, null), []);
+        });
+
+        it('stops at a wrong type instead of checking the other keywords', () => {
+            assert.strictEqual(validate({ type: 'string', minLength: 2, enum: ['ab'] }, 1).length, 1);
+        });
+    });
+
+    describe('required', () => {
+        const schema = { type: 'object', required: ['name', 'constructor', 'toString', '__proto__'] };
+
+        it('reports each missing property at its path', () => {
+            assert.deepStrictEqual(paths(validate({ type: 'object', required: ['name', 'spec'] }, { name: 'A' })), ['/spec']);
+        });
+
+        it('does not take inherited keys for present ones', () => {
+            assert.deepStrictEqual(paths(validate(schema, {})), ['/name', '/constructor', '/toString', '/__proto__']);
+            const present = JSON.parse('{ "name": "A", "constructor": 1, "toString": 2, "__proto__": 3 }');
+            assert.deepStrictEqual(validate(schema, present), []);
+        });
+    });
+
+    describe('additionalProperties', () => {
+        const schema = {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            additionalProperties: false
+        };
+
+        it('rejects properties the schema does not list', () => {
+            assert.deepStrictEqual(validate(schema, { name: 'A' }), []);
+            assert.deepStrictEqual(validate(schema, { name: 'A', extra: true }), [{ path: '/extra', message: 'is not allowed' }]);
+        });
+
+        it('rejects keys that only exist on Object.prototype', () => {
+            const document = JSON.parse('{ "constructor": {}, "toString": "x", "__proto__": { "name": 1 }, "hasOwnProperty": 1 }');
+            assert.deepStrictEqual(paths(validate(schema, document)), ['/constructor', '/toString', '/__proto__', '/hasOwnProperty']);
+        });
+
+        it('validates the other properties against a schema', () => {
+            const typed = { type: 'object', additionalProperties: { type: 'integer' } };
+            assert.deepStrictEqual(validate(typed, { a: 1, b: 2 }), []);
+            assert.deepStrictEqual(validate(typed, { a: 1, constructor: 'x' }), [{ path: '/constructor', message: 'must be integer' }]);
+        });
+    });
+
+    describe('enum', () => {
+        it('accepts the listed values only', () => {
+            const schema = { enum: ['draft', 'published'] };
+            assert.deepStrictEqual(validate(schema, 'draft'), []);
+            assert.deepStrictEqual(validate(schema, 'removed'), [{ path: '', message: 'must be one of: draft, published' }]);
+            assert.strictEqual(validate(schema, undefined).length, 1);
+        });
+    });
+
+    describe('nested objects', () => {
+        const schema = {
+            type: 'object',
+            required: ['agent'],
+            properties: {
+                agent: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        tags: { type: 'array', items: { $ref: '#/$defs/tag' }, uniqueItems: true }
+                    },
+                    additionalProperties: false
+                }
+            },
+            $defs: {
+                tag: { type: 'string', pattern: '^[a-z0-9-]+$' }
+            }
+        };
+
+        it('reports errors with the JSON Pointer of the nested value', () => {
+            assert.deepStrictEqual(validate(schema, { agent: { name: 'A', tags: ['ok', 'ok'] } }),
+                [{ path: '/agent/tags', message: 'must not contain duplicates' }]);
+            assert.deepStrictEqual(paths(validate(schema, { agent: { name: '', tags: ['ok', 'Not OK'], 'a/b': 1 } })),
+                ['/agent/name', '/agent/tags/1', '/agent/a~1b']);
+            assert.deepStrictEqual(paths(validate(schema, { agent: {} })), ['/agent/name']);
+            assert.deepStrictEqual(paths(validate(schema, { agent: 'A' })), ['/agent']);
+        });
+    });
+
+    describe('agent manifest schema', () => {
+        it('rejects a manifest that only has inherited keys', () => {
+            const errors = validate(manifestSchema, JSON.parse('{ "constructor": {}, "__proto__": {} }'));
+            assert.ok(errors.length > 0);
+            assert.ok(errors.some(error => error.path === '/constructor'));
+        });
+    });
+});
@@ -0,0 +1,129 @@
+// Behaviour of the rate limit buckets (lib/ratelimits) on a migrated in-memory SQLite
+// database. Time passing is simulated by moving a bucket's updated_at back
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { promisify } = require('util');
+const sqlite3 = require('sqlite3');
+const migrations = require('../lib/migrations');
+const ratelimits = require('../lib/ratelimits');
+const { getStorage } = require('../lib/storage');
+
+const { capacity, refillSeconds } = ratelimits.LIMITS.rate.wallet;
+
+describe('ratelimits', () => {
+    let db;
+    let storage;
+    let nextClient = 0;
+
+    const run = (sql, params = []) => promisify(db.run.bind(db))(sql, params);
+    const get = (sql, params = []) => promisify(db.get.bind(db))(sql, params);
+    const consume = (action, client) => promisify(ratelimits.consume)(storage, action, client);
+
+    // A signed-in client with a wallet and an IP of its own
+    function newClient() {
+        nextClient++;
+        return { wallet: `0x${nextClient.toString(16).padStart(40, '0')}`, ip: `10.0.0.${nextClient}` };
+    }
+
+    // Pretend the bucket was last used this many seconds earlier than it was
+    async function wait(key, seconds) {
+        await run('UPDATE rate_limits SET updated_at = updated_at - ? WHERE bucket_key = ?', [seconds, key]);
+    }
+
+    before(async () => {
+        db = await new Promise((resolve, reject) => {
+            const handle = new sqlite3.Database(':memory:', err => err ? reject(err) : resolve(handle));
+        });
+        await promisify(migrations.migrateUp)(db, migrations.loadMigrations(), null);
+        storage = getStorage('sqlite', { db });
+    });
+
+    after(async () => {
+        if (db) {
+            await promisify(db.close.bind(db))();
+        }
+    });
+
+    describe('consume', () => {
+        it('lets capacity requests through, then answers with the seconds until the next token', async () => {
+            const client = newClient();
+            for (let index = 0; index < capacity; index++) {
+                assert.strictEqual(await consume('rate', client), 0);
+            }
+            const retryAfter = await consume('rate', client);
+            assert.ok(retryAfter > 0 && retryAfter <= refillSeconds, String(retryAfter));
+        });
+
+        it('gives a token back every refillSeconds, up to the capacity', async () => {
+            const client = newClient();
+            const key = `rate:wallet:${client.wallet}`;
+            for (let index = 0; index < capacity; index++) {
+                await consume('rate', client);
+            }
+
+            await wait(key, refillSeconds);
+            assert.strictEqual(await consume('rate', client), 0);
+            assert.ok(await consume('rate', client) > 0);
+
+            // A long wait refills the bucket, but never beyond its capacity
+            await wait(key, refillSeconds * capacity * 10);
+            for (let index = 0; index < capacity; index++) {
+                assert.strictEqual(await consume('rate', client), 0);
+            }
+            assert.ok(await consume('rate', client) > 0);
+        });
+
+        it('keeps the IP\'s tokens when the wallet is limited', async () => {
+            const client = newClient();
+            for (let index = 0; index <= capacity; index++) {
+                await consume('rate', client);
+            }
+            const ipBucket = await get('SELECT tokens FROM rate_limits WHERE bucket_key = ?', [`rate:ip:${client.ip}`]);
+            // Only the requests the wallet let through took from the IP (plus a trickle of refill)
+            assert.strictEqual(Math.floor(ipBucket.tokens), ratelimits.LIMITS.rate.ip.capacity - capacity);
+
+            // Another wallet on the same IP still gets through
+            assert.strictEqual(await consume('rate', { wallet: newClient().wallet, ip: client.ip }), 0);
+        });
+
+        it('only uses the IP\'s bucket for anonymous clients and for actions without a wallet limit', async () => {
+            const { ip } = newClient();
+            const signIn = ratelimits.LIMITS.sign_in.ip;
+            for (let index = 0; index < signIn.capacity; index++) {
+                assert.strictEqual(await consume('sign_in', { wallet: '0xabc', ip }), 0);
+            }
+            assert.ok(await consume('sign_in', { wallet: null, ip }) > 0);
+            assert.strictEqual(await get('SELECT 1 FROM rate_limits WHERE bucket_key = ?', ['sign_in:wallet:0xabc']), undefined);
+        });
+
+        it('refuses actions without limits', async () => {
+            await assert.rejects(consume('unknown', newClient()), /Unknown rate limit/);
+        });
+    });
+
+    describe('pruneBuckets', () => {
+        it('drops the buckets that have refilled completely', async () => {
+            const client = newClient();
+            await consume('report', client);
+            const key = `report:wallet:${client.wallet}`;
+            await wait(key, 365 * 24 * 3600);
+
+            const count = await promisify(ratelimits.pruneBuckets)(storage);
+            assert.ok(count >= 1);
+            assert.strictEqual(await get('SELECT 1 FROM rate_limits WHERE bucket_key = ?', [key]), undefined);
+            assert.ok(await get('SELECT 1 FROM rate_limits WHERE bucket_key = ?', [`report:ip:${client.ip}`]));
+        });
+    });
+
+    describe('describeRetryAfter', () => {
+        it('rounds up to seconds, minutes or hours', () => {
+            assert.strictEqual(ratelimits.describeRetryAfter(1), 'in 1 second');
+            assert.strictEqual(ratelimits.describeRetryAfter(59), 'in 59 seconds');
+            assert.strictEqual(ratelimits.describeRetryAfter(61), 'in 2 minutes');
+            assert.strictEqual(ratelimits.describeRetryAfter(3599), 'in 60 minutes');
+            assert.strictEqual(ratelimits.describeRetryAfter(3600), 'in 1 hour');
+            assert.strictEqual(ratelimits.describeRetryAfter(3601), 'in 2 hours');
+        });
+    });
+});
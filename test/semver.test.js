@@ -0,0 +1,80 @@
+// Behaviour of the release version helpers (lib/semver), with the precedence examples of
+// the semver specification
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const semver = require('../lib/semver');
+
+// Versions from lowest to highest precedence (semver.org, section 11)
+const ORDERED = [
+    '1.0.0-alpha',
+    '1.0.0-alpha.1',
+    '1.0.0-alpha.beta',
+    '1.0.0-beta',
+    '1.0.0-beta.2',
+    '1.0.0-beta.11',
+    '1.0.0-rc.1',
+    '1.0.0',
+    '1.0.1',
+    '1.1.0',
+    '2.0.0',
+    '10.0.0'
+];
+
+describe('semver', () => {
+    describe('compareVersions', () => {
+        it('orders versions by precedence, prereleases before their release', () => {
+            for (let low = 0; low < ORDERED.length; low++) {
+                for (let high = low + 1; high < ORDERED.length; high++) {
+                    assert.strictEqual(semver.compareVersions(ORDERED[low], ORDERED[high]), -1, `${ORDERED[low]} < ${ORDERED[high]}`);
+                    assert.strictEqual(semver.compareVersions(ORDERED[high], ORDERED[low]), 1, `${ORDERED[high]} > ${ORDERED[low]}`);
+                }
+            }
+        });
+
+        it('compares numeric identifiers as numbers and sorts them before words', () => {
+            assert.strictEqual(semver.compareVersions('1.0.0-2', '1.0.0-10'), -1);
+            assert.strictEqual(semver.compareVersions('1.0.0-999', '1.0.0-a'), -1);
+            assert.strictEqual(semver.compareVersions('1.0.0-rc.9', '1.0.0-rc.10'), -1);
+            assert.strictEqual(semver.compareVersions('1.0.0-rc.1', '1.0.0-rc.1.0'), -1);
+        });
+
+        it('ignores build metadata', () => {
+            assert.strictEqual(semver.compareVersions('1.0.0+build.1', '1.0.0+build.2'), 0);
+            assert.strictEqual(semver.compareVersions('1.0.0-rc.1+exp', '1.0.0-rc.1'), 0);
+            assert.strictEqual(semver.compareVersions('1.0.0-rc.1+exp', '1.0.0'), -1);
+        });
+    });
+
+    describe('normalizeVersion', () => {
+        it('trims a version and drops a leading v', () => {
+            assert.strictEqual(semver.normalizeVersion(' v1.2.0 '), '1.2.0');
+            assert.strictEqual(semver.normalizeVersion('V1.0.0-beta+exp.sha.5114f85'), '1.0.0-beta+exp.sha.5114f85');
+        });
+
+        it('rejects what isn\'t a semantic version', () => {
+            for (const text of ['1.0', '01.0.0', '1.0.0-01', '1.0.0-', '1.0.0+', `1.0.0-${'a'.repeat(64)}`, 1, null]) {
+                assert.strictEqual(semver.normalizeVersion(text), null, String(text));
+            }
+        });
+    });
+
+    describe('isPrerelease', () => {
+        it('is true for versions with a prerelease part only', () => {
+            assert.ok(semver.isPrerelease('1.0.0-rc.1'));
+            assert.ok(!semver.isPrerelease('1.0.0+rc.1'));
+            assert.ok(!semver.isPrerelease('not a version'));
+        });
+    });
+
+    describe('nextVersions', () => {
+        it('suggests the next patch, minor and major versions', () => {
+            assert.deepStrictEqual(semver.nextVersions('1.2.3'), { patch: '1.2.4', minor: '1.3.0', major: '2.0.0' });
+        });
+
+        it('suggests the release a prerelease leads up to as the next patch', () => {
+            assert.deepStrictEqual(semver.nextVersions('2.0.0-rc.2'), { patch: '2.0.0', minor: '2.1.0', major: '3.0.0' });
+            assert.strictEqual(semver.nextVersions('x'), null);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+// Behaviour of Sign-In With Ethereum (lib/siwe): parsing and checking messages signed with a
+// fixed test key, recovering the signer, and sign-in nonces (storage.nonces) on a migrated
+// in-memory SQLite database
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { promisify } = require('util');
+const sqlite3 = require('sqlite3');
+const { Wallet } = require('ethers');
+const migrations = require('../lib/migrations');
+const siwe = require('../lib/siwe');
+const { getStorage } = require('../lib/storage');
+
+// Well-known development key; never holds funds
+const wallet = new Wallet('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const WALLET_ADDRESS = wallet.address.toLowerCase();
+
+const SITE = { domain: 'marketplace.test', uri: 'https://marketplace.test', chainIds: [1] };
+const ISSUED_AT = Date.parse('2026-01-01T12:00:00.000Z');
+
+function messageFields(overrides = {}) {
+    return Object.assign({
+        domain: SITE.domain,
+        address: wallet.address,
+        statement: siwe.DEFAULT_STATEMENT,
+        uri: SITE.uri,
+        chainId: 1,
+        nonce: '0123456789abcdef0123456789abcdef',
+        issuedAt: new Date(ISSUED_AT).toISOString(),
+        expirationTime: new Date(ISSUED_AT + 10 * 60 * 1000).toISOString()
+    }, overrides);
+}
+
+// Check a message as the server does, a minute after it was issued unless told otherwise
+function validate(overrides, expected = {}) {
+    const fields = siwe.parseSiweMessage(siwe.buildSiweMessage(messageFields(overrides)));
+    return siwe.validateSiweFields(fields, Object.assign({ now: ISSUED_AT + 60 * 1000 }, SITE, expected));
+}
+
+describe('siwe', () => {
+    describe('parseSiweMessage', () => {
+        it('reads back every field of a built message', () => {
+            const fields = siwe.parseSiweMessage(siwe.buildSiweMessage(messageFields()));
+            assert.deepStrictEqual(fields, Object.assign(messageFields(), { version: '1' }));
+        });
+
+        it('rejects messages with missing, unknown or repeated fields', () => {
+            const message = siwe.buildSiweMessage(messageFields());
+            assert.strictEqual(siwe.parseSiweMessage(message.replace(/^Nonce: .*\n/m, '')), null);
+            assert.strictEqual(siwe.parseSiweMessage(message + '\nResources: none'), null);
+            assert.strictEqual(siwe.parseSiweMessage(message + '\nChain ID: 5'), null);
+            assert.strictEqual(siwe.parseSiweMessage(message.replace('Version: 1', 'Version: 2')), null);
+            assert.strictEqual(siwe.parseSiweMessage(message.replace(/^Nonce: .*$/m, 'Nonce: short')), null);
+            assert.strictEqual(siwe.parseSiweMessage(null), null);
+        });
+    });
+
+    describe('recoverSigner', () => {
+        it('recovers the lowercase address that signed the message', async () => {
+            const message = siwe.buildSiweMessage(messageFields());
+            const signature = await wallet.signMessage(message);
+            assert.strictEqual(siwe.recoverSigner(message, signature), WALLET_ADDRESS);
+        });
+
+        it('recovers a different address once the message is altered', async () => {
+            const message = siwe.buildSiweMessage(messageFields());
+            const signature = await wallet.signMessage(message);
+            const altered = message.replace(SITE.domain, 'elsewhere.test');
+            assert.notStrictEqual(siwe.recoverSigner(altered, signature), WALLET_ADDRESS);
+        });
+
+        it('returns null for a signature that is not one', () => {
+            assert.strictEqual(siwe.recoverSigner(siwe.buildSiweMessage(messageFields()), 'mock-signature'), null);
+        });
+    });
+
+    describe('validateSiweFields', () => {
+        it('accepts a message issued by this site on an accepted chain', () => {
+            assert.strictEqual(validate({}), null);
+            assert.strictEqual(validate({ uri: 'https://marketplace.test/browse' }), null);
+        });
+
+        it('rejects a message for another domain', () => {
+            assert.strictEqual(validate({ domain: 'elsewhere.test' }), 'Message domain does not match this site');
+        });
+
+        it('rejects a message for another origin', () => {
+            const error = 'Message URI does not match this site';
+            assert.strictEqual(validate({ uri: 'https://elsewhere.test' }), error);
+            assert.strictEqual(validate({ uri: 'http://marketplace.test' }), error);
+            assert.strictEqual(validate({ uri: 'https://marketplace.test:8443' }), error);
+            assert.strictEqual(validate({ uri: 'marketplace.test' }), error);
+        });
+
+        it('rejects a chain sign-in is not accepted on', () => {
+            assert.strictEqual(validate({ chainId: 5 }), 'Sign-in is not supported on this chain');
+            assert.strictEqual(validate({ chainId: 5 }, { chainIds: [1, 5] }), null);
+        });
+
+        it('rejects a message once it has expired', () => {
+            assert.strictEqual(validate({}, { now: ISSUED_AT + 10 * 60 * 1000 }), 'Sign-in message has expired');
+            assert.strictEqual(validate({ expirationTime: undefined }, { now: ISSUED_AT + 60 * 60 * 1000 }), null);
+        });
+    });
+
+    describe('nonces', () => {
+        let db;
+        let storage;
+
+        const run = (sql, params = []) => promisify(db.run.bind(db))(sql, params);
+        const storeNonce = (nonce, walletAddress) => promisify(storage.nonces.create)(nonce, walletAddress, 10);
+        const consumeNonce = (nonce, walletAddress) => promisify(storage.nonces.consume)(nonce, walletAddress);
+
+        before(async () => {
+            db = await new Promise((resolve, reject) => {
+                const handle = new sqlite3.Database(':memory:', err => err ? reject(err) : resolve(handle));
+            });
+            await promisify(migrations.migrateUp)(db, migrations.loadMigrations(), null);
+            storage = getStorage('sqlite', { db });
+        });
+
+        after(async () => {
+            if (db) {
+                await promisify(db.close.bind(db))();
+            }
+        });
+
+        it('accepts a nonce once', async () => {
+            await storeNonce('nonceusedonce1', WALLET_ADDRESS);
+            assert.strictEqual(await consumeNonce('nonceusedonce1', WALLET_ADDRESS), true);
+            assert.strictEqual(await consumeNonce('nonceusedonce1', WALLET_ADDRESS), false);
+        });
+
+        it('only accepts a nonce from the wallet it was issued to', async () => {
+            await storeNonce('nonceotherwallet', WALLET_ADDRESS);
+            assert.strictEqual(await consumeNonce('nonceotherwallet', '0x00000000000000000000000000000000000000aa'), false);
+            assert.strictEqual(await consumeNonce('nonceotherwallet', WALLET_ADDRESS), true);
+        });
+
+        it('rejects unknown and expired nonces, and drops expired ones', async () => {
+            assert.strictEqual(await consumeNonce('noncenotissued', WALLET_ADDRESS), false);
+
+            await storeNonce('nonceexpired1', WALLET_ADDRESS);
+            await run(`UPDATE login_nonces SET expires_at = datetime('now', '-1 minute') WHERE nonce = ?`, ['nonceexpired1']);
+            assert.strictEqual(await consumeNonce('nonceexpired1', WALLET_ADDRESS), false);
+
+            await storeNonce('noncefresh1', WALLET_ADDRESS);
+            const expired = await promisify(db.get.bind(db))('SELECT nonce FROM login_nonces WHERE nonce = ?', ['nonceexpired1']);
+            assert.strictEqual(expired, undefined);
+        });
+    });
+});
@@ -0,0 +1,769 @@
+// Behaviour of the storage backends (lib/storage): the same tests run against SQLite, on a
+// migrated database in a temporary directory, and against PostgreSQL when TEST_DATABASE_URL
+// is set. The repository tables of that Postgres database are dropped first
+//
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/marketplace_test npm test
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const sqlite3 = require('sqlite3');
+const pg = require('pg');
+const migrations = require('../lib/migrations');
+const { getStorage } = require('../lib/storage');
+const { TABLES } = require('../lib/storage/postgres');
+const search = require('../lib/search');
+const activity = require('../lib/activity');
+const { NETWORKS } = require('../lib/handles');
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const LIMITS = { idleHours: 72, renewMinutes: 5 };
+
+// Each backend opens to { storage, exec(sql, params), close() }; exec runs setup SQL that
+// the repositories don't offer, written so that it works on both databases
+const BACKENDS = {
+    sqlite: {
+        async open() {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-storage-'));
+            const db = await new Promise((resolve, reject) => {
+                const handle = new sqlite3.Database(path.join(directory, 'test.db'), err => err ? reject(err) : resolve(handle));
+            });
+            await promisify(db.run.bind(db))('PRAGMA foreign_keys = ON');
+            await promisify(migrations.migrateUp)(db, migrations.loadMigrations(), null);
+            return {
+                storage: getStorage('sqlite', { db }),
+                exec: (sql, params = []) => promisify(db.run.bind(db))(sql.replace(/\$\d+/g, '?'), params),
+                async close() {
+                    await promisify(db.close.bind(db))();
+                    fs.rmSync(directory, { recursive: true, force: true });
+                }
+            };
+        }
+    },
+    postgres: {
+        skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+        async open() {
+            const connectionString = process.env.TEST_DATABASE_URL;
+            const client = new pg.Client({ connectionString });
+            await client.connect();
+            await client.query(`DROP TABLE IF EXISTS agent_search, ${TABLES.slice().reverse().join(', ')} CASCADE`);
+            const storage = getStorage('postgres', { connectionString });
+            await promisify(storage.createSchema)();
+            await promisify(storage.seedCategories)();
+            return {
+                storage,
+                exec: (sql, params = []) => client.query(sql, params),
+                async close() {
+                    await promisify(storage.close)();
+                    await client.end();
+                }
+            };
+        }
+    }
+};
+
+Object.entries(BACKENDS).forEach(([name, backend]) => {
+    describe(`${name} storage`, { skip: backend.skip }, () => {
+        let context;
+        let storage;
+        let exec;
+        let nextWallet = 0;
+
+        // Repository methods as promises
+        const call = (repository, method, ...args) => promisify(storage[repository][method])(...args);
+
+        // For methods calling back with several results, resolves to the list of them
+        const callMany = (repository, method, ...args) => new Promise((resolve, reject) => {
+            storage[repository][method](...args, (err, ...results) => err ? reject(err) : resolve(results));
+        });
+
+        // A wallet that has signed in
+        async function newUser() {
+            const walletAddress = `0x${(++nextWallet).toString(16).padStart(40, '0')}`;
+            await call('users', 'recordLogin', walletAddress);
+            return walletAddress;
+        }
+
+        async function newAgent(fields = {}) {
+            return call('agents', 'create', { name: 'Agent', description: 'An agent', category: 'Productivity', ...fields });
+        }
+
+        async function newSession(walletAddress, token, lifetimeDays = 30) {
+            return call('sessions', 'create', { tokenHash: token, walletAddress, userAgent: 'test', ipAddress: '127.0.0.1', lifetimeDays });
+        }
+
+        before(async () => {
+            context = await backend.open();
+            storage = context.storage;
+            exec = context.exec;
+        });
+
+        after(async () => {
+            if (context) {
+                await context.close();
+            }
+        });
+
+        it('is selected by name', () => {
+            assert.strictEqual(storage.name, name);
+        });
+
+        describe('users', () => {
+            it('has no user for a wallet that never signed in', async () => {
+                assert.strictEqual(await call('users', 'get', '0xunknown'), undefined);
+            });
+
+            it('creates the user on the first login and keeps it on later ones', async () => {
+                const walletAddress = await newUser();
+                const user = await call('users', 'get', walletAddress);
+                assert.strictEqual(user.wallet_address, walletAddress);
+                assert.strictEqual(user.subscription_tier, 'creator');
+                assert.strictEqual(user.role, 'user');
+                assert.match(user.created_at, TIMESTAMP_PATTERN);
+
+                await exec(`UPDATE users SET subscription_tier = 'agency' WHERE wallet_address = $1`, [walletAddress]);
+                await call('users', 'recordLogin', walletAddress);
+                const again = await call('users', 'get', walletAddress);
+                assert.strictEqual(again.id, user.id);
+                assert.strictEqual(again.subscription_tier, 'agency');
+                assert.strictEqual(again.created_at, user.created_at);
+            });
+        });
+
+        describe('sessions', () => {
+            it('finds an active session by its token hash', async () => {
+                const walletAddress = await newUser();
+                const id = await newSession(walletAddress, 'active-token');
+                assert.ok(Number.isInteger(id));
+
+                const session = await call('sessions', 'findActive', 'active-token', LIMITS);
+                assert.deepStrictEqual({ ...session }, { id, wallet_address: walletAddress, needs_renewal: 0, role: 'user' });
+                assert.strictEqual(await call('sessions', 'findActive', 'unknown-token', LIMITS), undefined);
+            });
+
+            it('asks for renewal after renewMinutes and forgets idle sessions', async () => {
+                const walletAddress = await newUser();
+                const id = await newSession(walletAddress, 'idle-token');
+                await exec(`UPDATE sessions SET last_seen_at = '2000-01-01 00:00:00' WHERE id = $1`, [id]);
+
+                assert.strictEqual(await call('sessions', 'findActive', 'idle-token', LIMITS), undefined);
+                const longIdle = { idleHours: 24 * 365 * 1000, renewMinutes: 5 };
+                assert.strictEqual((await call('sessions', 'findActive', 'idle-token', longIdle)).needs_renewal, 1);
+
+                await call('sessions', 'touch', id);
+                assert.strictEqual((await call('sessions', 'findActive', 'idle-token', LIMITS)).needs_renewal, 0);
+            });
+
+            it('ignores expired sessions and sessions of banned wallets', async () => {
+                const walletAddress = await newUser();
+                await newSession(walletAddress, 'expired-token', 0);
+                assert.strictEqual(await call('sessions', 'findActive', 'expired-token', LIMITS), undefined);
+
+                await newSession(walletAddress, 'banned-token');
+                await exec(`UPDATE users SET banned_at = '2026-01-01 00:00:00' WHERE wallet_address = $1`, [walletAddress]);
+                assert.strictEqual(await call('sessions', 'findActive', 'banned-token', LIMITS), undefined);
+            });
+
+            it('revokes a session only for its own wallet, once', async () => {
+                const walletAddress = await newUser();
+                const otherWallet = await newUser();
+                const id = await newSession(walletAddress, 'revoke-token');
+
+                assert.strictEqual(await call('sessions', 'revoke', id, otherWallet), 0);
+                assert.strictEqual(await call('sessions', 'revoke', id, walletAddress), 1);
+                assert.strictEqual(await call('sessions', 'revoke', id, walletAddress), 0);
+                assert.strictEqual(await call('sessions', 'findActive', 'revoke-token', LIMITS), undefined);
+            });
+
+            it('lists and revokes every active session of a wallet', async () => {
+                const walletAddress = await newUser();
+                const first = await newSession(walletAddress, 'all-token-1');
+                const second = await newSession(walletAddress, 'all-token-2');
+                const revoked = await newSession(walletAddress, 'all-token-3');
+                await call('sessions', 'revoke', revoked, walletAddress);
+
+                const listed = await call('sessions', 'listActive', walletAddress, LIMITS.idleHours);
+                assert.deepStrictEqual(listed.map(session => session.id), [second, first]);
+                assert.deepStrictEqual(Object.keys(listed[0]).sort(),
+                    ['created_at', 'expires_at', 'id', 'ip_address', 'last_seen_at', 'user_agent']);
+                assert.match(listed[0].expires_at, TIMESTAMP_PATTERN);
+
+                assert.strictEqual(await call('sessions', 'revokeAll', walletAddress), 2);
+                assert.deepStrictEqual(await call('sessions', 'listActive', walletAddress, LIMITS.idleHours), []);
+            });
+
+            it('prunes the sessions that can no longer be used', async () => {
+                const walletAddress = await newUser();
+                const kept = await newSession(walletAddress, 'prune-token-1');
+                const revoked = await newSession(walletAddress, 'prune-token-2');
+                await call('sessions', 'revoke', revoked, walletAddress);
+                await newSession(walletAddress, 'prune-token-3', 0);
+
+                assert.ok(await call('sessions', 'prune', LIMITS.idleHours) >= 2);
+                assert.strictEqual((await call('sessions', 'findActive', 'prune-token-1', LIMITS)).id, kept);
+            });
+        });
+
+        describe('nonces', () => {
+            it('consumes a nonce once, for its own wallet', async () => {
+                const walletAddress = await newUser();
+                const otherWallet = await newUser();
+                await call('nonces', 'create', 'nonce-1', walletAddress, 10);
+
+                assert.strictEqual(await call('nonces', 'consume', 'nonce-1', otherWallet), false);
+                assert.strictEqual(await call('nonces', 'consume', 'nonce-1', walletAddress), true);
+                assert.strictEqual(await call('nonces', 'consume', 'nonce-1', walletAddress), false);
+            });
+
+            it('rejects expired nonces', async () => {
+                const walletAddress = await newUser();
+                await call('nonces', 'create', 'nonce-2', walletAddress, 0);
+                assert.strictEqual(await call('nonces', 'consume', 'nonce-2', walletAddress), false);
+            });
+        });
+
+        describe('agents and tags', () => {
+            it('creates agents with the schema defaults', async () => {
+                const walletAddress = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress, is_premium: true });
+                const agent = await call('agents', 'get', id);
+
+                assert.strictEqual(agent.name, 'Agent');
+                assert.strictEqual(agent.creator_wallet, walletAddress);
+                assert.strictEqual(agent.is_premium, 1);
+                assert.strictEqual(agent.fork_count, 0);
+                assert.strictEqual(agent.status, 'published');
+                assert.strictEqual(agent.moderation_status, 'approved');
+                assert.strictEqual(agent.deleted_at, null);
+                assert.match(agent.created_at, TIMESTAMP_PATTERN);
+                assert.strictEqual(await call('agents', 'get', id + 1000), undefined);
+            });
+
+            it('rejects agents of wallets that never signed in', async () => {
+                await assert.rejects(newAgent({ creator_wallet: '0xnobody' }));
+            });
+
+            it('deletes an agent, leaving a tombstone', async () => {
+                const walletAddress = await newUser();
+                const parentId = await newAgent();
+                await call('agents', 'incrementForkCount', parentId);
+                const id = await newAgent({ creator_wallet: walletAddress, original_agent_id: parentId, link: 'https://example.com' });
+                await call('tags', 'setForAgent', id, ['writing']);
+                await call('ratings', 'save', { agent_id: id, wallet_address: walletAddress, stars: 5 });
+
+                await call('agents', 'markDeleted', await call('agents', 'get', id), walletAddress, 'Deleted agent');
+                const agent = await call('agents', 'get', id);
+                assert.match(agent.deleted_at, TIMESTAMP_PATTERN);
+                assert.strictEqual(agent.name, 'Deleted agent');
+                assert.strictEqual(agent.link, null);
+                assert.strictEqual(agent.tags, null);
+                assert.strictEqual(agent.rating_count, 0);
+                assert.strictEqual((await call('agents', 'get', parentId)).fork_count, 0);
+
+                const [edit] = await call('agents', 'listEdits', id);
+                assert.deepStrictEqual([edit.field, edit.old_value, edit.new_value], ['deleted', 'Agent', null]);
+            });
+
+            it('searches live agents by words, prefixes, phrases and tags', async () => {
+                const id = await newAgent({ name: 'Quokka summariser', description: 'Turns long quokka field notes into summaries' });
+                await call('tags', 'setForAgent', id, ['marsupial']);
+                const deletedId = await newAgent({ name: 'Quokka archive', description: 'Gone' });
+                await call('agents', 'markDeleted', await call('agents', 'get', deletedId), null, 'Deleted agent');
+
+                const find = async (input) => {
+                    const [rows, total] = await callMany('agents', 'list', { terms: search.parseSearchTerms(input) },
+                        { keys: ['-search_rank', 'id'] }, { limit: 10 });
+                    assert.strictEqual(total, rows.length);
+                    return rows;
+                };
+
+                const [match, ...others] = await find('quokka');
+                assert.deepStrictEqual([match.id, others.length], [id, 0]);
+                assert.strictEqual(typeof match.search_rank, 'number');
+                assert.ok(match.name_highlight.includes(`${search.HIGHLIGHT_START}Quokka${search.HIGHLIGHT_END}`));
+                assert.ok(match.description_snippet.includes(`${search.HIGHLIGHT_START}quokka${search.HIGHLIGHT_END}`));
+
+                assert.deepStrictEqual((await find('quok*')).map(row => row.id), [id]);
+                assert.deepStrictEqual((await find('"field notes" marsupial')).map(row => row.id), [id]);
+                assert.deepStrictEqual(await find('quokka platypus'), []);
+            });
+
+            it('pages through agents after the sort keys of the last row', async () => {
+                const walletAddress = await newUser();
+                const ids = [await newAgent({ creator_wallet: walletAddress }), await newAgent({ creator_wallet: walletAddress }),
+                    await newAgent({ creator_wallet: walletAddress, status: 'draft' })];
+                const criteria = { terms: [], creator_wallet: walletAddress, status: 'published' };
+                const order = { keys: ['created_at', 'id'] };
+
+                const [first, total] = await callMany('agents', 'list', criteria, order, { limit: 1 });
+                assert.deepStrictEqual([first.map(row => row.id), total], [[ids[1]], 2]);
+                const [second] = await callMany('agents', 'list', criteria, order,
+                    { after: [first[0].sort_key_0, first[0].sort_key_1], limit: 1 });
+                assert.deepStrictEqual(second.map(row => row.id), [ids[0]]);
+                const [offset] = await callMany('agents', 'list', criteria, order, { limit: null, offset: 1 });
+                assert.deepStrictEqual(offset.map(row => row.id), [ids[0]]);
+            });
+
+            it('records edits and sends hidden agents back to review', async () => {
+                const walletAddress = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress, status: 'draft', moderation_status: 'hidden' });
+                const current = await call('agents', 'get', id);
+                const fields = { name: 'Renamed', description: current.description, category: current.category, link: null, tags: ['email'] };
+
+                await call('agents', 'update', current, fields, [{ field: 'name', old_value: 'Agent', new_value: 'Renamed' }], walletAddress);
+                await call('agents', 'publish', await call('agents', 'get', id), walletAddress);
+
+                const agent = await call('agents', 'get', id);
+                assert.deepStrictEqual([agent.name, agent.tags, agent.status, agent.moderation_status],
+                    ['Renamed', 'email', 'published', 'pending']);
+                const edits = await call('agents', 'listEdits', id);
+                assert.deepStrictEqual(edits.map(edit => [edit.field, edit.new_value]), [['status', 'published'], ['name', 'Renamed']]);
+            });
+
+            it('counts and lists the recent live agents of a creator', async () => {
+                const walletAddress = await newUser();
+                const first = await newAgent({ creator_wallet: walletAddress });
+                const second = await newAgent({ creator_wallet: walletAddress });
+
+                const recent = await call('agents', 'countRecentByCreator', walletAddress, 1);
+                assert.strictEqual(recent.count, 2);
+                assert.ok(Math.abs(recent.oldest - Date.now() / 1000) < 60);
+                assert.deepStrictEqual((await call('agents', 'countRecentByCreator', '0xnobody', 1)).count, 0);
+
+                assert.deepStrictEqual((await call('agents', 'listLiveByCreator', walletAddress, null)).map(row => row.id), [second, first]);
+                assert.deepStrictEqual((await call('agents', 'listLiveByCreator', walletAddress, second)).map(row => row.id), [first]);
+            });
+
+            it('replaces the tags of an agent', async () => {
+                const first = await newAgent();
+                const second = await newAgent();
+                await call('tags', 'setForAgent', first, ['writing', 'email']);
+                await call('tags', 'setForAgent', second, ['email']);
+                assert.deepStrictEqual(await call('tags', 'listForAgent', first), ['email', 'writing']);
+
+                await call('tags', 'setForAgent', first, ['research', 'writing']);
+                assert.deepStrictEqual(await call('tags', 'listForAgent', first), ['research', 'writing']);
+                assert.deepStrictEqual(await call('tags', 'listForAgent', second), ['email']);
+
+                await call('tags', 'setForAgent', first, []);
+                assert.deepStrictEqual(await call('tags', 'listForAgent', first), []);
+            });
+        });
+
+        describe('categories', () => {
+            it('starts with the default public categories and their subcategories', async () => {
+                const rows = await call('categories', 'list', null);
+                const defi = rows.find(row => row.slug === 'defi');
+                assert.ok(rows.some(row => row.slug === 'lending' && row.parent_id === defi.id));
+                assert.ok(rows.every(row => !row.owner_wallet && typeof row.agent_count === 'number'));
+                assert.deepStrictEqual(await call('categories', 'findPublicByName', 'dEfI'), { id: defi.id, name: 'DeFi' });
+            });
+
+            it('creates a private category once per wallet, ignoring case', async () => {
+                const walletAddress = await newUser();
+                const created = await call('categories', 'ensurePrivate', 'Pet Projects', walletAddress);
+                assert.deepStrictEqual(await call('categories', 'ensurePrivate', 'pet projects', walletAddress), created);
+
+                const own = await call('categories', 'list', walletAddress);
+                assert.strictEqual(own[own.length - 1].id, created.id);
+                assert.ok(!(await call('categories', 'list', await newUser())).some(row => row.id === created.id));
+            });
+
+            it('creates, renames and removes categories with their audit entries', async () => {
+                const moderator = await newUser();
+                const fields = { slug: 'robotics', name: 'Robotics', description: null, icon: null, parent_id: null, position: 20 };
+                const id = await call('categories', 'create', fields, null,
+                    [{ actor_wallet: moderator, action: 'create_category', category_name: 'Robotics' }]);
+                assert.ok(Number.isInteger(id));
+                assert.strictEqual(await call('categories', 'create', { ...fields, name: 'robotics', slug: 'robotics-2' }, null, []), null);
+
+                const agentId = await newAgent({ category: 'Robotics', category_id: id });
+                const agent = await call('agents', 'get', agentId);
+                assert.deepStrictEqual([agent.category_id, agent.category_slug], [id, 'robotics']);
+
+                const current = await call('categories', 'get', id);
+                assert.deepStrictEqual([current.used_count, current.child_count, current.parent_name], [1, 0, null]);
+                assert.strictEqual(await call('categories', 'update', current, { ...fields, slug: 'defi' }, []), false);
+                assert.strictEqual(await call('categories', 'update', current, { ...fields, name: 'Robots' },
+                    [{ actor_wallet: moderator, action: 'rename_category', category_id: id, category_name: 'Robots' }]), true);
+                assert.strictEqual((await call('agents', 'get', agentId)).category, 'Robots');
+
+                const other = await call('categories', 'findPublicByName', 'Other');
+                await call('categories', 'remove', await call('categories', 'get', id), other,
+                    [{ actor_wallet: moderator, action: 'delete_category', category_id: id, category_name: 'Robots' }]);
+                assert.strictEqual(await call('categories', 'get', id), undefined);
+                const moved = await call('agents', 'get', agentId);
+                assert.deepStrictEqual([moved.category, moved.category_id], ['Other', other.id]);
+
+                const [entries] = await callMany('moderation', 'listAuditLog', {}, 3, 0);
+                assert.deepStrictEqual(entries.map(entry => [entry.action, entry.category_id, entry.category_name]), [
+                    ['delete_category', id, 'Robots'], ['rename_category', id, 'Robots'], ['create_category', id, 'Robotics']
+                ]);
+            });
+
+            it('lists the agents of a category and its subcategories by name or slug', async () => {
+                const lending = await call('categories', 'findPublicByName', 'Lending');
+                const agentId = await newAgent({ category: 'Lending', category_id: lending.id });
+                const find = async (category) => {
+                    const [rows] = await callMany('agents', 'list', { terms: [], category }, { keys: ['id'] }, { limit: null });
+                    return rows.map(row => row.id);
+                };
+                for (const category of ['Lending', 'lending', 'defi', 'DeFi']) {
+                    assert.ok((await find(category)).includes(agentId), category);
+                }
+                assert.ok(!(await find('nft')).includes(agentId));
+            });
+        });
+
+        describe('ratings', () => {
+            it('creates a rating and then updates it', async () => {
+                const walletAddress = await newUser();
+                const agentId = await newAgent();
+                const rating = { agent_id: agentId, wallet_address: walletAddress, stars: 4, comment: 'Useful' };
+
+                assert.strictEqual(await call('ratings', 'save', rating), true);
+                const saved = await call('ratings', 'get', agentId, walletAddress);
+                assert.strictEqual(saved.stars, 4);
+                assert.strictEqual(saved.comment, 'Useful');
+                assert.strictEqual(saved.updated_at, null);
+
+                assert.strictEqual(await call('ratings', 'save', { ...rating, stars: 2, comment: '' }), false);
+                const updated = await call('ratings', 'get', agentId, walletAddress);
+                assert.strictEqual(updated.id, saved.id);
+                assert.strictEqual(updated.stars, 2);
+                assert.strictEqual(updated.comment, null);
+                assert.match(updated.updated_at, TIMESTAMP_PATTERN);
+            });
+
+            it('lists the visible reviews of an agent, latest first', async () => {
+                const agentId = await newAgent();
+                const [first, second, hidden] = [await newUser(), await newUser(), await newUser()];
+                for (const walletAddress of [first, second, hidden]) {
+                    await call('ratings', 'save', { agent_id: agentId, wallet_address: walletAddress, stars: 5 });
+                }
+                await exec(`UPDATE ratings SET hidden_at = '2026-01-01 00:00:00' WHERE wallet_address = $1`, [hidden]);
+
+                const listed = await call('ratings', 'listForAgent', agentId);
+                assert.deepStrictEqual(listed.map(rating => rating.wallet_address), [second, first]);
+                assert.strictEqual(await call('ratings', 'get', agentId, '0xnobody'), undefined);
+            });
+
+            it('removes a rating', async () => {
+                const walletAddress = await newUser();
+                const agentId = await newAgent();
+                await call('ratings', 'save', { agent_id: agentId, wallet_address: walletAddress, stars: 3 });
+
+                assert.strictEqual(await call('ratings', 'remove', agentId, walletAddress), 1);
+                assert.strictEqual(await call('ratings', 'remove', agentId, walletAddress), 0);
+                assert.deepStrictEqual(await call('ratings', 'listForAgent', agentId), []);
+            });
+
+            it('rejects ratings out of range', async () => {
+                const walletAddress = await newUser();
+                const agentId = await newAgent();
+                await assert.rejects(call('ratings', 'save', { agent_id: agentId, wallet_address: walletAddress, stars: 6 }));
+            });
+
+            it('looks up ratings by id and lists the reviews of several agents', async () => {
+                const walletAddress = await newUser();
+                const [first, second] = [await newAgent(), await newAgent()];
+                await call('ratings', 'save', { agent_id: first, wallet_address: walletAddress, stars: 4 });
+                await call('ratings', 'save', { agent_id: second, wallet_address: walletAddress, stars: 2 });
+
+                const rating = await call('ratings', 'get', first, walletAddress);
+                assert.deepStrictEqual([(await call('ratings', 'getById', rating.id)).stars, await call('ratings', 'getById', rating.id + 1000)],
+                    [4, undefined]);
+                const listed = await call('ratings', 'listForAgents', [first, second]);
+                assert.deepStrictEqual(listed.map(row => [row.agent_id, row.stars]).sort(), [[first, 4], [second, 2]]);
+            });
+        });
+
+        describe('activity', () => {
+            it('counts a visitor once per window and scores trending agents', async () => {
+                const walletAddress = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress });
+                const visitor = { wallet: null, key: 'visitor-1' };
+                await call('activity', 'recordVisitor', id, 'view', visitor, 30);
+                await call('activity', 'recordVisitor', id, 'view', visitor, 30);
+                await call('activity', 'recordVisitor', id, 'view', { wallet: walletAddress, key: 'visitor-2' }, 30);
+                await call('activity', 'record', id, 'fork', walletAddress);
+                await call('activity', 'refreshTrending', activity.EVENT_WEIGHTS, activity.TRENDING_WINDOWS, activity.RETENTION_HOURS);
+
+                const [[agent]] = await callMany('agents', 'list', { terms: [], creator_wallet: walletAddress },
+                    { keys: ['trending_score', 'id'], trendingPeriod: '24h' }, { limit: 10 });
+                const expected = 2 * activity.EVENT_WEIGHTS.view + activity.EVENT_WEIGHTS.fork;
+                assert.ok(Math.abs(agent.trending_score - expected) < 0.01, `score ${agent.trending_score}`);
+
+                const [analytics] = await call('dashboard', 'walletAnalytics', walletAddress, 30);
+                assert.deepStrictEqual([analytics.views, analytics.link_clicks, analytics.forks], [2, 0, 1]);
+            });
+        });
+
+        describe('content and releases', () => {
+            it('records the content of an agent under its CID', async () => {
+                const walletAddress = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress });
+                assert.ok((await call('content', 'listAgentIdsWithoutContent')).includes(id));
+
+                await call('content', 'setAgentContent', id, 'bafy-content', 1);
+                await call('content', 'setAgentContent', id, 'bafy-content', 1);
+                assert.ok(!(await call('content', 'listAgentIdsWithoutContent')).includes(id));
+                const [owner] = await call('content', 'listAgents', 'bafy-content');
+                assert.deepStrictEqual([owner.id, owner.creator_wallet, owner.deleted_at], [id, walletAddress, null]);
+
+                await call('content', 'clearAgentContent', id);
+                assert.strictEqual((await call('agents', 'get', id)).content_cid, null);
+            });
+
+            it('creates releases once and never changes them', async () => {
+                const walletAddress = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress });
+                const release = { agent_id: id, version: '1.0.0', changelog: 'First', snapshot: '{}', content_cid: 'bafy-release', created_by: walletAddress };
+
+                assert.strictEqual(await call('releases', 'create', release, null, true), true);
+                assert.strictEqual(await call('releases', 'create', release, null, true), false);
+                assert.strictEqual(await call('releases', 'create', { ...release, version: '0.9.0' }, '1.0.0', false), true);
+
+                assert.strictEqual((await call('releases', 'getLatest', id)).version, '1.0.0');
+                assert.deepStrictEqual((await call('releases', 'list', id)).map(row => row.version), ['0.9.0', '1.0.0']);
+                assert.strictEqual((await call('agents', 'get', id)).latest_version, '1.0.0');
+                assert.strictEqual(await call('releases', 'get', id, '2.0.0'), undefined);
+                await assert.rejects(exec(`UPDATE agent_releases SET changelog = 'Changed' WHERE agent_id = $1`, [id]));
+            });
+        });
+
+        describe('lineage, creators and dashboard', () => {
+            it('walks ancestors and descendants of a fork', async () => {
+                const root = await newAgent();
+                const child = await newAgent({ original_agent_id: root });
+                const grandchild = await newAgent({ original_agent_id: child });
+                await newAgent({ original_agent_id: child, status: 'draft' });
+
+                const ancestors = await call('lineage', 'ancestors', grandchild, 10);
+                assert.deepStrictEqual(ancestors.map(node => [node.id, node.depth]), [[root, 2], [child, 1]]);
+                const descendants = await call('lineage', 'descendants', root, 10);
+                assert.deepStrictEqual(descendants.map(node => [node.id, node.depth]), [[child, 1], [grandchild, 2]]);
+                assert.deepStrictEqual((await call('lineage', 'descendants', root, 1)).map(node => node.id), [child]);
+            });
+
+            it('sums the public stats of a creator', async () => {
+                const walletAddress = await newUser();
+                const rater = await newUser();
+                const id = await newAgent({ creator_wallet: walletAddress });
+                await newAgent({ creator_wallet: walletAddress, original_agent_id: id });
+                await newAgent({ creator_wallet: walletAddress, moderation_status: 'hidden' });
+                await call('agents', 'incrementForkCount', id);
+                await call('ratings', 'save', { agent_id: id, wallet_address: rater, stars: 4 });
+
+                const profile = await call('creators', 'getProfile', walletAddress);
+                assert.deepStrictEqual(
+                    [profile.agents_count, profile.forks_count, profile.forks_received, profile.average_rating, profile.ratings_count],
+                    [1, 1, 1, 4, 1]);
+                assert.strictEqual((await call('creators', 'getProfile', '0xnobody')).member_since, null);
+
+                const stats = await call('dashboard', 'walletStats', walletAddress);
+                assert.deepStrictEqual([stats.agents_created, stats.forks_made, stats.ratings_received], [2, 1, 1]);
+                const [rows, total] = await callMany('dashboard', 'listWalletAgents', walletAddress, false, 1, 0);
+                assert.deepStrictEqual([rows.length, total], [1, 2]);
+            });
+        });
+
+        describe('handles', () => {
+            it('verifies a handle through a challenge', async () => {
+                const walletAddress = await newUser();
+                const otherWallet = await newUser();
+                const columns = NETWORKS.lens;
+                await call('handles', 'update', walletAddress, [{ columns, handle: 'alice.lens' }]);
+                await call('handles', 'update', otherWallet, [{ columns, handle: 'alice.lens' }]);
+                assert.strictEqual(await call('handles', 'getHandle', walletAddress, columns), 'alice.lens');
+
+                const challenge = await call('handles', 'createChallenge',
+                    { walletAddress, network: 'lens', handle: 'alice.lens', statement: 'I own alice.lens' }, 10);
+                assert.deepStrictEqual([challenge.handle, challenge.statement], ['alice.lens', 'I own alice.lens']);
+                assert.match(challenge.expires_at, TIMESTAMP_PATTERN);
+
+                const open = await call('handles', 'findOpenChallenge', walletAddress, 'lens', columns);
+                assert.strictEqual(open.current_handle, 'alice.lens');
+                await call('handles', 'completeChallenge', open, 'test', columns);
+                assert.strictEqual(await call('handles', 'findOpenChallenge', walletAddress, 'lens', columns), undefined);
+                assert.match((await call('users', 'get', walletAddress)).lens_verified_at, TIMESTAMP_PATTERN);
+                assert.strictEqual((await call('agents', 'get', await newAgent({ creator_wallet: walletAddress }))).creator_lens_handle, 'alice.lens');
+
+                // Keeping the handle keeps the verification, changing it drops it
+                await call('handles', 'update', walletAddress, [{ columns, handle: 'alice.lens' }]);
+                assert.ok((await call('users', 'get', walletAddress)).lens_verified_at);
+                await call('handles', 'update', walletAddress, [{ columns, handle: 'bob.lens' }]);
+                assert.strictEqual((await call('users', 'get', walletAddress)).lens_verified_at, null);
+            });
+        });
+
+        describe('moderation', () => {
+            it('keeps one open report per wallet and closes reports with an audit entry', async () => {
+                const [reporter, moderator] = [await newUser(), await newUser()];
+                const agentId = await newAgent();
+                const report = { agent_id: agentId, reporter_wallet: reporter, reason: 'spam' };
+
+                const reportId = await call('moderation', 'createReport', report);
+                assert.ok(Number.isInteger(reportId));
+                assert.strictEqual(await call('moderation', 'createReport', report), null);
+                assert.strictEqual((await call('moderation', 'getReport', reportId)).agent_moderation_status, 'approved');
+
+                await call('moderation', 'setAgentStatus', agentId, 'hidden', 'Spam', 'resolved',
+                    { actor_wallet: moderator, action: 'hide_agent', agent_id: agentId, report_id: reportId, reason: 'Spam' });
+                const resolved = await call('moderation', 'getReport', reportId);
+                assert.deepStrictEqual([resolved.status, resolved.resolved_by, resolved.agent_moderation_status],
+                    ['resolved', moderator, 'hidden']);
+
+                const [entries, total] = await callMany('moderation', 'listAuditLog', { agent_id: agentId }, 10, 0);
+                assert.deepStrictEqual([total, entries[0].action, entries[0].agent_name], [1, 'hide_agent', 'Agent']);
+                await assert.rejects(exec(`DELETE FROM audit_log WHERE agent_id = $1`, [agentId]));
+            });
+
+            it('bans a wallet, hiding its content and revoking its sessions', async () => {
+                const [walletAddress, moderator] = [await newUser(), await newUser()];
+                const agentId = await newAgent({ creator_wallet: walletAddress });
+                await call('ratings', 'save', { agent_id: agentId, wallet_address: walletAddress, stars: 5 });
+                await newSession(walletAddress, 'ban-token');
+
+                await call('moderation', 'ban', walletAddress, true, { actor_wallet: moderator, action: 'ban_wallet', target_wallet: walletAddress, reason: 'Spam' });
+                const status = await call('moderation', 'getUserStatus', walletAddress);
+                assert.deepStrictEqual([status.banned_reason, status.role], ['Spam', 'user']);
+                assert.strictEqual((await call('agents', 'get', agentId)).moderation_status, 'hidden');
+                assert.deepStrictEqual(await call('ratings', 'listForAgent', agentId), []);
+                assert.deepStrictEqual(await call('sessions', 'listActive', walletAddress, LIMITS.idleHours), []);
+                assert.ok((await call('moderation', 'listBanned')).some(row => row.wallet_address === walletAddress));
+                const [entries] = await callMany('moderation', 'listAuditLog', { action: 'hide_rating' }, 10, 0);
+                assert.strictEqual(entries[0].target_wallet, walletAddress);
+
+                await call('moderation', 'unban', walletAddress, { actor_wallet: moderator, action: 'unban_wallet', target_wallet: walletAddress });
+                assert.strictEqual((await call('moderation', 'getUserStatus', walletAddress)).banned_at, null);
+            });
+        });
+
+        describe('orgs', () => {
+            it('adds a member through an invite accepted once', async () => {
+                const [owner, member] = [await newUser(), await newUser()];
+                const orgId = await call('orgs', 'create', 'Acme', owner);
+                assert.strictEqual((await call('orgs', 'get', orgId)).member_count, 1);
+
+                const created = await call('orgs', 'createInvite', { org_id: orgId, token_hash: 'invite-hash', role: 'member', invited_by: owner }, 7);
+                assert.match(created.expires_at, TIMESTAMP_PATTERN);
+                const invite = await call('orgs', 'getInvite', 'invite-hash');
+                assert.deepStrictEqual([invite.id, invite.org_name], [created.id, 'Acme']);
+
+                assert.strictEqual(await call('orgs', 'acceptInvite', invite, member), true);
+                assert.strictEqual(await call('orgs', 'acceptInvite', invite, member), false);
+                assert.strictEqual(await call('orgs', 'getInvite', 'invite-hash'), undefined);
+                assert.deepStrictEqual((await call('orgs', 'listMembers', orgId)).map(row => [row.wallet_address, row.role]),
+                    [[owner, 'owner'], [member, 'member']]);
+                assert.deepStrictEqual((await call('orgs', 'listForWallet', member)).map(row => [row.id, row.role, row.member_count]),
+                    [[orgId, 'member', 2]]);
+
+                assert.strictEqual(await call('orgs', 'setMemberRole', orgId, owner, 'member'), false);
+                assert.strictEqual(await call('orgs', 'setMemberRole', orgId, member, 'admin'), true);
+                assert.strictEqual(await call('orgs', 'removeMember', orgId, member), true);
+            });
+        });
+
+        describe('subscriptions', () => {
+            const payment = (walletAddress, subscriptionId) => ({
+                wallet_address: walletAddress, subscription_id: subscriptionId, provider: 'test', provider_reference: `ref-${subscriptionId}`,
+                amount_cents: 900, status: 'succeeded'
+            });
+
+            it('reserves, activates, cancels, resumes and renews a subscription', async () => {
+                const walletAddress = await newUser();
+                const subscription = { wallet_address: walletAddress, tier: 'user_pro', payment_provider: 'test' };
+
+                const [blocking, id] = await callMany('subscriptions', 'reserve', subscription, 15);
+                assert.deepStrictEqual([blocking, Number.isInteger(id)], [null, true]);
+                assert.strictEqual((await callMany('subscriptions', 'reserve', subscription, 15))[0], 'pending');
+
+                await call('subscriptions', 'activate', id, walletAddress, 'user_pro', 30, payment(walletAddress, id));
+                assert.strictEqual((await call('users', 'get', walletAddress)).subscription_tier, 'user_pro');
+                const current = await call('subscriptions', 'getCurrent', walletAddress);
+                assert.deepStrictEqual([current.id, current.status], [id, 'active']);
+                assert.strictEqual((await callMany('subscriptions', 'reserve', subscription, 15))[0], 'active');
+
+                assert.strictEqual(await call('subscriptions', 'cancel', walletAddress), true);
+                assert.strictEqual((await call('subscriptions', 'getCurrent', walletAddress)).status, 'canceled');
+                assert.strictEqual(await call('subscriptions', 'resume', walletAddress), true);
+                assert.strictEqual(await call('subscriptions', 'resume', walletAddress), false);
+
+                await call('subscriptions', 'renew', current, 30, { ...payment(walletAddress, id), provider_reference: 'renewal' });
+                const renewed = await call('subscriptions', 'getCurrent', walletAddress);
+                assert.strictEqual(renewed.current_period_start, current.current_period_end);
+                assert.strictEqual((await call('subscriptions', 'listPayments', walletAddress)).length, 2);
+            });
+
+            it('expires subscriptions that are due', async () => {
+                const walletAddress = await newUser();
+                const [, id] = await callMany('subscriptions', 'reserve', { wallet_address: walletAddress, tier: 'agency', payment_provider: 'test' }, 15);
+                await call('subscriptions', 'activate', id, walletAddress, 'agency', 0, payment(walletAddress, id));
+
+                const due = (await call('subscriptions', 'listDue')).find(row => row.id === id);
+                assert.ok(due);
+                await call('subscriptions', 'expire', due, 'creator', null);
+                assert.strictEqual(await call('subscriptions', 'getCurrent', walletAddress), undefined);
+                assert.strictEqual((await call('users', 'get', walletAddress)).subscription_tier, 'creator');
+            });
+        });
+
+        describe('rate limits', () => {
+            it('takes tokens until the bucket is empty, then refills it', async () => {
+                const bucket = { capacity: 2, refillSeconds: 10 };
+                assert.strictEqual(await call('ratelimits', 'take', 'bucket-1', bucket, 1000), true);
+                assert.strictEqual(await call('ratelimits', 'take', 'bucket-1', bucket, 1000), true);
+                const [taken, state] = await callMany('ratelimits', 'take', 'bucket-1', bucket, 1005);
+                assert.deepStrictEqual([taken, state.tokens, state.updated_at], [false, 0, 1000]);
+                assert.strictEqual(await call('ratelimits', 'take', 'bucket-1', bucket, 1010), true);
+
+                assert.strictEqual(await call('ratelimits', 'prune', 1011), 1);
+                assert.strictEqual(await call('ratelimits', 'take', 'bucket-1', bucket, 1011), true);
+            });
+        });
+    });
+});
+
+describe('postgres import', { skip: BACKENDS.postgres.skip }, () => {
+    let context;
+
+    before(async () => {
+        context = await BACKENDS.postgres.open();
+    });
+
+    after(async () => {
+        if (context) {
+            await context.close();
+        }
+    });
+
+    it('copies rows with their ids and hands out later ids after them', async () => {
+        const { storage } = context;
+        const walletAddress = '0x00000000000000000000000000000000000000aa';
+        await promisify(storage.importTables)([
+            { name: 'users', columns: ['id', 'wallet_address', 'created_at'], rows: [{ id: 7, wallet_address: walletAddress, created_at: '2025-05-01 10:00:00' }] },
+            { name: 'agents', columns: ['id', 'name', 'description', 'category', 'creator_wallet'],
+                rows: [{ id: 40, name: 'Imported', description: 'From SQLite', category: 'Research', creator_wallet: walletAddress }] },
+            { name: 'ratings', columns: ['id', 'agent_id', 'wallet_address', 'stars'], rows: [{ id: 3, agent_id: 40, wallet_address: walletAddress, stars: 5 }] }
+        ]);
+
+        const user = await promisify(storage.users.get)(walletAddress);
+        assert.strictEqual(user.id, 7);
+        assert.strictEqual(user.created_at, '2025-05-01 10:00:00');
+        assert.strictEqual((await promisify(storage.ratings.get)(40, walletAddress)).id, 3);
+
+        const agentId = await promisify(storage.agents.create)({ name: 'New', description: 'After the copy', category: 'Research' });
+        assert.strictEqual(agentId, 41);
+    });
+
+    it('refuses to copy into tables that have rows', async () => {
+        await assert.rejects(promisify(context.storage.importTables)([
+            { name: 'users', columns: ['wallet_address'], rows: [{ wallet_address: '0xsecond' }] }
+        ]), /users table already has rows/);
+    });
+});